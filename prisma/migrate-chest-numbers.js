@@ -0,0 +1,106 @@
+// One-off migration: give registrations in a squad a chest number now that
+// numbers belong to the competition entry instead of the player.
+// A player's old players.chestNumber is kept when it is a number within the
+// competition's range and still free in the squad; everyone else gets the
+// lowest free number. It needs the new column and the old one at the same
+// time, so split the schema migration in two: create it with
+// `npx prisma migrate dev --create-only`, move the DROP of players.chestNumber
+// into a second migration, apply the first, run this script, then apply the
+// second.
+// Safe to run more than once. Usage: npm run migrate:chest-numbers
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const ACTIVE_STATUSES = ['submitted', 'under_review', 'approved'];
+
+async function main() {
+  const present = await prisma.$queryRaw`
+    SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'players' AND COLUMN_NAME = 'chestNumber'`;
+
+  const oldNumbers = new Map();
+  if (present.length === 0) {
+    console.log('players.chestNumber no longer exists; assigning fresh numbers only');
+  } else {
+    const rows = await prisma.$queryRaw`SELECT id, chestNumber FROM players WHERE chestNumber IS NOT NULL`;
+    for (const row of rows) {
+      const n = Number(String(row.chestNumber).trim());
+      if (Number.isInteger(n)) oldNumbers.set(Number(row.id), n);
+    }
+  }
+
+  const registrations = await prisma.competitionRegistration.findMany({
+    where: { status: { in: ACTIVE_STATUSES }, groupId: { not: null }, chestNumber: null },
+    select: {
+      id: true,
+      competitionId: true,
+      clubId: true,
+      groupId: true,
+      playerId: true,
+      competition: { select: { chestNumberFrom: true, chestNumberTo: true } },
+    },
+    orderBy: { id: 'asc' },
+  });
+
+  // Numbers already held per squad, filled lazily
+  const taken = new Map();
+  const squadNumbers = async ({ competitionId, clubId, groupId }) => {
+    const key = `${competitionId}:${clubId}:${groupId}`;
+    if (!taken.has(key)) {
+      const held = await prisma.competitionRegistration.findMany({
+        where: { competitionId, clubId, groupId, chestNumber: { not: null } },
+        select: { chestNumber: true },
+      });
+      taken.set(key, new Set(held.map((r) => r.chestNumber)));
+    }
+    return taken.get(key);
+  };
+
+  // Old numbers go first so a player who had one is not beaten to it by a
+  // squad mate getting a fresh number
+  registrations.sort((a, b) => Number(oldNumbers.has(b.playerId)) - Number(oldNumbers.has(a.playerId)));
+
+  let kept = 0;
+  let assigned = 0;
+  let full = 0;
+
+  for (const reg of registrations) {
+    const { chestNumberFrom, chestNumberTo } = reg.competition;
+    const held = await squadNumbers(reg);
+
+    let chestNumber = oldNumbers.get(reg.playerId);
+    if (chestNumber !== undefined && chestNumber >= chestNumberFrom && chestNumber <= chestNumberTo && !held.has(chestNumber)) {
+      kept++;
+    } else {
+      chestNumber = undefined;
+      for (let n = chestNumberFrom; n <= chestNumberTo; n++) {
+        if (!held.has(n)) {
+          chestNumber = n;
+          break;
+        }
+      }
+      if (chestNumber === undefined) {
+        full++;
+        continue;
+      }
+      assigned++;
+    }
+
+    await prisma.competitionRegistration.update({ where: { id: reg.id }, data: { chestNumber } });
+    held.add(chestNumber);
+  }
+
+  console.log('Old chest numbers kept:', kept);
+  console.log('New chest numbers assigned:', assigned);
+  console.log('Left without a number (range full):', full);
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating chest numbers:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
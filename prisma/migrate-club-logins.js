@@ -0,0 +1,52 @@
+// One-off migration: give every club a clubadmin user account built from the
+// login stored on the club, so clubs sign in as regular users.
+// Clubs that already have a clubadmin account are only linked to it.
+// Safe to run more than once. Usage: npm run migrate:club-logins
+const { PrismaClient } = require('@prisma/client');
+const { ensureClubAdminUser } = require('../src/services/clubAccountService');
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const clubs = await prisma.club.findMany({
+    select: { id: true, clubName: true, email: true, password: true },
+    orderBy: { id: 'asc' },
+  });
+
+  let created = 0;
+  let linked = 0;
+  const conflicts = [];
+
+  for (const club of clubs) {
+    if (!club.email || !club.password) {
+      conflicts.push(`${club.clubName} (#${club.id}): no login stored on the club`);
+      continue;
+    }
+
+    const result = await ensureClubAdminUser(club, prisma);
+    if (result.conflict) {
+      conflicts.push(`${club.clubName} (#${club.id}): ${club.email} already belongs to another account`);
+    } else if (result.created) {
+      created++;
+    } else {
+      linked++;
+    }
+  }
+
+  console.log('Clubs processed:', clubs.length);
+  console.log('Club admin accounts created:', created);
+  console.log('Existing club admin accounts linked:', linked);
+  if (conflicts.length > 0) {
+    console.log('Clubs needing manual attention:');
+    conflicts.forEach((line) => console.log(`  - ${line}`));
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating club logins:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,80 @@
+// One-off migration: competitions.fromDate, toDate and lastEntryDate were free
+// strings (YYYY-MM-DD, DD/MM/YYYY, sometimes with a time). Rewrite them all as
+// YYYY-MM-DD so the schema migration can change the columns to DATE.
+// Run it BEFORE applying that migration; it refuses to finish while any date
+// cannot be read, listing them so they can be fixed by hand first.
+// Existing competitions get status OPEN from the migration, which means their
+// dates decide their status. Safe to run more than once.
+// Usage: npm run migrate:competition-dates
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DATE_COLUMNS = ['fromDate', 'toDate', 'lastEntryDate'];
+
+const toDay = (value) => {
+  const s = String(value || '').trim();
+  const dmy = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dmy) {
+    const day = `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+    return Number.isNaN(new Date(day).getTime()) ? null : day;
+  }
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return Number.isNaN(new Date(iso[0]).getTime()) ? null : iso[0];
+  const d = new Date(s);
+  return s && !Number.isNaN(d.getTime()) ? d.toISOString().split('T')[0] : null;
+};
+
+async function main() {
+  const columns = await prisma.$queryRaw`
+    SELECT COLUMN_NAME AS name, DATA_TYPE AS type FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'competitions'
+      AND COLUMN_NAME IN ('fromDate', 'toDate', 'lastEntryDate')`;
+  const textColumns = columns.filter((c) => c.type !== 'date').map((c) => c.name);
+
+  if (textColumns.length === 0) {
+    console.log('Competition dates are already DATE columns; nothing to migrate');
+    return;
+  }
+
+  // Column names come from information_schema filtered to the fixed list above
+  const rows = await prisma.$queryRawUnsafe(
+    `SELECT id, competitionName, ${textColumns.map((c) => `\`${c}\``).join(', ')} FROM competitions`
+  );
+
+  let updated = 0;
+  const unreadable = [];
+
+  for (const row of rows) {
+    const changes = {};
+    for (const column of DATE_COLUMNS) {
+      if (!textColumns.includes(column)) continue;
+      const day = toDay(row[column]);
+      if (!day) {
+        unreadable.push(`#${row.id} ${row.competitionName}: ${column} = "${row[column]}"`);
+      } else if (day !== row[column]) {
+        changes[column] = day;
+      }
+    }
+    for (const [column, day] of Object.entries(changes)) {
+      await prisma.$executeRawUnsafe(`UPDATE competitions SET \`${column}\` = ? WHERE id = ?`, day, row.id);
+    }
+    if (Object.keys(changes).length > 0) updated++;
+  }
+
+  console.log('Competitions with rewritten dates:', updated);
+  if (unreadable.length > 0) {
+    console.error('These dates could not be read; fix them and run this again before migrating the schema:');
+    unreadable.forEach((line) => console.error(`  ${line}`));
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating competition dates:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,67 @@
+// One-off migration: copy the single referee and observer stored on each
+// competition (competitions.refereeId / observerId) into competition_officials.
+// It needs the new table and the old columns at the same time, so split the
+// schema migration in two: create it with `npx prisma migrate dev --create-only`,
+// move the DROP of refereeId/observerId (and their foreign keys) into a second
+// migration, apply the first, run this script, then apply the second.
+// Safe to run more than once. Usage: npm run migrate:competition-officials
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const LEGACY_COLUMNS = [
+  { column: 'refereeId', duty: 'REFEREE' },
+  { column: 'observerId', duty: 'OBSERVER' },
+];
+
+async function main() {
+  const present = await prisma.$queryRaw`
+    SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'competitions'
+      AND COLUMN_NAME IN ('refereeId', 'observerId')`;
+  const presentNames = present.map((row) => row.name);
+
+  if (presentNames.length === 0) {
+    console.log('competitions.refereeId / observerId no longer exist; nothing to migrate');
+    return;
+  }
+
+  let created = 0;
+  let skipped = 0;
+
+  for (const { column, duty } of LEGACY_COLUMNS) {
+    if (!presentNames.includes(column)) continue;
+
+    // Column names come from the fixed list above, never from input
+    const rows = await prisma.$queryRawUnsafe(
+      `SELECT id, \`${column}\` AS userId FROM competitions WHERE \`${column}\` IS NOT NULL`
+    );
+
+    for (const row of rows) {
+      const competitionId = Number(row.id);
+      const userId = Number(row.userId);
+      const existing = await prisma.competitionOfficial.findFirst({
+        where: { competitionId, userId, duty },
+        select: { id: true },
+      });
+      if (existing) {
+        skipped++;
+        continue;
+      }
+      await prisma.competitionOfficial.create({ data: { competitionId, userId, duty } });
+      created++;
+    }
+  }
+
+  console.log('Official assignments created:', created);
+  console.log('Already migrated:', skipped);
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating competition officials:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
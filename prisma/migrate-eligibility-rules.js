@@ -0,0 +1,45 @@
+// One-off migration: registrations used to allow at most 3 players aged 18 or
+// below per club in any competition with a group named "Men" or "Women".
+// That limit is now the maxUnder18Players rule of each competition group, so
+// set it on the men's and women's groups of existing competitions.
+// Run it after applying the schema migration that adds the rule columns to
+// competition_groups. Groups that already have a limit are left alone, so it
+// is safe to run more than once. Usage: npm run migrate:eligibility-rules
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const SENIOR_GROUP_NAMES = ['men', 'women'];
+const SENIOR_MAX_UNDER18 = 3;
+
+async function main() {
+  const competitionGroups = await prisma.competitionGroup.findMany({
+    where: { maxUnder18Players: null },
+    select: { id: true, group: { select: { groupName: true } } },
+  });
+
+  const seniorIds = competitionGroups
+    .filter((cg) => SENIOR_GROUP_NAMES.includes(cg.group.groupName.trim().toLowerCase()))
+    .map((cg) => cg.id);
+
+  if (seniorIds.length === 0) {
+    console.log('No men\'s or women\'s competition groups without a limit; nothing to migrate');
+    return;
+  }
+
+  const result = await prisma.competitionGroup.updateMany({
+    where: { id: { in: seniorIds } },
+    data: { maxUnder18Players: SENIOR_MAX_UNDER18 },
+  });
+
+  console.log('Competition groups limited to', SENIOR_MAX_UNDER18, 'U18 players:', result.count);
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating eligibility rules:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
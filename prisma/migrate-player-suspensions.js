@@ -0,0 +1,66 @@
+// One-off migration: turn players flagged with players.isSuspended into a
+// decided disciplinary case with an open-ended suspension.
+// It needs the new tables and the old column at the same time, so split the
+// schema migration in two: create it with `npx prisma migrate dev --create-only`,
+// move the DROP of players.isSuspended into a second migration, apply the
+// first, run this script, then apply the second.
+// Safe to run more than once. Usage: npm run migrate:player-suspensions
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const INCIDENT = 'Suspended before disciplinary cases were introduced';
+
+async function main() {
+  const present = await prisma.$queryRaw`
+    SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'players' AND COLUMN_NAME = 'isSuspended'`;
+
+  if (present.length === 0) {
+    console.log('players.isSuspended no longer exists; nothing to migrate');
+    return;
+  }
+
+  const rows = await prisma.$queryRaw`SELECT id FROM players WHERE isSuspended = 1`;
+
+  let created = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const playerId = Number(row.id);
+    const existing = await prisma.disciplinaryCase.findFirst({
+      where: { playerId, incident: INCIDENT },
+      select: { id: true },
+    });
+    if (existing) {
+      skipped++;
+      continue;
+    }
+    await prisma.disciplinaryCase.create({
+      data: {
+        playerId,
+        incidentDate: new Date(),
+        incident: INCIDENT,
+        status: 'DECIDED',
+        hearingOutcome: INCIDENT,
+        decidedAt: new Date(),
+        sanctions: {
+          create: { playerId, type: 'SUSPENSION', startsOn: new Date() },
+        },
+      },
+    });
+    created++;
+  }
+
+  console.log('Suspensions migrated:', created);
+  console.log('Already migrated:', skipped);
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating player suspensions:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,72 @@
+// One-off migration: turn the exam pass years stored on each referee
+// (referees.districtParishadPassYear / stateRefreeExamPassYear /
+// allIndiaRefreeExamPassYear) into referee_certifications rows.
+// It needs the new table and the old columns at the same time, so split the
+// schema migration in two: create it with `npx prisma migrate dev --create-only`,
+// move the DROP of the three pass-year columns into a second migration, apply
+// the first, run this script, then apply the second.
+// Safe to run more than once. Usage: npm run migrate:referee-certifications
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Same mapping as LEGACY_PASS_YEARS in src/services/refereeGradeService.js
+const LEGACY_PASS_YEARS = {
+  districtParishadPassYear: { level: 'DISTRICT', examBody: 'District Parishad' },
+  stateRefreeExamPassYear: { level: 'STATE', examBody: 'State Referee Exam' },
+  allIndiaRefreeExamPassYear: { level: 'NATIONAL', examBody: 'All India Referee Exam' },
+};
+
+async function main() {
+  const columns = Object.keys(LEGACY_PASS_YEARS);
+  const present = await prisma.$queryRaw`
+    SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'referees'
+      AND COLUMN_NAME IN (${columns[0]}, ${columns[1]}, ${columns[2]})`;
+  const presentNames = present.map((row) => row.name);
+
+  if (presentNames.length === 0) {
+    console.log('referees pass-year columns no longer exist; nothing to migrate');
+    return;
+  }
+
+  let created = 0;
+  let skipped = 0;
+
+  for (const column of columns) {
+    if (!presentNames.includes(column)) continue;
+    const { level, examBody } = LEGACY_PASS_YEARS[column];
+
+    // Column names come from the fixed list above, never from input
+    const rows = await prisma.$queryRawUnsafe(
+      `SELECT id, \`${column}\` AS passYear FROM referees WHERE \`${column}\` IS NOT NULL`
+    );
+
+    for (const row of rows) {
+      const refereeId = Number(row.id);
+      const passYear = Number(row.passYear);
+      const existing = await prisma.refereeCertification.findFirst({
+        where: { refereeId, level, examBody },
+        select: { id: true },
+      });
+      if (existing) {
+        skipped++;
+        continue;
+      }
+      await prisma.refereeCertification.create({ data: { refereeId, level, examBody, passYear } });
+      created++;
+    }
+  }
+
+  console.log('Certifications created:', created);
+  console.log('Already migrated:', skipped);
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating referee certifications:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
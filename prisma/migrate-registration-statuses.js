@@ -0,0 +1,53 @@
+// One-off migration: competition_registrations.status used the free strings
+// "registered", "confirmed" and "cancelled". Map them onto the registration
+// state machine (submitted, approved, withdrawn) and give every registration
+// the first entry of its status history.
+// Run it after applying the schema migration that adds
+// registration_status_changes. Safe to run more than once.
+// Usage: npm run migrate:registration-statuses
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const LEGACY_STATUSES = {
+  registered: 'submitted',
+  confirmed: 'approved',
+  cancelled: 'withdrawn',
+};
+
+async function main() {
+  for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+    const result = await prisma.competitionRegistration.updateMany({
+      where: { status: legacy },
+      data: { status },
+    });
+    console.log(`"${legacy}" registrations now ${status}:`, result.count);
+  }
+
+  const withoutHistory = await prisma.competitionRegistration.findMany({
+    where: { statusChanges: { none: {} } },
+    select: { id: true, status: true, registrationDate: true },
+  });
+
+  if (withoutHistory.length > 0) {
+    await prisma.registrationStatusChange.createMany({
+      data: withoutHistory.map((reg) => ({
+        registrationId: reg.id,
+        fromStatus: null,
+        toStatus: reg.status,
+        comment: 'Registered before status history was kept',
+        createdAt: reg.registrationDate,
+      })),
+    });
+  }
+  console.log('Status histories started:', withoutHistory.length);
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating registration statuses:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
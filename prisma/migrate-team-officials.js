@@ -0,0 +1,96 @@
+// One-off migration: turn the manager and coach names typed on competition
+// registrations into entries in the clubs' staff registers and team
+// officials of their squads. Contact details are taken from the club's own
+// coach or manager when the name matches.
+// It needs the new tables and the old columns at the same time, so split the
+// schema migration in two: create it with `npx prisma migrate dev --create-only`,
+// move the DROP of competition_registrations.managerName and .coachName into
+// a second migration, apply the first, run this script, then apply the second.
+// Safe to run more than once. Usage: npm run migrate:team-officials
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const normalize = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+const splitName = (name) => {
+  const parts = normalize(name).split(' ');
+  return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+};
+
+async function main() {
+  const present = await prisma.$queryRaw`
+    SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'competition_registrations'
+      AND COLUMN_NAME IN ('managerName', 'coachName')`;
+
+  if (present.length < 2) {
+    console.log('competition_registrations.managerName and .coachName no longer exist; nothing to migrate');
+    return;
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT DISTINCT competitionId, clubId, groupId, managerName, coachName
+    FROM competition_registrations
+    WHERE groupId IS NOT NULL AND (managerName IS NOT NULL OR coachName IS NOT NULL)`;
+
+  let staffCreated = 0;
+  let officialsCreated = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const clubId = Number(row.clubId);
+    const named = [
+      { role: 'MANAGER', name: normalize(row.managerName) },
+      { role: 'COACH', name: normalize(row.coachName) },
+    ].filter((n) => n.name);
+
+    for (const { role, name } of named) {
+      const { firstName, lastName } = splitName(name);
+      let staff = await prisma.clubStaff.findFirst({ where: { clubId, firstName, lastName } });
+
+      if (!staff) {
+        const club = await prisma.club.findUnique({ where: { id: clubId } });
+        const prefix = role === 'COACH' ? 'coach' : 'manager';
+        const sameAsClub = normalize(club?.[`${prefix}Name`]).toLowerCase() === name.toLowerCase();
+        staff = await prisma.clubStaff.create({
+          data: {
+            clubId,
+            firstName,
+            lastName,
+            mobile: sameAsClub ? club[`${prefix}Mobile`] || null : null,
+            email: sameAsClub ? club[`${prefix}Email`] || null : null,
+            aadharNumber: sameAsClub ? club[`${prefix}Aadhar`] || null : null,
+          },
+        });
+        staffCreated++;
+      }
+
+      const where = {
+        competitionId: Number(row.competitionId),
+        groupId: Number(row.groupId),
+        staffId: staff.id,
+      };
+      const existing = await prisma.teamOfficial.findFirst({ where, select: { id: true } });
+      if (existing) {
+        skipped++;
+        continue;
+      }
+      await prisma.teamOfficial.create({ data: { ...where, clubId, role } });
+      officialsCreated++;
+    }
+  }
+
+  console.log('Staff added to club registers:', staffCreated);
+  console.log('Team officials created:', officialsCreated);
+  console.log('Already migrated:', skipped);
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating team officials:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,56 @@
+// One-off migration: weight limits used to be typed into the free-text
+// competitions.weight field (e.g. "55 kg"). Copy the number into the new
+// maxWeightKg rule of each group of the competition, so weigh-ins and the
+// eligibility check can use it. competitions.weight is kept as a label.
+// Run it after applying the schema migration that adds maxWeightKg. Groups
+// that already have a limit are left alone, so it is safe to run more than
+// once. Usage: npm run migrate:weight-limits
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// First number in the label, e.g. "Below 55.5 Kg" -> 55.5
+const parseWeight = (label) => {
+  const match = String(label || '').match(/\d+(\.\d+)?/);
+  if (!match) return null;
+  const kg = parseFloat(match[0]);
+  return kg > 0 && kg < 250 ? kg : null;
+};
+
+async function main() {
+  const competitions = await prisma.competition.findMany({
+    where: { weight: { not: null } },
+    select: { id: true, competitionName: true, weight: true },
+  });
+
+  let updated = 0;
+  const unparsed = [];
+
+  for (const competition of competitions) {
+    const kg = parseWeight(competition.weight);
+    if (kg === null) {
+      if (competition.weight.trim()) unparsed.push(`${competition.competitionName}: "${competition.weight}"`);
+      continue;
+    }
+    const result = await prisma.competitionGroup.updateMany({
+      where: { competitionId: competition.id, maxWeightKg: null },
+      data: { maxWeightKg: kg },
+    });
+    updated += result.count;
+  }
+
+  console.log('Competition groups given a weight limit:', updated);
+  if (unparsed.length > 0) {
+    console.log('Weight labels without a number, set these limits by hand:');
+    unparsed.forEach((line) => console.log(' -', line));
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('Error migrating weight limits:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcrypt');
+const aclService = require('../src/services/aclService');
 const prisma = new PrismaClient();
 
 const SALT_ROUNDS = 10;
@@ -66,8 +67,11 @@ async function main() {
     }
   }
 
+  const permissionsCreated = await aclService.syncDefaultPermissions(prisma);
+
   console.log('Admin user ensured with email:', adminUser.email);
   console.log('Groups seeded:', groupsToSeed.length);
+  console.log('Permissions added:', permissionsCreated);
   console.log('Seeding completed successfully!');
 }
 
@@ -2,9 +2,26 @@ const app = require('./src/app');
 const { startObserverCleanupJob } = require('./src/jobs/observerCleanup');
 const { startRefereeCleanupJob } = require('./src/jobs/refereeCleanup');
 const { startActivityLogCleanupJob } = require('./src/jobs/activityLogCleanup');
+const { startSessionCleanupJob } = require('./src/jobs/sessionCleanup');
+const { startCertificationReminderJob } = require('./src/jobs/certificationReminder');
+const { startSanctionExpiryJob } = require('./src/jobs/sanctionExpiry');
+const { startCompetitionLifecycleJob } = require('./src/jobs/competitionLifecycle');
+const { registerStandingsListeners } = require('./src/services/standingsService');
+const { registerDisciplinaryListeners } = require('./src/services/disciplinaryService');
+const aclService = require('./src/services/aclService');
 
 const port = process.env.PORT || 3000;
 
+// Recompute points tables whenever a match result is recorded
+registerStandingsListeners();
+// Count completed matches towards players' match bans
+registerDisciplinaryListeners();
+
+// Make sure permissions added in code exist in the database
+aclService.syncDefaultPermissions().catch((err) => {
+  console.error('Failed to sync default permissions:', err);
+});
+
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
   // Start background job: runs every 24 hours to clean up expired observers
@@ -15,4 +32,12 @@ app.listen(port, () => {
   startRefereeCleanupJob(86_400_000);
   // Start background job: runs every 24 hours to delete old activity logs (set ACTIVITY_LOG_RETENTION_DAYS in .env)
   startActivityLogCleanupJob(86_400_000);
+  // Start background job: runs every 24 hours to delete long-ended login sessions
+  startSessionCleanupJob(86_400_000);
+  // Start background job: runs every 24 hours to remind referees of expiring certifications (set CERTIFICATION_REMINDER_DAYS in .env)
+  startCertificationReminderJob(86_400_000);
+  // Start background job: runs every 24 hours to expire suspensions whose end date has passed
+  startSanctionExpiryJob(86_400_000);
+  // Start background job: runs every hour to move competitions through their lifecycle by date
+  startCompetitionLifecycleJob(3_600_000);
 });
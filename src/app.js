@@ -17,6 +17,12 @@ const regionRoutes = require("./routes/region");
 const placeRoutes = require("./routes/place");
 const refereeRoutes = require("./routes/referee");
 const activityLogRoutes = require("./routes/activityLog");
+const permissionRoutes = require("./routes/permissions");
+const transferRoutes = require("./routes/transfer");
+const invoiceRoutes = require("./routes/invoice");
+const paymentRoutes = require("./routes/payment");
+const disciplinaryRoutes = require("./routes/disciplinary");
+const accreditationRoutes = require("./routes/accreditation");
 const authRoutes = require("./routes/auth");
 const swaggerRouter = require("./swagger");
 
@@ -96,6 +102,12 @@ app.use("/api/regions", regionRoutes);
 app.use("/api/places", placeRoutes);
 app.use("/api/referees", refereeRoutes);
 app.use("/api/activity-logs", activityLogRoutes);
+app.use("/api/permissions", permissionRoutes);
+app.use("/api/transfers", transferRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/disciplinary-cases", disciplinaryRoutes);
+app.use("/api/accreditation", accreditationRoutes);
 app.use(swaggerRouter);
 
 app.get("*", (req, res, next) => {
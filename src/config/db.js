@@ -3,7 +3,8 @@ const { getRequestFromContext } = require("../middleware/activityLogContext");
 
 const basePrisma = new PrismaClient();
 
-const SKIPPED_MODELS = new Set(["ActivityLog"]);
+// Session rows change on every token refresh; logging them would only add noise
+const SKIPPED_MODELS = new Set(["ActivityLog", "Session"]);
 const ALLOWED_ACTIONS = new Set(["create", "update", "delete", "updateMany", "deleteMany"]);
 
 const safeJsonStringify = (value) => {
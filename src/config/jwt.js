@@ -1,4 +1,6 @@
 module.exports = {
   secret: process.env.JWT_SECRET || 'your_jwt_secret',
-  expiresIn: '1h',
+  // Access tokens are short-lived; clients renew them with the refresh token
+  expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
 };
@@ -1,37 +1,117 @@
-// module.exports = {
-//   // User management
-//   "users.read": ["admin"],
-//   "users.write": ["admin"],
-//   "users.update": ["admin"],
-//   "users.delete": ["admin"],
-  
-//   // Club management
-//   "clubs.read": ["admin", "clubadmin"],
-//   "clubs.write": ["admin"],
-//   "clubs.update": ["admin", "clubadmin"],
-//   "clubs.delete": ["admin"],
-  
-//   // Group management
-//   "groups.read": ["admin", "clubadmin"],
-//   "groups.write": ["admin", "clubadmin"],
-//   "groups.update": ["admin", "clubadmin"],
-//   "groups.delete": ["admin", "clubadmin"],
-  
-//   // Competition management
-//   "competitions.read": ["admin", "clubadmin"],
-//   "competitions.write": ["admin", "clubadmin"],
-//   "competitions.update": ["admin", "clubadmin"],
-//   "competitions.delete": ["admin"],
-  
-//   // Site settings
-//   "sitesettings.read": ["admin"],
-//   "sitesettings.write": ["admin"],
-  
-//   // Authentication
-//   "auth.login": ["admin", "clubadmin", "member"],
-//   "auth.register": ["admin"],
-//   "auth.resetPassword": ["admin", "clubadmin", "member"],
-  
-//   // Roles
-//   "roles.read": ["admin"],
-// };
\ No newline at end of file
+// Default permission matrix: permission -> roles granted it.
+// These defaults are copied into the role_permissions table the first time a
+// permission is seen (see aclService.syncDefaultPermissions); after that the
+// grants are edited through /api/permissions and the database is the source
+// of truth.
+module.exports = {
+  // User management
+  "users.read": ["admin"],
+  "users.write": ["admin"],
+  "users.update": ["admin"],
+  "users.delete": ["admin"],
+  // Own password; changing someone else's needs users.update
+  "users.password": ["admin", "clubadmin", "member", "observer", "referee"],
+
+  // Club management
+  "clubs.read": ["admin", "clubadmin"],
+  "clubs.write": ["admin"],
+  "clubs.update": ["admin", "clubadmin"],
+  "clubs.delete": ["admin"],
+  // Acting for any club (choosing the club of a player, squad or import);
+  // without it club admins are held to their own club
+  "clubs.all": ["admin"],
+  "clubs.stats": ["admin"],
+  // Staff register; club admins keep their own, admins verify Aadhaar
+  "clubstaff.read": ["admin", "clubadmin"],
+  "clubstaff.write": ["admin", "clubadmin"],
+  "clubstaff.verify": ["admin"],
+
+  // Group management
+  "groups.read": ["admin", "clubadmin", "observer", "referee"],
+  "groups.write": ["admin"],
+  "groups.update": ["admin"],
+  "groups.delete": ["admin"],
+
+  // Places and regions
+  "places.read": ["admin", "clubadmin", "observer", "referee"],
+  "places.write": ["admin"],
+  "regions.read": ["admin", "clubadmin", "observer", "referee"],
+  "regions.write": ["admin"],
+
+  // Competition management
+  "competitions.read": ["admin", "clubadmin", "observer", "referee"],
+  // Seeing every competition; without it clubs see the ones they entered and
+  // officials the ones they officiate at
+  "competitions.all": ["admin"],
+  "competitions.write": ["admin"],
+  "competitions.update": ["admin"],
+  "competitions.delete": ["admin"],
+  // Joining competitions and managing the club's squad in them
+  "competitions.enter": ["admin", "clubadmin"],
+  // Assigning observers and referees
+  "competitions.officials": ["admin"],
+  // Recording weigh-ins; observers and referees only at competitions they officiate
+  "competitions.weighin": ["admin", "observer", "referee"],
+  // Approving or rejecting squads and player replacements, and granting late-entry exceptions
+  "registrations.review": ["admin"],
+
+  // Fixtures and scoring
+  "fixtures.read": ["admin", "clubadmin", "observer", "referee"],
+  "fixtures.manage": ["admin"],
+  "fixtures.score": ["admin", "referee"],
+  // Clubs submit their own lineups; admins for either club
+  "fixtures.lineup": ["admin", "clubadmin"],
+
+  // Player management
+  "players.read": ["admin", "clubadmin", "observer", "referee"],
+  "players.write": ["admin", "clubadmin"],
+  // Moving a player to a club or out of one directly, outside the transfer workflow
+  "players.assign": ["admin"],
+
+  // Transfer workflow: clubs request players and release their own,
+  // admins give the final approval and manage transfer windows
+  "transfers.read": ["admin", "clubadmin"],
+  "transfers.request": ["admin", "clubadmin"],
+  "transfers.noc": ["admin", "clubadmin"],
+  "transfers.approve": ["admin"],
+  "transfers.windows": ["admin"],
+
+  // Entry fees, invoices and payments: clubs see and pay their own invoices,
+  // admins set fees and reconcile offline payments
+  "fees.manage": ["admin"],
+  "invoices.read": ["admin", "clubadmin"],
+  "invoices.manage": ["admin"],
+  "payments.record": ["admin", "clubadmin"],
+  "payments.reconcile": ["admin"],
+
+  // Disciplinary cases: officials report incidents, clubs appeal decisions on
+  // their players, admins hold hearings and impose sanctions
+  "disciplinary.read": ["admin", "clubadmin", "observer", "referee"],
+  "disciplinary.report": ["admin", "observer", "referee"],
+  "disciplinary.appeal": ["admin", "clubadmin"],
+  "disciplinary.manage": ["admin"],
+
+  // Referee profiles
+  "referees.read": ["admin"],
+  "referees.write": ["admin"],
+  // Declaring availability; referees only for themselves
+  "referees.availability": ["admin", "referee"],
+  // Certification history and match ratings; referees only their own
+  "referees.history": ["admin", "referee"],
+  // Observers rating the officials of matches they are allocated to
+  "referees.rate": ["admin", "observer"],
+
+  // Observer reports: observers file and read their own, admins read them
+  // all, reopen submitted ones and print the compiled report
+  "observerreports.read": ["admin", "observer"],
+  "observerreports.file": ["admin", "observer"],
+  "observerreports.manage": ["admin"],
+
+  // Activity logs
+  "activitylogs.read": ["admin"],
+
+  // Roles and permissions
+  "roles.read": ["admin"],
+  "permissions.read": ["admin"],
+  "permissions.write": ["admin"],
+};
@@ -0,0 +1,181 @@
+const prisma = require("../config/db");
+const fs = require("fs");
+const path = require("path");
+const { z } = require("zod");
+const createError = require("http-errors");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const { getClubId } = require("../middleware/clubContext");
+const { competitionDay } = require("../services/officialService");
+const { lifecycleSelect, assertActionAllowed } = require("../services/competitionLifecycleService");
+const { BADGE_KINDS, listBadges, verifyBadge } = require("../services/accreditationService");
+
+// Role band colour on each badge
+const KIND_COLORS = {
+  PLAYER: "#2563eb",
+  COACH: "#16a34a",
+  MANAGER: "#9333ea",
+  PHYSIO: "#0891b2",
+  OFFICIAL: "#dc2626",
+};
+
+const badgeFilterSchema = z.object({
+  clubId: z.coerce.number().int().positive().optional(),
+  groupId: z.coerce.number().int().positive().optional(),
+  kinds: z
+    .string()
+    .transform((v) => v.split(",").map((k) => k.trim().toUpperCase()).filter(Boolean))
+    .pipe(z.array(z.enum(BADGE_KINDS, {
+      errorMap: () => ({ message: `Badge kinds must be among ${BADGE_KINDS.join(", ")}` }),
+    })).min(1))
+    .optional(),
+});
+
+// Where the QR code sends gate staff; the token is appended
+const verifyBaseUrl = (req) =>
+  (process.env.ACCREDITATION_VERIFY_URL || `${req.protocol}://${req.get("host")}/api/accreditation/verify`).replace(/\/+$/, "");
+
+// Batch of badges for a competition: clubs print their own squads, admins
+// any club or the whole competition including officials
+const generateBadgesPDF = asyncHandler(async (req, res) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+  const filters = await badgeFilterSchema.parseAsync(req.query);
+
+  const userClubId = getClubId(req);
+  if (userClubId) {
+    if (filters.clubId && filters.clubId !== userClubId) {
+      throw createError(403, "You can only print your own club's badges");
+    }
+    filters.clubId = userClubId;
+  } else if (!(await aclService.hasPermission(req.user, "competitions.update"))) {
+    throw createError(403, "Only clubs and administrators can print badges");
+  }
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true, competitionName: true, ...lifecycleSelect, clubs: { select: { id: true } } },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  if (userClubId && !competition.clubs.some((c) => c.id === userClubId)) {
+    throw createError(403, "Your club is not part of this competition");
+  }
+  assertActionAllowed(competition, "accredit");
+
+  const badges = await listBadges(competition, filters);
+  if (badges.length === 0) throw createError(404, "No badges to print for this selection");
+
+  const baseUrl = verifyBaseUrl(req);
+  const qrCodes = await Promise.all(
+    badges.map((b) => QRCode.toBuffer(`${baseUrl}/${b.token}`, { errorCorrectionLevel: 'M', margin: 1, width: 240 }))
+  );
+
+  const doc = new PDFDocument({
+    margin: 30,
+    size: 'A4',
+    info: {
+      Title: `${competition.competitionName} - Accreditation Badges`,
+      Author: 'TDKA Competition Management System',
+      Subject: 'Accreditation Badges',
+    },
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${competition.competitionName}_Badges.pdf"`);
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+
+  doc.pipe(res);
+
+  const primaryColor = '#1e293b';
+  const borderColor = '#cbd5e1';
+  const darkGray = '#334155';
+  const secondaryColor = '#64748b';
+
+  // Six badges per page, two columns by three rows
+  const gap = 15;
+  const badgeW = (doc.page.width - 60 - gap) / 2;
+  const badgeH = (doc.page.height - 60 - gap * 2) / 3;
+  const period = `${competitionDay(competition.fromDate)} to ${competitionDay(competition.toDate)}`;
+
+  const drawPhoto = (photo, x, y, w, h) => {
+    doc.rect(x, y, w, h).lineWidth(0.8).stroke(borderColor);
+    const rel = photo ? String(photo).replace(/\\/g, '/') : '';
+    const file = rel ? (path.isAbsolute(rel) ? rel : path.join(process.cwd(), rel)) : '';
+    if (file && fs.existsSync(file)) {
+      try {
+        doc.image(file, x + 2, y + 2, { fit: [w - 4, h - 4], align: 'center', valign: 'center' });
+        return;
+      } catch (_) {
+        // fall through to the placeholder
+      }
+    }
+    doc.font('Helvetica').fontSize(8).fillColor(secondaryColor)
+      .text('PHOTO', x, y + h / 2 - 4, { width: w, align: 'center' });
+  };
+
+  const drawBadge = (badge, qr, x, y) => {
+    doc.rect(x, y, badgeW, badgeH).lineWidth(1).stroke(borderColor);
+
+    doc.rect(x, y, badgeW, 34).fill(primaryColor);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('white')
+      .text(competition.competitionName.toUpperCase(), x + 8, y + 6, { width: badgeW - 16, height: 24, align: 'center', ellipsis: true });
+
+    doc.rect(x, y + 34, badgeW, 18).fill(KIND_COLORS[badge.kind]);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('white')
+      .text(badge.role, x + 8, y + 39, { width: badgeW - 16, align: 'center', ellipsis: true });
+
+    const bodyY = y + 60;
+    const photoW = 70;
+    const photoH = 88;
+    drawPhoto(badge.photo, x + 10, bodyY, photoW, photoH);
+
+    const textX = x + 10 + photoW + 10;
+    const textW = badgeW - (textX - x) - 10;
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('black')
+      .text(badge.name.toUpperCase(), textX, bodyY, { width: textW, height: 28, ellipsis: true });
+    let textY = bodyY + 30;
+    const line = (label, value) => {
+      if (!value) return;
+      doc.font('Helvetica-Bold').fontSize(8).fillColor(secondaryColor).text(label, textX, textY, { width: textW });
+      doc.font('Helvetica').fontSize(9).fillColor(darkGray).text(String(value), textX, textY + 9, { width: textW, ellipsis: true, height: 11 });
+      textY += 22;
+    };
+    line('CLUB', badge.club?.clubName);
+    line('GROUP', badge.group?.groupName);
+    line('ID', badge.uniqueIdNumber);
+
+    if (badge.kind === 'PLAYER') {
+      doc.font('Helvetica-Bold').fontSize(8).fillColor(secondaryColor).text('CHEST NO.', x + 10, bodyY + photoH + 8, { width: photoW, align: 'center' });
+      doc.font('Helvetica-Bold').fontSize(20).fillColor('black').text(badge.chestNumber ? String(badge.chestNumber) : '-', x + 10, bodyY + photoH + 18, { width: photoW, align: 'center' });
+    }
+
+    const qrSize = 78;
+    doc.image(qr, x + badgeW - qrSize - 8, y + badgeH - qrSize - 8, { width: qrSize, height: qrSize });
+    doc.font('Helvetica').fontSize(7).fillColor(secondaryColor)
+      .text(period, x + 10, y + badgeH - 16, { width: badgeW - qrSize - 26 });
+  };
+
+  badges.forEach((badge, idx) => {
+    const slot = idx % 6;
+    if (idx > 0 && slot === 0) doc.addPage();
+    const x = 30 + (slot % 2) * (badgeW + gap);
+    const y = 30 + Math.floor(slot / 2) * (badgeH + gap);
+    drawBadge(badge, qrCodes[idx], x, y);
+  });
+
+  doc.end();
+});
+
+// Gate staff scan a badge's QR code; anyone holding the badge may check it
+const verifyAccreditation = asyncHandler(async (req, res) => {
+  res.json(await verifyBadge(req.params.token));
+});
+
+module.exports = {
+  generateBadgesPDF,
+  verifyAccreditation,
+};
@@ -1,17 +1,7 @@
-const createError = require("http-errors");
 const prisma = require("../config/db");
 
-const requireAdmin = (req) => {
-  const role = String(req.user?.role || "").toLowerCase();
-  return role === "admin";
-};
-
 const listActivityLogs = async (req, res, next) => {
   try {
-    if (!requireAdmin(req)) {
-      throw createError(403, "Access denied");
-    }
-
     if (!prisma?.activityLog) {
       return res.status(500).json({
         errors: {
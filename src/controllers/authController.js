@@ -9,6 +9,9 @@ const config = require("../config/config");
 const createError = require("http-errors");
 const jwtConfig = require("../config/jwt");
 const { SUPER_ADMIN } = require("../config/roles");
+const { ensureClubAdminUser } = require("../services/clubAccountService");
+const sessionService = require("../services/sessionService");
+const { officiatedCompetitionsWhere, competitionDay } = require("../services/officialService");
 
 // Register a new user
 const register = async (req, res, next) => {
@@ -95,10 +98,10 @@ const login = async (req, res, next) => {
       },
     });
 
-    let isClub = false;
-    let clubId = null;
-    
-    // If not found in users, check clubs
+    // Legacy club login: credentials stored on the club itself. On a
+    // successful match the club's clubadmin account is used (and created from
+    // the club's login if it does not exist yet), so the session is a normal
+    // user session scoped to the club.
     if (!user) {
       const club = await prisma.club.findFirst({
         where: { email },
@@ -109,27 +112,18 @@ const login = async (req, res, next) => {
           password: true,
         },
       });
-      
-      if (club) {
-        // Transform club data to match user structure
-        user = {
-          id: club.id,
-          name: club.clubName,
-          email: club.email,
-          password: club.password,
-          role: "CLUB",
-          active: true,
-          lastLogin: null,
-          clubId: club.id, // Set clubId to the club's own ID
-        };
-        isClub = true;
-        clubId = club.id;
+
+      if (club?.password && (await bcrypt.compare(password, club.password))) {
+        const { user: clubAdminUser } = await ensureClubAdminUser(club);
+        if (clubAdminUser) {
+          // Password was verified against the club's stored login
+          user = { ...clubAdminUser, password: club.password };
+        }
       }
-    } else if (user.clubId) {
-      // If user has a clubId, store it
-      clubId = user.clubId;
     }
 
+    const clubId = user?.clubId ?? null;
+
     if (!user) {
       return res
         .status(401)
@@ -152,7 +146,7 @@ const login = async (req, res, next) => {
     // If the user is an observer, enforce login time window
     if (typeof user.role === "string" && user.role.toLowerCase() === "observer") {
       const competitions = await prisma.competition.findMany({
-        where: { observerId: user.id },
+        where: officiatedCompetitionsWhere(user.id),
         select: { id: true, fromDate: true, toDate: true },
       });
 
@@ -191,7 +185,7 @@ const login = async (req, res, next) => {
         if (upcoming.length > 0) {
           return res
             .status(403)
-            .json({ errors: { message: `Observer access not yet active. Starts on ${upcoming[0].c.fromDate}` } });
+            .json({ errors: { message: `Observer access not yet active. Starts on ${competitionDay(upcoming[0].c.fromDate)}` } });
         }
         return res
           .status(403)
@@ -202,7 +196,7 @@ const login = async (req, res, next) => {
     // If the user is a referee, enforce login time window
     if (typeof user.role === "string" && user.role.toLowerCase() === "referee") {
       const competitions = await prisma.competition.findMany({
-        where: { refereeId: user.id },
+        where: officiatedCompetitionsWhere(user.id),
         select: { id: true, fromDate: true, toDate: true },
       });
 
@@ -240,7 +234,7 @@ const login = async (req, res, next) => {
         if (upcoming.length > 0) {
           return res
             .status(403)
-            .json({ errors: { message: `Referee access not yet active. Starts on ${upcoming[0].c.fromDate}` } });
+            .json({ errors: { message: `Referee access not yet active. Starts on ${competitionDay(upcoming[0].c.fromDate)}` } });
         }
         return res
           .status(403)
@@ -248,23 +242,24 @@ const login = async (req, res, next) => {
       }
     }
 
-    const token = jwt.sign({ userId: user.id, isClub }, jwtConfig.secret, {
-      expiresIn: jwtConfig.expiresIn,
-    });
+    // Short-lived access token plus a refresh token bound to a new session
+    const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(
+      { id: user.id, clubId },
+      req
+    );
 
-    // Update lastLogin timestamp only for users
-    if (!isClub) {
-      await prisma.user.update({
-        where: { id: user.id },
-        data: { lastLogin: new Date() },
-      });
-    }
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLogin: new Date() },
+    });
 
     // Remove password from response
     const { password: _, ...userWithoutPassword } = user;
 
     res.json({
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       user: userWithoutPassword,
       clubId, // Include clubId in the response for frontend to store in localStorage
     });
@@ -358,9 +353,100 @@ const resetPassword = async (req, res, next) => {
   }
 };
 
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+const refresh = async (req, res, next) => {
+  const schema = z.object({
+    refreshToken: z.string().min(1, "Refresh token is required"),
+  });
+
+  try {
+    const validationErrors = await validateRequest(schema, req.body, res);
+    const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.rotateRefreshToken(
+      req.body.refreshToken,
+      req
+    );
+    res.json({ token, refreshToken, refreshTokenExpiresAt });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke the session identified by the refresh token in the body or, failing
+// that, by the (possibly expired) access token in the Authorization header
+const logout = async (req, res, next) => {
+  try {
+    if (req.body?.refreshToken) {
+      await sessionService.revokeByRefreshToken(req.body.refreshToken, "LOGOUT");
+      return res.json({ message: "Logged out" });
+    }
+
+    let sessionId = null;
+    const accessToken = req.headers.authorization?.split(" ")[1];
+    if (accessToken) {
+      try {
+        const decoded = jwt.verify(accessToken, jwtConfig.secret, { ignoreExpiration: true });
+        sessionId = decoded?.sid || null;
+      } catch (_) {
+        // invalid token: nothing to revoke
+      }
+    }
+
+    if (sessionId) {
+      await sessionService.revokeSession(sessionId, "LOGOUT");
+    }
+
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Devices the current user is signed in on
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listUserSessions(req.user.id);
+    res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: session.id === req.auth?.sid,
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign the current user out of one of their devices
+const revokeSession = async (req, res, next) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId);
+    if (!sessionId) {
+      return next(createError(400, "Invalid session ID"));
+    }
+
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, userId: req.user.id, revokedAt: null },
+      select: { id: true },
+    });
+
+    if (!session) {
+      return next(createError(404, "Session not found"));
+    }
+
+    await sessionService.revokeSession(session.id, "REVOKED_BY_USER");
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
   forgotPassword,
   resetPassword,
 };
@@ -4,6 +4,7 @@ const { z } = require("zod");
 const createError = require("http-errors");
 const bcrypt = require("bcryptjs");
 const ExcelJS = require("exceljs");
+const { findClubAdminUser } = require("../services/clubAccountService");
 
 /**
  * Wrap async route handlers and funnel errors through Express error middleware.
@@ -83,6 +84,11 @@ const getClubs = asyncHandler(async (req, res) => {
     where.place = { regionId: parsedRegionId };
   }
 
+  // Club admins only see their own club
+  if (req.club) {
+    where.id = req.club.id;
+  }
+
   const [clubs, total] = await Promise.all([
     prisma.club.findMany({
       where,
@@ -163,6 +169,10 @@ const getClub = asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id);
   if (!id) throw createError(400, "Invalid club ID");
 
+  if (req.club && req.club.id !== id) {
+    return res.status(403).json({ errors: { message: "Access denied" } });
+  }
+
   const club = await prisma.club.findUnique({
     where: { id },
     select: {
@@ -372,6 +382,10 @@ const updateClub = asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id);
   if (!id) throw createError(400, "Invalid club ID");
 
+  if (req.club && req.club.id !== id) {
+    return res.status(403).json({ errors: { message: "Access denied" } });
+  }
+
   const schema = z
     .object({
       clubName: z.string().min(1).max(255).optional(),
@@ -467,12 +481,7 @@ const updateClub = asyncHandler(async (req, res) => {
   // If email, club name, or password is being updated, also update the corresponding user
   if (validatedData.email || validatedData.clubName || validatedData.password) {
     try {
-      const user = await prisma.user.findFirst({
-        where: { 
-          email: existing.email,
-          role: "clubadmin"
-        }
-      });
+      const user = await findClubAdminUser(existing);
       
       if (user) {
         const userUpdateData = {};
@@ -0,0 +1,241 @@
+const prisma = require("../config/db");
+const path = require("path");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const { getClubId } = require("../middleware/clubContext");
+const { hasValidLicence } = require("../services/teamOfficialService");
+
+const hasUploadErrors = (req) => {
+  if (!req.uploadErrors) return false;
+  return Object.values(req.uploadErrors).some(
+    (v) => Array.isArray(v) ? v.length > 0 : !!v
+  );
+};
+
+const getUploadedFilePath = (req, fieldName) => {
+  const f = req.files?.[fieldName]?.[0];
+  if (!f || !f.path) return null;
+  return path.relative(process.cwd(), f.path).replace(/\\/g, "/");
+};
+
+const cleanupUpload = async (req) => {
+  if (!req.cleanupUpload) return;
+  try {
+    await req.cleanupUpload(req);
+  } catch (_) {
+    // ignore
+  }
+};
+
+// Multipart form fields arrive as strings; "" clears an optional value
+const optionalText = (max, label) =>
+  z
+    .string()
+    .trim()
+    .max(max, `${label} must be at most ${max} characters`)
+    .nullable()
+    .optional()
+    .transform((v) => (v === undefined ? undefined : v || null));
+
+const optionalDay = (label) =>
+  z
+    .preprocess((v) => (v === "" ? null : v), z.coerce.date({ invalid_type_error: `Invalid ${label}` }).nullable())
+    .optional();
+
+const staffSchema = z.object({
+  firstName: z.string().trim().min(1, "First name is required").max(191, "First name must be at most 191 characters"),
+  lastName: z.string().trim().min(1, "Last name is required").max(191, "Last name must be at most 191 characters"),
+  mobile: z.string().trim().regex(/^\d{10}$/, "Mobile must be 10 digits"),
+  email: z
+    .preprocess((v) => (v === "" ? null : v), z.string().trim().email("Invalid email").max(191).nullable())
+    .optional(),
+  aadharNumber: z
+    .preprocess((v) => (v === "" ? null : v), z.string().trim().regex(/^\d{12}$/, "Invalid Aadhaar number").nullable())
+    .optional(),
+  licenceNumber: optionalText(191, "Licence number"),
+  licenceLevel: optionalText(191, "Licence level"),
+  licenceValidUntil: optionalDay("licence valid until date"),
+  active: z.preprocess((v) => (v === "true" ? true : v === "false" ? false : v), z.boolean()).optional(),
+});
+
+const staffFiles = ["aadharImage", "profileImage", "licenceFile"];
+
+const withLicence = (staff) => ({
+  ...staff,
+  licenceValid: hasValidLicence(staff),
+});
+
+// Club admins only reach their own club's register
+const loadClub = async (req) => {
+  const clubId = parseInt(req.params.id);
+  if (!clubId) throw createError(400, "Invalid club ID");
+
+  const ownClubId = getClubId(req);
+  if (ownClubId && ownClubId !== clubId) {
+    throw createError(403, "You can only manage your own club's staff");
+  }
+
+  const club = await prisma.club.findUnique({
+    where: { id: clubId },
+    select: { id: true, clubName: true },
+  });
+  if (!club) throw createError(404, "Club not found");
+  return club;
+};
+
+const loadStaff = async (req) => {
+  const club = await loadClub(req);
+  const staffId = parseInt(req.params.staffId);
+  if (!staffId) throw createError(400, "Invalid staff ID");
+
+  const staff = await prisma.clubStaff.findFirst({
+    where: { id: staffId, clubId: club.id },
+  });
+  if (!staff) throw createError(404, "Staff member not found");
+  return staff;
+};
+
+const getStaff = asyncHandler(async (req, res) => {
+  const club = await loadClub(req);
+
+  const where = { clubId: club.id };
+  if (req.query.active !== undefined) where.active = req.query.active === "true";
+  if (req.query.search) {
+    where.OR = [
+      { firstName: { contains: req.query.search } },
+      { lastName: { contains: req.query.search } },
+      { mobile: { contains: req.query.search } },
+    ];
+  }
+
+  const staff = await prisma.clubStaff.findMany({
+    where,
+    include: { _count: { select: { teamOfficials: true } } },
+    orderBy: [{ active: "desc" }, { firstName: "asc" }, { lastName: "asc" }],
+  });
+
+  res.json({ club, staff: staff.map(withLicence) });
+});
+
+// A staff member with the competitions they have served in
+const getStaffMember = asyncHandler(async (req, res) => {
+  const staff = await loadStaff(req);
+  const teamOfficials = await prisma.teamOfficial.findMany({
+    where: { staffId: staff.id },
+    include: {
+      competition: { select: { id: true, competitionName: true, fromDate: true, toDate: true } },
+      group: { select: { id: true, groupName: true } },
+    },
+    orderBy: { competition: { fromDate: "desc" } },
+  });
+
+  res.json({ ...withLicence(staff), teamOfficials });
+});
+
+const createStaff = asyncHandler(async (req, res) => {
+  if (hasUploadErrors(req)) {
+    return res.status(400).json({ errors: req.uploadErrors });
+  }
+
+  try {
+    const club = await loadClub(req);
+    const data = await staffSchema.parseAsync(req.body);
+
+    const files = {};
+    staffFiles.forEach((field) => {
+      files[field] = getUploadedFilePath(req, field);
+    });
+
+    const staff = await prisma.clubStaff.create({
+      data: {
+        clubId: club.id,
+        firstName: data.firstName,
+        lastName: data.lastName,
+        mobile: data.mobile,
+        email: data.email ?? null,
+        aadharNumber: data.aadharNumber ?? null,
+        licenceNumber: data.licenceNumber ?? null,
+        licenceLevel: data.licenceLevel ?? null,
+        licenceValidUntil: data.licenceValidUntil || null,
+        active: data.active ?? true,
+        ...files,
+      },
+    });
+
+    res.status(201).json(withLicence(staff));
+  } catch (err) {
+    await cleanupUpload(req);
+    throw err;
+  }
+});
+
+const updateStaff = asyncHandler(async (req, res) => {
+  if (hasUploadErrors(req)) {
+    return res.status(400).json({ errors: req.uploadErrors });
+  }
+
+  try {
+    const staff = await loadStaff(req);
+    const data = { ...(await staffSchema.partial().parseAsync(req.body)) };
+
+    staffFiles.forEach((field) => {
+      const filePath = getUploadedFilePath(req, field);
+      if (filePath) data[field] = filePath;
+    });
+    // A new Aadhaar number or card has to be verified again
+    if ((data.aadharNumber !== undefined && data.aadharNumber !== staff.aadharNumber) || data.aadharImage) {
+      data.aadharVerified = false;
+    }
+
+    const updated = await prisma.clubStaff.update({
+      where: { id: staff.id },
+      data,
+    });
+
+    res.json(withLicence(updated));
+  } catch (err) {
+    await cleanupUpload(req);
+    throw err;
+  }
+});
+
+// Staff who have served in a competition stay on its records; deactivate them instead
+const deleteStaff = asyncHandler(async (req, res) => {
+  const staff = await loadStaff(req);
+  const served = await prisma.teamOfficial.count({ where: { staffId: staff.id } });
+  if (served > 0) {
+    throw createError(400, "This staff member has served in competitions; mark them inactive instead");
+  }
+
+  await prisma.clubStaff.delete({ where: { id: staff.id } });
+  res.json({ message: "Staff member deleted" });
+});
+
+// An admin checks the Aadhaar card on record against the number given
+const verifyStaffAadhaar = asyncHandler(async (req, res) => {
+  const staff = await loadStaff(req);
+  const { aadharVerified } = await z.object({
+    aadharVerified: z.boolean({ required_error: "aadharVerified is required" }),
+  }).parseAsync(req.body);
+
+  if (aadharVerified && (!staff.aadharNumber || !staff.aadharImage)) {
+    throw createError(400, "An Aadhaar number and card image are needed before verifying");
+  }
+
+  const updated = await prisma.clubStaff.update({
+    where: { id: staff.id },
+    data: { aadharVerified },
+  });
+
+  res.json(withLicence(updated));
+});
+
+module.exports = {
+  getStaff,
+  getStaffMember,
+  createStaff,
+  updateStaff,
+  deleteStaff,
+  verifyStaffAadhaar,
+};
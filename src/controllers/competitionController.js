@@ -6,17 +6,41 @@ const PDFDocument = require("pdfkit");
 const fs = require("fs");
 const path = require("path");
 const bcrypt = require("bcryptjs");
+const standingsService = require("../services/standingsService");
+const billingService = require("../services/billingService");
+const officialService = require("../services/officialService");
+const refereeGradeService = require("../services/refereeGradeService");
+const eligibilityService = require("../services/eligibilityService");
+const weighInService = require("../services/weighInService");
+const registrationService = require("../services/registrationService");
+const chestNumberService = require("../services/chestNumberService");
+const teamOfficialService = require("../services/teamOfficialService");
+const aclService = require("../services/aclService");
+const lifecycleService = require("../services/competitionLifecycleService");
+const { getClubId } = require("../middleware/clubContext");
+
+const { parseEligibilityDate, calculateAgeOn, computeUnderAgeLabel } = eligibilityService;
 
 /**
  * Wrap async route handlers and funnel errors through Express error middleware.
- * Converts Prisma validation errors and known request errors into structured 400 responses.
+ * Zod errors and Prisma validation errors become 400 responses, http-errors
+ * keep their status, and anything unexpected is a 500.
  */
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch((err) => {
-    // Zod or manual user errors forwarded by validateRequest
-    if (err.status === 400 && err.expose) {
+    // Zod validation errors, with per-field messages like middleware/asyncHandler
+    if (err instanceof z.ZodError) {
+      const errors = {};
+      err.errors.forEach((e) => {
+        errors[e.path[0] ?? "message"] = { type: "validation", message: e.message };
+      });
+      return res.status(400).json({ errors });
+    }
+    // http-errors thrown by the handlers (400, 403, 404, 409, ...) and
+    // validation errors forwarded by validateRequest
+    if (err.status && err.expose) {
       return res
-        .status(400)
+        .status(err.status)
         .json({ errors: err.errors || { message: err.message } });
     }
     // Prisma validation errors
@@ -43,57 +67,6 @@ const asyncHandler = (fn) => (req, res, next) => {
   });
 };
 
-// Helper: parse common date formats safely (YYYY-MM-DD, DD/MM/YYYY, or Date)
-const parseEligibilityDate = (value) => {
-  if (!value) return null;
-  try {
-    if (value instanceof Date) return isNaN(value) ? null : value;
-    if (typeof value === 'string') {
-      const s = value.trim();
-      // ISO-like
-      if (/^\d{4}-\d{2}-\d{2}/.test(s)) {
-        const d = new Date(s);
-        return isNaN(d) ? null : d;
-      }
-      // DD/MM/YYYY
-      if (/^\d{2}\/\d{2}\/\d{4}$/.test(s)) {
-        const [dd, mm, yyyy] = s.split('/').map((x) => parseInt(x, 10));
-        const d = new Date(yyyy, mm - 1, dd);
-        return isNaN(d) ? null : d;
-      }
-      // Fallback parse
-      const d = new Date(s);
-      return isNaN(d) ? null : d;
-    }
-  } catch (_) {
-    return null;
-  }
-  return null;
-};
-
-// Helper: calculate age on a reference date (defaults to today)
-const calculateAgeOn = (dob, refDate = new Date()) => {
-  if (!dob) return null;
-  const birth = dob instanceof Date ? dob : new Date(dob);
-  if (isNaN(birth)) return null;
-  const ref = refDate instanceof Date ? refDate : new Date(refDate);
-  if (isNaN(ref)) return null;
-  let age = ref.getFullYear() - birth.getFullYear();
-  const m = ref.getMonth() - birth.getMonth();
-  if (m < 0 || (m === 0 && ref.getDate() < birth.getDate())) age--;
-  return age;
-};
-// Helper: compute "Under X" label from an eligibility date (DOB cutoff)
-const computeUnderAgeLabel = (eligibilityDate, asOf = new Date()) => {
-  const dob = parseEligibilityDate(eligibilityDate);
-  if (!dob) return null;
-  let age = asOf.getFullYear() - dob.getFullYear();
-  const m = asOf.getMonth() - dob.getMonth();
-  if (m < 0 || (m === 0 && asOf.getDate() < dob.getDate())) age--;
-  if (!Number.isFinite(age) || age < 0) return null;
-  return `Under ${age}`;
-};
-
 const getCompetitions = asyncHandler(async (req, res) => {
   const page = Math.max(1, parseInt(req.query.page) || 1);
   const limit = Math.max(1, parseInt(req.query.limit) || 10);
@@ -108,36 +81,28 @@ const getCompetitions = asyncHandler(async (req, res) => {
 
   // Filter by club based on user role
   if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
+    if (req.club) {
       // Club admins can only see competitions their club is participating in
       where.clubs = {
         some: {
-          id: req.user.clubId
+          id: req.club.id
         }
       };
-    } else if (req.user.role === "observer") {
-      // Observers can only see the competition they are assigned to
-      where.observerId = req.user.id;
-    } else if (req.user.role === "referee") {
-      // Referees can only see competitions they are assigned to
-      where.refereeId = req.user.id;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin"
-        }
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        where.clubs = {
-          some: {
-            id: clubAdminUser.clubId
-          }
-        };
-      }
+      where.status = { not: "DRAFT" };
+    } else if (!(await aclService.hasPermission(req.user, "competitions.all"))) {
+      // Observers and referees can only see competitions they officiate at
+      Object.assign(where, officialService.officiatedCompetitionsWhere(req.user.id));
+      where.status = { not: "DRAFT" };
+    }
+    // Admins see all competitions (no club filter)
+  }
+
+  // The stored status is kept in step with the dates by the lifecycle job
+  if (req.query.status) {
+    if (!lifecycleService.COMPETITION_STATUSES.includes(req.query.status)) {
+      throw createError(400, "Invalid competition status");
     }
-    // Super admins and other roles can see all competitions (no club filter)
+    where.status = { ...where.status, equals: req.query.status };
   }
 
   if (search) {
@@ -217,10 +182,15 @@ const getCompetitions = asyncHandler(async (req, res) => {
       id: comp.id,
       competitionName: comp.competitionName,
       maxPlayers: comp.maxPlayers,
+      maxReplacements: comp.maxReplacements,
+      chestNumberFrom: comp.chestNumberFrom,
+      chestNumberTo: comp.chestNumberTo,
       fromDate: comp.fromDate,
       toDate: comp.toDate,
       age: comp.age,
       lastEntryDate: comp.lastEntryDate,
+      status: lifecycleService.resolveStatus(comp),
+      statusOverride: comp.statusOverride,
       // ageEligibilityDate removed from root, accessed via groups
       weight: comp.weight,
       rules: comp.rules,
@@ -248,24 +218,7 @@ const getCompetition = asyncHandler(async (req, res) => {
 
   // Build where clause with club filtering for club admins
   const where = { id };
-  let userClubId = null;
-
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin"
-        }
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        userClubId = clubAdminUser.clubId;
-      }
-    }
-  }
+  const userClubId = getClubId(req);
 
   const competition = await prisma.competition.findUnique({
     where,
@@ -310,16 +263,13 @@ const getCompetition = asyncHandler(async (req, res) => {
 
   if (!competition) throw createError(404, "Competition not found");
 
-  // Observers may only access their assigned competition
-  if (req.user && req.user.role === 'observer') {
-    if (competition.observerId !== req.user.id) {
-      throw createError(403, "You don't have access to this competition");
-    }
-  }
+  const status = lifecycleService.resolveStatus(competition);
+  const canManage = await aclService.hasPermission(req.user, "competitions.update");
+  if (status === "DRAFT" && !canManage) throw createError(404, "Competition not found");
 
-  // Referees may only access their assigned competition
-  if (req.user && req.user.role === 'referee') {
-    if (competition.refereeId !== req.user.id) {
+  // Observers and referees may only access competitions they officiate at
+  if (!userClubId && !(await aclService.hasPermission(req.user, "competitions.all"))) {
+    if (!(await officialService.isCompetitionOfficial(req.user.id, competition.id))) {
       throw createError(403, "You don't have access to this competition");
     }
   }
@@ -338,7 +288,8 @@ const getCompetition = asyncHandler(async (req, res) => {
       const registeredPlayersCount = await prisma.competitionRegistration.count({
         where: {
           competitionId: id,
-          clubId: club.id
+          clubId: club.id,
+          status: { in: registrationService.ACTIVE_REGISTRATION_STATUSES }
         }
       });
 
@@ -356,7 +307,14 @@ const getCompetition = asyncHandler(async (req, res) => {
     groupName: cg.group.groupName,
     gender: cg.group.gender,
     age: cg.group.age,
-    ageEligibilityDate: cg.ageEligibilityDate
+    ageEligibilityDate: cg.ageEligibilityDate,
+    ageType: cg.ageType || cg.group.ageType,
+    ageEligibilityToDate: cg.ageEligibilityToDate,
+    maxWeightKg: cg.maxWeightKg,
+    overweightAction: cg.overweightAction,
+    requireAadhaarVerified: cg.requireAadhaarVerified,
+    minClubMembershipDays: cg.minClubMembershipDays,
+    maxUnder18Players: cg.maxUnder18Players
   }));
 
   // Format the response for frontend compatibility
@@ -364,15 +322,21 @@ const getCompetition = asyncHandler(async (req, res) => {
     id: competition.id,
     competitionName: competition.competitionName,
     maxPlayers: competition.maxPlayers,
+    maxReplacements: competition.maxReplacements,
+    chestNumberFrom: competition.chestNumberFrom,
+    chestNumberTo: competition.chestNumberTo,
     fromDate: competition.fromDate,
     toDate: competition.toDate,
     age: competition.age,
     lastEntryDate: competition.lastEntryDate,
+    status,
+    statusOverride: competition.statusOverride,
     // ageEligibilityDate removed
     weight: competition.weight,
     address: competition.address,
     rules: competition.rules,
     banner: competition.banner,
+    minRefereeGrade: competition.minRefereeGrade,
     createdAt: competition.createdAt,
     updatedAt: competition.updatedAt,
     groups: formattedGroups,
@@ -382,6 +346,93 @@ const getCompetition = asyncHandler(async (req, res) => {
   res.json(responseData);
 });
 
+// Minimum referee grade; an empty form field removes it
+const minRefereeGradeSchema = z
+  .preprocess(
+    (v) => (v === "" ? null : v),
+    z.enum(refereeGradeService.CERTIFICATION_LEVELS, {
+      errorMap: () => ({ message: `Minimum referee grade must be one of ${refereeGradeService.CERTIFICATION_LEVELS.join(", ")}` }),
+    }).nullable()
+  )
+  .optional();
+
+// Empty form fields clear an optional rule
+const emptyToNull = (v) => (v === "" ? null : v);
+
+// A competition group with its eligibility rules (see eligibilityService)
+const competitionGroupSchema = z
+  .object({
+    id: z.string(),
+    ageEligibilityDate: z.string().min(1, "Eligibility date required for group"),
+    ageType: z.preprocess(
+      emptyToNull,
+      z.enum(eligibilityService.AGE_TYPES, {
+        errorMap: () => ({ message: `Age type must be one of ${eligibilityService.AGE_TYPES.join(", ")}` }),
+      }).nullable()
+    ).optional(),
+    ageEligibilityToDate: z.preprocess(emptyToNull, z.string().nullable()).optional(),
+    maxWeightKg: z.preprocess(emptyToNull, z.coerce.number().positive("Weight limit must be positive").nullable()).optional(),
+    overweightAction: z.enum(weighInService.OVERWEIGHT_ACTIONS, {
+      errorMap: () => ({ message: `Overweight action must be one of ${weighInService.OVERWEIGHT_ACTIONS.join(", ")}` }),
+    }).optional(),
+    requireAadhaarVerified: z.preprocess((v) => (v === "true" ? true : v === "false" ? false : v), z.boolean()).optional(),
+    minClubMembershipDays: z.preprocess(emptyToNull, z.coerce.number().int().min(0).nullable()).optional(),
+    maxUnder18Players: z.preprocess(emptyToNull, z.coerce.number().int().min(0).nullable()).optional(),
+  })
+  .refine((g) => g.ageType !== "BETWEEN" || !!g.ageEligibilityToDate, {
+    message: "A BETWEEN age band needs both eligibility dates",
+  });
+
+const competitionGroupData = (g) => ({
+  group: { connect: { id: parseInt(g.id) } },
+  ageEligibilityDate: g.ageEligibilityDate,
+  ageType: g.ageType ?? null,
+  ageEligibilityToDate: g.ageType === "BETWEEN" ? g.ageEligibilityToDate : null,
+  maxWeightKg: g.maxWeightKg ?? null,
+  overweightAction: g.overweightAction || "FLAG",
+  requireAadhaarVerified: g.requireAadhaarVerified ?? false,
+  minClubMembershipDays: g.minClubMembershipDays ?? null,
+  maxUnder18Players: g.maxUnder18Players ?? null,
+});
+
+// Competition dates arrive as YYYY-MM-DD or DD/MM/YYYY and are stored as dates
+const competitionDateSchema = (label) =>
+  z.preprocess(
+    (v) => {
+      if (v === "" || v === undefined || v instanceof Date) return v === "" ? undefined : v;
+      const day = officialService.competitionDay(v);
+      return day ? new Date(day) : v;
+    },
+    z.date({ required_error: `${label} is required`, invalid_type_error: `${label} must be a valid date` })
+  );
+
+// Entries close on or before the first day, which is on or before the last
+const assertDateOrder = ({ lastEntryDate, fromDate, toDate }) => {
+  if (toDate < fromDate) {
+    throw createError(400, "To date must be on or after the from date");
+  }
+  if (lastEntryDate > fromDate) {
+    throw createError(400, "Last entry date must be on or before the from date");
+  }
+};
+
+const chestNumberSchema = (label) =>
+  z.coerce
+    .number({ invalid_type_error: `${label} must be a number` })
+    .int(`${label} must be a whole number`)
+    .min(1, `${label} must be at least 1`)
+    .max(999, `${label} must be at most 999`);
+
+// The chest number range must leave room for a full squad
+const assertChestNumberRange = ({ chestNumberFrom, chestNumberTo, maxPlayers }) => {
+  if (chestNumberTo < chestNumberFrom) {
+    throw createError(400, "The last chest number must not be below the first");
+  }
+  if (chestNumberTo - chestNumberFrom + 1 < maxPlayers) {
+    throw createError(400, `The chest number range must have room for ${maxPlayers} players`);
+  }
+};
+
 const createCompetition = asyncHandler(async (req, res) => {
   // Parse body fields if they come as strings (from multipart/form-data)
   let bodyData = { ...req.body };
@@ -421,26 +472,35 @@ const createCompetition = asyncHandler(async (req, res) => {
       .number()
       .min(10, "Minimum 10 players")
       .max(14, "Maximum 14 players"),
-    fromDate: z.string().min(1, "From date is required").max(255),
-    toDate: z.string().min(1, "To date is required").max(255),
-    // groups is now array of objects { id, ageEligibilityDate }
-    groups: z.array(z.object({
-      id: z.string(),
-      ageEligibilityDate: z.string().min(1, "Eligibility date required for group")
-    })).min(1, "At least one group must be selected"),
+    fromDate: competitionDateSchema("From date"),
+    toDate: competitionDateSchema("To date"),
+    // groups is now array of objects { id, ageEligibilityDate, ...rules }
+    groups: z.array(competitionGroupSchema).min(1, "At least one group must be selected"),
     clubs: z.array(z.string()).optional(),
-    lastEntryDate: z.string().min(1, "Last entry date is required").max(255),
+    lastEntryDate: competitionDateSchema("Last entry date"),
     weight: z.string().max(255).optional(),
     address: z.string().optional(),
     rules: z.string().optional(),
     banner: z.string().optional(),
+    minRefereeGrade: minRefereeGradeSchema,
+    maxReplacements: z.coerce.number().int().min(0, "Replacements cannot be negative").max(14).optional(),
+    chestNumberFrom: chestNumberSchema("First chest number").optional(),
+    chestNumberTo: chestNumberSchema("Last chest number").optional(),
+    // Drafts stay hidden from clubs and officials until published
+    draft: z.preprocess((v) => (v === "true" ? true : v === "false" ? false : v), z.boolean()).optional(),
   });
 
   // Will throw Zod errors caught by asyncHandler
   const validatedData = await schema.parseAsync(bodyData);
 
   // Extract groups and clubs for separate handling
-  const { groups, clubs, ...competitionData } = validatedData;
+  const { groups, clubs, draft, ...competitionData } = validatedData;
+  assertDateOrder(competitionData);
+  assertChestNumberRange({
+    chestNumberFrom: competitionData.chestNumberFrom ?? 1,
+    chestNumberTo: competitionData.chestNumberTo ?? 99,
+    maxPlayers: competitionData.maxPlayers,
+  });
 
   // Cleanup upload if validation fails is handled by middleware
 
@@ -472,11 +532,9 @@ const createCompetition = asyncHandler(async (req, res) => {
     data: {
       ...normalizedCompetitionData,
       age: age,
+      status: draft ? "DRAFT" : lifecycleService.dateDrivenStatus(competitionData),
       groups: {
-        create: groups.map(g => ({
-          group: { connect: { id: parseInt(g.id) } },
-          ageEligibilityDate: g.ageEligibilityDate
-        }))
+        create: groups.map(competitionGroupData)
       },
       ...(clubs && clubs.length > 0 && {
         clubs: {
@@ -550,19 +608,20 @@ const updateCompetition = asyncHandler(async (req, res) => {
         .min(10, "Minimum 10 players")
         .max(14, "Maximum 14 players")
         .optional(),
-      fromDate: z.string().min(1).max(255).optional(),
-      toDate: z.string().min(1).max(255).optional(),
-      // Groups is array of objects { id, ageEligibilityDate }
-      groups: z.array(z.object({
-        id: z.string(),
-        ageEligibilityDate: z.string().min(1)
-      })).min(1).optional(),
+      fromDate: competitionDateSchema("From date").optional(),
+      toDate: competitionDateSchema("To date").optional(),
+      // Groups is array of objects { id, ageEligibilityDate, ...rules }
+      groups: z.array(competitionGroupSchema).min(1).optional(),
       clubs: z.array(z.string()).optional(),
-      lastEntryDate: z.string().min(1).max(255).optional(),
+      lastEntryDate: competitionDateSchema("Last entry date").optional(),
       weight: z.string().max(255).optional(),
       address: z.string().optional(),
       rules: z.string().optional(),
       banner: z.string().optional(),
+      minRefereeGrade: minRefereeGradeSchema,
+      maxReplacements: z.coerce.number().int().min(0, "Replacements cannot be negative").max(14).optional(),
+      chestNumberFrom: chestNumberSchema("First chest number").optional(),
+      chestNumberTo: chestNumberSchema("Last chest number").optional(),
     })
     .refine((data) => Object.keys(data).length > 0, {
       message: "At least one field is required",
@@ -580,6 +639,29 @@ const updateCompetition = asyncHandler(async (req, res) => {
   const { groups, clubs, ...competitionData } = validatedData;
   const updateData = { ...competitionData };
 
+  lifecycleService.assertActionAllowed(existing, "update");
+  if (groups) lifecycleService.assertActionAllowed(existing, "updateGroups");
+  const changesChestRange = competitionData.chestNumberFrom !== undefined || competitionData.chestNumberTo !== undefined;
+  if (changesChestRange) lifecycleService.assertActionAllowed(existing, "changeChestNumbers");
+  if (changesChestRange || competitionData.maxPlayers !== undefined) {
+    assertChestNumberRange({
+      chestNumberFrom: competitionData.chestNumberFrom ?? existing.chestNumberFrom,
+      chestNumberTo: competitionData.chestNumberTo ?? existing.chestNumberTo,
+      maxPlayers: competitionData.maxPlayers ?? existing.maxPlayers,
+    });
+  }
+
+  // Check new dates against the ones kept, and let them move a date-driven status
+  if (competitionData.fromDate || competitionData.toDate || competitionData.lastEntryDate) {
+    const dates = {
+      lastEntryDate: competitionData.lastEntryDate || existing.lastEntryDate,
+      fromDate: competitionData.fromDate || existing.fromDate,
+      toDate: competitionData.toDate || existing.toDate,
+    };
+    assertDateOrder(dates);
+    updateData.status = lifecycleService.resolveStatus({ ...existing, ...dates });
+  }
+
   if (Object.prototype.hasOwnProperty.call(competitionData, "weight") && typeof competitionData.weight === "string") {
     const w = competitionData.weight.trim();
     updateData.weight = w.length > 0 ? w : null;
@@ -595,10 +677,7 @@ const updateCompetition = asyncHandler(async (req, res) => {
 
     // We will use nested create in the update to re-add them
     updateData.groups = {
-      create: groups.map(g => ({
-        group: { connect: { id: parseInt(g.id) } },
-        ageEligibilityDate: g.ageEligibilityDate
-      }))
+      create: groups.map(competitionGroupData)
     };
 
     // Update legacy age label for display
@@ -639,38 +718,65 @@ const deleteCompetition = asyncHandler(async (req, res) => {
 
   const existing = await prisma.competition.findUnique({ where: { id } });
   if (!existing) throw createError(404, "Competition not found");
+  lifecycleService.assertActionAllowed(existing, "delete");
 
   await prisma.competition.delete({ where: { id } });
   res.json({ message: "Competition deleted successfully" });
 });
 
-// Get available competitions that a club can join
-const getAvailableCompetitions = asyncHandler(async (req, res) => {
-  let userClubId = null;
+// Move a competition through its lifecycle by hand: publish a draft, close
+// entries early, archive it. { auto: true } hands the status back to the dates.
+const updateCompetitionStatus = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) throw createError(400, "Invalid competition ID");
 
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin"
-        }
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        userClubId = clubAdminUser.clubId;
-      }
+  const schema = z
+    .object({
+      status: z.enum(lifecycleService.COMPETITION_STATUSES, {
+        errorMap: () => ({ message: `Status must be one of ${lifecycleService.COMPETITION_STATUSES.join(", ")}` }),
+      }).optional(),
+      auto: z.literal(true).optional(),
+    })
+    .refine((d) => !!d.status !== !!d.auto, {
+      message: "Give either a status or auto: true",
+    });
+  const data = await schema.parseAsync(req.body);
+
+  const existing = await prisma.competition.findUnique({
+    where: { id },
+    select: { id: true, competitionName: true, ...lifecycleService.lifecycleSelect }
+  });
+  if (!existing) throw createError(404, "Competition not found");
+
+  const statusData = data.auto
+    ? { status: lifecycleService.dateDrivenStatus(existing), statusOverride: false }
+    : lifecycleService.manualStatusData(existing, data.status);
+
+  const updated = await prisma.competition.update({
+    where: { id },
+    data: statusData,
+    select: { id: true, competitionName: true, ...lifecycleService.lifecycleSelect }
+  });
+
+  res.json({
+    message: `${updated.competitionName} is now ${lifecycleService.STATUS_LABELS[updated.status]}`,
+    competition: {
+      ...updated,
+      dateDrivenStatus: lifecycleService.dateDrivenStatus(updated)
     }
-  }
+  });
+});
+
+// Get available competitions that a club can join
+const getAvailableCompetitions = asyncHandler(async (req, res) => {
+  const userClubId = getClubId(req);
 
   if (!userClubId) {
     return res.status(403).json({ errors: { message: "Access denied" } });
   }
 
   // Get competitions that the club is NOT already part of
-  const availableCompetitions = await prisma.competition.findMany({
+  const competitions = await prisma.competition.findMany({
     where: {
       NOT: {
         clubs: {
@@ -678,7 +784,8 @@ const getAvailableCompetitions = asyncHandler(async (req, res) => {
             id: userClubId
           }
         }
-      }
+      },
+      status: { notIn: ["DRAFT", "ARCHIVED"] }
     },
     include: {
       groups: {
@@ -700,6 +807,9 @@ const getAvailableCompetitions = asyncHandler(async (req, res) => {
     }
   });
 
+  // Only competitions still taking entries can be joined
+  const availableCompetitions = competitions.filter((c) => lifecycleService.isActionAllowed(c, "join"));
+
   res.json({
     competitions: availableCompetitions,
     totalCompetitions: availableCompetitions.length,
@@ -711,24 +821,7 @@ const joinCompetition = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   if (!competitionId) throw createError(400, "Invalid competition ID");
 
-  let userClubId = null;
-
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin"
-        }
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        userClubId = clubAdminUser.clubId;
-      }
-    }
-  }
+  const userClubId = getClubId(req);
 
   if (!userClubId) {
     return res.status(403).json({ errors: { message: "Access denied" } });
@@ -748,6 +841,7 @@ const joinCompetition = asyncHandler(async (req, res) => {
   });
 
   if (!competition) throw createError(404, "Competition not found");
+  lifecycleService.assertActionAllowed(competition, "join");
 
   // Check if club is already part of this competition
   const alreadyJoined = competition.clubs.some(club => club.id === userClubId);
@@ -755,28 +849,35 @@ const joinCompetition = asyncHandler(async (req, res) => {
     throw createError(400, "Club is already part of this competition");
   }
 
-  // Add club to competition
-  const updatedCompetition = await prisma.competition.update({
-    where: { id: competitionId },
-    data: {
-      clubs: {
-        connect: { id: userClubId }
-      }
-    },
-    include: {
-      clubs: {
-        select: {
-          id: true,
-          clubName: true,
-          city: true,
-        },
+  // Add club to competition and invoice its per-club entry fees
+  const { updatedCompetition, invoice } = await prisma.$transaction(async (tx) => {
+    const updated = await tx.competition.update({
+      where: { id: competitionId },
+      data: {
+        clubs: {
+          connect: { id: userClubId }
+        }
       },
-    }
+      include: {
+        clubs: {
+          select: {
+            id: true,
+            clubName: true,
+            city: true,
+          },
+        },
+      }
+    });
+    return {
+      updatedCompetition: updated,
+      invoice: await billingService.syncInvoice(competitionId, userClubId, tx),
+    };
   });
 
   res.json({
     message: "Successfully joined the competition",
-    competition: updatedCompetition
+    competition: updatedCompetition,
+    invoice
   });
 });
 
@@ -785,24 +886,7 @@ const leaveCompetition = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   if (!competitionId) throw createError(400, "Invalid competition ID");
 
-  let userClubId = null;
-
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin"
-        }
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        userClubId = clubAdminUser.clubId;
-      }
-    }
-  }
+  const userClubId = getClubId(req);
 
   if (!userClubId) {
     return res.status(403).json({ errors: { message: "Access denied" } });
@@ -823,6 +907,7 @@ const leaveCompetition = asyncHandler(async (req, res) => {
   if (!isParticipating) {
     throw createError(400, "Club is not part of this competition");
   }
+  lifecycleService.assertActionAllowed(competition, "leave");
 
   // Remove club from competition
   const updatedCompetition = await prisma.competition.update({
@@ -854,24 +939,7 @@ const getEligiblePlayers = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   if (!competitionId) throw createError(400, "Invalid competition ID");
 
-  let userClubId = null;
-
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin"
-        }
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        userClubId = clubAdminUser.clubId;
-      }
-    }
-  }
+  const userClubId = getClubId(req);
 
   if (!userClubId) {
     return res.status(403).json({ errors: { message: "Access denied" } });
@@ -898,107 +966,41 @@ const getEligiblePlayers = asyncHandler(async (req, res) => {
     throw createError(403, "Your club is not part of this competition");
   }
 
-  // Get all players from the club
-  const players = await prisma.player.findMany({
-    where: {
-      clubId: userClubId,
-      isSuspended: false // Only active players
-    },
-    select: {
-      id: true,
-      uniqueIdNumber: true,
-      firstName: true,
-      lastName: true,
-      dateOfBirth: true,
-      position: true,
-      groups: {
-        select: {
-          id: true,
-          groupName: true,
-          gender: true
-        }
-      }
-    },
-    orderBy: [
-      { firstName: 'asc' },
-      { lastName: 'asc' }
-    ]
-  });
-
-  // Get groupId from query params (optional)
+  // Get groupId from query params (optional); an unknown group checks all of them
   const groupId = req.query.groupId ? parseInt(req.query.groupId) : null;
-
-  // Find the specific competition group if groupId is provided
   const targetGroup = groupId
     ? competition.groups.find(g => g.groupId === groupId)
     : null;
 
-  // Mark each player with eligible status
-  const playersWithEligibility = players.map(player => {
-    let eligible = false;
-    let reason = "";
-
-    if (targetGroup) {
-      // Check gender: player must belong to a group with matching gender
-      const targetGender = (targetGroup.group?.gender || "").toLowerCase().trim();
-      const playerHasMatchingGender = player.groups.some(
-        pg => (pg.gender || "").toLowerCase().trim() === targetGender
-      );
-
-      if (!playerHasMatchingGender) {
-        return { ...player, eligible: false, reason: `Gender does not match group '${targetGroup.group?.groupName || "Unknown"}' (requires ${targetGender})` };
-      }
-
-      // Check age eligibility
-      if (targetGroup.ageEligibilityDate) {
-        const dob = new Date(player.dateOfBirth);
-        const cutoff = new Date(targetGroup.ageEligibilityDate);
-        const ageType = targetGroup.ageType || targetGroup.group?.ageType || "UNDER";
-
-        if (ageType === "ABOVE") {
-          // Must be born ON or BEFORE cutoff (older)
-          if (dob > cutoff) {
-            return { ...player, eligible: false, reason: `Too young - must be born on or before ${cutoff.toISOString().split('T')[0]}` };
-          }
-        } else {
-          // UNDER: Must be born ON or AFTER cutoff (younger)
-          if (dob < cutoff) {
-            return { ...player, eligible: false, reason: `Too old - must be born on or after ${cutoff.toISOString().split('T')[0]}` };
-          }
-        }
-      }
+  const clubPlayers = await prisma.player.findMany({
+    where: { clubId: userClubId },
+    select: { id: true }
+  });
 
-      eligible = true;
-    } else {
-      // No specific group selected - check against ALL competition groups
-      const qualifyingGroups = competition.groups.filter(group => {
-        const groupGender = (group.group?.gender || "").toLowerCase().trim();
-        const playerHasGender = player.groups.some(
-          pg => (pg.gender || "").toLowerCase().trim() === groupGender
-        );
-        if (!playerHasGender) return false;
-
-        if (group.ageEligibilityDate) {
-          const dob = new Date(player.dateOfBirth);
-          const cutoff = new Date(group.ageEligibilityDate);
-          const ageType = group.ageType || group.group?.ageType || "UNDER";
-
-          if (ageType === "ABOVE") {
-            return dob <= cutoff;
-          } else {
-            return dob >= cutoff;
-          }
-        }
-        return true;
-      });
+  const { players } = await eligibilityService.checkEligibility({
+    competitionId,
+    clubId: userClubId,
+    playerIds: clubPlayers.map(p => p.id),
+    groupId: targetGroup ? targetGroup.groupId : undefined,
+  });
 
-      eligible = qualifyingGroups.length > 0;
-      if (!eligible) {
-        reason = "Does not meet gender/age criteria for any group in this competition";
+  // Mark each player with eligible status and the rules behind it
+  const playersWithEligibility = players.map(({ player, eligible, groups }) => {
+    let reason = "";
+    if (!eligible) {
+      if (groups.length === 1) {
+        reason = eligibilityService.describeFailures(groups[0]);
+      } else {
+        // Rules failing in every group (e.g. a sanction) explain it best
+        const common = groups.length > 0
+          ? groups[0].rules.filter(r => !r.passed && groups.every(g => g.rules.some(gr => gr.rule === r.rule && !gr.passed)))
+          : [];
+        reason = common.length > 0
+          ? common.map(r => r.reason).join("; ")
+          : "Does not meet the eligibility rules of any group in this competition";
       }
     }
-
-    return { ...player, eligible, reason };
+    return { ...player, eligible, reason, eligibility: groups };
   });
 
   // Sort: eligible first, then ineligible
@@ -1017,33 +1019,19 @@ const getEligiblePlayers = asyncHandler(async (req, res) => {
 // Add players to competition
 const addPlayersToCompetition = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
-  const { playerIds, groupId, captainId } = req.body;
+  const { playerIds, groupId, captainId, viceCaptainId } = req.body;
 
   if (!competitionId) throw createError(400, "Invalid competition ID");
   if (!playerIds || !Array.isArray(playerIds) || playerIds.length === 0) {
     throw createError(400, "Player IDs are required");
   }
   if (!groupId) throw createError(400, "Group ID is required");
-
-  let userClubId = null;
-
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin"
-        }
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        userClubId = clubAdminUser.clubId;
-      }
-    }
+  if (captainId && viceCaptainId && parseInt(captainId) === parseInt(viceCaptainId)) {
+    throw createError(400, "The captain and vice-captain must be different players");
   }
 
+  const userClubId = getClubId(req);
+
   if (!userClubId) {
     return res.status(403).json({ errors: { message: "Access denied" } });
   }
@@ -1076,25 +1064,22 @@ const addPlayersToCompetition = asyncHandler(async (req, res) => {
     throw createError(403, "Your club is not part of this competition");
   }
 
+  // Squads are locked after the last entry date unless a late-entry exception is in force
+  const lateEntryException = await registrationService.assertEntriesOpen(competition, userClubId);
+
+  // Players can only be added once earlier invoices are paid
+  await billingService.assertDuesSettled(competitionId, userClubId);
+
   // Validate max players limit
   if (playerIds.length > competition.maxPlayers) {
     throw createError(400, `Maximum ${competition.maxPlayers} players allowed`);
   }
-  const today = new Date();
-
-  // Determine senior competition status based on groups (if any group is over 30/senior)
-  // For simplicity, we can check if any of the competition groups have an "Open" or "Senior" age category
-  // Or stick to the implementation plan: check if "Men" or "Women" groups are involved.
-  const groupNames = competition.groups.map(g => g.group.groupName.trim().toLowerCase());
-  const isSeniorCompetition = groupNames.includes("men") || groupNames.includes("women");
-  const under18Cutoff = new Date(today.getFullYear() - 18, today.getMonth(), today.getDate());
 
   // Verify all players belong to the club
   const players = await prisma.player.findMany({
     where: {
       id: { in: playerIds.map(id => parseInt(id)) },
-      clubId: userClubId,
-      isSuspended: false
+      clubId: userClubId
     }
   });
 
@@ -1102,67 +1087,25 @@ const addPlayersToCompetition = asyncHandler(async (req, res) => {
     throw createError(400, "Some players are not valid or don't belong to your club");
   }
 
-  // Validate eligibility for each player against the TARGET group
-  const ineligiblePlayers = [];
-
-  for (const player of players) {
-    let isEligible = false;
-    const eligibilityDate = new Date(targetCompGroup.ageEligibilityDate);
-    const ageType = targetCompGroup.group.ageType || "UNDER";
-
-    if (!isNaN(eligibilityDate.getTime())) {
-      const dob = new Date(player.dateOfBirth);
-      if (!isNaN(dob.getTime())) {
-        if (ageType === "UNDER") {
-          if (dob >= eligibilityDate) isEligible = true;
-        } else if (ageType === "ABOVE") {
-          if (dob <= eligibilityDate) isEligible = true;
-        }
-      }
-    } else {
-      isEligible = true; // No date = open group
-    }
-
-    if (!isEligible) {
-      ineligiblePlayers.push(player);
-    }
-  }
-
-  if (ineligiblePlayers.length > 0) {
-    const names = ineligiblePlayers.map(p => `${p.firstName} ${p.lastName}`).join(", ");
-    throw createError(400, `The following players are not eligible for group '${targetCompGroup.group.groupName}': ${names}`);
+  // Every rule of the target group: age band, gender, weight, Aadhaar,
+  // sanctions, representation and club membership
+  const { players: results } = await eligibilityService.checkEligibility({
+    competitionId,
+    clubId: userClubId,
+    playerIds: players.map(p => p.id),
+    groupId: parsedGroupId,
+  });
+  const ineligible = results.filter(r => !r.eligible);
+  if (ineligible.length > 0) {
+    const details = ineligible
+      .map(r => `${r.player.firstName} ${r.player.lastName} (${eligibilityService.describeFailures(r.groups[0])})`)
+      .join(", ");
+    throw createError(400, `The following players are not eligible for group '${targetCompGroup.group.groupName}': ${details}`);
   }
 
-  // Enforce U18 rules for senior competitions
-  if (isSeniorCompetition) {
-    const allowU18Extras = true; // Logic from previous code: "Men"/"Women" implies U18 allowed with limits
-
-    // Count existing U18 registrations for this club in this competition
-    const existingU18Count = await prisma.competitionRegistration.count({
-      where: {
-        competitionId,
-        clubId: userClubId,
-        player: {
-          dateOfBirth: {
-            gte: under18Cutoff // born on/after cutoff => age 18 or younger
-          }
-        }
-      }
-    });
-
-    const incomingU18 = players.filter(p => {
-      const age = calculateAgeOn(p.dateOfBirth, today);
-      return age !== null && age <= 18;
-    }).length;
-
-    const totalU18 = existingU18Count + incomingU18;
-    if (totalU18 > 3) {
-      const remaining = Math.max(0, 3 - existingU18Count);
-      throw createError(400, remaining === 0
-        ? "Maximum 3 U18 (age 18 or below) players already registered for this competition"
-        : `You can register only ${remaining} more U18 (age 18 or below) player(s) for this competition (max 3)`);
-    }
-  }
+  // Squad rule: players aged 18 or below in this group
+  const under18 = await eligibilityService.checkUnder18Limit(targetCompGroup, userClubId, players);
+  if (!under18.passed) throw createError(400, under18.reason);
 
   // Create registration records for each player
   const registrationData = players.map(player => ({
@@ -1171,10 +1114,11 @@ const addPlayersToCompetition = asyncHandler(async (req, res) => {
     clubId: userClubId,
     groupId: parsedGroupId,
     registeredBy: req.user.email,
-    status: 'registered'
+    status: 'submitted'
   }));
 
   // Use transaction to ensure all registrations are created atomically
+  let invoice = null;
   const registrations = await prisma.$transaction(async (tx) => {
     // Check for existing registrations for this group to avoid duplicates
     const existingRegistrations = await tx.competitionRegistration.findMany({
@@ -1198,6 +1142,7 @@ const addPlayersToCompetition = asyncHandler(async (req, res) => {
         competitionId: competitionId,
         clubId: userClubId,
         groupId: parsedGroupId,
+        status: { in: registrationService.ACTIVE_REGISTRATION_STATUSES },
       },
     });
     if (currentCount + newRegistrations.length > competition.maxPlayers) {
@@ -1207,38 +1152,41 @@ const addPlayersToCompetition = asyncHandler(async (req, res) => {
         : `You can register only ${remaining} more player(s) for this group. Maximum ${competition.maxPlayers} allowed`);
     }
 
+    // Number the new players from the lowest chest numbers free in the squad
+    const chestNumbers = await chestNumberService.nextChestNumbers(
+      { competitionId, clubId: userClubId, groupId: parsedGroupId },
+      newRegistrations.length,
+      tx
+    );
+
     // Create new registrations
     await tx.competitionRegistration.createMany({
-      data: newRegistrations
+      data: newRegistrations.map((reg, i) => ({ ...reg, chestNumber: chestNumbers[i] }))
     });
 
-    // Set captain if captainId is provided
-    if (captainId) {
-      const parsedCaptainId = parseInt(captainId);
-      // Unset any existing captain for this club+group+competition
-      await tx.competitionRegistration.updateMany({
-        where: {
-          competitionId: competitionId,
-          clubId: userClubId,
-          groupId: parsedGroupId,
-          captain: true,
-        },
-        data: { captain: false },
-      });
-      // Set captain on the matching registration
-      await tx.competitionRegistration.updateMany({
+    // Captain and vice-captain must be in the club's squad for this group
+    const leaders = [['captain', captainId], ['viceCaptain', viceCaptainId]].filter(([, id]) => id);
+    for (const [role, playerId] of leaders) {
+      const leader = await tx.competitionRegistration.findFirst({
         where: {
           competitionId: competitionId,
           clubId: userClubId,
           groupId: parsedGroupId,
-          playerId: parsedCaptainId,
+          playerId: parseInt(playerId),
+          status: { in: registrationService.ACTIVE_REGISTRATION_STATUSES },
         },
-        data: { captain: true },
       });
+      if (!leader) {
+        throw createError(400, `The ${registrationService.SQUAD_LEADER_ROLES[role]} must be one of your players in the '${targetCompGroup.group.groupName}' squad`);
+      }
+      await registrationService.designateSquadLeader(tx, leader, role);
     }
 
+    // Invoice the per-player (and group) fees for the new registrations
+    invoice = await billingService.syncInvoice(competitionId, userClubId, tx);
+
     // Fetch the created registrations with related data
-    return await tx.competitionRegistration.findMany({
+    const created = await tx.competitionRegistration.findMany({
       where: {
         competitionId: competitionId,
         groupId: parsedGroupId,
@@ -1267,6 +1215,13 @@ const addPlayersToCompetition = asyncHandler(async (req, res) => {
         }
       }
     });
+
+    // Start the status history of each new registration
+    await registrationService.recordSubmitted(tx, created, {
+      changedById: req.user.id,
+      lateEntryExceptionId: lateEntryException?.id,
+    });
+    return created;
   });
 
   res.json({
@@ -1275,6 +1230,7 @@ const addPlayersToCompetition = asyncHandler(async (req, res) => {
       id: reg.id,
       registrationDate: reg.registrationDate,
       status: reg.status,
+      chestNumber: reg.chestNumber,
       player: {
         id: reg.player.id,
         name: `${reg.player.firstName} ${reg.player.lastName}`,
@@ -1282,45 +1238,102 @@ const addPlayersToCompetition = asyncHandler(async (req, res) => {
       },
       club: reg.club,
       competition: reg.competition
-    }))
+    })),
+    invoice
   });
 });
 
-// Get registered players for a competition (for club admins)
-const getRegisteredPlayers = asyncHandler(async (req, res) => {
+// Check players against a competition's eligibility rules without registering them
+const checkPlayerEligibility = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   if (!competitionId) throw createError(400, "Invalid competition ID");
 
-  let userClubId = null;
+  const schema = z.object({
+    playerIds: z.array(z.coerce.number().int().positive()).min(1, "Player IDs are required"),
+    groupId: z.coerce.number().int().positive().optional(),
+    // Admins check on behalf of a club; club users always check their own
+    clubId: z.coerce.number().int().positive().optional(),
+    // Weights to check instead of the latest recorded weigh-ins
+    weights: z.array(z.object({
+      playerId: z.coerce.number().int().positive(),
+      weightKg: z.coerce.number().positive(),
+    })).optional(),
+  });
+  const data = await schema.parseAsync(req.body);
 
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin"
-        }
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        userClubId = clubAdminUser.clubId;
-      }
-    }
+  const clubId = getClubId(req) || data.clubId;
+  if (!clubId) throw createError(400, "Club ID is required");
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    include: { clubs: { select: { id: true } }, groups: { include: { group: true } } },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+
+  if (!competition.clubs.some(club => club.id === clubId)) {
+    throw createError(400, "The club is not part of this competition");
+  }
+  const targetCompGroup = data.groupId
+    ? competition.groups.find(g => g.groupId === data.groupId)
+    : null;
+  if (data.groupId && !targetCompGroup) {
+    throw createError(400, "This group is not part of this competition");
   }
 
-  if (!userClubId) {
-    return res.status(403).json({ errors: { message: "Access denied" } });
+  const { players } = await eligibilityService.checkEligibility({
+    competitionId,
+    clubId,
+    playerIds: data.playerIds,
+    groupId: data.groupId,
+    weights: new Map((data.weights || []).map(w => [w.playerId, w.weightKg])),
+  });
+
+  // Players of other clubs are reported as not found, like unknown IDs
+  const found = new Set(players.filter(r => r.player.clubId === clubId).map(r => r.player.id));
+  const missing = data.playerIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    throw createError(400, `Players not found in the club: ${missing.join(", ")}`);
   }
 
-  // Get registrations for this competition from the user's club
-  const registrations = await prisma.competitionRegistration.findMany({
-    where: {
-      competitionId: competitionId,
-      clubId: userClubId
-    },
-    include: {
+  // Squad rules only make sense for one group
+  const squad = targetCompGroup
+    ? [await eligibilityService.checkUnder18Limit(targetCompGroup, clubId, players.map(r => r.player))]
+    : [];
+
+  res.json({
+    competitionId,
+    clubId,
+    groupId: data.groupId || null,
+    eligible: players.every(r => r.eligible) && squad.every(r => r.passed),
+    players: players.map(({ player, eligible, groups }) => ({
+      playerId: player.id,
+      uniqueIdNumber: player.uniqueIdNumber,
+      name: `${player.firstName} ${player.lastName}`,
+      eligible,
+      groups,
+    })),
+    squad,
+  });
+});
+
+// Get registered players for a competition (for club admins)
+const getRegisteredPlayers = asyncHandler(async (req, res) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+
+  const userClubId = getClubId(req);
+
+  if (!userClubId) {
+    return res.status(403).json({ errors: { message: "Access denied" } });
+  }
+
+  // Get registrations for this competition from the user's club
+  const registrations = await prisma.competitionRegistration.findMany({
+    where: {
+      competitionId: competitionId,
+      clubId: userClubId
+    },
+    include: {
       player: {
         select: {
           id: true,
@@ -1361,10 +1374,10 @@ const getRegisteredPlayers = asyncHandler(async (req, res) => {
       registrationDate: reg.registrationDate,
       status: reg.status,
       captain: reg.captain,
+      viceCaptain: reg.viceCaptain,
+      chestNumber: reg.chestNumber,
       groupId: reg.groupId,
       group: reg.group,
-      managerName: reg.managerName,
-      coachName: reg.coachName,
       player: {
         id: reg.player.id,
         name: `${reg.player.firstName} ${reg.player.lastName}`,
@@ -1388,24 +1401,7 @@ const removePlayerFromCompetition = asyncHandler(async (req, res) => {
     throw createError(400, "Invalid competition ID or player ID");
   }
 
-  let userClubId = null;
-
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin"
-        }
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        userClubId = clubAdminUser.clubId;
-      }
-    }
-  }
+  const userClubId = getClubId(req);
 
   if (!userClubId) {
     return res.status(403).json({ errors: { message: "Access denied" } });
@@ -1433,6 +1429,16 @@ const removePlayerFromCompetition = asyncHandler(async (req, res) => {
     throw createError(404, "Registration not found or you don't have permission to remove this player");
   }
 
+  // Only entries nobody has reviewed yet can be deleted; later ones keep their history
+  if (registration.status !== "submitted") {
+    throw createError(400, `This registration is ${registrationService.STATUS_LABELS[registration.status] || registration.status}; withdraw it instead of removing it`);
+  }
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true, ...lifecycleService.lifecycleSelect }
+  });
+  await registrationService.assertEntriesOpen(competition, userClubId);
+
   await prisma.competitionRegistration.delete({
     where: { id: registration.id }
   });
@@ -1544,12 +1550,21 @@ const generateClubCompetitionPDF = asyncHandler(async (req, res) => {
           lastName: true,
           dateOfBirth: true,
           position: true,
-          chestNumber: true,
           mobile: true,
           aadharNumber: true,
           aadharVerified: true,
           profileImage: true
         }
+      },
+      group: {
+        select: { id: true, groupName: true }
+      },
+      replacementFor: {
+        select: {
+          outgoingRegistration: {
+            select: { player: { select: { firstName: true, middleName: true, lastName: true } } }
+          }
+        }
       }
     },
     orderBy: {
@@ -1561,6 +1576,8 @@ const generateClubCompetitionPDF = asyncHandler(async (req, res) => {
 
   console.log(`[PDF DEBUG] Found ${registrations.length} registrations`);
 
+  const teamOfficials = await teamOfficialService.listTeamOfficials(competitionId, { clubId, groupId });
+
   // Create PDF document with better margins
   const doc = new PDFDocument({
     margin: 40,
@@ -1840,9 +1857,24 @@ const generateClubCompetitionPDF = asyncHandler(async (req, res) => {
   const minRowHeight = 18;
   const cellPad = 4;
 
+  // Replaced players stay on the form, marked, and their replacements name who they replace
+  const replacementNote = (reg) => {
+    if (reg.status === 'replaced') return ' (REPLACED)';
+    const out = reg.replacementFor?.outgoingRegistration?.player;
+    if (!out) return '';
+    return ` (REPLACES ${[out.firstName, out.middleName, out.lastName].filter(Boolean).join(' ').toUpperCase()})`;
+  };
+
+  // Captain and vice-captain are marked as on a team sheet
+  const leaderNote = (reg) => {
+    if (reg.captain) return ' (C)';
+    if (reg.viceCaptain) return ' (VC)';
+    return '';
+  };
+
   registrations.forEach((reg, idx) => {
     const p = reg.player;
-    const fullName = [p.firstName, p.middleName, p.lastName].filter(Boolean).join(' ').toUpperCase();
+    const fullName = [p.firstName, p.middleName, p.lastName].filter(Boolean).join(' ').toUpperCase() + leaderNote(reg) + replacementNote(reg);
     const membershipNo = (p.uniqueIdNumber || '').toString().split('/').pop() || p.uniqueIdNumber || '';
 
     doc.font('Helvetica').fontSize(9);
@@ -1860,7 +1892,7 @@ const generateClubCompetitionPDF = asyncHandler(async (req, res) => {
     x += colW.sr;
     drawCell(fullName, x, y, colW.name, rowHeight);
     x += colW.name;
-    drawCell(p.chestNumber || '-', x, y, colW.chest, rowHeight, { align: 'center' });
+    drawCell(reg.chestNumber ? String(reg.chestNumber) : '-', x, y, colW.chest, rowHeight, { align: 'center' });
     x += colW.chest;
     drawCell(formatDateDMY(p.dateOfBirth), x, y, colW.dob, rowHeight, { align: 'center' });
     x += colW.dob;
@@ -1883,20 +1915,32 @@ const generateClubCompetitionPDF = asyncHandler(async (req, res) => {
     y += bottomRowH;
   };
 
-  // Find captain from registrations
-  const captainRegistration = registrations.find(reg => reg.captain === true);
-  const captainName = captainRegistration
-    ? [captainRegistration.player.firstName, captainRegistration.player.middleName, captainRegistration.player.lastName].filter(Boolean).join(' ').toUpperCase()
-    : '';
-
-  // Get manager and coach names from any registration (they're the same for all registrations in a club)
-  const anyRegistration = registrations.find(reg => reg.managerName || reg.coachName);
-  const managerName = anyRegistration?.managerName || '';
-  const coachName = anyRegistration?.coachName || '';
+  // Captain and vice-captain of each group's squad; the group is named when the form covers several
+  const leaderNames = (role) => registrations
+    .filter(reg => reg[role])
+    .map(reg => {
+      const name = [reg.player.firstName, reg.player.middleName, reg.player.lastName].filter(Boolean).join(' ').toUpperCase();
+      return groupId || !reg.group ? name : `${name} (${reg.group.groupName})`;
+    })
+    .join(', ');
+
+  // Team officials of the squad, with their contact number and, for coaches, licence
+  const officialNames = (role) => teamOfficials
+    .filter((o) => o.role === role)
+    .map((o) => {
+      const details = [o.staff.mobile, role === 'COACH' && o.staff.licenceNumber ? `Licence ${o.staff.licenceNumber}` : null].filter(Boolean);
+      const name = teamOfficialService.staffName(o.staff).toUpperCase();
+      return details.length ? `${name} (${details.join(', ')})` : name;
+    })
+    .join(', ');
 
-  drawBottomLine('Name of the Captain:', captainName);
-  drawBottomLine('Name of the Manager:', managerName);
-  drawBottomLine('Name of the Coach:', coachName);
+  drawBottomLine('Name of the Captain:', leaderNames('captain'));
+  drawBottomLine('Name of the Vice-Captain:', leaderNames('viceCaptain'));
+  drawBottomLine('Name of the Manager:', officialNames('MANAGER'));
+  drawBottomLine('Name of the Coach:', officialNames('COACH'));
+  if (teamOfficials.some((o) => o.role === 'PHYSIO')) {
+    drawBottomLine('Name of the Physio:', officialNames('PHYSIO'));
+  }
 
   y += 6;
   const note =
@@ -1991,6 +2035,12 @@ const generateClubCompetitionPDF = asyncHandler(async (req, res) => {
       .text(String(club.clubName || '').toUpperCase(), pageLeft, footerY2, { width: contentW, align: 'right' });
   };
 
+  // Team officials follow the players, with their role under the name
+  const gridEntries = [
+    ...registrations.map((reg) => ({ person: reg.player, role: null })),
+    ...teamOfficials.map((o) => ({ person: o.staff, role: teamOfficialService.ROLE_LABELS[o.role] })),
+  ];
+
   const renderPlayersGrid = () => {
     let gridTop = drawPlayersPageHeader();
     const cols = 4;
@@ -2002,7 +2052,7 @@ const generateClubCompetitionPDF = asyncHandler(async (req, res) => {
     const rowsPerPage = Math.max(1, Math.floor((pageBottom - footerReserve - gridTop) / cellH));
     const perPage = rowsPerPage * cols;
 
-    const totalCells = Math.ceil(registrations.length / cols) * cols;
+    const totalCells = Math.ceil(gridEntries.length / cols) * cols;
 
     for (let idx = 0; idx < totalCells; idx++) {
       const posInPage = idx % perPage;
@@ -2019,10 +2069,10 @@ const generateClubCompetitionPDF = asyncHandler(async (req, res) => {
 
       doc.rect(x0, y0, cellW, cellH).lineWidth(0.8).stroke(borderColor);
 
-      const reg = registrations[idx];
-      if (!reg?.player) continue;
+      const entry = gridEntries[idx];
+      if (!entry) continue;
 
-      const p = reg.player;
+      const p = entry.person;
       const fullName = [p.firstName, p.middleName, p.lastName].filter(Boolean).join(' ').toUpperCase();
 
       const imgPath = resolveLocalImagePath(p.profileImage);
@@ -2052,6 +2102,13 @@ const generateClubCompetitionPDF = asyncHandler(async (req, res) => {
         .fontSize(7)
         .fillColor('black')
         .text(fullName || '-', x0 + 6, imgY + photoBox + 10, { width: cellW - 12, align: 'center' });
+      if (entry.role) {
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(7)
+          .fillColor(primaryRed)
+          .text(entry.role.toUpperCase(), x0 + 6, imgY + photoBox + 30, { width: cellW - 12, align: 'center' });
+      }
     }
 
     drawPlayersPageFooter();
@@ -2132,6 +2189,8 @@ const getClubPlayersInCompetition = asyncHandler(async (req, res) => {
     registrationDate: reg.registrationDate,
     status: reg.status,
     captain: reg.captain,
+    viceCaptain: reg.viceCaptain,
+    chestNumber: reg.chestNumber,
     groupId: reg.groupId,
     player: {
       id: reg.player.id,
@@ -2153,8 +2212,9 @@ const getClubPlayersInCompetition = asyncHandler(async (req, res) => {
   });
 });
 
-// Set captain for a competition registration
-const setCaptain = asyncHandler(async (req, res) => {
+// Set captain or vice-captain of a club's squad in the registration's group;
+// each club has its own pair in every group it enters
+const setSquadLeader = (role) => asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   const clubId = parseInt(req.params.clubId);
   const registrationId = parseInt(req.params.registrationId);
@@ -2164,70 +2224,64 @@ const setCaptain = asyncHandler(async (req, res) => {
   }
 
   // Get user's club ID from auth
-  let userClubId = null;
-  if (req.user) {
-    if (req.user.role === 'clubadmin' && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === 'CLUB') {
-      const clubAdminUser = await prisma.user.findFirst({
-        where: { email: req.user.email, role: 'clubadmin' },
-        select: { clubId: true },
-      });
-      if (clubAdminUser?.clubId) userClubId = clubAdminUser.clubId;
-    } else if (req.user.role === 'admin') {
-      // Admin can set captain for any club
-      userClubId = clubId;
-    }
-  }
+  // Admins may act for any club
+  const userClubId = getClubId(req) || ((await aclService.hasPermission(req.user, "clubs.all")) ? clubId : null);
+  const label = registrationService.SQUAD_LEADER_ROLES[role];
 
   if (!userClubId || userClubId !== clubId) {
-    throw createError(403, "Access denied - you can only set captain for your own club");
+    throw createError(403, `Access denied - you can only set the ${label} for your own club`);
   }
 
-  // First, unset any existing captain for this club in this competition
-  await prisma.competitionRegistration.updateMany({
-    where: {
-      competitionId: competitionId,
-      clubId: clubId,
-      captain: true
-    },
-    data: { captain: false }
-  });
-
-  // Set the new captain
-  const registration = await prisma.competitionRegistration.update({
+  const existing = await prisma.competitionRegistration.findFirst({
     where: {
       id: registrationId,
       competitionId: competitionId,
       clubId: clubId
-    },
-    data: { captain: true },
-    include: {
-      player: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true
-        }
-      }
     }
   });
 
-  if (!registration) {
+  if (!existing) {
     throw createError(404, "Registration not found");
   }
 
+  const registration = await prisma.$transaction(async (tx) => {
+    await registrationService.designateSquadLeader(tx, existing, role);
+    return tx.competitionRegistration.findUnique({
+      where: { id: existing.id },
+      include: {
+        player: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
+          }
+        },
+        group: {
+          select: {
+            id: true,
+            groupName: true
+          }
+        }
+      }
+    });
+  });
+
   res.json({
-    message: `${registration.player.firstName} ${registration.player.lastName} is now the captain`,
+    message: `${registration.player.firstName} ${registration.player.lastName} is now the ${label} of the ${registration.group.groupName} squad`,
     registration: {
       id: registration.id,
+      groupId: registration.groupId,
       captain: registration.captain,
+      viceCaptain: registration.viceCaptain,
       player: registration.player
     }
   });
 });
 
-// Get competition club info (manager and coach names)
+const setCaptain = setSquadLeader("captain");
+const setViceCaptain = setSquadLeader("viceCaptain");
+
+// Get competition club info (manager and coach names) from the team officials
 const getCompetitionClubInfo = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   const clubId = parseInt(req.params.clubId);
@@ -2237,105 +2291,37 @@ const getCompetitionClubInfo = asyncHandler(async (req, res) => {
   }
 
   // Check permissions
-  let userClubId = null;
-  if (req.user) {
-    if (req.user.role === 'clubadmin' && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === 'CLUB') {
-      const clubAdminUser = await prisma.user.findFirst({
-        where: { email: req.user.email, role: 'clubadmin' },
-        select: { clubId: true },
-      });
-      if (clubAdminUser?.clubId) userClubId = clubAdminUser.clubId;
-    } else if (req.user.role === 'admin') {
-      userClubId = clubId;
-    }
-  }
+  // Admins may act for any club
+  const userClubId = getClubId(req) || ((await aclService.hasPermission(req.user, "clubs.all")) ? clubId : null);
 
   if (!userClubId || userClubId !== clubId) {
     throw createError(403, "Access denied");
   }
 
-  // Get any registration for this club in this competition to get manager/coach
   // If groupId is provided, get info for that specific group
   const groupId = req.query.groupId ? parseInt(req.query.groupId) : null;
 
-  const where = {
-    competitionId: competitionId,
-    clubId: clubId
-  };
-  if (groupId) where.groupId = groupId;
-
-  const registration = await prisma.competitionRegistration.findFirst({
-    where
-  });
+  const officials = await teamOfficialService.listTeamOfficials(competitionId, { clubId, groupId });
+  const namesOf = (role) => officials
+    .filter((o) => o.role === role)
+    .map((o) => teamOfficialService.staffName(o.staff))
+    .join(', ');
 
   res.json({
-    managerName: registration?.managerName || '',
-    coachName: registration?.coachName || ''
+    managerName: namesOf('MANAGER'),
+    coachName: namesOf('COACH'),
+    officials
   });
 });
 
-// Update competition club info (manager and coach names)
-const updateCompetitionClubInfo = asyncHandler(async (req, res) => {
-  const competitionId = parseInt(req.params.id);
-  const clubId = parseInt(req.params.clubId);
-
-  if (!competitionId || !clubId) {
-    throw createError(400, "Invalid competition ID or club ID");
-  }
-
-  // Check permissions
-  let userClubId = null;
-  if (req.user) {
-    if (req.user.role === 'clubadmin' && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === 'CLUB') {
-      const clubAdminUser = await prisma.user.findFirst({
-        where: { email: req.user.email, role: 'clubadmin' },
-        select: { clubId: true },
-      });
-      if (clubAdminUser?.clubId) userClubId = clubAdminUser.clubId;
-    } else if (req.user.role === 'admin') {
-      userClubId = clubId;
-    }
-  }
-
-  if (!userClubId || userClubId !== clubId) {
-    throw createError(403, "Access denied");
-  }
-
-  const schema = z.object({
-    managerName: z.string().max(255, "Manager name must not exceed 255 characters").optional(),
-    coachName: z.string().max(255, "Coach name must not exceed 255 characters").optional(),
-  });
-
-  const { managerName, coachName } = await schema.parseAsync(req.body);
-
-  // Update registrations - if groupId provided, only update that group's registrations
-  const groupId = req.body.groupId ? parseInt(req.body.groupId) : null;
-
-  const where = {
-    competitionId: competitionId,
-    clubId: clubId
-  };
-  if (groupId) where.groupId = groupId;
-
-  await prisma.competitionRegistration.updateMany({
-    where,
-    data: {
-      managerName: managerName || null,
-      coachName: coachName || null
-    }
-  });
-
-  res.json({
-    message: "Manager and coach information updated successfully",
-    clubInfo: {
-      managerName: managerName || null,
-      coachName: coachName || null
-    }
-  });
+// Manager and coach used to be free-text names set here. They are team
+// officials from the club's staff register now, so old clients are told
+// where to name them instead.
+const updateCompetitionClubInfo = asyncHandler(async () => {
+  throw createError(
+    410,
+    "Manager and coach are now named as team officials: POST /competitions/{id}/team-officials with a staffId from the club's staff register"
+  );
 });
 
 // Generate PDF listing all clubs participating in a competition
@@ -2382,24 +2368,12 @@ const generateCompetitionClubsPDF = asyncHandler(async (req, res) => {
     throw createError(404, "Competition not found");
   }
 
-  // Authorization: clubadmin/CLUB must belong to a club in this competition
-  if (req.user) {
-    let userClubId = null;
-    if (req.user.role === 'clubadmin' && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === 'CLUB') {
-      const clubAdminUser = await prisma.user.findFirst({
-        where: { email: req.user.email, role: 'clubadmin' },
-        select: { clubId: true },
-      });
-      if (clubAdminUser?.clubId) userClubId = clubAdminUser.clubId;
-    }
-
-    if (userClubId) {
-      const allowed = competition.clubs.some((c) => c.id === userClubId);
-      if (!allowed) {
-        return res.status(403).json({ errors: { message: 'Access denied' } });
-      }
+  // Authorization: club admins must belong to a club in this competition
+  const userClubId = getClubId(req);
+  if (userClubId) {
+    const allowed = competition.clubs.some((c) => c.id === userClubId);
+    if (!allowed) {
+      return res.status(403).json({ errors: { message: 'Access denied' } });
     }
   }
 
@@ -2565,16 +2539,220 @@ const generateCompetitionClubsPDF = asyncHandler(async (req, res) => {
   doc.end();
 });
 
-// Create and assign an observer (one per competition)
-const setObserverForCompetition = asyncHandler(async (req, res) => {
+// Load a competition group with the competition it belongs to
+const findCompetitionGroup = async (competitionId, groupId) => {
+  const competitionGroup = await prisma.competitionGroup.findUnique({
+    where: { competitionId_groupId: { competitionId, groupId } },
+    include: {
+      group: true,
+      competition: { select: { id: true, competitionName: true, fromDate: true, toDate: true } },
+    },
+  });
+  if (!competitionGroup) {
+    throw createError(404, "Group not found in this competition");
+  }
+  return competitionGroup;
+};
+
+// Points table of a competition group (per pool for pool stages)
+const getGroupStandings = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
-  if (!competitionId) throw createError(400, "Invalid competition ID");
+  const groupId = parseInt(req.params.groupId);
+  if (!competitionId || !groupId) {
+    throw createError(400, "Invalid competition ID or group ID");
+  }
 
-  // Only admins can set observers (frontend already restricts, but enforce on backend too)
-  if (!req.user || req.user.role !== 'admin') {
-    throw createError(403, "Access denied");
+  const competitionGroup = await findCompetitionGroup(competitionId, groupId);
+  const standings = await standingsService.getGroupStandings(competitionGroup.id);
+
+  res.json({
+    competition: competitionGroup.competition,
+    group: {
+      id: competitionGroup.group.id,
+      groupName: competitionGroup.group.groupName,
+      gender: competitionGroup.group.gender,
+      age: competitionGroup.group.age,
+    },
+    leaguePoints: standingsService.LEAGUE_POINTS,
+    standings,
+  });
+});
+
+const generateStandingsPDF = asyncHandler(async (req, res) => {
+  const competitionId = parseInt(req.params.id);
+  const groupId = parseInt(req.params.groupId);
+  if (!competitionId || !groupId) {
+    throw createError(400, "Invalid competition ID or group ID");
+  }
+
+  const competitionGroup = await findCompetitionGroup(competitionId, groupId);
+  const standings = await standingsService.getGroupStandings(competitionGroup.id);
+  const { competition, group } = competitionGroup;
+
+  const doc = new PDFDocument({
+    margin: 40,
+    size: 'A4',
+    info: {
+      Title: `${competition.competitionName} - ${group.groupName} Standings`,
+      Author: 'TDKA Competition Management System',
+      Subject: 'Points Table',
+    },
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${competition.competitionName}_${group.groupName}_Standings.pdf"`);
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+
+  doc.pipe(res);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    try {
+      return new Date(dateString).toLocaleDateString('en-US', {
+        year: 'numeric', month: 'long', day: 'numeric',
+      });
+    } catch (_) {
+      return dateString;
+    }
+  };
+
+  // Colors
+  const primaryColor = '#2563eb';
+  const secondaryColor = '#64748b';
+  const lightGray = '#f1f5f9';
+  const darkGray = '#334155';
+
+  // Header
+  doc.rect(40, 40, doc.page.width - 80, 80).fill(primaryColor);
+  doc.fontSize(22).font('Helvetica-Bold').fillColor('white')
+    .text('POINTS TABLE', 60, 70, { align: 'center' });
+  doc.y = 140;
+  doc.fillColor('black');
+
+  // Competition info
+  const leftCol = 60;
+  const lineHeight = 18;
+  let rowY = doc.y;
+  doc.fontSize(11).font('Helvetica-Bold').text('Competition Name:', leftCol, rowY);
+  doc.font('Helvetica').text(competition.competitionName, leftCol + 130, rowY);
+  doc.y = rowY + lineHeight;
+
+  rowY = doc.y;
+  doc.font('Helvetica-Bold').text('Competition Period:', leftCol, rowY);
+  doc.font('Helvetica').text(`${formatDate(competition.fromDate)} to ${formatDate(competition.toDate)}`, leftCol + 130, rowY);
+  doc.y = rowY + lineHeight;
+
+  rowY = doc.y;
+  doc.font('Helvetica-Bold').text('Group:', leftCol, rowY);
+  doc.font('Helvetica').text(`${group.groupName} (${group.gender}, ${group.age})`, leftCol + 130, rowY);
+  doc.y = rowY + lineHeight + 15;
+
+  const headers = [
+    { text: 'Pos', x: 50, width: 30 },
+    { text: 'Club', x: 80, width: 170, align: 'left' },
+    { text: 'P', x: 250, width: 30 },
+    { text: 'W', x: 280, width: 30 },
+    { text: 'L', x: 310, width: 30 },
+    { text: 'T', x: 340, width: 30 },
+    { text: 'For', x: 370, width: 35 },
+    { text: 'Agst', x: 405, width: 35 },
+    { text: 'Diff', x: 440, width: 35 },
+    { text: 'Raid', x: 475, width: 35 },
+    { text: 'Pts', x: 510, width: 40 },
+  ];
+  const headerHeight = 26;
+  const rowHeight = 22;
+
+  const drawHeader = (y) => {
+    doc.rect(50, y, 500, headerHeight).fill(primaryColor);
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('white');
+    headers.forEach((h) => doc.text(h.text, h.x, y + 9, { width: h.width, align: h.align || 'center' }));
+    doc.fillColor('black');
+    return y + headerHeight;
+  };
+
+  if (standings.length === 0) {
+    doc.rect(60, doc.y, doc.page.width - 120, 50).stroke('#e2e8f0');
+    doc.fontSize(12).font('Helvetica').fillColor(secondaryColor)
+      .text('No league or pool fixtures have been drawn for this group yet.', 0, doc.y + 18, { align: 'center' });
+    doc.fillColor('black');
+  } else {
+    const pools = [...new Set(standings.map((s) => s.pool ?? null))];
+    pools.forEach((pool) => {
+      const rows = standings.filter((s) => (s.pool ?? null) === pool);
+      if (doc.y > 680) doc.addPage();
+
+      doc.rect(40, doc.y, doc.page.width - 80, 25).fill(lightGray);
+      doc.fontSize(14).font('Helvetica-Bold').fillColor(darkGray)
+        .text(pool ? ` POOL ${pool}` : ' LEAGUE TABLE', 50, doc.y + 7);
+      doc.y += 32;
+
+      const tableStartY = doc.y;
+      let currentY = drawHeader(tableStartY);
+      rows.forEach((row, index) => {
+        if (currentY > 740) {
+          doc.addPage();
+          currentY = drawHeader(50);
+        }
+        if (index % 2 === 0) {
+          doc.rect(50, currentY, 500, rowHeight).fill('#f8fafc');
+        }
+        doc.fontSize(9).font('Helvetica').fillColor('black');
+        const values = [
+          row.position, row.clubName, row.played, row.won, row.lost, row.tied,
+          row.pointsFor, row.pointsAgainst, row.scoreDifference, row.raidPoints, row.leaguePoints,
+        ];
+        headers.forEach((h, i) => {
+          doc.text(String(values[i] ?? ''), h.x, currentY + 7, { width: h.width, align: h.align || 'center' });
+        });
+        currentY += rowHeight;
+      });
+      doc.rect(50, tableStartY, 500, currentY - tableStartY).stroke('#e2e8f0');
+      doc.y = currentY + 20;
+    });
   }
 
+  // Footer
+  const footerY = doc.page.height - 60;
+  doc.rect(40, footerY, doc.page.width - 80, 40).fill('#f8fafc').stroke('#e2e8f0');
+  doc.fontSize(8).font('Helvetica').fillColor(secondaryColor);
+  doc.text(`Win ${standingsService.LEAGUE_POINTS.win} pts, Tie ${standingsService.LEAGUE_POINTS.tie} pt. Ties broken by head-to-head, score difference, then raid points.`, 50, footerY + 8);
+  doc.text(`Generated on: ${new Date().toLocaleString('en-US', { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`, 50, footerY + 20);
+
+  doc.end();
+});
+
+// Single observer/referee endpoints, kept for the existing frontend. They work
+// on the competition's OBSERVER and REFEREE entries in /competitions/:id/officials.
+
+const officialUserSelect = { id: true, name: true, email: true, role: true };
+
+// First official with this duty, preferring one assigned for the whole competition
+const findLegacyOfficial = (competitionId, duty) =>
+  prisma.competitionOfficial.findFirst({
+    where: { competitionId, duty },
+    orderBy: [{ matchDate: 'asc' }, { court: 'asc' }, { id: 'asc' }],
+    include: { user: { select: officialUserSelect } },
+  });
+
+const refereeIdSchema = z.object({
+  refereeId: z.preprocess(
+    (val) => {
+      if (val === "" || val === null || val === undefined) return undefined;
+      const num = Number(val);
+      return Number.isNaN(num) ? undefined : num;
+    },
+    z.number().int("Invalid referee ID")
+  ),
+});
+
+// Create an observer account and assign it to the competition
+const setObserverForCompetition = asyncHandler(async (req, res) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+
   const schema = z.object({
     email: z.string().email("Invalid email address"),
     password: z.string().min(6, "Password must be at least 6 characters long"),
@@ -2582,14 +2760,13 @@ const setObserverForCompetition = asyncHandler(async (req, res) => {
 
   const { email, password } = await schema.parseAsync(req.body);
 
-  // Ensure competition exists and doesn't already have an observer
   const competition = await prisma.competition.findUnique({
     where: { id: competitionId },
-    select: { id: true, competitionName: true, observerId: true }
+    select: { id: true, competitionName: true }
   });
 
   if (!competition) throw createError(404, "Competition not found");
-  if (competition.observerId) {
+  if (await findLegacyOfficial(competitionId, 'OBSERVER')) {
     throw createError(400, "An observer is already assigned to this competition");
   }
 
@@ -2599,25 +2776,22 @@ const setObserverForCompetition = asyncHandler(async (req, res) => {
     throw createError(400, `User with email ${email} already exists`);
   }
 
-  // Create observer user
   const hashedPassword = await bcrypt.hash(password, 10);
-  const observerName = `Observer - ${competition.competitionName}`;
-
-  const observer = await prisma.user.create({
-    data: {
-      name: observerName,
-      email,
-      password: hashedPassword,
-      role: 'observer',
-      active: true,
-    },
-    select: { id: true, name: true, email: true, role: true }
-  });
-
-  // Assign to competition
-  await prisma.competition.update({
-    where: { id: competitionId },
-    data: { observerId: observer.id }
+  const observer = await prisma.$transaction(async (tx) => {
+    const user = await tx.user.create({
+      data: {
+        name: `Observer - ${competition.competitionName}`,
+        email,
+        password: hashedPassword,
+        role: 'observer',
+        active: true,
+      },
+      select: officialUserSelect
+    });
+    await tx.competitionOfficial.create({
+      data: { competitionId, userId: user.id, duty: 'OBSERVER' }
+    });
+    return user;
   });
 
   res.status(201).json({
@@ -2632,34 +2806,23 @@ const getObserverForCompetition = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   if (!competitionId) throw createError(400, "Invalid competition ID");
 
-  if (!req.user || req.user.role !== 'admin') {
-    throw createError(403, "Access denied");
-  }
-
   const competition = await prisma.competition.findUnique({
     where: { id: competitionId },
-    select: {
-      id: true,
-      competitionName: true,
-      observer: { select: { id: true, name: true, email: true, role: true } },
-    },
+    select: { id: true, competitionName: true },
   });
 
   if (!competition) throw createError(404, "Competition not found");
-  if (!competition.observer) throw createError(404, "No observer assigned");
+  const official = await findLegacyOfficial(competitionId, 'OBSERVER');
+  if (!official) throw createError(404, "No observer assigned");
 
-  res.json({ observer: competition.observer, competition: { id: competition.id, competitionName: competition.competitionName } });
+  res.json({ observer: official.user, competition });
 });
 
-// Update existing observer (email and/or password)
+// Update the observer account (email and/or password)
 const updateObserverForCompetition = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   if (!competitionId) throw createError(400, "Invalid competition ID");
 
-  if (!req.user || req.user.role !== 'admin') {
-    throw createError(403, "Access denied");
-  }
-
   const schema = z.object({
     email: z.string().email("Invalid email address").optional(),
     password: z.string().min(6, "Password must be at least 6 characters long").optional(),
@@ -2667,19 +2830,14 @@ const updateObserverForCompetition = asyncHandler(async (req, res) => {
 
   const { email, password } = await schema.parseAsync(req.body);
 
-  const competition = await prisma.competition.findUnique({
-    where: { id: competitionId },
-    select: { observerId: true },
-  });
-
-  if (!competition) throw createError(404, 'Competition not found');
-  if (!competition.observerId) throw createError(404, 'No observer assigned');
+  const official = await findLegacyOfficial(competitionId, 'OBSERVER');
+  if (!official) throw createError(404, 'No observer assigned');
 
   const updateData = {};
   if (email) {
     // Ensure the new email is not already used by another user
     const existing = await prisma.user.findUnique({ where: { email } });
-    if (existing && existing.id !== competition.observerId) {
+    if (existing && existing.id !== official.userId) {
       throw createError(400, `User with email ${email} already exists`);
     }
     updateData.email = email;
@@ -2689,81 +2847,41 @@ const updateObserverForCompetition = asyncHandler(async (req, res) => {
   }
 
   const updatedObserver = await prisma.user.update({
-    where: { id: competition.observerId },
+    where: { id: official.userId },
     data: updateData,
-    select: { id: true, name: true, email: true, role: true },
+    select: officialUserSelect,
   });
 
   res.json({ message: 'Observer updated successfully', observer: updatedObserver });
 });
 
-// Create and assign a referee (one per competition)
+// Assign a referee for the whole competition
 const setRefereeForCompetition = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   if (!competitionId) throw createError(400, "Invalid competition ID");
 
-  // Only admins can set referees
-  if (!req.user || req.user.role !== 'admin') {
-    throw createError(403, "Access denied");
-  }
-
-  const schema = z.object({
-    refereeId: z.preprocess(
-      (val) => {
-        if (val === "" || val === null || val === undefined) return undefined;
-        const num = Number(val);
-        return Number.isNaN(num) ? undefined : num;
-      },
-      z.number().int("Invalid referee ID")
-    ),
-  });
+  const { refereeId } = await refereeIdSchema.parseAsync(req.body);
 
-  const { refereeId } = await schema.parseAsync(req.body);
-
-  // Ensure competition exists and doesn't already have a referee
   const competition = await prisma.competition.findUnique({
     where: { id: competitionId },
-    select: { id: true, competitionName: true, refereeId: true }
+    select: { id: true, competitionName: true, minRefereeGrade: true }
   });
 
   if (!competition) throw createError(404, "Competition not found");
-  if (competition.refereeId) {
+  if (await findLegacyOfficial(competitionId, 'REFEREE')) {
     throw createError(400, "A referee is already assigned to this competition");
   }
 
-  const refereeUser = await prisma.user.findUnique({
-    where: { id: refereeId },
-    select: { id: true, name: true, email: true, role: true, active: true },
-  });
-
-  if (!refereeUser) {
-    throw createError(404, "Referee user not found");
-  }
-  if (typeof refereeUser.role !== 'string' || refereeUser.role.toLowerCase() !== 'referee') {
-    throw createError(400, "Selected user is not a referee");
-  }
-  if (!refereeUser.active) {
-    throw createError(400, "Selected referee is not active");
-  }
-
-  const refereeProfile = await prisma.referee.findUnique({
-    where: { userId: refereeUser.id },
-    select: { id: true },
-  });
-  if (!refereeProfile) {
-    throw createError(400, "Selected referee does not have a referee profile");
-  }
-
-  // Assign to competition
-  await prisma.competition.update({
-    where: { id: competitionId },
-    data: { refereeId: refereeUser.id }
+  const referee = await officialService.assertCanHoldDuty(refereeId, 'REFEREE');
+  await refereeGradeService.assertMeetsGrade(referee.id, competition.minRefereeGrade);
+  await prisma.competitionOfficial.create({
+    data: { competitionId, userId: referee.id, duty: 'REFEREE' }
   });
 
   res.status(201).json({
     message: "Referee assigned successfully",
-    referee: { id: refereeUser.id, name: refereeUser.name, email: refereeUser.email, role: refereeUser.role },
-    competition: { id: competition.id, competitionName: competition.competitionName }
+    referee,
+    competition
   });
 });
 
@@ -2772,86 +2890,49 @@ const getRefereeForCompetition = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   if (!competitionId) throw createError(400, "Invalid competition ID");
 
-  if (!req.user || req.user.role !== 'admin') {
-    throw createError(403, "Access denied");
-  }
-
   const competition = await prisma.competition.findUnique({
     where: { id: competitionId },
-    select: {
-      id: true,
-      competitionName: true,
-      referee: { select: { id: true, name: true, email: true, role: true } },
-    },
+    select: { id: true, competitionName: true },
   });
 
   if (!competition) throw createError(404, "Competition not found");
-  if (!competition.referee) throw createError(404, "No referee assigned");
+  const official = await findLegacyOfficial(competitionId, 'REFEREE');
+  if (!official) throw createError(404, "No referee assigned");
 
-  res.json({ referee: competition.referee, competition: { id: competition.id, competitionName: competition.competitionName } });
+  res.json({ referee: official.user, competition });
 });
 
-// Update existing referee (email and/or password)
+// Replace the referee (or assign one if there is none yet)
 const updateRefereeForCompetition = asyncHandler(async (req, res) => {
   const competitionId = parseInt(req.params.id);
   if (!competitionId) throw createError(400, "Invalid competition ID");
 
-  if (!req.user || req.user.role !== 'admin') {
-    throw createError(403, "Access denied");
-  }
-
-  const schema = z.object({
-    refereeId: z.preprocess(
-      (val) => {
-        if (val === "" || val === null || val === undefined) return undefined;
-        const num = Number(val);
-        return Number.isNaN(num) ? undefined : num;
-      },
-      z.number().int("Invalid referee ID")
-    ),
-  });
-
-  const { refereeId } = await schema.parseAsync(req.body);
+  const { refereeId } = await refereeIdSchema.parseAsync(req.body);
 
   const competition = await prisma.competition.findUnique({
     where: { id: competitionId },
-    select: { refereeId: true },
+    select: { id: true, minRefereeGrade: true },
   });
 
   if (!competition) throw createError(404, 'Competition not found');
 
-  const refereeUser = await prisma.user.findUnique({
-    where: { id: refereeId },
-    select: { id: true, name: true, email: true, role: true, active: true },
-  });
-
-  if (!refereeUser) {
-    throw createError(404, "Referee user not found");
-  }
-  if (typeof refereeUser.role !== 'string' || refereeUser.role.toLowerCase() !== 'referee') {
-    throw createError(400, "Selected user is not a referee");
-  }
-  if (!refereeUser.active) {
-    throw createError(400, "Selected referee is not active");
-  }
-
-  const refereeProfile = await prisma.referee.findUnique({
-    where: { userId: refereeUser.id },
-    select: { id: true },
-  });
-  if (!refereeProfile) {
-    throw createError(400, "Selected referee does not have a referee profile");
+  const referee = await officialService.assertCanHoldDuty(refereeId, 'REFEREE');
+  await refereeGradeService.assertMeetsGrade(referee.id, competition.minRefereeGrade);
+  const existing = await findLegacyOfficial(competitionId, 'REFEREE');
+  if (existing) {
+    await prisma.competitionOfficial.update({
+      where: { id: existing.id },
+      data: { userId: referee.id },
+    });
+  } else {
+    await prisma.competitionOfficial.create({
+      data: { competitionId, userId: referee.id, duty: 'REFEREE' },
+    });
   }
 
-  await prisma.competition.update({
-    where: { id: competitionId },
-    data: { refereeId: refereeUser.id },
-  });
-
-  const hadExisting = !!competition.refereeId;
   res.json({
-    message: hadExisting ? 'Referee updated successfully' : 'Referee assigned successfully',
-    referee: { id: refereeUser.id, name: refereeUser.name, email: refereeUser.email, role: refereeUser.role },
+    message: existing ? 'Referee updated successfully' : 'Referee assigned successfully',
+    referee,
   });
 });
 
@@ -2863,24 +2944,7 @@ const generateMeritCertificatePDF = asyncHandler(async (req, res) => {
     throw createError(400, "Invalid competition ID or player ID");
   }
 
-  let userClubId = null;
-
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      userClubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin",
-        },
-        select: { clubId: true },
-      });
-      if (clubAdminUser?.clubId) {
-        userClubId = clubAdminUser.clubId;
-      }
-    }
-  }
+  const userClubId = getClubId(req);
 
   if (!userClubId) {
     return res.status(403).json({ errors: { message: "Access denied" } });
@@ -2931,6 +2995,8 @@ const generateMeritCertificatePDF = asyncHandler(async (req, res) => {
         },
       },
     },
+    // A registration still holding its chest number first (MySQL sorts nulls last)
+    orderBy: { chestNumber: 'desc' },
   });
 
   if (!registration?.player) {
@@ -3162,6 +3228,13 @@ const generateMeritCertificatePDF = asyncHandler(async (req, res) => {
         w: 0.08,
         fontSize: 12,
       },
+      // Under the photo
+      chest: {
+        x: 0.80,
+        y: 0.45,
+        w: 0.15,
+        fontSize: 12,
+      },
     };
 
     {
@@ -3191,6 +3264,10 @@ const generateMeritCertificatePDF = asyncHandler(async (req, res) => {
       const dyy = toAbs(parseNum(q.dobYearY), pageH);
       const dyw = toAbs(parseNum(q.dobYearW), pageW);
       const dyf = parseNum(q.dobYearFontSize);
+      const chx = toAbs(parseNum(q.chestX), pageW);
+      const chy = toAbs(parseNum(q.chestY), pageH);
+      const chw = toAbs(parseNum(q.chestW), pageW);
+      const chf = parseNum(q.chestFontSize);
 
       if (px !== null) layout.photo.x = px / pageW;
       if (py !== null) layout.photo.y = py / pageH;
@@ -3217,6 +3294,10 @@ const generateMeritCertificatePDF = asyncHandler(async (req, res) => {
       if (dyy !== null) layout.dobYear.y = dyy / pageH;
       if (dyw !== null) layout.dobYear.w = dyw / pageW;
       if (dyf !== null) layout.dobYear.fontSize = Math.max(8, Math.floor(dyf));
+      if (chx !== null) layout.chest.x = chx / pageW;
+      if (chy !== null) layout.chest.y = chy / pageH;
+      if (chw !== null) layout.chest.w = chw / pageW;
+      if (chf !== null) layout.chest.fontSize = Math.max(8, Math.floor(chf));
     }
 
     const photoX = Math.floor(pageW * layout.photo.x);
@@ -3303,6 +3384,14 @@ const generateMeritCertificatePDF = asyncHandler(async (req, res) => {
     doc.font('Helvetica-Bold').fontSize(layout.dobYear.fontSize).fillColor('#111827');
     doc.text(dobYearText, dobYearX, dobYearY, { width: dobYearW, align: 'left' });
 
+    const chestX = Math.floor(pageW * layout.chest.x);
+    const chestY = Math.floor(pageH * layout.chest.y);
+    const chestW = Math.floor(pageW * layout.chest.w);
+    if (registration.chestNumber) {
+      doc.font('Helvetica-Bold').fontSize(layout.chest.fontSize).fillColor('#111827');
+      doc.text(`Chest No. ${registration.chestNumber}`, chestX, chestY, { width: chestW, align: 'center' });
+    }
+
     if (String(req.query?.debug || '').trim() === '1') {
       doc.save();
       doc.lineWidth(1).strokeColor('#ef4444');
@@ -3315,6 +3404,8 @@ const generateMeritCertificatePDF = asyncHandler(async (req, res) => {
       doc.rect(dobDayX, dobDayY, dobDayW, 20).stroke();
       doc.rect(dobMonthX, dobMonthY, dobMonthW, 20).stroke();
       doc.rect(dobYearX, dobYearY, dobYearW, 20).stroke();
+      doc.strokeColor('#f59e0b');
+      doc.rect(chestX, chestY, chestW, 20).stroke();
       doc.restore();
     }
   } else {
@@ -3372,6 +3463,7 @@ const generateMeritCertificatePDF = asyncHandler(async (req, res) => {
     const dob = player.dateOfBirth ? formatDateDMY(player.dateOfBirth) : '-';
     doc.font('Helvetica').fontSize(12).text(`Membership/Unique ID: ${uid}`, left + 40, midY + 110);
     doc.font('Helvetica').fontSize(12).text(`Date of Birth: ${dob}`, left + 40, midY + 132);
+    doc.font('Helvetica').fontSize(12).text(`Chest Number: ${registration.chestNumber || '-'}`, left + 40, midY + 154);
 
     const signY = bottom - 90;
     const colW = contentW / 3;
@@ -3390,18 +3482,23 @@ module.exports = {
   getCompetition,
   updateCompetition,
   deleteCompetition,
+  updateCompetitionStatus,
   getAvailableCompetitions,
   joinCompetition,
   leaveCompetition,
   getEligiblePlayers,
   addPlayersToCompetition,
+  checkPlayerEligibility,
   getRegisteredPlayers,
   removePlayerFromCompetition,
   generateClubCompetitionPDF,
   generateCompetitionClubsPDF,
+  getGroupStandings,
+  generateStandingsPDF,
   generateMeritCertificatePDF,
   getClubPlayersInCompetition,
   setCaptain,
+  setViceCaptain,
   getCompetitionClubInfo,
   updateCompetitionClubInfo,
   getObserverForCompetition,
@@ -0,0 +1,358 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const { getClubId } = require("../middleware/clubContext");
+const { isCompetitionOfficial } = require("../services/officialService");
+const {
+  CASE_STATUSES,
+  SANCTION_TYPES,
+  describeSanction,
+} = require("../services/disciplinaryService");
+
+const userSelect = { select: { id: true, name: true } };
+
+const caseInclude = {
+  player: {
+    select: {
+      id: true,
+      uniqueIdNumber: true,
+      firstName: true,
+      lastName: true,
+      clubId: true,
+      club: { select: { id: true, clubName: true } },
+    },
+  },
+  competition: { select: { id: true, competitionName: true } },
+  fixture: { select: { id: true, matchNumber: true, scheduledAt: true } },
+  reportedBy: userSelect,
+  decidedBy: userSelect,
+  appealLodgedBy: userSelect,
+  appealDecidedBy: userSelect,
+  sanctions: {
+    include: {
+      competition: { select: { id: true, competitionName: true } },
+      _count: { select: { servedMatches: true } },
+    },
+    orderBy: { id: "asc" },
+  },
+};
+
+const withDescriptions = (disciplinaryCase) => ({
+  ...disciplinaryCase,
+  sanctions: disciplinaryCase.sanctions.map((s) => ({ ...s, description: describeSanction(s) })),
+});
+
+const optionalDate = (label) =>
+  z.coerce.date({ invalid_type_error: `Invalid ${label}` }).optional();
+
+const remarksText = (label, max = 5000) =>
+  z.string().trim().max(max, `${label} must be at most ${max} characters`);
+
+// Which cases the user may see: clubs their own players', officials those they
+// reported, managers all
+const scopeWhere = async (req) => {
+  const clubId = getClubId(req);
+  if (clubId) return { player: { clubId } };
+  if (await aclService.hasPermission(req.user, "disciplinary.manage")) return {};
+  return { reportedById: req.user.id };
+};
+
+const loadCase = async (req) => {
+  const caseId = parseInt(req.params.caseId);
+  if (!caseId) throw createError(400, "Invalid case ID");
+
+  const disciplinaryCase = await prisma.disciplinaryCase.findFirst({
+    where: { id: caseId, ...(await scopeWhere(req)) },
+    include: caseInclude,
+  });
+  if (!disciplinaryCase) throw createError(404, "Disciplinary case not found");
+  return disciplinaryCase;
+};
+
+const getCases = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.max(1, parseInt(req.query.limit) || 10);
+  const where = await scopeWhere(req);
+
+  if (req.query.status) {
+    const status = String(req.query.status).toUpperCase();
+    if (!CASE_STATUSES.includes(status)) throw createError(400, "Invalid case status");
+    where.status = status;
+  }
+  if (req.query.playerId) {
+    where.playerId = parseInt(req.query.playerId);
+    if (!where.playerId) throw createError(400, "Invalid player ID");
+  }
+  if (req.query.competitionId) {
+    where.competitionId = parseInt(req.query.competitionId);
+    if (!where.competitionId) throw createError(400, "Invalid competition ID");
+  }
+  if (req.query.appealStatus) {
+    where.appealStatus = String(req.query.appealStatus).toUpperCase();
+  }
+
+  const [cases, totalCases] = await Promise.all([
+    prisma.disciplinaryCase.findMany({
+      where,
+      include: caseInclude,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.disciplinaryCase.count({ where }),
+  ]);
+
+  res.json({
+    cases: cases.map(withDescriptions),
+    page,
+    totalPages: Math.ceil(totalCases / limit),
+    totalCases,
+  });
+});
+
+const getCase = asyncHandler(async (req, res) => {
+  res.json(withDescriptions(await loadCase(req)));
+});
+
+// Officials report incidents at competitions they officiate; admins can open
+// a case for any player
+const reportIncident = asyncHandler(async (req, res) => {
+  const schema = z.object({
+    playerId: z.coerce.number().int().positive("Player ID is required"),
+    competitionId: z.coerce.number().int().positive().optional(),
+    fixtureId: z.coerce.number().int().positive().optional(),
+    incidentDate: optionalDate("incident date"),
+    incident: remarksText("Incident").min(1, "Describe the incident"),
+  });
+  const data = await schema.parseAsync(req.body);
+
+  const player = await prisma.player.findUnique({
+    where: { id: data.playerId },
+    select: { id: true, clubId: true },
+  });
+  if (!player) throw createError(404, "Player not found");
+
+  let competitionId = data.competitionId || null;
+  let incidentDate = data.incidentDate;
+  if (data.fixtureId) {
+    const fixture = await prisma.fixture.findUnique({
+      where: { id: data.fixtureId },
+      select: { id: true, competitionId: true, scheduledAt: true, homeClubId: true, awayClubId: true },
+    });
+    if (!fixture) throw createError(404, "Fixture not found");
+    if (competitionId && competitionId !== fixture.competitionId) {
+      throw createError(400, "Fixture does not belong to this competition");
+    }
+    if (player.clubId !== fixture.homeClubId && player.clubId !== fixture.awayClubId) {
+      throw createError(400, "Player's club did not play in this fixture");
+    }
+    competitionId = fixture.competitionId;
+    incidentDate = incidentDate || fixture.scheduledAt;
+  }
+
+  if (!(await aclService.hasPermission(req.user, "disciplinary.manage"))) {
+    if (!competitionId) throw createError(400, "Select the competition or fixture of the incident");
+    if (!(await isCompetitionOfficial(req.user.id, competitionId))) {
+      throw createError(403, "You can only report incidents at competitions you officiate");
+    }
+  }
+
+  const created = await prisma.disciplinaryCase.create({
+    data: {
+      playerId: player.id,
+      competitionId,
+      fixtureId: data.fixtureId || null,
+      incidentDate: incidentDate || new Date(),
+      incident: data.incident,
+      reportedById: req.user.id,
+    },
+    include: caseInclude,
+  });
+
+  res.status(201).json(withDescriptions(created));
+});
+
+// Correct the report or schedule the hearing while the case is open
+const updateCase = asyncHandler(async (req, res) => {
+  const disciplinaryCase = await loadCase(req);
+  if (disciplinaryCase.status !== "OPEN") throw createError(400, "Only open cases can be changed");
+
+  const schema = z.object({
+    incidentDate: optionalDate("incident date"),
+    incident: remarksText("Incident").min(1, "Describe the incident").optional(),
+    hearingDate: z
+      .preprocess((v) => (v === "" ? null : v), z.coerce.date({ invalid_type_error: "Invalid hearing date" }).nullable())
+      .optional(),
+  });
+  const data = await schema.parseAsync(req.body);
+
+  const updated = await prisma.disciplinaryCase.update({
+    where: { id: disciplinaryCase.id },
+    data,
+    include: caseInclude,
+  });
+  res.json(withDescriptions(updated));
+});
+
+const sanctionSchema = z
+  .object({
+    type: z.enum(SANCTION_TYPES, {
+      errorMap: () => ({ message: `Sanction type must be one of ${SANCTION_TYPES.join(", ")}` }),
+    }),
+    matches: z.coerce.number().int().min(1, "Ban at least 1 match").max(100).optional(),
+    competitionId: z.coerce.number().int().positive().optional(),
+    startsOn: optionalDate("start date"),
+    endsOn: optionalDate("end date"),
+    fineAmount: z.coerce.number().positive("Fine must be greater than 0").optional(),
+    remarks: remarksText("Remarks", 2000).optional(),
+  })
+  .superRefine((s, ctx) => {
+    if (s.type === "MATCH_BAN" && !s.matches) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["matches"], message: "Number of matches is required for a match ban" });
+    }
+    if (s.type === "FINE" && !s.fineAmount) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["fineAmount"], message: "Amount is required for a fine" });
+    }
+    if (s.endsOn && s.endsOn < (s.startsOn || new Date(new Date().toISOString().split("T")[0]))) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["endsOn"], message: "End date must be on or after the start date" });
+    }
+  });
+
+// Record the hearing outcome: dismiss the case or impose sanctions
+const decideCase = asyncHandler(async (req, res) => {
+  const disciplinaryCase = await loadCase(req);
+  if (disciplinaryCase.status !== "OPEN") throw createError(400, "This case has already been decided");
+
+  const schema = z
+    .object({
+      outcome: z.enum(["SANCTIONED", "DISMISSED"], {
+        errorMap: () => ({ message: "Outcome must be SANCTIONED or DISMISSED" }),
+      }),
+      hearingDate: optionalDate("hearing date"),
+      hearingOutcome: remarksText("Hearing outcome").min(1, "Hearing outcome is required"),
+      sanctions: z.array(sanctionSchema).default([]),
+    })
+    .refine((d) => d.outcome === "DISMISSED" || d.sanctions.length > 0, {
+      message: "Impose at least one sanction",
+      path: ["sanctions"],
+    });
+  const data = await schema.parseAsync(req.body);
+
+  const decided = await prisma.$transaction(async (tx) => {
+    await tx.disciplinaryCase.update({
+      where: { id: disciplinaryCase.id },
+      data: {
+        status: data.outcome === "DISMISSED" ? "DISMISSED" : "DECIDED",
+        hearingDate: data.hearingDate || disciplinaryCase.hearingDate || new Date(),
+        hearingOutcome: data.hearingOutcome,
+        decidedById: req.user.id,
+        decidedAt: new Date(),
+      },
+    });
+
+    if (data.outcome === "SANCTIONED") {
+      await tx.playerSanction.createMany({
+        data: data.sanctions.map((s) => ({
+          caseId: disciplinaryCase.id,
+          playerId: disciplinaryCase.playerId,
+          type: s.type,
+          matches: s.type === "MATCH_BAN" ? s.matches : null,
+          competitionId: s.type === "MATCH_BAN" ? s.competitionId || null : null,
+          startsOn: s.startsOn || new Date(),
+          endsOn: s.type === "SUSPENSION" ? s.endsOn || null : null,
+          fineAmount: s.type === "FINE" ? s.fineAmount : null,
+          remarks: s.remarks || null,
+        })),
+      });
+    }
+
+    return tx.disciplinaryCase.findUnique({ where: { id: disciplinaryCase.id }, include: caseInclude });
+  });
+
+  res.json(withDescriptions(decided));
+});
+
+// Clubs appeal the decision on their player; sanctions stay in force until
+// the appeal is decided
+const lodgeAppeal = asyncHandler(async (req, res) => {
+  const disciplinaryCase = await loadCase(req);
+  if (disciplinaryCase.status !== "DECIDED") throw createError(400, "Only decided cases can be appealed");
+  if (disciplinaryCase.appealStatus) throw createError(400, "This decision has already been appealed");
+
+  const schema = z.object({
+    grounds: remarksText("Grounds").min(1, "Grounds of appeal are required"),
+  });
+  const data = await schema.parseAsync(req.body);
+
+  const updated = await prisma.disciplinaryCase.update({
+    where: { id: disciplinaryCase.id },
+    data: {
+      appealStatus: "PENDING",
+      appealGrounds: data.grounds,
+      appealLodgedById: req.user.id,
+      appealLodgedAt: new Date(),
+    },
+    include: caseInclude,
+  });
+  res.json(withDescriptions(updated));
+});
+
+// An allowed appeal lifts the sanctions still in force
+const decideAppeal = asyncHandler(async (req, res) => {
+  const disciplinaryCase = await loadCase(req);
+  if (disciplinaryCase.appealStatus !== "PENDING") throw createError(400, "There is no pending appeal on this case");
+
+  const schema = z.object({
+    allowed: z.boolean({ required_error: "allowed is required" }),
+    outcome: remarksText("Outcome").min(1, "Appeal outcome is required"),
+  });
+  const data = await schema.parseAsync(req.body);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (data.allowed) {
+      await tx.playerSanction.updateMany({
+        where: { caseId: disciplinaryCase.id, status: "ACTIVE" },
+        data: { status: "REVOKED", endedAt: new Date() },
+      });
+    }
+    return tx.disciplinaryCase.update({
+      where: { id: disciplinaryCase.id },
+      data: {
+        appealStatus: data.allowed ? "ALLOWED" : "DISMISSED",
+        appealOutcome: data.outcome,
+        appealDecidedById: req.user.id,
+        appealDecidedAt: new Date(),
+      },
+      include: caseInclude,
+    });
+  });
+  res.json(withDescriptions(updated));
+});
+
+const markFinePaid = asyncHandler(async (req, res) => {
+  const sanctionId = parseInt(req.params.sanctionId);
+  if (!sanctionId) throw createError(400, "Invalid sanction ID");
+
+  const sanction = await prisma.playerSanction.findUnique({ where: { id: sanctionId } });
+  if (!sanction || sanction.type !== "FINE") throw createError(404, "Fine not found");
+  if (sanction.status !== "ACTIVE") throw createError(400, "This fine is no longer outstanding");
+
+  const updated = await prisma.playerSanction.update({
+    where: { id: sanction.id },
+    data: { status: "SERVED", finePaidAt: new Date(), endedAt: new Date() },
+  });
+  res.json(updated);
+});
+
+module.exports = {
+  getCases,
+  getCase,
+  reportIncident,
+  updateCase,
+  decideCase,
+  lodgeAppeal,
+  decideAppeal,
+  markFinePaid,
+};
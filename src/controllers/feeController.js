@@ -0,0 +1,140 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const { getClubId } = require("../middleware/clubContext");
+const { FEE_TYPES, getOutstanding } = require("../services/billingService");
+
+const feeInclude = {
+  group: { select: { id: true, groupName: true } },
+};
+
+const feeSchema = z.object({
+  feeType: z.enum(FEE_TYPES, { errorMap: () => ({ message: "Fee type must be PER_CLUB or PER_PLAYER" }) }),
+  // null (or omitted) = the fee applies to the whole competition
+  groupId: z
+    .preprocess((v) => (v === null || v === "" ? null : v), z.coerce.number().int().positive().nullable())
+    .optional(),
+  amount: z.coerce
+    .number({ invalid_type_error: "Amount must be a number" })
+    .positive("Amount must be greater than 0")
+    .max(99999999, "Amount is too large")
+    .refine((v) => Math.abs(v * 100 - Math.round(v * 100)) < 1e-6, {
+      message: "Amount can have at most 2 decimal places",
+    }),
+  description: z
+    .string()
+    .trim()
+    .max(191, "Description must be at most 191 characters")
+    .nullable()
+    .optional(),
+});
+
+const parseCompetitionId = (req) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+  return competitionId;
+};
+
+const assertGroupInCompetition = async (competitionId, groupId) => {
+  if (!groupId) return;
+  const link = await prisma.competitionGroup.findFirst({
+    where: { competitionId, groupId },
+    select: { id: true },
+  });
+  if (!link) throw createError(400, "This group is not part of this competition");
+};
+
+const loadFee = async (req) => {
+  const competitionId = parseCompetitionId(req);
+  const feeId = parseInt(req.params.feeId);
+  if (!feeId) throw createError(400, "Invalid fee ID");
+
+  const fee = await prisma.competitionFee.findFirst({ where: { id: feeId, competitionId } });
+  if (!fee) throw createError(404, "Fee not found");
+  return fee;
+};
+
+// Fees of a competition; clubs also get what they still owe for it
+const getFees = asyncHandler(async (req, res) => {
+  const competitionId = parseCompetitionId(req);
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+
+  const fees = await prisma.competitionFee.findMany({
+    where: { competitionId },
+    include: feeInclude,
+    orderBy: { id: "asc" },
+  });
+
+  const clubId = getClubId(req);
+  res.json({
+    fees,
+    outstanding: clubId ? await getOutstanding(competitionId, clubId) : undefined,
+  });
+});
+
+const createFee = asyncHandler(async (req, res) => {
+  const competitionId = parseCompetitionId(req);
+  const data = await feeSchema.parseAsync(req.body);
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  await assertGroupInCompetition(competitionId, data.groupId);
+
+  const fee = await prisma.competitionFee.create({
+    data: {
+      competitionId,
+      groupId: data.groupId || null,
+      feeType: data.feeType,
+      amount: data.amount.toFixed(2),
+      description: data.description || null,
+    },
+    include: feeInclude,
+  });
+
+  res.status(201).json(fee);
+});
+
+// Changes apply to charges invoiced from now on; issued invoices keep their amounts
+const updateFee = asyncHandler(async (req, res) => {
+  const fee = await loadFee(req);
+  const data = await feeSchema.partial().parseAsync(req.body);
+
+  if (data.groupId !== undefined) {
+    await assertGroupInCompetition(fee.competitionId, data.groupId);
+  }
+
+  const updated = await prisma.competitionFee.update({
+    where: { id: fee.id },
+    data: {
+      feeType: data.feeType,
+      groupId: data.groupId === undefined ? undefined : data.groupId || null,
+      amount: data.amount === undefined ? undefined : data.amount.toFixed(2),
+      description: data.description === undefined ? undefined : data.description || null,
+    },
+    include: feeInclude,
+  });
+
+  res.json(updated);
+});
+
+const deleteFee = asyncHandler(async (req, res) => {
+  const fee = await loadFee(req);
+  await prisma.competitionFee.delete({ where: { id: fee.id } });
+  res.json({ message: "Fee deleted" });
+});
+
+module.exports = {
+  getFees,
+  createFee,
+  updateFee,
+  deleteFee,
+};
@@ -0,0 +1,467 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const {
+  FIXTURE_FORMATS,
+  FIXTURE_STATUSES,
+  parseCompetitionDate,
+  parseTimeOfDay,
+  addMinutes,
+  buildDraw,
+  assignSlots,
+  findScheduleConflicts,
+} = require("../services/fixtureService");
+const { ACTIVE_REGISTRATION_STATUSES } = require("../services/registrationService");
+const { assertActionAllowed } = require("../services/competitionLifecycleService");
+
+const clubSelect = { select: { id: true, clubName: true } };
+
+const fixtureInclude = {
+  homeClub: clubSelect,
+  awayClub: clubSelect,
+  winnerClub: clubSelect,
+  competitionGroup: {
+    select: {
+      id: true,
+      groupId: true,
+      group: { select: { id: true, groupName: true } },
+    },
+  },
+};
+
+const formatFixture = (f) => ({
+  id: f.id,
+  competitionId: f.competitionId,
+  competitionGroupId: f.competitionGroupId,
+  groupId: f.competitionGroup?.groupId ?? null,
+  groupName: f.competitionGroup?.group?.groupName ?? null,
+  stage: f.stage,
+  pool: f.pool,
+  round: f.round,
+  roundLabel: f.roundLabel,
+  matchNumber: f.matchNumber,
+  homeClub: f.homeClub || null,
+  awayClub: f.awayClub || null,
+  homeSourceFixtureId: f.homeSourceFixtureId,
+  awaySourceFixtureId: f.awaySourceFixtureId,
+  homeSourceLabel: f.homeSourceLabel,
+  awaySourceLabel: f.awaySourceLabel,
+  court: f.court,
+  scheduledAt: f.scheduledAt,
+  durationMinutes: f.durationMinutes,
+  status: f.status,
+  homeScore: f.homeScore,
+  awayScore: f.awayScore,
+  winnerClub: f.winnerClub || null,
+});
+
+const loadCompetition = async (competitionId) => {
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    include: {
+      clubs: { select: { id: true, clubName: true } },
+      groups: { include: { group: { select: { id: true, groupName: true } } } },
+    },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  return competition;
+};
+
+const competitionWindow = (competition) => {
+  const fromDate = parseCompetitionDate(competition.fromDate);
+  const toDate = parseCompetitionDate(competition.toDate);
+  if (!fromDate || !toDate || toDate < fromDate) {
+    throw createError(400, "Competition has an invalid from/to date configuration");
+  }
+  return { fromDate, toDate };
+};
+
+// List fixtures for a competition, optionally filtered by group, status or day
+const getFixtures = asyncHandler(async (req, res) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true, competitionName: true },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+
+  const where = { competitionId };
+
+  if (req.query.groupId) {
+    const groupId = parseInt(req.query.groupId);
+    if (!groupId) throw createError(400, "Invalid group ID");
+    where.competitionGroup = { groupId };
+  }
+
+  if (req.query.status) {
+    const status = String(req.query.status).toUpperCase();
+    if (!FIXTURE_STATUSES.includes(status)) throw createError(400, "Invalid fixture status");
+    where.status = status;
+  }
+
+  if (req.query.clubId) {
+    const clubId = parseInt(req.query.clubId);
+    if (!clubId) throw createError(400, "Invalid club ID");
+    where.OR = [{ homeClubId: clubId }, { awayClubId: clubId }];
+  }
+
+  if (req.query.date) {
+    const day = parseCompetitionDate(req.query.date);
+    if (!day) throw createError(400, "Invalid date");
+    where.scheduledAt = { gte: day, lt: addMinutes(day, 24 * 60) };
+  }
+
+  const fixtures = await prisma.fixture.findMany({
+    where,
+    include: fixtureInclude,
+    orderBy: [{ scheduledAt: "asc" }, { court: "asc" }, { matchNumber: "asc" }],
+  });
+
+  res.json({
+    competition,
+    fixtures: fixtures.map(formatFixture),
+    totalFixtures: fixtures.length,
+  });
+});
+
+const getFixture = asyncHandler(async (req, res) => {
+  const competitionId = parseInt(req.params.id);
+  const fixtureId = parseInt(req.params.fixtureId);
+  if (!competitionId || !fixtureId) throw createError(400, "Invalid competition ID or fixture ID");
+
+  const fixture = await prisma.fixture.findFirst({
+    where: { id: fixtureId, competitionId },
+    include: fixtureInclude,
+  });
+  if (!fixture) throw createError(404, "Fixture not found");
+
+  res.json(formatFixture(fixture));
+});
+
+// Generate a knockout, league or pool+knockout draw for one competition group
+const generateFixtures = asyncHandler(async (req, res) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+
+  const schema = z.object({
+    groupId: z.coerce.number().int().positive("Group is required"),
+    format: z.enum(FIXTURE_FORMATS, { errorMap: () => ({ message: `Format must be one of ${FIXTURE_FORMATS.join(", ")}` }) }),
+    clubIds: z.array(z.coerce.number().int().positive()).optional(),
+    shuffle: z.boolean().optional().default(true),
+    poolCount: z.coerce.number().int().min(2).max(16).optional(),
+    qualifiersPerPool: z.coerce.number().int().min(1).max(8).optional(),
+    courts: z.coerce.number().int().min(1).max(20).default(1),
+    dayStart: z.string().default("09:00"),
+    dayEnd: z.string().default("18:00"),
+    matchDurationMinutes: z.coerce.number().int().min(10).max(180).default(45),
+    breakMinutes: z.coerce.number().int().min(0).max(180).default(15),
+    replace: z.boolean().optional().default(false),
+  });
+
+  const data = await schema.parseAsync(req.body);
+
+  const dayStartMinutes = parseTimeOfDay(data.dayStart);
+  const dayEndMinutes = parseTimeOfDay(data.dayEnd);
+  if (dayStartMinutes === null || dayEndMinutes === null || dayEndMinutes <= dayStartMinutes) {
+    throw createError(400, "Daily start/end times must be HH:mm with the end after the start");
+  }
+
+  const competition = await loadCompetition(competitionId);
+  assertActionAllowed(competition, "generateFixtures");
+  const { fromDate, toDate } = competitionWindow(competition);
+
+  const competitionGroup = competition.groups.find((g) => g.groupId === data.groupId);
+  if (!competitionGroup) throw createError(400, "This group is not part of this competition");
+
+  const joinedClubIds = competition.clubs.map((c) => c.id);
+  let clubIds;
+  if (data.clubIds && data.clubIds.length > 0) {
+    const unknown = data.clubIds.filter((id) => !joinedClubIds.includes(id));
+    if (unknown.length > 0) {
+      throw createError(400, `Clubs not part of this competition: ${unknown.join(", ")}`);
+    }
+    clubIds = [...new Set(data.clubIds)];
+  } else {
+    // Default to the joined clubs that actually entered a squad in this group
+    const entered = await prisma.competitionRegistration.findMany({
+      where: {
+        competitionId,
+        groupId: data.groupId,
+        clubId: { in: joinedClubIds },
+        status: { in: ACTIVE_REGISTRATION_STATUSES },
+      },
+      distinct: ["clubId"],
+      select: { clubId: true },
+    });
+    clubIds = entered.map((r) => r.clubId);
+  }
+
+  if (clubIds.length < 2) {
+    throw createError(400, "At least 2 clubs with registered players are required to generate fixtures");
+  }
+
+  if (data.shuffle && !(data.clubIds && data.clubIds.length > 0)) {
+    for (let i = clubIds.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [clubIds[i], clubIds[j]] = [clubIds[j], clubIds[i]];
+    }
+  }
+
+  const existing = await prisma.fixture.findMany({
+    where: { competitionGroupId: competitionGroup.id },
+    select: { id: true, status: true },
+  });
+  if (existing.length > 0) {
+    if (!data.replace) {
+      throw createError(400, "Fixtures already exist for this group. Pass replace: true to regenerate them");
+    }
+    if (existing.some((f) => f.status === "LIVE" || f.status === "COMPLETED")) {
+      throw createError(400, "Fixtures cannot be regenerated once a match in this group has started");
+    }
+  }
+
+  const drafts = buildDraw(data.format, clubIds, {
+    poolCount: data.poolCount,
+    qualifiersPerPool: data.qualifiersPerPool,
+  });
+
+  // Matches of other groups in this competition already occupy clubs and courts
+  const otherFixtures = await prisma.fixture.findMany({
+    where: {
+      competitionId,
+      competitionGroupId: { not: competitionGroup.id },
+      status: { not: "CANCELLED" },
+      scheduledAt: { not: null },
+    },
+    select: { homeClubId: true, awayClubId: true, court: true, scheduledAt: true, durationMinutes: true },
+  });
+  const busy = otherFixtures.map((f) => ({
+    clubIds: [f.homeClubId, f.awayClubId].filter(Boolean),
+    court: f.court,
+    start: f.scheduledAt,
+    end: addMinutes(f.scheduledAt, f.durationMinutes),
+  }));
+
+  const scheduled = assignSlots(drafts, {
+    fromDate,
+    toDate,
+    dayStartMinutes,
+    dayEndMinutes,
+    durationMinutes: data.matchDurationMinutes,
+    gapMinutes: data.breakMinutes,
+    courts: data.courts,
+    busy,
+  }).sort((a, b) => a.scheduledAt - b.scheduledAt || a.court - b.court);
+
+  const created = await prisma.$transaction(async (tx) => {
+    if (existing.length > 0) {
+      await tx.fixture.deleteMany({ where: { competitionGroupId: competitionGroup.id } });
+    }
+    // Cached standings belong to the old draw
+    await tx.groupStanding.deleteMany({ where: { competitionGroupId: competitionGroup.id } });
+
+    // Create in chronological order so knockout feeder fixtures exist before
+    // the fixtures that reference them
+    const idByKey = new Map();
+    const rows = [];
+    for (const [idx, draft] of scheduled.entries()) {
+      const row = await tx.fixture.create({
+        data: {
+          competitionId,
+          competitionGroupId: competitionGroup.id,
+          stage: draft.stage,
+          pool: draft.pool,
+          round: draft.round,
+          roundLabel: draft.roundLabel,
+          matchNumber: idx + 1,
+          homeClubId: draft.homeClubId,
+          awayClubId: draft.awayClubId,
+          homeSourceFixtureId: draft.homeSource ? idByKey.get(draft.homeSource) : null,
+          awaySourceFixtureId: draft.awaySource ? idByKey.get(draft.awaySource) : null,
+          homeSourceLabel: draft.homeSourceLabel,
+          awaySourceLabel: draft.awaySourceLabel,
+          court: draft.court,
+          scheduledAt: draft.scheduledAt,
+          durationMinutes: data.matchDurationMinutes,
+        },
+      });
+      idByKey.set(draft.key, row.id);
+      rows.push(row.id);
+    }
+
+    return tx.fixture.findMany({
+      where: { id: { in: rows } },
+      include: fixtureInclude,
+      orderBy: { matchNumber: "asc" },
+    });
+  });
+
+  res.status(201).json({
+    message: `Generated ${created.length} fixtures for group '${competitionGroup.group.groupName}'`,
+    format: data.format,
+    fixtures: created.map(formatFixture),
+  });
+});
+
+// Reschedule a fixture (time/court) or fill in clubs for a placeholder slot
+const updateFixture = asyncHandler(async (req, res) => {
+  const competitionId = parseInt(req.params.id);
+  const fixtureId = parseInt(req.params.fixtureId);
+  if (!competitionId || !fixtureId) throw createError(400, "Invalid competition ID or fixture ID");
+
+  const optionalId = z.preprocess(
+    (val) => (val === "" || val === undefined ? undefined : val === null ? null : Number(val)),
+    z.number().int().positive().nullable().optional()
+  );
+
+  const schema = z
+    .object({
+      scheduledAt: z.coerce.date({ invalid_type_error: "Invalid scheduled time" }).optional(),
+      court: z.coerce.number().int().min(1).max(20).optional(),
+      durationMinutes: z.coerce.number().int().min(10).max(180).optional(),
+      homeClubId: optionalId,
+      awayClubId: optionalId,
+      status: z.enum(["SCHEDULED", "CANCELLED"]).optional(),
+    })
+    .refine((d) => Object.values(d).some((v) => v !== undefined), {
+      message: "At least one field is required",
+    });
+
+  const data = await schema.parseAsync(req.body);
+
+  const fixture = await prisma.fixture.findFirst({
+    where: { id: fixtureId, competitionId },
+    include: {
+      homeSourceFixture: { select: { id: true, scheduledAt: true, durationMinutes: true } },
+      awaySourceFixture: { select: { id: true, scheduledAt: true, durationMinutes: true } },
+      feedsHome: { select: { id: true, scheduledAt: true } },
+      feedsAway: { select: { id: true, scheduledAt: true } },
+    },
+  });
+  if (!fixture) throw createError(404, "Fixture not found");
+  if (fixture.status === "LIVE" || fixture.status === "COMPLETED") {
+    throw createError(400, "A fixture that has started cannot be changed");
+  }
+
+  const competition = await loadCompetition(competitionId);
+  assertActionAllowed(competition, "generateFixtures");
+  const { fromDate, toDate } = competitionWindow(competition);
+
+  const next = {
+    ...fixture,
+    scheduledAt: data.scheduledAt ?? fixture.scheduledAt,
+    court: data.court ?? fixture.court,
+    durationMinutes: data.durationMinutes ?? fixture.durationMinutes,
+    homeClubId: data.homeClubId !== undefined ? data.homeClubId : fixture.homeClubId,
+    awayClubId: data.awayClubId !== undefined ? data.awayClubId : fixture.awayClubId,
+  };
+
+  const joinedClubIds = competition.clubs.map((c) => c.id);
+  for (const clubId of [next.homeClubId, next.awayClubId]) {
+    if (clubId && !joinedClubIds.includes(clubId)) {
+      throw createError(400, `Club ${clubId} is not part of this competition`);
+    }
+  }
+  if (next.homeClubId && next.homeClubId === next.awayClubId) {
+    throw createError(400, "A club cannot play against itself");
+  }
+
+  if (next.scheduledAt && (data.scheduledAt || data.court || data.durationMinutes || data.homeClubId || data.awayClubId)) {
+    const start = new Date(next.scheduledAt);
+    const lastDayEnd = addMinutes(toDate, 24 * 60);
+    if (start < fromDate || addMinutes(start, next.durationMinutes) > lastDayEnd) {
+      throw createError(400, "Fixture must be scheduled within the competition dates");
+    }
+
+    for (const source of [fixture.homeSourceFixture, fixture.awaySourceFixture]) {
+      if (source?.scheduledAt && addMinutes(new Date(source.scheduledAt), source.durationMinutes) > start) {
+        throw createError(400, `Fixture must start after feeder fixture #${source.id} has finished`);
+      }
+    }
+    const end = addMinutes(start, next.durationMinutes);
+    for (const fed of [...fixture.feedsHome, ...fixture.feedsAway]) {
+      if (fed.scheduledAt && new Date(fed.scheduledAt) < end) {
+        throw createError(400, `Fixture must finish before fixture #${fed.id}, which its winner plays in`);
+      }
+    }
+
+    const others = await prisma.fixture.findMany({
+      where: { competitionId, id: { not: fixtureId } },
+      select: {
+        id: true,
+        matchNumber: true,
+        homeClubId: true,
+        awayClubId: true,
+        court: true,
+        scheduledAt: true,
+        durationMinutes: true,
+        status: true,
+      },
+    });
+
+    const { clubClashes, courtClashes } = findScheduleConflicts(next, start, next.court, others);
+    if (clubClashes.length > 0 || courtClashes.length > 0) {
+      const err = createError(409, "The new schedule conflicts with other fixtures");
+      err.errors = {
+        message: "The new schedule conflicts with other fixtures",
+        clubConflicts: clubClashes.map((f) => ({ id: f.id, scheduledAt: f.scheduledAt, court: f.court })),
+        courtConflicts: courtClashes.map((f) => ({ id: f.id, scheduledAt: f.scheduledAt, court: f.court })),
+      };
+      throw err;
+    }
+  }
+
+  const updated = await prisma.fixture.update({
+    where: { id: fixtureId },
+    data: {
+      scheduledAt: data.scheduledAt,
+      court: data.court,
+      durationMinutes: data.durationMinutes,
+      homeClubId: data.homeClubId,
+      awayClubId: data.awayClubId,
+      status: data.status,
+    },
+    include: fixtureInclude,
+  });
+
+  res.json(formatFixture(updated));
+});
+
+// Remove the draw for a group (only before any match has started)
+const deleteFixtures = asyncHandler(async (req, res) => {
+  const competitionId = parseInt(req.params.id);
+  const groupId = parseInt(req.query.groupId);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+  if (!groupId) throw createError(400, "Group ID is required");
+
+  const competitionGroup = await prisma.competitionGroup.findUnique({
+    where: { competitionId_groupId: { competitionId, groupId } },
+    select: { id: true },
+  });
+  if (!competitionGroup) throw createError(404, "This group is not part of this competition");
+
+  const started = await prisma.fixture.count({
+    where: { competitionGroupId: competitionGroup.id, status: { in: ["LIVE", "COMPLETED"] } },
+  });
+  if (started > 0) {
+    throw createError(400, "Fixtures cannot be deleted once a match in this group has started");
+  }
+
+  const [{ count }] = await prisma.$transaction([
+    prisma.fixture.deleteMany({ where: { competitionGroupId: competitionGroup.id } }),
+    prisma.groupStanding.deleteMany({ where: { competitionGroupId: competitionGroup.id } }),
+  ]);
+
+  res.json({ message: `Deleted ${count} fixtures` });
+});
+
+module.exports = {
+  getFixtures,
+  getFixture,
+  generateFixtures,
+  updateFixture,
+  deleteFixtures,
+};
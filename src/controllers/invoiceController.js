@@ -0,0 +1,322 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const PDFDocument = require("pdfkit");
+const asyncHandler = require("../middleware/asyncHandler");
+const { getClubId } = require("../middleware/clubContext");
+const {
+  INVOICE_STATUSES,
+  invoiceBalance,
+  syncInvoice,
+} = require("../services/billingService");
+
+const invoiceInclude = {
+  competition: { select: { id: true, competitionName: true, fromDate: true, toDate: true } },
+  club: { select: { id: true, clubName: true, city: true, address: true, email: true, mobile: true } },
+  lines: { orderBy: { id: "asc" } },
+};
+
+const paymentInclude = {
+  recordedBy: { select: { id: true, name: true } },
+  reconciledBy: { select: { id: true, name: true } },
+};
+
+const withBalance = (invoice) => ({ ...invoice, balance: invoiceBalance(invoice) });
+
+/**
+ * Invoice with lines and payments, as seen by the requesting user. Clubs only
+ * see their own invoices.
+ * @param {object} req
+ * @returns {Promise<object>}
+ */
+const loadInvoice = async (req) => {
+  const invoiceId = parseInt(req.params.invoiceId);
+  if (!invoiceId) throw createError(400, "Invalid invoice ID");
+
+  const invoice = await prisma.invoice.findUnique({
+    where: { id: invoiceId },
+    include: {
+      ...invoiceInclude,
+      payments: { include: paymentInclude, orderBy: { createdAt: "asc" } },
+    },
+  });
+  if (!invoice) throw createError(404, "Invoice not found");
+
+  const clubId = getClubId(req);
+  if (clubId && invoice.clubId !== clubId) throw createError(404, "Invoice not found");
+  return invoice;
+};
+
+const getInvoices = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.max(1, parseInt(req.query.limit) || 10);
+  const where = {};
+
+  const clubId = getClubId(req);
+  if (clubId) {
+    where.clubId = clubId;
+  } else if (req.query.clubId) {
+    where.clubId = parseInt(req.query.clubId);
+    if (!where.clubId) throw createError(400, "Invalid club ID");
+  }
+
+  if (req.query.competitionId) {
+    where.competitionId = parseInt(req.query.competitionId);
+    if (!where.competitionId) throw createError(400, "Invalid competition ID");
+  }
+
+  if (req.query.status) {
+    const status = String(req.query.status).toUpperCase();
+    if (!INVOICE_STATUSES.includes(status)) throw createError(400, "Invalid invoice status");
+    where.status = status;
+  }
+
+  const [invoices, totalInvoices] = await Promise.all([
+    prisma.invoice.findMany({
+      where,
+      include: invoiceInclude,
+      orderBy: { issuedAt: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.invoice.count({ where }),
+  ]);
+
+  res.json({
+    invoices: invoices.map(withBalance),
+    page,
+    totalPages: Math.ceil(totalInvoices / limit),
+    totalInvoices,
+  });
+});
+
+const getInvoice = asyncHandler(async (req, res) => {
+  res.json(withBalance(await loadInvoice(req)));
+});
+
+// Invoice clubs for fees added after they joined or registered players
+const generateInvoices = asyncHandler(async (req, res) => {
+  const schema = z.object({
+    competitionId: z.coerce.number().int().positive("Competition ID is required"),
+    clubId: z.coerce.number().int().positive().optional(),
+  });
+  const data = await schema.parseAsync(req.body);
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: data.competitionId },
+    select: { id: true, clubs: { select: { id: true } } },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+
+  const clubIds = competition.clubs.map((club) => club.id);
+  if (data.clubId && !clubIds.includes(data.clubId)) {
+    throw createError(400, "Club is not part of this competition");
+  }
+
+  const invoices = [];
+  for (const clubId of data.clubId ? [data.clubId] : clubIds) {
+    const invoice = await prisma.$transaction((tx) => syncInvoice(data.competitionId, clubId, tx));
+    if (invoice) invoices.push(invoice);
+  }
+
+  res.status(201).json({
+    message: invoices.length
+      ? `Issued ${invoices.length} invoice(s)`
+      : "Nothing left to invoice",
+    invoices,
+  });
+});
+
+// Void an invoice issued in error. Invoices with confirmed payments cannot be cancelled.
+const cancelInvoice = asyncHandler(async (req, res) => {
+  const invoice = await loadInvoice(req);
+  if (invoice.status === "CANCELLED") throw createError(400, "Invoice is already cancelled");
+  if (invoice.payments.some((p) => p.status === "CONFIRMED")) {
+    throw createError(400, "An invoice with confirmed payments cannot be cancelled");
+  }
+
+  const schema = z.object({
+    remarks: z.string().trim().max(2000, "Remarks must be at most 2000 characters").optional(),
+  });
+  const data = await schema.parseAsync(req.body || {});
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Pending offline payments against a void invoice can never be confirmed
+    await tx.payment.updateMany({
+      where: { invoiceId: invoice.id, status: "PENDING" },
+      data: { status: "REJECTED", remarks: "Invoice cancelled" },
+    });
+    return tx.invoice.update({
+      where: { id: invoice.id },
+      data: { status: "CANCELLED", cancelledAt: new Date(), remarks: data.remarks || null },
+      include: invoiceInclude,
+    });
+  });
+
+  res.json(withBalance(updated));
+});
+
+const generateInvoicePDF = asyncHandler(async (req, res) => {
+  const invoice = await loadInvoice(req);
+  const { competition, club } = invoice;
+
+  const doc = new PDFDocument({
+    margin: 40,
+    size: "A4",
+    info: {
+      Title: `Invoice ${invoice.invoiceNumber}`,
+      Author: "TDKA Competition Management System",
+      Subject: "Competition Entry Fees",
+    },
+  });
+
+  const fileName = invoice.invoiceNumber.replace(/\//g, "-");
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${fileName}.pdf"`);
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+
+  doc.pipe(res);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return "N/A";
+    try {
+      return new Date(dateString).toLocaleDateString("en-US", {
+        year: "numeric", month: "long", day: "numeric",
+      });
+    } catch (_) {
+      return dateString;
+    }
+  };
+  const formatAmount = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+  // Colors
+  const primaryColor = "#2563eb";
+  const secondaryColor = "#64748b";
+  const lightGray = "#f1f5f9";
+  const darkGray = "#334155";
+
+  // Header
+  doc.rect(40, 40, doc.page.width - 80, 80).fill(primaryColor);
+  doc.fontSize(22).font("Helvetica-Bold").fillColor("white")
+    .text("INVOICE", 60, 70, { align: "center" });
+  doc.y = 140;
+  doc.fillColor("black");
+
+  const leftCol = 60;
+  const lineHeight = 18;
+  const infoRow = (label, value) => {
+    const rowY = doc.y;
+    doc.fontSize(11).font("Helvetica-Bold").text(label, leftCol, rowY);
+    doc.font("Helvetica").text(String(value), leftCol + 130, rowY);
+    doc.y = rowY + lineHeight;
+  };
+
+  infoRow("Invoice Number:", invoice.invoiceNumber);
+  infoRow("Issued On:", formatDate(invoice.issuedAt));
+  infoRow("Status:", invoice.status.replace(/_/g, " "));
+  infoRow("Club:", club.clubName);
+  if (club.city) infoRow("City:", club.city);
+  infoRow("Competition:", competition.competitionName);
+  infoRow("Competition Period:", `${formatDate(competition.fromDate)} to ${formatDate(competition.toDate)}`);
+  doc.y += 15;
+
+  // Fee lines
+  doc.rect(40, doc.y, doc.page.width - 80, 25).fill(lightGray);
+  doc.fontSize(14).font("Helvetica-Bold").fillColor(darkGray).text(" ENTRY FEES", 50, doc.y + 7);
+  doc.y += 32;
+
+  const headers = [
+    { text: "#", x: 50, width: 30 },
+    { text: "Description", x: 80, width: 250, align: "left" },
+    { text: "Qty", x: 330, width: 50 },
+    { text: "Rate", x: 380, width: 80, align: "right" },
+    { text: "Amount", x: 460, width: 85, align: "right" },
+  ];
+  const headerHeight = 26;
+  const rowHeight = 22;
+
+  const drawHeader = (y) => {
+    doc.rect(50, y, 500, headerHeight).fill(primaryColor);
+    doc.fontSize(10).font("Helvetica-Bold").fillColor("white");
+    headers.forEach((h) => doc.text(h.text, h.x, y + 9, { width: h.width, align: h.align || "center" }));
+    doc.fillColor("black");
+    return y + headerHeight;
+  };
+
+  const tableStartY = doc.y;
+  let currentY = drawHeader(tableStartY);
+  invoice.lines.forEach((line, index) => {
+    if (currentY > 720) {
+      doc.addPage();
+      currentY = drawHeader(50);
+    }
+    if (index % 2 === 0) {
+      doc.rect(50, currentY, 500, rowHeight).fill("#f8fafc");
+    }
+    doc.fontSize(9).font("Helvetica").fillColor("black");
+    const values = [index + 1, line.description, line.quantity, formatAmount(line.unitAmount), formatAmount(line.amount)];
+    headers.forEach((h, i) => {
+      doc.text(String(values[i]), h.x, currentY + 7, { width: h.width, align: h.align || "center" });
+    });
+    currentY += rowHeight;
+  });
+  doc.rect(50, tableStartY, 500, currentY - tableStartY).stroke("#e2e8f0");
+
+  // Totals
+  currentY += 12;
+  const totals = [
+    ["Total", invoice.totalAmount],
+    ["Paid", invoice.paidAmount],
+    ["Balance Due", invoiceBalance(invoice)],
+  ];
+  totals.forEach(([label, value], i) => {
+    doc.fontSize(11).font(i === totals.length - 1 ? "Helvetica-Bold" : "Helvetica").fillColor("black");
+    doc.text(label, 330, currentY, { width: 130, align: "right" });
+    doc.text(formatAmount(value), 460, currentY, { width: 85, align: "right" });
+    currentY += lineHeight;
+  });
+
+  // Confirmed payments
+  const confirmed = invoice.payments.filter((p) => p.status === "CONFIRMED");
+  if (confirmed.length > 0) {
+    currentY += 15;
+    if (currentY > 680) {
+      doc.addPage();
+      currentY = 50;
+    }
+    doc.rect(40, currentY, doc.page.width - 80, 25).fill(lightGray);
+    doc.fontSize(14).font("Helvetica-Bold").fillColor(darkGray).text(" PAYMENTS RECEIVED", 50, currentY + 7);
+    currentY += 32;
+    confirmed.forEach((payment) => {
+      if (currentY > 720) {
+        doc.addPage();
+        currentY = 50;
+      }
+      const method = payment.method.replace(/_/g, " ");
+      const reference = payment.reference ? ` (Ref: ${payment.reference})` : "";
+      doc.fontSize(10).font("Helvetica").fillColor("black")
+        .text(`${formatDate(payment.paidAt)} - ${method}${reference}`, 60, currentY, { width: 380 });
+      doc.text(formatAmount(payment.amount), 460, currentY, { width: 85, align: "right" });
+      currentY += lineHeight;
+    });
+  }
+
+  // Footer
+  const footerY = doc.page.height - 60;
+  doc.rect(40, footerY, doc.page.width - 80, 40).fill("#f8fafc").stroke("#e2e8f0");
+  doc.fontSize(8).font("Helvetica").fillColor(secondaryColor);
+  doc.text("TDKA Competition Management System", 50, footerY + 8);
+  doc.text(`Generated on: ${new Date().toLocaleString("en-US", { year: "numeric", month: "long", day: "numeric", hour: "2-digit", minute: "2-digit" })}`, 50, footerY + 20);
+
+  doc.end();
+});
+
+module.exports = {
+  getInvoices,
+  getInvoice,
+  generateInvoices,
+  cancelInvoice,
+  generateInvoicePDF,
+};
@@ -0,0 +1,105 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const { getClubId } = require("../middleware/clubContext");
+const { lifecycleSelect, assertActionAllowed } = require("../services/competitionLifecycleService");
+const {
+  PLAYING_SEVEN,
+  MAX_SUBSTITUTES,
+  checkLineupPlayers,
+  loadLineups,
+  formatLineups,
+} = require("../services/lineupService");
+
+const loadFixture = async (req) => {
+  const competitionId = parseInt(req.params.id);
+  const fixtureId = parseInt(req.params.fixtureId);
+  if (!competitionId || !fixtureId) throw createError(400, "Invalid competition ID or fixture ID");
+
+  const fixture = await prisma.fixture.findFirst({
+    where: { id: fixtureId, competitionId },
+    include: {
+      competition: { select: { id: true, competitionName: true, ...lifecycleSelect } },
+      competitionGroup: { select: { id: true, groupId: true, maxWeightKg: true } },
+      homeClub: { select: { id: true, clubName: true } },
+      awayClub: { select: { id: true, clubName: true } },
+      tossWinnerClub: { select: { id: true, clubName: true } },
+    },
+  });
+  if (!fixture) throw createError(404, "Fixture not found");
+  return fixture;
+};
+
+// Lineups, toss and substitutions of a fixture
+const getLineups = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  res.json(formatLineups(fixture, await loadLineups(fixture.id)));
+});
+
+// A club names its playing seven and substitutes from its squad for the
+// group. Until the match starts the lineup can be submitted again and
+// replaces the previous one.
+const submitLineup = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  const playerIdList = z.array(z.coerce.number().int().positive());
+  const data = await z.object({
+    clubId: z.coerce.number().int().positive().optional(),
+    playing: playerIdList.length(PLAYING_SEVEN, `Name exactly ${PLAYING_SEVEN} players to start`),
+    substitutes: playerIdList.max(MAX_SUBSTITUTES, `At most ${MAX_SUBSTITUTES} substitutes can be named`).default([]),
+  }).parseAsync(req.body);
+
+  const clubId = getClubId(req) || data.clubId;
+  if (!clubId) throw createError(400, "Club is required");
+  if (![fixture.homeClubId, fixture.awayClubId].includes(clubId)) {
+    throw createError(400, "The club is not playing in this match");
+  }
+  assertActionAllowed(fixture.competition, "submitLineup");
+  if (fixture.status !== "SCHEDULED") {
+    throw createError(400, "Lineups can only be submitted before the match starts");
+  }
+
+  const playerIds = [...data.playing, ...data.substitutes];
+  if (new Set(playerIds).size !== playerIds.length) {
+    throw createError(400, "A player can only be named once in a lineup");
+  }
+
+  const { registrations, problems } = await checkLineupPlayers(fixture, clubId, playerIds);
+  if (problems.length > 0) {
+    const players = await prisma.player.findMany({
+      where: { id: { in: problems.map((p) => p.playerId) } },
+      select: { id: true, firstName: true, lastName: true },
+    });
+    const names = new Map(players.map((p) => [p.id, `${p.firstName} ${p.lastName}`]));
+    const details = problems
+      .map((p) => `${names.get(p.playerId) || `Player ${p.playerId}`} (${p.reasons.join("; ")})`)
+      .join(", ");
+    throw createError(400, `The following players cannot be named in the lineup: ${details}`);
+  }
+
+  const starting = new Set(data.playing);
+  await prisma.$transaction(async (tx) => {
+    await tx.fixtureLineup.deleteMany({ where: { fixtureId: fixture.id, clubId } });
+    await tx.fixtureLineup.create({
+      data: {
+        fixtureId: fixture.id,
+        clubId,
+        submittedById: req.user.id,
+        players: {
+          create: playerIds.map((playerId) => ({
+            playerId,
+            registrationId: registrations.get(playerId).id,
+            starting: starting.has(playerId),
+          })),
+        },
+      },
+    });
+  });
+
+  res.json(formatLineups(fixture, await loadLineups(fixture.id)));
+});
+
+module.exports = {
+  getLineups,
+  submitLineup,
+};
@@ -0,0 +1,542 @@
+const prisma = require("../config/db");
+const fs = require("fs");
+const path = require("path");
+const { z } = require("zod");
+const createError = require("http-errors");
+const PDFDocument = require("pdfkit");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const { competitionDay, toDay } = require("../services/officialService");
+const { lifecycleSelect, assertActionAllowed } = require("../services/competitionLifecycleService");
+const {
+  REPORT_STATUSES,
+  MIN_SECTION_RATING,
+  MAX_SECTION_RATING,
+  MAX_PHOTOS,
+  REPORT_SECTIONS,
+  assertObserves,
+  resolveReportDay,
+  assertFilingOpen,
+  assertDraft,
+  missingSections,
+} = require("../services/observerReportService");
+
+const hasUploadErrors = (req) => {
+  if (!req.uploadErrors) return false;
+  return Object.values(req.uploadErrors).some(
+    (v) => Array.isArray(v) ? v.length > 0 : !!v
+  );
+};
+
+const cleanupUpload = async (req) => {
+  if (!req.cleanupUpload) return;
+  try {
+    await req.cleanupUpload(req);
+  } catch (_) {
+    // ignore
+  }
+};
+
+// Photo paths are stored relative to the working directory
+const photoFile = (photo) => {
+  const rel = String(photo.filePath).replace(/\\/g, "/");
+  return path.isAbsolute(rel) ? rel : path.join(process.cwd(), rel);
+};
+
+// Remove the files of photos whose rows are gone; a file already missing is fine
+const removePhotoFiles = async (photos) => {
+  await Promise.all(photos.map(async (photo) => {
+    try {
+      await fs.promises.unlink(photoFile(photo));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`[ObserverReports] Could not remove ${photo.filePath}`, err);
+    }
+  }));
+};
+
+const fixtureSelect = {
+  id: true,
+  matchNumber: true,
+  roundLabel: true,
+  court: true,
+  scheduledAt: true,
+  homeClub: { select: { id: true, clubName: true } },
+  awayClub: { select: { id: true, clubName: true } },
+  competitionGroup: { select: { group: { select: { id: true, groupName: true } } } },
+};
+
+const reportInclude = {
+  observer: { select: { id: true, name: true } },
+  reopenedBy: { select: { id: true, name: true } },
+  fixture: { select: fixtureSelect },
+  photos: { orderBy: { id: "asc" } },
+};
+
+const optionalText = (max, label) =>
+  z
+    .string()
+    .trim()
+    .max(max, `${label} must be at most ${max} characters`)
+    .nullable()
+    .optional()
+    .transform((v) => (v === undefined ? undefined : v || null));
+
+const optionalRating = (label) =>
+  z
+    .preprocess(
+      (v) => (v === "" ? null : v),
+      z.coerce
+        .number({ invalid_type_error: `${label} rating must be a number` })
+        .int(`${label} rating must be a whole number`)
+        .min(MIN_SECTION_RATING, `${label} rating must be between ${MIN_SECTION_RATING} and ${MAX_SECTION_RATING}`)
+        .max(MAX_SECTION_RATING, `${label} rating must be between ${MIN_SECTION_RATING} and ${MAX_SECTION_RATING}`)
+        .nullable()
+    )
+    .optional();
+
+// Sections may be filled in over several saves; submitting checks they are complete
+const sectionsSchema = z.object({
+  ...Object.fromEntries(REPORT_SECTIONS.flatMap((s) => [
+    [s.rating, optionalRating(s.label)],
+    [s.notes, optionalText(5000, `${s.label} notes`)],
+  ])),
+  incidents: optionalText(5000, "Incidents"),
+  remarks: optionalText(5000, "Remarks"),
+});
+
+// What a new report is about: a fixture, or else a competition day
+const targetSchema = z.object({
+  fixtureId: z.coerce.number().int().positive().optional(),
+  reportDate: z.coerce.date({ invalid_type_error: "Invalid report date" }).optional(),
+});
+
+const listFilterSchema = z.object({
+  observerId: z.coerce.number().int().positive().optional(),
+  fixtureId: z.coerce.number().int().positive().optional(),
+  date: z.coerce.date({ invalid_type_error: "Invalid date" }).optional(),
+  type: z.enum(["DAY", "FIXTURE"], { errorMap: () => ({ message: "Type must be DAY or FIXTURE" }) }).optional(),
+  status: z.enum(REPORT_STATUSES, {
+    errorMap: () => ({ message: `Status must be one of ${REPORT_STATUSES.join(", ")}` }),
+  }).optional(),
+});
+
+const loadCompetition = async (req) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true, competitionName: true, ...lifecycleSelect },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  return competition;
+};
+
+const canManage = (user) => aclService.hasPermission(user, "observerreports.manage");
+
+// Observers only ever see their own reports
+const loadReport = async (req, competition) => {
+  const reportId = parseInt(req.params.reportId);
+  if (!reportId) throw createError(400, "Invalid report ID");
+
+  const report = await prisma.observerReport.findFirst({
+    where: {
+      id: reportId,
+      competitionId: competition.id,
+      ...((await canManage(req.user)) ? {} : { observerId: req.user.id }),
+    },
+    include: reportInclude,
+  });
+  if (!report) throw createError(404, "Report not found");
+  return report;
+};
+
+// Only the observer who filed a report changes it
+const loadOwnDraft = async (req, competition) => {
+  const report = await loadReport(req, competition);
+  if (report.observerId !== req.user.id) {
+    throw createError(403, "Only the observer who filed this report can change it");
+  }
+  assertDraft(report);
+  return report;
+};
+
+// Where clause for the list filters, shared by the list and the compiled PDF
+const reportsWhere = async (req, competition, filters) => {
+  const where = { competitionId: competition.id };
+  if (!(await canManage(req.user))) {
+    where.observerId = req.user.id;
+  } else if (filters.observerId) {
+    where.observerId = filters.observerId;
+  }
+  if (filters.fixtureId) where.fixtureId = filters.fixtureId;
+  else if (filters.type === "DAY") where.fixtureId = null;
+  else if (filters.type === "FIXTURE") where.fixtureId = { not: null };
+  if (filters.date) where.reportDate = new Date(toDay(filters.date));
+  if (filters.status) where.status = filters.status;
+  return where;
+};
+
+const getReports = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const filters = await listFilterSchema.parseAsync(req.query);
+
+  const reports = await prisma.observerReport.findMany({
+    where: await reportsWhere(req, competition, filters),
+    include: {
+      observer: { select: { id: true, name: true } },
+      fixture: { select: fixtureSelect },
+      _count: { select: { photos: true } },
+    },
+    orderBy: [{ reportDate: "asc" }, { fixtureId: "asc" }, { id: "asc" }],
+  });
+
+  res.json({ reports });
+});
+
+const getReport = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  res.json(await loadReport(req, competition));
+});
+
+// An observer opens a report on a day they observe, or on a match they are
+// allocated to. One report per observer and day, or per observer and match.
+const createReport = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const target = await targetSchema.parseAsync(req.body);
+  const sections = await sectionsSchema.parseAsync(req.body);
+
+  assertActionAllowed(competition, "fileReport");
+  assertFilingOpen(competition);
+
+  let fixture = null;
+  if (target.fixtureId) {
+    fixture = await prisma.fixture.findFirst({
+      where: { id: target.fixtureId, competitionId: competition.id },
+      select: { id: true, scheduledAt: true, court: true },
+    });
+    if (!fixture) throw createError(404, "Fixture not found");
+  }
+  const reportDate = resolveReportDay(competition, { reportDate: target.reportDate, fixture });
+  await assertObserves(req.user.id, competition, { reportDate, fixture });
+
+  const existing = await prisma.observerReport.findFirst({
+    where: {
+      competitionId: competition.id,
+      observerId: req.user.id,
+      ...(fixture ? { fixtureId: fixture.id } : { fixtureId: null, reportDate: new Date(reportDate) }),
+    },
+    select: { id: true },
+  });
+  if (existing) {
+    throw createError(400, `You have already filed a report for this ${fixture ? "match" : "day"} (report #${existing.id})`);
+  }
+
+  const report = await prisma.observerReport.create({
+    data: {
+      ...sections,
+      competitionId: competition.id,
+      fixtureId: fixture ? fixture.id : null,
+      reportDate: new Date(reportDate),
+      observerId: req.user.id,
+    },
+    include: reportInclude,
+  });
+
+  res.status(201).json(report);
+});
+
+const updateReport = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const report = await loadOwnDraft(req, competition);
+  const data = await sectionsSchema.parseAsync(req.body);
+
+  assertActionAllowed(competition, "fileReport");
+  assertFilingOpen(competition);
+
+  const updated = await prisma.observerReport.update({
+    where: { id: report.id },
+    data,
+    include: reportInclude,
+  });
+
+  res.json(updated);
+});
+
+const deleteReport = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const report = await loadOwnDraft(req, competition);
+  await prisma.observerReport.delete({ where: { id: report.id } });
+  await removePhotoFiles(report.photos);
+  res.json({ message: "Report deleted" });
+});
+
+const addReportPhotos = asyncHandler(async (req, res) => {
+  if (hasUploadErrors(req)) {
+    return res.status(400).json({ errors: req.uploadErrors });
+  }
+
+  try {
+    const competition = await loadCompetition(req);
+    const report = await loadOwnDraft(req, competition);
+    const { caption } = await z.object({ caption: optionalText(191, "Caption") }).parseAsync(req.body);
+
+    const files = req.files?.photos || [];
+    if (files.length === 0) throw createError(400, "Attach at least one photo");
+    if (report.photos.length + files.length > MAX_PHOTOS) {
+      throw createError(400, `A report can have at most ${MAX_PHOTOS} photos (${report.photos.length} attached already)`);
+    }
+
+    await prisma.observerReportPhoto.createMany({
+      data: files.map((f) => ({
+        reportId: report.id,
+        filePath: path.relative(process.cwd(), f.path).replace(/\\/g, "/"),
+        caption: caption ?? null,
+      })),
+    });
+
+    res.status(201).json(await prisma.observerReport.findUnique({ where: { id: report.id }, include: reportInclude }));
+  } catch (err) {
+    await cleanupUpload(req);
+    throw err;
+  }
+});
+
+const deleteReportPhoto = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const report = await loadOwnDraft(req, competition);
+  const photoId = parseInt(req.params.photoId);
+  const photo = report.photos.find((p) => p.id === photoId);
+  if (!photo) throw createError(404, "Photo not found");
+
+  await prisma.observerReportPhoto.delete({ where: { id: photoId } });
+  await removePhotoFiles([photo]);
+  res.json({ message: "Photo removed" });
+});
+
+// Submitting locks the report; every section must be rated first
+const submitReport = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const report = await loadOwnDraft(req, competition);
+
+  const missing = missingSections(report);
+  if (missing.length > 0) {
+    throw createError(400, `Rate every section before submitting: ${missing.join(", ")}`);
+  }
+
+  const updated = await prisma.observerReport.update({
+    where: { id: report.id },
+    data: { status: "SUBMITTED", submittedAt: new Date() },
+    include: reportInclude,
+  });
+
+  res.json({ message: "Report submitted", report: updated });
+});
+
+// Admins send a submitted report back to its observer for corrections
+const reopenReport = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const report = await loadReport(req, competition);
+  const { reason } = await z.object({
+    reason: z.string().trim().min(1, "Reason is required").max(2000, "Reason must be at most 2000 characters"),
+  }).parseAsync(req.body);
+
+  if (report.status !== "SUBMITTED") throw createError(400, "Only submitted reports can be reopened");
+
+  const updated = await prisma.observerReport.update({
+    where: { id: report.id },
+    data: {
+      status: "DRAFT",
+      submittedAt: null,
+      reopenedById: req.user.id,
+      reopenedAt: new Date(),
+      reopenReason: reason,
+    },
+    include: reportInclude,
+  });
+
+  res.json({ message: "Report reopened", report: updated });
+});
+
+const fixtureLabel = (fixture) => {
+  const home = fixture.homeClub?.clubName || 'TBD';
+  const away = fixture.awayClub?.clubName || 'TBD';
+  const group = fixture.competitionGroup?.group?.groupName;
+  return `Match ${fixture.matchNumber}${group ? ` (${group})` : ''}: ${home} vs ${away}`;
+};
+
+// Every report of the competition in one document, submitted ones unless a
+// status filter asks for drafts
+const generateReportsPDF = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const filters = await listFilterSchema.parseAsync(req.query);
+  if (!filters.status) filters.status = "SUBMITTED";
+
+  const reports = await prisma.observerReport.findMany({
+    where: await reportsWhere(req, competition, filters),
+    include: reportInclude,
+    orderBy: [{ reportDate: "asc" }, { fixtureId: "asc" }, { id: "asc" }],
+  });
+  if (reports.length === 0) throw createError(404, "No reports match this selection");
+
+  const doc = new PDFDocument({
+    margin: 40,
+    size: 'A4',
+    info: {
+      Title: `${competition.competitionName} - Observer Reports`,
+      Author: 'TDKA Competition Management System',
+      Subject: 'Observer Reports',
+    },
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${competition.competitionName}_ObserverReports.pdf"`);
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+
+  doc.pipe(res);
+
+  const primaryColor = '#2563eb';
+  const secondaryColor = '#64748b';
+  const lightGray = '#f1f5f9';
+  const darkGray = '#334155';
+  const borderColor = '#e2e8f0';
+  const contentWidth = doc.page.width - 100;
+  const bottom = doc.page.height - 60;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom) doc.addPage();
+  };
+
+  // Header and summary of every report
+  doc.rect(40, 40, doc.page.width - 80, 80).fill(primaryColor);
+  doc.fontSize(22).font('Helvetica-Bold').fillColor('white')
+    .text('OBSERVER REPORTS', 60, 70, { align: 'center' });
+  doc.y = 140;
+  doc.fillColor('black');
+
+  const infoRow = (label, value) => {
+    const rowY = doc.y;
+    doc.fontSize(11).font('Helvetica-Bold').fillColor('black').text(label, 60, rowY);
+    doc.font('Helvetica').text(value, 190, rowY, { width: doc.page.width - 250 });
+    doc.y = Math.max(doc.y, rowY + 18);
+  };
+  infoRow('Competition Name:', competition.competitionName);
+  infoRow('Competition Period:', `${competitionDay(competition.fromDate)} to ${competitionDay(competition.toDate)}`);
+  infoRow('Reports:', String(reports.length));
+  doc.y += 15;
+
+  const headers = [
+    { text: '#', x: 50, width: 25 },
+    { text: 'Date', x: 75, width: 65 },
+    { text: 'Report on', x: 140, width: 190, align: 'left' },
+    { text: 'Observer', x: 330, width: 100, align: 'left' },
+    ...REPORT_SECTIONS.map((s, i) => ({ text: s.short, x: 430 + i * 40, width: 40 })),
+  ];
+  const drawHeader = (y) => {
+    doc.rect(50, y, 500, 24).fill(primaryColor);
+    doc.fontSize(9).font('Helvetica-Bold').fillColor('white');
+    headers.forEach((h) => doc.text(h.text, h.x + 2, y + 8, { width: h.width - 4, align: h.align || 'center' }));
+    return y + 24;
+  };
+  let currentY = drawHeader(doc.y);
+  reports.forEach((report, index) => {
+    if (currentY > bottom - 22) {
+      doc.addPage();
+      currentY = drawHeader(50);
+    }
+    if (index % 2 === 0) doc.rect(50, currentY, 500, 22).fill('#f8fafc');
+    doc.fontSize(8).font('Helvetica').fillColor('black');
+    const values = [
+      index + 1,
+      toDay(report.reportDate),
+      report.fixture ? fixtureLabel(report.fixture) : 'Competition day',
+      report.observer?.name || 'Former observer',
+      ...REPORT_SECTIONS.map((s) => report[s.rating] ?? '-'),
+    ];
+    headers.forEach((h, i) => {
+      doc.text(String(values[i]), h.x + 2, currentY + 7, { width: h.width - 4, height: 10, ellipsis: true, align: h.align || 'center' });
+    });
+    currentY += 22;
+  });
+
+  const drawPhoto = (photo, x, y, w, h) => {
+    doc.rect(x, y, w, h).lineWidth(0.8).stroke(borderColor);
+    const file = photoFile(photo);
+    if (fs.existsSync(file)) {
+      try {
+        doc.image(file, x + 2, y + 2, { fit: [w - 4, h - 4], align: 'center', valign: 'center' });
+      } catch (_) {
+        // unreadable image; keep the empty frame
+      }
+    }
+    if (photo.caption) {
+      doc.font('Helvetica').fontSize(8).fillColor(secondaryColor)
+        .text(photo.caption, x, y + h + 3, { width: w, height: 10, ellipsis: true, align: 'center' });
+    }
+  };
+
+  const textBlock = (label, value) => {
+    ensureSpace(40);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(darkGray).text(label, 50, doc.y, { width: contentWidth });
+    doc.font('Helvetica').fontSize(10).fillColor('black').text(value || 'None', 50, doc.y + 2, { width: contentWidth });
+    doc.y += 10;
+  };
+
+  // One page onwards per report
+  reports.forEach((report) => {
+    doc.addPage();
+    doc.rect(40, 40, doc.page.width - 80, 50).fill(lightGray);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(darkGray)
+      .text(report.fixture ? fixtureLabel(report.fixture) : `Competition day ${toDay(report.reportDate)}`, 50, 50, { width: contentWidth });
+    doc.font('Helvetica').fontSize(9).fillColor(secondaryColor)
+      .text(`${toDay(report.reportDate)} | Observer: ${report.observer?.name || 'Former observer'} | ${report.status === 'SUBMITTED' ? `Submitted ${toDay(report.submittedAt)}` : 'Draft'}`, 50, 72, { width: contentWidth });
+    doc.y = 105;
+
+    REPORT_SECTIONS.forEach((s) => {
+      ensureSpace(50);
+      const rowY = doc.y;
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(primaryColor).text(s.label.toUpperCase(), 50, rowY);
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('black')
+        .text(report[s.rating] ? `${report[s.rating]} / ${MAX_SECTION_RATING}` : 'Not rated', 50, rowY, { width: contentWidth, align: 'right' });
+      doc.font('Helvetica').fontSize(10).fillColor('black').text(report[s.notes] || 'No notes', 50, rowY + 16, { width: contentWidth });
+      doc.y += 12;
+    });
+    textBlock('INCIDENTS', report.incidents);
+    textBlock('REMARKS', report.remarks);
+
+    if (report.photos.length > 0) {
+      const photoW = (contentWidth - 20) / 3;
+      const photoH = photoW * 0.75;
+      ensureSpace(photoH + 40);
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(darkGray).text('PHOTOS', 50, doc.y);
+      let rowY = doc.y + 6;
+      report.photos.forEach((photo, i) => {
+        const col = i % 3;
+        if (col === 0 && i > 0) rowY += photoH + 18;
+        if (col === 0 && rowY + photoH + 14 > bottom) {
+          doc.addPage();
+          rowY = 50;
+        }
+        drawPhoto(photo, 50 + col * (photoW + 10), rowY, photoW, photoH);
+      });
+      doc.y = rowY + photoH + 18;
+    }
+  });
+
+  doc.end();
+});
+
+module.exports = {
+  getReports,
+  getReport,
+  createReport,
+  updateReport,
+  deleteReport,
+  addReportPhotos,
+  deleteReportPhoto,
+  submitReport,
+  reopenReport,
+  generateReportsPDF,
+};
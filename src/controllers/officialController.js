@@ -0,0 +1,261 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const {
+  OFFICIAL_DUTIES,
+  SCORING_DUTIES,
+  toDay,
+  competitionDay,
+  assertCanHoldDuty,
+} = require("../services/officialService");
+const {
+  getOfficialConflicts,
+  proposeAssignments,
+} = require("../services/refereeAllocationService");
+const { assertMeetsGrade } = require("../services/refereeGradeService");
+
+const officialInclude = {
+  user: { select: { id: true, name: true, email: true, role: true } },
+};
+
+const dutySchema = z.enum(OFFICIAL_DUTIES, {
+  errorMap: () => ({ message: `Duty must be one of ${OFFICIAL_DUTIES.join(", ")}` }),
+});
+
+const nullableText = (max, label) =>
+  z
+    .string()
+    .trim()
+    .max(max, `${label} must be at most ${max} characters`)
+    .nullable()
+    .optional()
+    .transform((v) => (v === undefined ? undefined : v || null));
+
+const officialSchema = z.object({
+  userId: z.coerce.number().int().positive("User ID is required"),
+  duty: dutySchema,
+  panel: nullableText(100, "Panel"),
+  // null = every day / every court of the competition
+  matchDate: z
+    .preprocess((v) => (v === "" ? null : v), z.coerce.date({ invalid_type_error: "Invalid match date" }).nullable())
+    .optional(),
+  court: z
+    .preprocess((v) => (v === "" ? null : v), z.coerce.number().int().positive("Court must be a positive number").nullable())
+    .optional(),
+  remarks: nullableText(2000, "Remarks"),
+});
+
+const parseCompetitionId = (req) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+  return competitionId;
+};
+
+const loadCompetition = async (competitionId) => {
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true, competitionName: true, fromDate: true, toDate: true, minRefereeGrade: true },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  return competition;
+};
+
+// Referees, umpires and scorers need the competition's minimum grade
+const assertEligibleOfficial = async (competition, userId, duty) => {
+  await assertCanHoldDuty(userId, duty);
+  if (SCORING_DUTIES.includes(duty)) {
+    await assertMeetsGrade(userId, competition.minRefereeGrade);
+  }
+};
+
+const loadOfficial = async (req) => {
+  const competitionId = parseCompetitionId(req);
+  const officialId = parseInt(req.params.officialId);
+  if (!officialId) throw createError(400, "Invalid official ID");
+
+  const official = await prisma.competitionOfficial.findFirst({
+    where: { id: officialId, competitionId },
+  });
+  if (!official) throw createError(404, "Official not found");
+  return official;
+};
+
+// Match days have to fall within the competition
+const assertMatchDateInCompetition = (competition, matchDate) => {
+  if (!matchDate) return;
+  const day = toDay(matchDate);
+  const from = competitionDay(competition.fromDate);
+  const to = competitionDay(competition.toDate);
+  if (from && day < from) {
+    throw createError(400, "Match date is before the competition starts");
+  }
+  if (to && day > to) {
+    throw createError(400, "Match date is after the competition ends");
+  }
+};
+
+// The same person cannot hold the same duty twice for the same day and court
+const assertNotDuplicate = async (competitionId, data, exceptId) => {
+  const existing = await prisma.competitionOfficial.findFirst({
+    where: {
+      competitionId,
+      userId: data.userId,
+      duty: data.duty,
+      matchDate: data.matchDate || null,
+      court: data.court ?? null,
+      id: exceptId ? { not: exceptId } : undefined,
+    },
+    select: { id: true },
+  });
+  if (existing) throw createError(400, "This official already has this duty for that day and court");
+};
+
+const getOfficials = asyncHandler(async (req, res) => {
+  const competitionId = parseCompetitionId(req);
+  await loadCompetition(competitionId);
+
+  const where = { competitionId };
+  if (req.query.duty) {
+    const duty = String(req.query.duty).toUpperCase();
+    if (!OFFICIAL_DUTIES.includes(duty)) throw createError(400, "Invalid duty");
+    where.duty = duty;
+  }
+  if (req.query.userId) {
+    where.userId = parseInt(req.query.userId);
+    if (!where.userId) throw createError(400, "Invalid user ID");
+  }
+  // Officials working on a given day, including those assigned for every day
+  if (req.query.date) {
+    const date = new Date(String(req.query.date));
+    if (Number.isNaN(date.getTime())) throw createError(400, "Invalid date");
+    where.OR = [{ matchDate: null }, { matchDate: new Date(toDay(date)) }];
+  }
+
+  const officials = await prisma.competitionOfficial.findMany({
+    where,
+    include: officialInclude,
+    orderBy: [{ duty: "asc" }, { matchDate: "asc" }, { court: "asc" }, { id: "asc" }],
+  });
+
+  res.json({ officials });
+});
+
+const addOfficial = asyncHandler(async (req, res) => {
+  const competitionId = parseCompetitionId(req);
+  const competition = await loadCompetition(competitionId);
+  const data = await officialSchema.parseAsync(req.body);
+
+  await assertEligibleOfficial(competition, data.userId, data.duty);
+  assertMatchDateInCompetition(competition, data.matchDate);
+  await assertNotDuplicate(competitionId, data);
+
+  const official = await prisma.competitionOfficial.create({
+    data: {
+      competitionId,
+      userId: data.userId,
+      duty: data.duty,
+      panel: data.panel ?? null,
+      matchDate: data.matchDate || null,
+      court: data.court ?? null,
+      remarks: data.remarks ?? null,
+    },
+    include: officialInclude,
+  });
+
+  // Conflicts do not block a manual assignment, but are reported back
+  const warnings = await getOfficialConflicts(competitionId, { officialId: official.id });
+  res.status(201).json({ ...official, warnings });
+});
+
+const updateOfficial = asyncHandler(async (req, res) => {
+  const official = await loadOfficial(req);
+  const competition = await loadCompetition(official.competitionId);
+  const changes = await officialSchema.partial().parseAsync(req.body);
+
+  const merged = {
+    userId: changes.userId ?? official.userId,
+    duty: changes.duty ?? official.duty,
+    matchDate: changes.matchDate === undefined ? official.matchDate : changes.matchDate,
+    court: changes.court === undefined ? official.court : changes.court,
+  };
+
+  if (changes.userId !== undefined || changes.duty !== undefined) {
+    await assertEligibleOfficial(competition, merged.userId, merged.duty);
+  }
+  assertMatchDateInCompetition(competition, merged.matchDate);
+  await assertNotDuplicate(official.competitionId, merged, official.id);
+
+  const updated = await prisma.competitionOfficial.update({
+    where: { id: official.id },
+    data: {
+      ...merged,
+      matchDate: merged.matchDate || null,
+      court: merged.court ?? null,
+      panel: changes.panel,
+      remarks: changes.remarks,
+    },
+    include: officialInclude,
+  });
+
+  const warnings = await getOfficialConflicts(official.competitionId, { officialId: official.id });
+  res.json({ ...updated, warnings });
+});
+
+const removeOfficial = asyncHandler(async (req, res) => {
+  const official = await loadOfficial(req);
+  await prisma.competitionOfficial.delete({ where: { id: official.id } });
+  res.json({ message: "Official removed" });
+});
+
+// Double bookings, own-club matches, duties outside declared availability and
+// officials below the minimum grade
+const getConflicts = asyncHandler(async (req, res) => {
+  const competitionId = parseCompetitionId(req);
+  const conflicts = await getOfficialConflicts(competitionId);
+  res.json({ conflicts });
+});
+
+// Propose (or, with apply: true, create) a fair allocation of officials to
+// every match day and court
+const autoAssign = asyncHandler(async (req, res) => {
+  const competitionId = parseCompetitionId(req);
+  const schema = z.object({
+    duty: z
+      .enum(SCORING_DUTIES, {
+        errorMap: () => ({ message: `Duty must be one of ${SCORING_DUTIES.join(", ")}` }),
+      })
+      .default("REFEREE"),
+    officialsPerCourt: z.coerce.number().int().min(1).max(10).default(1),
+    apply: z.boolean().default(false),
+  });
+  const data = await schema.parseAsync(req.body || {});
+
+  const { proposals, unfilled } = await proposeAssignments(competitionId, {
+    duty: data.duty,
+    perCourt: data.officialsPerCourt,
+  });
+
+  if (data.apply && proposals.length > 0) {
+    await prisma.competitionOfficial.createMany({
+      data: proposals.map((p) => ({
+        competitionId,
+        userId: p.userId,
+        duty: p.duty,
+        matchDate: new Date(p.matchDate),
+        court: p.court,
+      })),
+    });
+  }
+
+  res.status(data.apply ? 201 : 200).json({ applied: data.apply, proposals, unfilled });
+});
+
+module.exports = {
+  getOfficials,
+  addOfficial,
+  updateOfficial,
+  removeOfficial,
+  getConflicts,
+  autoAssign,
+};
@@ -0,0 +1,260 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const { getClubId } = require("../middleware/clubContext");
+const {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  toPaise,
+  fromPaise,
+  invoiceBalance,
+  recalcInvoice,
+} = require("../services/billingService");
+const paymentProviders = require("../services/payments");
+
+const paymentInclude = {
+  invoice: {
+    select: {
+      id: true,
+      invoiceNumber: true,
+      status: true,
+      competition: { select: { id: true, competitionName: true } },
+      club: { select: { id: true, clubName: true } },
+    },
+  },
+  recordedBy: { select: { id: true, name: true } },
+  reconciledBy: { select: { id: true, name: true } },
+};
+
+const optionalRemarks = z
+  .string()
+  .trim()
+  .max(2000, "Remarks must be at most 2000 characters")
+  .optional()
+  .transform((v) => v || null);
+
+// Invoice a payment is made against; clubs can only pay their own
+const loadPayableInvoice = async (req) => {
+  const invoiceId = parseInt(req.params.invoiceId);
+  if (!invoiceId) throw createError(400, "Invalid invoice ID");
+
+  const invoice = await prisma.invoice.findUnique({ where: { id: invoiceId } });
+  const clubId = getClubId(req);
+  if (!invoice || (clubId && invoice.clubId !== clubId)) {
+    throw createError(404, "Invoice not found");
+  }
+  if (invoice.status === "CANCELLED") throw createError(400, "This invoice has been cancelled");
+  if (invoice.status === "PAID") throw createError(400, "This invoice is already paid");
+  return invoice;
+};
+
+const getPayments = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.max(1, parseInt(req.query.limit) || 10);
+  const where = {};
+
+  const clubId = getClubId(req);
+  if (clubId) where.invoice = { clubId };
+
+  if (req.query.status) {
+    const status = String(req.query.status).toUpperCase();
+    if (!PAYMENT_STATUSES.includes(status)) throw createError(400, "Invalid payment status");
+    where.status = status;
+  }
+
+  if (req.query.method) {
+    const method = String(req.query.method).toUpperCase();
+    if (!PAYMENT_METHODS.includes(method)) throw createError(400, "Invalid payment method");
+    where.method = method;
+  }
+
+  if (req.query.invoiceId) {
+    where.invoiceId = parseInt(req.query.invoiceId);
+    if (!where.invoiceId) throw createError(400, "Invalid invoice ID");
+  }
+
+  const [payments, totalPayments] = await Promise.all([
+    prisma.payment.findMany({
+      where,
+      include: paymentInclude,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.payment.count({ where }),
+  ]);
+
+  res.json({
+    payments,
+    page,
+    totalPages: Math.ceil(totalPayments / limit),
+    totalPayments,
+  });
+});
+
+// Cash, UPI or bank transfer received outside the system. Payments recorded by
+// a club wait for an admin to reconcile them; admins record confirmed payments.
+const recordPayment = asyncHandler(async (req, res) => {
+  const invoice = await loadPayableInvoice(req);
+
+  const schema = z
+    .object({
+      amount: z.coerce
+        .number({ invalid_type_error: "Amount must be a number" })
+        .positive("Amount must be greater than 0"),
+      method: z.enum(["CASH", "UPI", "BANK_TRANSFER"], {
+        errorMap: () => ({ message: "Method must be CASH, UPI or BANK_TRANSFER" }),
+      }),
+      reference: z.string().trim().max(191, "Reference must be at most 191 characters").optional(),
+      paidAt: z.coerce.date({ invalid_type_error: "Invalid payment date" }).optional(),
+      remarks: optionalRemarks,
+    })
+    .refine((d) => d.method === "CASH" || d.reference, {
+      message: "Reference is required for UPI and bank transfers",
+      path: ["reference"],
+    });
+  const data = await schema.parseAsync(req.body);
+
+  if (toPaise(data.amount) > toPaise(invoiceBalance(invoice))) {
+    throw createError(400, `Amount exceeds the balance due of Rs. ${invoiceBalance(invoice).toFixed(2)}`);
+  }
+
+  const confirmed = await aclService.hasPermission(req.user, "payments.reconcile");
+  const payment = await prisma.$transaction(async (tx) => {
+    const row = await tx.payment.create({
+      data: {
+        invoiceId: invoice.id,
+        amount: fromPaise(toPaise(data.amount)),
+        method: data.method,
+        reference: data.reference || null,
+        paidAt: data.paidAt || new Date(),
+        remarks: data.remarks,
+        status: confirmed ? "CONFIRMED" : "PENDING",
+        recordedById: req.user.id,
+        reconciledById: confirmed ? req.user.id : null,
+        reconciledAt: confirmed ? new Date() : null,
+      },
+    });
+    if (confirmed) await recalcInvoice(invoice.id, tx);
+    return tx.payment.findUnique({ where: { id: row.id }, include: paymentInclude });
+  });
+
+  res.status(201).json(payment);
+});
+
+// Admin confirms or rejects a pending payment after checking the bank/UPI statement
+const reconcilePayment = asyncHandler(async (req, res) => {
+  const paymentId = parseInt(req.params.paymentId);
+  if (!paymentId) throw createError(400, "Invalid payment ID");
+
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) throw createError(404, "Payment not found");
+  if (payment.status !== "PENDING") throw createError(400, "Only pending payments can be reconciled");
+
+  const schema = z.object({
+    confirmed: z.boolean({ required_error: "confirmed is required" }),
+    remarks: optionalRemarks,
+  });
+  const data = await schema.parseAsync(req.body);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        status: data.confirmed ? "CONFIRMED" : "REJECTED",
+        reconciledById: req.user.id,
+        reconciledAt: new Date(),
+        remarks: data.remarks ?? payment.remarks,
+      },
+    });
+    await recalcInvoice(payment.invoiceId, tx);
+    return tx.payment.findUnique({ where: { id: payment.id }, include: paymentInclude });
+  });
+
+  res.json(updated);
+});
+
+// Start an online payment of the invoice balance with the configured gateway
+const createCheckout = asyncHandler(async (req, res) => {
+  const provider = paymentProviders.getActiveProvider();
+  if (!provider) throw createError(400, "Online payments are not enabled");
+
+  const invoice = await loadPayableInvoice(req);
+  const amount = fromPaise(toPaise(invoiceBalance(invoice)));
+
+  // A double click or retry gets the checkout already waiting for the
+  // gateway, as long as it is for what is still owed
+  const pending = await prisma.payment.findFirst({
+    where: { invoiceId: invoice.id, method: "GATEWAY", provider: provider.name, status: "PENDING" },
+    orderBy: { id: "desc" },
+  });
+  if (pending && pending.checkout && toPaise(pending.amount) === toPaise(amount)) {
+    return res.json({ paymentId: pending.id, amount, checkout: pending.checkout });
+  }
+
+  const { orderId, checkout } = await provider.createOrder({ invoice, amount });
+
+  const payment = await prisma.payment.create({
+    data: {
+      invoiceId: invoice.id,
+      amount,
+      method: "GATEWAY",
+      provider: provider.name,
+      providerOrderId: orderId,
+      checkout,
+      recordedById: req.user.id,
+    },
+  });
+
+  res.status(201).json({ paymentId: payment.id, amount, checkout });
+});
+
+// Called by the gateway (no user session); trust comes from the provider's signature check
+const paymentCallback = asyncHandler(async (req, res) => {
+  const provider = paymentProviders.getProvider(req.params.provider);
+  const result = await provider.verifyCallback(req);
+  if (!result) throw createError(400, "Invalid payment callback");
+
+  const payment = await prisma.payment.findUnique({
+    where: { providerOrderId: result.orderId },
+  });
+  if (!payment || payment.provider !== provider.name) throw createError(404, "Payment not found");
+
+  // Gateways retry callbacks; only the first one changes anything
+  if (payment.status !== "PENDING") {
+    return res.json({ received: true, status: payment.status });
+  }
+
+  let status = result.success ? "CONFIRMED" : "REJECTED";
+  let remarks = result.success ? null : "Payment failed at the gateway";
+  if (result.success && toPaise(result.amount) !== toPaise(payment.amount)) {
+    status = "REJECTED";
+    remarks = `Gateway reported Rs. ${Number(result.amount).toFixed(2)} instead of Rs. ${Number(payment.amount).toFixed(2)}`;
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payment.updateMany({
+      where: { id: payment.id, status: "PENDING" },
+      data: {
+        status,
+        remarks,
+        providerPaymentId: result.paymentId,
+        paidAt: new Date(),
+        reconciledAt: new Date(),
+      },
+    });
+    if (count) await recalcInvoice(payment.invoiceId, tx);
+  });
+
+  res.json({ received: true, status });
+});
+
+module.exports = {
+  getPayments,
+  recordPayment,
+  reconcilePayment,
+  createCheckout,
+  paymentCallback,
+};
@@ -0,0 +1,88 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const roles = require("../config/roles");
+
+// Grants the admin role must keep so the matrix can never lock everyone out
+const PROTECTED_ADMIN_PERMISSIONS = ["permissions.read", "permissions.write"];
+
+const buildMatrix = async () => {
+  const permissions = await prisma.permission.findMany({
+    include: { roles: { select: { role: true } } },
+    orderBy: { key: "asc" },
+  });
+
+  return {
+    roles: Object.values(roles),
+    permissions: permissions.map((p) => ({
+      id: p.id,
+      key: p.key,
+      description: p.description,
+      roles: p.roles.map((r) => r.role).sort(),
+    })),
+  };
+};
+
+// Full role/permission matrix
+const getPermissions = asyncHandler(async (req, res) => {
+  res.json(await buildMatrix());
+});
+
+// Replace the set of permissions granted to one role
+const updateRolePermissions = asyncHandler(async (req, res) => {
+  const role = String(req.params.role || "").toLowerCase();
+  if (!Object.values(roles).includes(role)) {
+    throw createError(400, "Invalid role");
+  }
+
+  const schema = z.object({
+    permissions: z.array(z.string().min(1)),
+  });
+  const { permissions: keys } = await schema.parseAsync(req.body);
+  const wanted = [...new Set(keys)];
+
+  if (role === roles.ADMIN) {
+    const missing = PROTECTED_ADMIN_PERMISSIONS.filter((key) => !wanted.includes(key));
+    if (missing.length > 0) {
+      throw createError(400, `The admin role must keep: ${missing.join(", ")}`);
+    }
+  }
+
+  const found = await prisma.permission.findMany({
+    where: { key: { in: wanted } },
+    select: { id: true, key: true },
+  });
+  const unknown = wanted.filter((key) => !found.some((p) => p.key === key));
+  if (unknown.length > 0) {
+    throw createError(400, `Unknown permissions: ${unknown.join(", ")}`);
+  }
+
+  await prisma.$transaction([
+    prisma.rolePermission.deleteMany({
+      where: { role, permissionId: { notIn: found.map((p) => p.id) } },
+    }),
+    ...found.map((p) => prisma.rolePermission.upsert({
+      where: { role_permissionId: { role, permissionId: p.id } },
+      update: {},
+      create: { role, permissionId: p.id },
+    })),
+  ]);
+
+  aclService.clearCache();
+
+  res.json(await buildMatrix());
+});
+
+// Add permissions introduced in code since the last sync
+const syncPermissions = asyncHandler(async (req, res) => {
+  const created = await aclService.syncDefaultPermissions();
+  res.json({ message: `Added ${created} new permissions`, ...(await buildMatrix()) });
+});
+
+module.exports = {
+  getPermissions,
+  updateRolePermissions,
+  syncPermissions,
+};
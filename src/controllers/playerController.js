@@ -6,6 +6,13 @@ const PDFDocument = require("pdfkit");
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const { getPlayerStats: aggregatePlayerStats } = require("../services/playerStatsService");
+const transferService = require("../services/transferService");
+const { generateUniquePlayerIdNumber, getGroupAgeError } = require("../services/playerService");
+const playerImportService = require("../services/playerImportService");
+const disciplinaryService = require("../services/disciplinaryService");
+const aclService = require("../services/aclService");
+const { getClubId } = require("../middleware/clubContext");
 
 let sharp = null;
 try {
@@ -16,22 +23,6 @@ try {
 
 // ... rest of the code remains the same ...
 
-const resolveClubIdFromReqUser = async (req) => {
-  if (!req.user) return null;
-  if (req.user.clubId) return req.user.clubId;
-  if (req.user.role === "CLUB" && req.user.email) {
-    const clubAdminUser = await prisma.user.findFirst({
-      where: {
-        email: req.user.email,
-        role: "clubadmin",
-      },
-      select: { clubId: true },
-    });
-    return clubAdminUser?.clubId || null;
-  }
-  return null;
-};
-
 const getThumbPath = (absPath, size, quality) => {
   if (!absPath) return null;
   const dir = path.dirname(absPath);
@@ -109,24 +100,6 @@ const getUploadedFilePath = (req, fieldName) => {
   return rel.replace(/\\/g, "/");
 };
 
-const generateUniquePlayerIdNumber = async () => {
-  const now = new Date();
-  const yyyy = String(now.getFullYear());
-  const mm = String(now.getMonth() + 1).padStart(2, "0");
-  const dd = String(now.getDate()).padStart(2, "0");
-  const prefix = `PLAYER-${yyyy}${mm}${dd}-`;
-
-  const last = await prisma.player.findFirst({
-    where: { uniqueIdNumber: { startsWith: prefix } },
-    orderBy: { uniqueIdNumber: "desc" },
-    select: { uniqueIdNumber: true },
-  });
-
-  const lastSeq = last?.uniqueIdNumber?.slice(prefix.length);
-  const nextSeq = (parseInt(lastSeq || "0", 10) + 1).toString().padStart(4, "0");
-  return `${prefix}${nextSeq}`;
-};
-
 const isBlankish = (v) => {
   if (v === undefined || v === null) return true;
   const s = String(v).trim();
@@ -205,6 +178,15 @@ const resolveLocalImagePath = (p) => {
 };
 
 // Get all players with pagination and filtering
+// Players are suspended while a disciplinary sanction is in force
+const activeSanctionsCount = () => ({
+  _count: { select: { sanctions: { where: disciplinaryService.activeSanctionWhere() } } },
+});
+const withSuspension = ({ _count, ...player }) => ({
+  ...player,
+  isSuspended: (_count?.sanctions || 0) > 0,
+});
+
 const getPlayers = asyncHandler(async (req, res) => {
   const {
     page = 1,
@@ -226,24 +208,9 @@ const getPlayers = asyncHandler(async (req, res) => {
   // Build where clause
   const where = {};
 
-  // Filter by club based on user role
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      // Club admins can only see players from their club
-      where.clubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      // Direct club login - find the associated club admin user's clubId
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin",
-        },
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        where.clubId = clubAdminUser.clubId;
-      }
-    }
-    // Super admins and other roles can see all players (no clubId filter)
+  // Club admins can only see players from their club; other roles see all
+  if (req.club) {
+    where.clubId = req.club.id;
   }
 
   if (!isBlankish(clubId)) {
@@ -287,7 +254,7 @@ const getPlayers = asyncHandler(async (req, res) => {
   }
 
   if (isSuspended !== undefined) {
-    where.isSuspended = isSuspended === "true";
+    Object.assign(where, disciplinaryService.suspendedPlayerWhere(isSuspended === "true"));
   }
 
   if (aadharVerified !== undefined) {
@@ -298,14 +265,15 @@ const getPlayers = asyncHandler(async (req, res) => {
 
   if (exportData === "true") {
     // Export all players to Excel
-    const players = await prisma.player.findMany({
+    const players = (await prisma.player.findMany({
       where,
       include: {
         groups: true,
         club: true,
+        ...activeSanctionsCount(),
       },
       orderBy,
-    });
+    })).map(withSuspension);
 
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet("Players");
@@ -351,6 +319,7 @@ const getPlayers = asyncHandler(async (req, res) => {
       include: {
         groups: true,
         club: true,
+        ...activeSanctionsCount(),
       },
       orderBy,
       skip,
@@ -362,7 +331,7 @@ const getPlayers = asyncHandler(async (req, res) => {
   const totalPages = Math.ceil(totalPlayers / take);
 
   res.json({
-    players,
+    players: players.map(withSuspension),
     page: parseInt(page),
     totalPages,
     totalPlayers,
@@ -385,20 +354,8 @@ const exportPlayers = asyncHandler(async (req, res) => {
   const where = {};
 
   // Filter by club based on user role
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      where.clubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin",
-        },
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        where.clubId = clubAdminUser.clubId;
-      }
-    }
+  if (req.club) {
+    where.clubId = req.club.id;
   }
 
   if (!isBlankish(clubId)) {
@@ -442,7 +399,7 @@ const exportPlayers = asyncHandler(async (req, res) => {
   }
 
   if (isSuspended !== undefined) {
-    where.isSuspended = isSuspended === "true";
+    Object.assign(where, disciplinaryService.suspendedPlayerWhere(isSuspended === "true"));
   }
 
   if (aadharVerified !== undefined) {
@@ -451,7 +408,7 @@ const exportPlayers = asyncHandler(async (req, res) => {
 
   const orderBy = { [sortBy]: sortOrder };
 
-  const players = await prisma.player.findMany({
+  const players = (await prisma.player.findMany({
     where,
     include: {
       groups: true,
@@ -464,9 +421,10 @@ const exportPlayers = asyncHandler(async (req, res) => {
           },
         },
       },
+      ...activeSanctionsCount(),
     },
     orderBy,
-  });
+  })).map(withSuspension);
 
   const workbook = new ExcelJS.Workbook();
   const worksheet = workbook.addWorksheet("Players");
@@ -538,20 +496,8 @@ const exportPlayersPDF = asyncHandler(async (req, res) => {
 
   const where = {};
 
-  if (req.user) {
-    if (req.user.role === "clubadmin" && req.user.clubId) {
-      where.clubId = req.user.clubId;
-    } else if (req.user.role === "CLUB") {
-      const clubAdminUser = await prisma.user.findFirst({
-        where: {
-          email: req.user.email,
-          role: "clubadmin",
-        },
-      });
-      if (clubAdminUser && clubAdminUser.clubId) {
-        where.clubId = clubAdminUser.clubId;
-      }
-    }
+  if (req.club) {
+    where.clubId = req.club.id;
   }
 
   if (!isBlankish(clubId)) {
@@ -595,7 +541,7 @@ const exportPlayersPDF = asyncHandler(async (req, res) => {
   }
 
   if (isSuspended !== undefined) {
-    where.isSuspended = isSuspended === "true";
+    Object.assign(where, disciplinaryService.suspendedPlayerWhere(isSuspended === "true"));
   }
 
   if (aadharVerified !== undefined) {
@@ -947,21 +893,42 @@ const getPlayerById = asyncHandler(async (req, res) => {
 
   if (!player) throw createError(404, "Player not found");
 
-  if (req.user) {
-    const role = (req.user.role || "").toLowerCase();
-    if (role === "clubadmin" && req.user.clubId) {
-      if (player.clubId !== req.user.clubId) {
-        throw createError(403, "Forbidden");
-      }
-    }
-    if (role === "club" && req.user.clubId) {
-      if (player.clubId !== req.user.clubId) {
-        throw createError(403, "Forbidden");
-      }
-    }
+  if (req.club && player.clubId !== req.club.id) {
+    throw createError(403, "Forbidden");
   }
 
-  res.json(player);
+  const activeSanctions = await disciplinaryService.getActiveSanctions(player.id);
+  res.json({ ...player, isSuspended: activeSanctions.length > 0, activeSanctions });
+});
+
+// Match statistics aggregated from completed fixtures, by season and competition
+const getPlayerStats = asyncHandler(async (req, res) => {
+  const playerId = parseInt(req.params.id);
+  if (!playerId) throw createError(400, "Invalid player ID");
+
+  const player = await prisma.player.findUnique({
+    where: { id: playerId },
+    select: {
+      id: true,
+      uniqueIdNumber: true,
+      firstName: true,
+      middleName: true,
+      lastName: true,
+      position: true,
+      clubId: true,
+      club: { select: { id: true, clubName: true } },
+    },
+  });
+
+  if (!player) throw createError(404, "Player not found");
+
+  if (req.club && player.clubId !== req.club.id) {
+    throw createError(403, "Forbidden");
+  }
+
+  const stats = await aggregatePlayerStats(playerId);
+
+  res.json({ player, ...stats });
 });
 
 const createPlayer = asyncHandler(async (req, res) => {
@@ -971,8 +938,8 @@ const createPlayer = asyncHandler(async (req, res) => {
 
   const body = req.body || {};
   const groupIds = parseGroupIds(body.groupIds);
-  const isAdmin = String(req.user?.role || "").toLowerCase() === "admin";
-  const clubIdFromUser = await resolveClubIdFromReqUser(req);
+  const clubIdFromUser = getClubId(req);
+  const isAdmin = !clubIdFromUser && (await aclService.hasPermission(req.user, "clubs.all"));
 
   const clubId = isAdmin
     ? (body.clubId ? parseInt(body.clubId, 10) : null)
@@ -1003,32 +970,9 @@ const createPlayer = asyncHandler(async (req, res) => {
         where: { id: { in: groupIds } },
       });
 
-      const today = new Date();
-      let age = today.getFullYear() - dateOfBirth.getFullYear();
-      const m = today.getMonth() - dateOfBirth.getMonth();
-      if (m < 0 || (m === 0 && today.getDate() < dateOfBirth.getDate())) {
-        age--;
-      }
-
       for (const group of groups) {
-        if (group.ageType && group.age) {
-          const limit = parseInt(group.age, 10);
-          if (!isNaN(limit)) {
-            if (group.ageType === "UNDER") {
-              // User: "Under 18 means... under 18". Assuming strictly less than or inclusive u-19?? 
-              // Sticking to previous logic: strict inequality < for "UNDER"?
-              // Actually, let's use standard U-18 logic if possible, but strict < 18 matches "Under 18" wording.
-              // Wait, if I say "Under 18", usually 18 is excluded.
-              if (age >= limit) {
-                throw createError(400, `Player age (${age}) is not under ${limit} for group '${group.groupName}'`);
-              }
-            } else if (group.ageType === "ABOVE") {
-              if (age <= limit) {
-                throw createError(400, `Player age (${age}) is not above ${limit} for group '${group.groupName}'`);
-              }
-            }
-          }
-        }
+        const ageError = getGroupAgeError(dateOfBirth, group);
+        if (ageError) throw createError(400, ageError);
       }
     }
 
@@ -1042,7 +986,6 @@ const createPlayer = asyncHandler(async (req, res) => {
         motherName: body.motherName ? String(body.motherName).trim() : null,
         dateOfBirth,
         position: body.position ? String(body.position).trim() : null,
-        chestNumber: body.chestNumber ? String(body.chestNumber).trim() : null,
         address: String(body.address).trim(),
         mobile,
         aadharNumber,
@@ -1059,6 +1002,14 @@ const createPlayer = asyncHandler(async (req, res) => {
       },
     });
 
+    if (player.clubId) {
+      await transferService.recordClubChange(prisma, {
+        playerId: player.id,
+        fromClubId: null,
+        toClubId: player.clubId,
+      });
+    }
+
     res.status(201).json(player);
   } catch (err) {
     if (req.cleanupUpload) {
@@ -1089,10 +1040,9 @@ const updatePlayer = asyncHandler(async (req, res) => {
   });
   if (!existing) throw createError(404, "Player not found");
 
-  const role = String(req.user?.role || "").toLowerCase();
-  const clubIdFromUser = await resolveClubIdFromReqUser(req);
-  const isAdmin = role === "admin";
-  if (!isAdmin && clubIdFromUser && existing.clubId && existing.clubId !== clubIdFromUser) {
+  const clubIdFromUser = getClubId(req);
+  const isAdmin = !clubIdFromUser && (await aclService.hasPermission(req.user, "clubs.all"));
+  if (clubIdFromUser && existing.clubId && existing.clubId !== clubIdFromUser) {
     throw createError(403, "Forbidden");
   }
 
@@ -1107,6 +1057,11 @@ const updatePlayer = asyncHandler(async (req, res) => {
       : existing.clubId ?? null)
     : clubIdFromUser ?? existing.clubId ?? null;
 
+  // Moving a player between clubs goes through the transfer workflow
+  if (existing.clubId && clubId && clubId !== existing.clubId) {
+    throw createError(400, "Player belongs to another club. Use a transfer request to move the player");
+  }
+
   const updateData = {
     firstName: body.firstName !== undefined ? String(body.firstName).trim() : undefined,
     middleName: body.middleName !== undefined ? (String(body.middleName).trim() || null) : undefined,
@@ -1114,7 +1069,6 @@ const updatePlayer = asyncHandler(async (req, res) => {
     motherName: body.motherName !== undefined ? (String(body.motherName).trim() || null) : undefined,
     dateOfBirth: body.dateOfBirth ? new Date(body.dateOfBirth) : undefined,
     position: body.position !== undefined ? (String(body.position).trim() || null) : undefined,
-    chestNumber: body.chestNumber !== undefined ? (String(body.chestNumber).trim() || null) : undefined,
     address: body.address !== undefined ? String(body.address).trim() : undefined,
     mobile: body.mobile !== undefined ? String(body.mobile).trim() : undefined,
     aadharNumber: body.aadharNumber ? String(body.aadharNumber).trim() : undefined,
@@ -1169,28 +1123,9 @@ const updatePlayer = asyncHandler(async (req, res) => {
         where: { id: { in: effectiveGroupIds } },
       });
 
-      const today = new Date();
-      let age = today.getFullYear() - effectiveDob.getFullYear();
-      const m = today.getMonth() - effectiveDob.getMonth();
-      if (m < 0 || (m === 0 && today.getDate() < effectiveDob.getDate())) {
-        age--;
-      }
-
       for (const group of groups) {
-        if (group.ageType && group.age) {
-          const limit = parseInt(group.age, 10);
-          if (!isNaN(limit)) {
-            if (group.ageType === "UNDER") {
-              if (age >= limit) {
-                throw createError(400, `Player age (${age}) is not under ${limit} for group '${group.groupName}'`);
-              }
-            } else if (group.ageType === "ABOVE") {
-              if (age <= limit) {
-                throw createError(400, `Player age (${age}) is not above ${limit} for group '${group.groupName}'`);
-              }
-            }
-          }
-        }
+        const ageError = getGroupAgeError(effectiveDob, group);
+        if (ageError) throw createError(400, ageError);
       }
     }
 
@@ -1205,6 +1140,13 @@ const updatePlayer = asyncHandler(async (req, res) => {
         club: true,
       },
     });
+    if (player.clubId !== existing.clubId) {
+      await transferService.recordClubChange(prisma, {
+        playerId,
+        fromClubId: existing.clubId,
+        toClubId: player.clubId,
+      });
+    }
     res.json(player);
   } catch (err) {
     if (req.cleanupUpload) {
@@ -1221,6 +1163,10 @@ const updatePlayer = asyncHandler(async (req, res) => {
   }
 });
 
+// Kept for the player list's suspend switch. Suspending opens a decided
+// disciplinary case with an open-ended suspension; unsuspending lifts the
+// player's suspensions, which only the association may do. Match bans and
+// fines are handled through the case.
 const toggleSuspension = asyncHandler(async (req, res) => {
   const playerId = parseInt(req.params.id);
   if (!playerId) throw createError(400, "Invalid player ID");
@@ -1232,18 +1178,48 @@ const toggleSuspension = asyncHandler(async (req, res) => {
   });
   if (!existing) throw createError(404, "Player not found");
 
-  const role = String(req.user?.role || "").toLowerCase();
-  const clubIdFromUser = await resolveClubIdFromReqUser(req);
-  if (role !== "admin" && clubIdFromUser && existing.clubId && existing.clubId !== clubIdFromUser) {
+  const clubIdFromUser = getClubId(req);
+  if (clubIdFromUser && existing.clubId && existing.clubId !== clubIdFromUser) {
     throw createError(403, "Forbidden");
   }
 
-  const player = await prisma.player.update({
+  const activeSuspensions = await prisma.playerSanction.findMany({
+    where: { playerId, type: "SUSPENSION", ...disciplinaryService.activeSanctionWhere() },
+    select: { id: true },
+  });
+
+  if (isSuspended && activeSuspensions.length === 0) {
+    const reason = String(req.body?.reason || "").trim() || "Suspended from the player list";
+    await prisma.disciplinaryCase.create({
+      data: {
+        playerId,
+        incidentDate: new Date(),
+        incident: reason,
+        reportedById: req.user.id,
+        status: "DECIDED",
+        hearingOutcome: reason,
+        decidedById: req.user.id,
+        decidedAt: new Date(),
+        sanctions: {
+          create: { playerId, type: "SUSPENSION", startsOn: new Date() },
+        },
+      },
+    });
+  } else if (!isSuspended && activeSuspensions.length > 0) {
+    if (!(await aclService.hasPermission(req.user, "disciplinary.manage"))) {
+      throw createError(403, "Only the association can lift a suspension");
+    }
+    await prisma.playerSanction.updateMany({
+      where: { id: { in: activeSuspensions.map((s) => s.id) } },
+      data: { status: "REVOKED", endedAt: new Date(), remarks: "Lifted from the player list" },
+    });
+  }
+
+  const player = await prisma.player.findUnique({
     where: { id: playerId },
-    data: { isSuspended },
-    include: { groups: true, club: true },
+    include: { groups: true, club: true, ...activeSanctionsCount() },
   });
-  res.json(player);
+  res.json(withSuspension(player));
 });
 
 const toggleAadharVerification = asyncHandler(async (req, res) => {
@@ -1257,9 +1233,8 @@ const toggleAadharVerification = asyncHandler(async (req, res) => {
   });
   if (!existing) throw createError(404, "Player not found");
 
-  const role = String(req.user?.role || "").toLowerCase();
-  const clubIdFromUser = await resolveClubIdFromReqUser(req);
-  if (role !== "admin" && clubIdFromUser && existing.clubId && existing.clubId !== clubIdFromUser) {
+  const clubIdFromUser = getClubId(req);
+  if (clubIdFromUser && existing.clubId && existing.clubId !== clubIdFromUser) {
     throw createError(403, "Forbidden");
   }
 
@@ -1294,9 +1269,8 @@ const getPlayerClub = asyncHandler(async (req, res) => {
 
   if (!player) throw createError(404, "Player not found");
 
-  const role = String(req.user?.role || "").toLowerCase();
-  const clubIdFromUser = await resolveClubIdFromReqUser(req);
-  if (role !== "admin" && clubIdFromUser && player.clubId && player.clubId !== clubIdFromUser) {
+  const clubIdFromUser = getClubId(req);
+  if (clubIdFromUser && player.clubId && player.clubId !== clubIdFromUser) {
     throw createError(403, "Forbidden");
   }
 
@@ -1307,9 +1281,8 @@ const getClubPlayers = asyncHandler(async (req, res) => {
   const clubId = parseInt(req.params.clubId);
   if (!clubId) throw createError(400, "Invalid club ID");
 
-  const role = String(req.user?.role || "").toLowerCase();
-  const clubIdFromUser = await resolveClubIdFromReqUser(req);
-  if (role !== "admin" && clubIdFromUser && clubId !== clubIdFromUser) {
+  const clubIdFromUser = getClubId(req);
+  if (clubIdFromUser && clubId !== clubIdFromUser) {
     throw createError(403, "Forbidden");
   }
 
@@ -1323,9 +1296,6 @@ const getClubPlayers = asyncHandler(async (req, res) => {
 });
 
 const transferPlayer = asyncHandler(async (req, res) => {
-  const role = String(req.user?.role || "").toLowerCase();
-  if (role !== "admin") throw createError(403, "Forbidden");
-
   const playerId = parseInt(req.body?.playerId);
   const clubId = req.body?.clubId !== undefined && req.body?.clubId !== null && String(req.body.clubId).trim() !== ""
     ? parseInt(req.body.clubId, 10)
@@ -1334,35 +1304,225 @@ const transferPlayer = asyncHandler(async (req, res) => {
   if (!playerId) throw createError(400, "Invalid player ID");
   if (clubId !== null && Number.isNaN(clubId)) throw createError(400, "Invalid club ID");
 
-  const player = await prisma.player.update({
+  const existing = await prisma.player.findUnique({
     where: { id: playerId },
-    data: { clubId },
-    include: { groups: true, club: true },
+    select: { id: true, clubId: true },
+  });
+  if (!existing) throw createError(404, "Player not found");
+
+  // Direct move by an admin: kept on record as an approved transfer
+  const player = await prisma.$transaction(async (tx) => {
+    if (clubId !== null && clubId !== existing.clubId) {
+      const now = new Date();
+      const transfer = await tx.playerTransfer.create({
+        data: {
+          playerId,
+          fromClubId: existing.clubId,
+          toClubId: clubId,
+          status: "APPROVED",
+          requestedById: req.user.id,
+          decidedById: req.user.id,
+          decidedAt: now,
+          decisionRemarks: "Direct transfer by admin",
+        },
+      });
+      await transferService.applyTransfer(tx, transfer, now);
+    } else if (clubId === null) {
+      await tx.player.update({ where: { id: playerId }, data: { clubId: null } });
+      await transferService.recordClubChange(tx, { playerId, fromClubId: existing.clubId, toClubId: null });
+    }
+    return tx.player.findUnique({
+      where: { id: playerId },
+      include: { groups: true, club: true },
+    });
   });
 
   res.json(player);
 });
 
 const removePlayerFromClub = asyncHandler(async (req, res) => {
-  const role = String(req.user?.role || "").toLowerCase();
-  if (role !== "admin") throw createError(403, "Forbidden");
-
   const playerId = parseInt(req.params.playerId);
   if (!playerId) throw createError(400, "Invalid player ID");
 
-  const player = await prisma.player.update({
+  const existing = await prisma.player.findUnique({
     where: { id: playerId },
-    data: { clubId: null },
-    include: { groups: true, club: true },
+    select: { id: true, clubId: true },
+  });
+  if (!existing) throw createError(404, "Player not found");
+
+  const player = await prisma.$transaction(async (tx) => {
+    const updated = await tx.player.update({
+      where: { id: playerId },
+      data: { clubId: null },
+      include: { groups: true, club: true },
+    });
+    await transferService.recordClubChange(tx, { playerId, fromClubId: existing.clubId, toClubId: null });
+    return updated;
   });
 
   res.json(player);
 });
 
-const getClubStats = asyncHandler(async (req, res) => {
-  const role = String(req.user?.role || "").toLowerCase();
-  if (role !== "admin") throw createError(403, "Forbidden");
+// Clubs the player has belonged to and their transfers
+const getPlayerHistory = asyncHandler(async (req, res) => {
+  const playerId = parseInt(req.params.id);
+  if (!playerId) throw createError(400, "Invalid player ID");
+
+  const history = await transferService.getPlayerHistory(playerId);
+  if (!history) throw createError(404, "Player not found");
+
+  if (req.club && history.player.club?.id !== req.club.id) {
+    throw createError(403, "Forbidden");
+  }
+
+  res.json(history);
+});
+
+const getImportScope = async (req) => {
+  const clubId = getClubId(req);
+  const isAdmin = !clubId && (await aclService.hasPermission(req.user, "clubs.all"));
+  if (!isAdmin && !clubId) throw createError(403, "Only club admins and admins can import players");
+  return { isAdmin, clubId };
+};
+
+const cleanupAfterImport = async (req) => {
+  if (!req.cleanupUpload) return;
+  try {
+    await req.cleanupUpload(req);
+  } catch (cleanupErr) {
+    console.error("Cleanup after import failed", cleanupErr);
+  }
+};
+
+// Excel template for POST /players/import
+const downloadPlayerImportTemplate = asyncHandler(async (req, res) => {
+  const { isAdmin } = await getImportScope(req);
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet("Players");
+  const columns = playerImportService.IMPORT_COLUMNS.filter((c) => isAdmin || c.key !== "club");
+  worksheet.columns = columns.map((c) => ({
+    header: c.required ? `${c.header}*` : c.header,
+    key: c.key,
+    width: c.width,
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  columns.forEach((c, i) => {
+    if (c.note) worksheet.getRow(1).getCell(i + 1).note = c.note;
+  });
+  // Keep long numbers as typed (Excel would turn Aadhaar numbers into 1.23E+11)
+  worksheet.getColumn("aadharNumber").numFmt = "@";
+  worksheet.getColumn("mobile").numFmt = "@";
+  worksheet.getColumn("dateOfBirth").numFmt = "@";
+
+  const groups = await prisma.group.findMany({ select: { groupName: true }, orderBy: { groupName: "asc" } });
+  const groupSheet = workbook.addWorksheet("Groups");
+  groupSheet.columns = [{ header: "Group Name", key: "groupName", width: 30 }];
+  groups.forEach((g) => groupSheet.addRow(g));
+
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", 'attachment; filename="TDKA_Players_Import_Template.xlsx"');
+
+  await workbook.xlsx.write(res);
+  res.end();
+});
+
+// Bulk create players from Excel. With ?dryRun=true only the validation
+// report is returned; otherwise all rows are created in one transaction, and
+// nothing is created if any row has errors.
+const importPlayers = asyncHandler(async (req, res) => {
+  if (hasUploadErrors(req)) {
+    return res.status(400).json({ errors: req.uploadErrors });
+  }
+
+  try {
+    const scope = await getImportScope(req);
+    const dryRun = String(req.query.dryRun || req.body?.dryRun || "").toLowerCase() === "true";
+
+    const filePath = req.files?.file?.[0]?.path;
+    if (!filePath) {
+      return res.status(400).json({ errors: { file: [{ type: "required", message: "Excel file is required under field 'file'" }] } });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return res.status(400).json({ errors: { file: [{ type: "invalid", message: "No worksheet found in Excel file" }] } });
+    }
+
+    const { headerErrors, rows } = await playerImportService.validatePlayerSheet(worksheet, scope);
+    if (headerErrors.length) {
+      return res.status(400).json({ errors: { file: headerErrors.map((message) => ({ type: "invalid", message })) } });
+    }
+
+    const invalidRows = rows.filter((r) => r.errors.length > 0);
+    const report = {
+      dryRun,
+      summary: {
+        rowsProcessed: rows.length,
+        valid: rows.length - invalidRows.length,
+        invalid: invalidRows.length,
+        created: 0,
+      },
+      rows: rows.map((r) => ({ row: r.row, name: r.name, aadharNumber: r.aadharNumber, errors: r.errors })),
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+    if (rows.length === 0) {
+      throw createError(400, "The file has no player rows");
+    }
+    if (invalidRows.length > 0) {
+      return res.status(400).json({
+        ...report,
+        errors: { message: `${invalidRows.length} row(s) have errors. Nothing was imported` },
+      });
+    }
+
+    const created = await playerImportService.commitPlayerRows(rows);
+    res.status(201).json({
+      ...report,
+      summary: { ...report.summary, created: created.length },
+      players: created,
+    });
+  } finally {
+    await cleanupAfterImport(req);
+  }
+});
 
+// Profile photos from a ZIP, matched to players by Aadhaar number or unique ID
+const importPlayerPhotos = asyncHandler(async (req, res) => {
+  if (hasUploadErrors(req)) {
+    return res.status(400).json({ errors: req.uploadErrors });
+  }
+
+  try {
+    const { clubId } = await getImportScope(req);
+
+    const filePath = req.files?.file?.[0]?.path;
+    if (!filePath) {
+      return res.status(400).json({ errors: { file: [{ type: "required", message: "ZIP file is required under field 'file'" }] } });
+    }
+
+    const result = await playerImportService.importPlayerPhotos(filePath, { clubId });
+
+    res.json({
+      summary: {
+        files: result.files,
+        matched: result.matched.length,
+        unmatched: result.unmatched.length,
+      },
+      matched: result.matched,
+      unmatched: result.unmatched,
+    });
+  } finally {
+    await cleanupAfterImport(req);
+  }
+});
+
+const getClubStats = asyncHandler(async (req, res) => {
   const clubs = await prisma.club.findMany({
     select: {
       id: true,
@@ -1406,9 +1566,8 @@ const verifyAadharOCR = asyncHandler(async (req, res) => {
     });
     if (!player) throw createError(404, "Player not found");
 
-    const role = String(req.user?.role || "").toLowerCase();
-    const clubIdFromUser = await resolveClubIdFromReqUser(req);
-    if (role !== "admin" && clubIdFromUser && player.clubId && player.clubId !== clubIdFromUser) {
+    const clubIdFromUser = getClubId(req);
+    if (clubIdFromUser && player.clubId && player.clubId !== clubIdFromUser) {
       throw createError(403, "Forbidden");
     }
 
@@ -1603,9 +1762,8 @@ const verifyAadharOCR = asyncHandler(async (req, res) => {
     });
     if (!player) throw createError(404, "Player not found");
 
-    const role = String(req.user?.role || "").toLowerCase();
-    const clubIdFromUser = await resolveClubIdFromReqUser(req);
-    if (role !== "admin" && clubIdFromUser && player.clubId && player.clubId !== clubIdFromUser) {
+    const clubIdFromUser = getClubId(req);
+    if (clubIdFromUser && player.clubId && player.clubId !== clubIdFromUser) {
       throw createError(403, "Forbidden");
     }
 
@@ -1697,9 +1855,8 @@ const generatePlayerICardPDF = asyncHandler(async (req, res) => {
   });
   if (!player) throw createError(404, "Player not found");
 
-  const role = String(req.user?.role || "").toLowerCase();
-  const clubIdFromUser = await resolveClubIdFromReqUser(req);
-  if (role !== "admin" && clubIdFromUser && player.clubId && player.clubId !== clubIdFromUser) {
+  const clubIdFromUser = getClubId(req);
+  if (clubIdFromUser && player.clubId && player.clubId !== clubIdFromUser) {
     throw createError(403, "Forbidden");
   }
 
@@ -1749,6 +1906,7 @@ module.exports = {
   exportPlayers,
   exportPlayersPDF,
   getPlayerById,
+  getPlayerStats,
   generatePlayerICardPDF,
   createPlayer,
   updatePlayer,
@@ -1757,7 +1915,11 @@ module.exports = {
   getPlayerClub,
   getClubPlayers,
   transferPlayer,
+  getPlayerHistory,
   removePlayerFromClub,
   getClubStats,
+  downloadPlayerImportTemplate,
+  importPlayers,
+  importPlayerPhotos,
   verifyAadharOCR
 };
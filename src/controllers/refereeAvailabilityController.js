@@ -0,0 +1,83 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+
+// Referee profile addressed by the route; "me" is the signed-in referee.
+// Referees can only manage their own availability.
+const loadReferee = async (req) => {
+  const where = req.params.id === "me"
+    ? { userId: req.user.id }
+    : { id: parseInt(req.params.id) };
+  if (!where.userId && !where.id) throw createError(400, "Invalid referee ID");
+
+  const referee = await prisma.referee.findUnique({
+    where,
+    select: { id: true, userId: true, firstName: true, lastName: true },
+  });
+  if (!referee) throw createError(404, "Referee not found");
+
+  if (referee.userId !== req.user.id && !(await aclService.hasPermission(req.user, "referees.write"))) {
+    throw createError(403, "You can only manage your own availability");
+  }
+  return referee;
+};
+
+const getAvailability = asyncHandler(async (req, res) => {
+  const referee = await loadReferee(req);
+  const availability = await prisma.refereeAvailability.findMany({
+    where: { refereeId: referee.id },
+    orderBy: { fromDate: "asc" },
+  });
+  res.json({ referee, availability });
+});
+
+const addAvailability = asyncHandler(async (req, res) => {
+  const referee = await loadReferee(req);
+  const schema = z
+    .object({
+      fromDate: z.coerce.date({ invalid_type_error: "Invalid from date" }),
+      toDate: z.coerce.date({ invalid_type_error: "Invalid to date" }),
+      remarks: z.string().trim().max(191, "Remarks must be at most 191 characters").optional(),
+    })
+    .refine((d) => d.toDate >= d.fromDate, {
+      message: "To date must be on or after the from date",
+      path: ["toDate"],
+    });
+  const data = await schema.parseAsync(req.body);
+
+  const overlapping = await prisma.refereeAvailability.findFirst({
+    where: { refereeId: referee.id, fromDate: { lte: data.toDate }, toDate: { gte: data.fromDate } },
+    select: { id: true },
+  });
+  if (overlapping) throw createError(400, "This range overlaps availability already declared");
+
+  const availability = await prisma.refereeAvailability.create({
+    data: {
+      refereeId: referee.id,
+      fromDate: data.fromDate,
+      toDate: data.toDate,
+      remarks: data.remarks || null,
+    },
+  });
+  res.status(201).json(availability);
+});
+
+const deleteAvailability = asyncHandler(async (req, res) => {
+  const referee = await loadReferee(req);
+  const availabilityId = parseInt(req.params.availabilityId);
+  if (!availabilityId) throw createError(400, "Invalid availability ID");
+
+  const { count } = await prisma.refereeAvailability.deleteMany({
+    where: { id: availabilityId, refereeId: referee.id },
+  });
+  if (!count) throw createError(404, "Availability not found");
+  res.json({ message: "Availability removed" });
+});
+
+module.exports = {
+  getAvailability,
+  addAvailability,
+  deleteAvailability,
+};
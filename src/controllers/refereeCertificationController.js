@@ -0,0 +1,196 @@
+const prisma = require("../config/db");
+const path = require("path");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const {
+  CERTIFICATION_LEVELS,
+  isCertificationValid,
+  refereeGrade,
+} = require("../services/refereeGradeService");
+
+const hasUploadErrors = (req) => {
+  if (!req.uploadErrors) return false;
+  return Object.values(req.uploadErrors).some(
+    (v) => Array.isArray(v) ? v.length > 0 : !!v
+  );
+};
+
+const getUploadedFilePath = (req, fieldName) => {
+  const f = req.files?.[fieldName]?.[0];
+  if (!f || !f.path) return null;
+  return path.relative(process.cwd(), f.path).replace(/\\/g, "/");
+};
+
+const cleanupUpload = async (req) => {
+  if (!req.cleanupUpload) return;
+  try {
+    await req.cleanupUpload(req);
+  } catch (_) {
+    // ignore
+  }
+};
+
+// Multipart form fields arrive as strings; "" clears an optional value
+const optionalText = (max, label) =>
+  z
+    .string()
+    .trim()
+    .max(max, `${label} must be at most ${max} characters`)
+    .nullable()
+    .optional()
+    .transform((v) => (v === undefined ? undefined : v || null));
+
+const optionalDay = (label) =>
+  z
+    .preprocess((v) => (v === "" ? null : v), z.coerce.date({ invalid_type_error: `Invalid ${label}` }).nullable())
+    .optional();
+
+const certificationSchema = z.object({
+  level: z.enum(CERTIFICATION_LEVELS, {
+    errorMap: () => ({ message: `Level must be one of ${CERTIFICATION_LEVELS.join(", ")}` }),
+  }),
+  examBody: z.string().trim().min(1, "Exam body is required").max(191, "Exam body must be at most 191 characters"),
+  certificateNumber: optionalText(191, "Certificate number"),
+  passYear: z.coerce
+    .number({ invalid_type_error: "Pass year must be a number" })
+    .int("Pass year must be a year")
+    .min(1950, "Pass year is too early")
+    .max(new Date().getFullYear() + 1, "Pass year cannot be in the future"),
+  validFrom: optionalDay("valid from date"),
+  validUntil: optionalDay("valid until date"),
+  remarks: optionalText(2000, "Remarks"),
+});
+
+const assertValidPeriod = (data) => {
+  if (data.validFrom && data.validUntil && data.validUntil < data.validFrom) {
+    throw createError(400, "Valid until must be on or after valid from");
+  }
+};
+
+// Referee profile addressed by the route; "me" is the signed-in referee, who
+// may only look at their own certifications
+const loadReferee = async (req) => {
+  const where = req.params.id === "me"
+    ? { userId: req.user.id }
+    : { id: parseInt(req.params.id) };
+  if (!where.userId && !where.id) throw createError(400, "Invalid referee ID");
+
+  const referee = await prisma.referee.findUnique({
+    where,
+    select: { id: true, userId: true, firstName: true, lastName: true },
+  });
+  if (!referee) throw createError(404, "Referee not found");
+
+  if (referee.userId !== req.user.id && !(await aclService.hasPermission(req.user, "referees.read"))) {
+    throw createError(403, "You can only view your own certifications");
+  }
+  return referee;
+};
+
+const loadCertification = async (req) => {
+  const referee = await loadReferee(req);
+  const certificationId = parseInt(req.params.certificationId);
+  if (!certificationId) throw createError(400, "Invalid certification ID");
+
+  const certification = await prisma.refereeCertification.findFirst({
+    where: { id: certificationId, refereeId: referee.id },
+  });
+  if (!certification) throw createError(404, "Certification not found");
+  return certification;
+};
+
+const withValidity = (certification) => ({
+  ...certification,
+  valid: isCertificationValid(certification),
+});
+
+const getCertifications = asyncHandler(async (req, res) => {
+  const referee = await loadReferee(req);
+  const certifications = await prisma.refereeCertification.findMany({
+    where: { refereeId: referee.id },
+    orderBy: [{ passYear: "desc" }, { id: "desc" }],
+  });
+
+  res.json({
+    referee,
+    grade: refereeGrade(certifications),
+    certifications: certifications.map(withValidity),
+  });
+});
+
+const addCertification = asyncHandler(async (req, res) => {
+  if (hasUploadErrors(req)) {
+    return res.status(400).json({ errors: req.uploadErrors });
+  }
+
+  try {
+    const referee = await loadReferee(req);
+    const data = await certificationSchema.parseAsync(req.body);
+    assertValidPeriod(data);
+
+    const certification = await prisma.refereeCertification.create({
+      data: {
+        refereeId: referee.id,
+        level: data.level,
+        examBody: data.examBody,
+        certificateNumber: data.certificateNumber ?? null,
+        passYear: data.passYear,
+        validFrom: data.validFrom || null,
+        validUntil: data.validUntil || null,
+        remarks: data.remarks ?? null,
+        certificateFile: getUploadedFilePath(req, "certificateFile"),
+      },
+    });
+
+    res.status(201).json(withValidity(certification));
+  } catch (err) {
+    await cleanupUpload(req);
+    throw err;
+  }
+});
+
+const updateCertification = asyncHandler(async (req, res) => {
+  if (hasUploadErrors(req)) {
+    return res.status(400).json({ errors: req.uploadErrors });
+  }
+
+  try {
+    const certification = await loadCertification(req);
+    const changes = await certificationSchema.partial().parseAsync(req.body);
+    assertValidPeriod({
+      validFrom: changes.validFrom === undefined ? certification.validFrom : changes.validFrom,
+      validUntil: changes.validUntil === undefined ? certification.validUntil : changes.validUntil,
+    });
+
+    const data = { ...changes };
+    const certificateFile = getUploadedFilePath(req, "certificateFile");
+    if (certificateFile) data.certificateFile = certificateFile;
+    // A renewed certificate gets a fresh reminder before it expires again
+    if (changes.validUntil !== undefined) data.reminderSentAt = null;
+
+    const updated = await prisma.refereeCertification.update({
+      where: { id: certification.id },
+      data,
+    });
+
+    res.json(withValidity(updated));
+  } catch (err) {
+    await cleanupUpload(req);
+    throw err;
+  }
+});
+
+const deleteCertification = asyncHandler(async (req, res) => {
+  const certification = await loadCertification(req);
+  await prisma.refereeCertification.delete({ where: { id: certification.id } });
+  res.json({ message: "Certification deleted" });
+});
+
+module.exports = {
+  getCertifications,
+  addCertification,
+  updateCertification,
+  deleteCertification,
+};
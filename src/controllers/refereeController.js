@@ -5,6 +5,15 @@ const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
 const createError = require("http-errors");
+const sessionService = require("../services/sessionService");
+const {
+  CERTIFICATION_LEVELS,
+  refereeGrade,
+  gradeAtLeastWhere,
+  legacyPassYears,
+  saveLegacyPassYears,
+  getRefereeScore,
+} = require("../services/refereeGradeService");
 
 // Helper functions (mirrored from playerController)
 const getUploadedFilePath = (req, fieldName) => {
@@ -26,6 +35,28 @@ const normalizeDate = (val) => {
 };
 
 
+// Home club / place ids must point at existing rows
+const homeRefIssues = async (data, ctx) => {
+  if (data.homeClubId) {
+    const club = await prisma.club.findUnique({ where: { id: data.homeClubId }, select: { id: true } });
+    if (!club) ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["homeClubId"], message: "Club not found." });
+  }
+  if (data.homePlaceId) {
+    const place = await prisma.place.findUnique({ where: { id: data.homePlaceId }, select: { id: true } });
+    if (!place) ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["homePlaceId"], message: "Place not found." });
+  }
+};
+
+// Grade and the pass years the referee form still reads, from the certifications
+const withGrade = ({ certifications, ...referee }) => ({
+  ...referee,
+  ...legacyPassYears(certifications),
+  grade: refereeGrade(certifications),
+  certifications,
+});
+
+const certificationsInclude = { orderBy: [{ passYear: "desc" }, { id: "desc" }] };
+
 const ensureRefereeDelegate = (res) => {
   if (!prisma || !prisma.referee) {
     res.status(500).json({
@@ -72,6 +103,17 @@ const getReferees = async (req, res, next) => {
     }
     : {};
 
+  // Only referees eligible for a competition's minimum grade, e.g. ?minGrade=STATE
+  if (req.query.minGrade) {
+    const minGrade = String(req.query.minGrade).toUpperCase();
+    if (!CERTIFICATION_LEVELS.includes(minGrade)) {
+      return res.status(400).json({
+        errors: { message: `Minimum grade must be one of ${CERTIFICATION_LEVELS.join(", ")}` },
+      });
+    }
+    Object.assign(whereClause, gradeAtLeastWhere(minGrade));
+  }
+
   try {
     const referees = await prisma.referee.findMany({
       where: whereClause,
@@ -86,6 +128,7 @@ const getReferees = async (req, res, next) => {
             active: true,
           },
         },
+        certifications: certificationsInclude,
       },
     });
 
@@ -94,7 +137,7 @@ const getReferees = async (req, res, next) => {
     const totalPages = Math.ceil(totalReferees / limit);
 
     res.json({
-      referees,
+      referees: referees.map(withGrade),
       page,
       totalPages,
       totalReferees,
@@ -118,6 +161,10 @@ const getRefereeById = async (req, res, next) => {
             active: true,
           },
         },
+        homeClub: { select: { id: true, clubName: true } },
+        homePlace: { select: { id: true, placeName: true } },
+        availability: { orderBy: { fromDate: "asc" } },
+        certifications: certificationsInclude,
       },
     });
 
@@ -127,7 +174,7 @@ const getRefereeById = async (req, res, next) => {
       });
     }
 
-    res.json(referee);
+    res.json({ ...withGrade(referee), ...(await getRefereeScore(referee.id)) });
   } catch (error) {
     next(error);
   }
@@ -184,7 +231,9 @@ const createReferee = async (req, res, next) => {
     officeContactNumber: z.string().optional(),
     password: z.string().min(6, "Password must be at least 6 characters long."),
     aadharNumber: z.string().length(12, "Aadhar number must be 12 digits").optional().or(z.literal("")),
-  });
+    homeClubId: optionalInt(),
+    homePlaceId: optionalInt(),
+  }).superRefine(homeRefIssues);
 
   let parsed;
   try {
@@ -215,13 +264,12 @@ const createReferee = async (req, res, next) => {
       emailId,
       dateOfBirth,
       bloodGroup,
-      districtParishadPassYear,
-      stateRefreeExamPassYear,
-      allIndiaRefreeExamPassYear,
       officeAddress,
       officePincode,
       officeContactNumber,
       aadharNumber,
+      homeClubId,
+      homePlaceId,
     } = parsed;
 
     const hashedPassword = await bcrypt.hash(password, 10);
@@ -254,23 +302,28 @@ const createReferee = async (req, res, next) => {
           emailId,
           dateOfBirth,
           bloodGroup,
-          districtParishadPassYear,
-          stateRefreeExamPassYear,
-          allIndiaRefreeExamPassYear,
           officeAddress,
           officePincode,
           officeContactNumber,
           aadharNumber: aadharNumber || null,
           aadharImage: aadharImagePath,
-          aadharVerified: false
+          aadharVerified: false,
+          homeClubId: homeClubId || null,
+          homePlaceId: homePlaceId || null,
         },
-        include: { user: { select: { id: true, email: true, active: true } } },
       });
+      await saveLegacyPassYears(referee.id, parsed, tx);
 
-      return referee;
+      return tx.referee.findUnique({
+        where: { id: referee.id },
+        include: {
+          user: { select: { id: true, email: true, active: true } },
+          certifications: certificationsInclude,
+        },
+      });
     });
 
-    res.status(201).json(created);
+    res.status(201).json(withGrade(created));
   } catch (error) {
     next(error);
   }
@@ -312,6 +365,18 @@ const updateReferee = async (req, res, next) => {
         z.date().optional()
       );
 
+    // Empty leaves the value unchanged, "null" clears it
+    const optionalRef = () =>
+      z.preprocess(
+        (val) => {
+          if (val === "" || val === undefined) return undefined;
+          if (val === null || val === "null") return null;
+          const num = Number(val);
+          return Number.isNaN(num) ? undefined : num;
+        },
+        z.number().int().nullable().optional()
+      );
+
     const passwordSchema = z.preprocess(
       (val) => (val === "" || val === null || val === undefined ? undefined : val),
       z.string().min(6, "Password must be at least 6 characters long.").optional()
@@ -339,13 +404,15 @@ const updateReferee = async (req, res, next) => {
         officeContactNumber: z.string().optional(),
         password: passwordSchema,
         aadharNumber: z.string().length(12, "Aadhar number must be 12 digits").optional().or(z.literal("")),
-        aadharVerified: z.preprocess((val) => val === 'true' || val === true, z.boolean().optional())
+        aadharVerified: z.preprocess((val) => val === 'true' || val === true, z.boolean().optional()),
+        homeClubId: optionalRef(),
+        homePlaceId: optionalRef(),
       })
       .refine(
         (data) =>
           Object.keys(data).some(
             (k) => data[k] !== undefined && data[k] !== null && data[k] !== ""
-          ),
+          ) || data.homeClubId === null || data.homePlaceId === null,
         { message: "At least one field must be provided" }
       )
       .superRefine(async (data, ctx) => {
@@ -372,6 +439,7 @@ const updateReferee = async (req, res, next) => {
             });
           }
         }
+        await homeRefIssues(data, ctx);
       });
 
     let parsed;
@@ -421,14 +489,13 @@ const updateReferee = async (req, res, next) => {
         "emailId",
         "dateOfBirth",
         "bloodGroup",
-        "districtParishadPassYear",
-        "stateRefreeExamPassYear",
-        "allIndiaRefreeExamPassYear",
         "officeAddress",
         "officePincode",
         "officeContactNumber",
         "aadharNumber",
         "aadharVerified",
+        "homeClubId",
+        "homePlaceId",
       ].forEach((key) => {
         if (parsed[key] !== undefined) refereeUpdateData[key] = parsed[key];
       });
@@ -442,16 +509,22 @@ const updateReferee = async (req, res, next) => {
         refereeUpdateData.aadharImage = aadharImagePath;
       }
 
-      const referee = await tx.referee.update({
+      await tx.referee.update({
         where: { id: refereeId },
         data: refereeUpdateData,
-        include: { user: { select: { id: true, email: true, active: true } } },
       });
+      await saveLegacyPassYears(refereeId, parsed, tx);
 
-      return referee;
+      return tx.referee.findUnique({
+        where: { id: refereeId },
+        include: {
+          user: { select: { id: true, email: true, active: true } },
+          certifications: certificationsInclude,
+        },
+      });
     });
 
-    res.json(updated);
+    res.json(withGrade(updated));
   } catch (error) {
     if (error.code === "P2025") {
       return res.status(404).json({
@@ -478,9 +551,12 @@ const deleteReferee = async (req, res, next) => {
       });
     }
 
-    await prisma.user.delete({ where: { id: referee.userId } });
+    // Pool referees are never hard-deleted: the profile carries their
+    // certifications and ratings, so the account is only switched off
+    await prisma.user.update({ where: { id: referee.userId }, data: { active: false } });
+    await sessionService.revokeUserSessions(referee.userId, "USER_DEACTIVATED");
 
-    res.json({ message: "Referee deleted successfully." });
+    res.json({ message: "Referee deactivated successfully." });
   } catch (error) {
     next(error);
   }
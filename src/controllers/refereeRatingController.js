@@ -0,0 +1,149 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const { SCORING_DUTIES, dutyCoversFixture } = require("../services/officialService");
+const {
+  MIN_RATING,
+  MAX_RATING,
+  getRefereeScore,
+} = require("../services/refereeGradeService");
+
+const ratingInclude = {
+  referee: { select: { id: true, firstName: true, lastName: true } },
+  ratedBy: { select: { id: true, name: true } },
+};
+
+const loadFixture = async (req) => {
+  const competitionId = parseInt(req.params.id);
+  const fixtureId = parseInt(req.params.fixtureId);
+  if (!competitionId || !fixtureId) throw createError(400, "Invalid competition ID or fixture ID");
+
+  const fixture = await prisma.fixture.findFirst({
+    where: { id: fixtureId, competitionId },
+    select: { id: true, competitionId: true, status: true, court: true, scheduledAt: true },
+  });
+  if (!fixture) throw createError(404, "Fixture not found");
+  return fixture;
+};
+
+// Whether the user holds one of the duties for the fixture's day and court
+const holdsDutyFor = async (userId, fixture, duties) => {
+  const assigned = await prisma.competitionOfficial.findMany({
+    where: { userId, competitionId: fixture.competitionId, duty: { in: duties } },
+    select: { matchDate: true, court: true },
+  });
+  return assigned.some((d) => dutyCoversFixture(d, fixture));
+};
+
+// Admins see every rating of the match, observers only their own
+const getFixtureRatings = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  const seesAll = await aclService.hasPermission(req.user, "fixtures.manage");
+
+  const ratings = await prisma.refereeRating.findMany({
+    where: { fixtureId: fixture.id, ratedById: seesAll ? undefined : req.user.id },
+    include: ratingInclude,
+    orderBy: { id: "asc" },
+  });
+
+  res.json({ ratings });
+});
+
+// An observer allocated to the match rates a referee, umpire or scorer who
+// officiated it. Rating the same official again replaces the earlier rating.
+const rateReferee = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  if (!["LIVE", "COMPLETED"].includes(fixture.status)) {
+    throw createError(400, "Officials can only be rated once the match has started");
+  }
+
+  const isObserver = await holdsDutyFor(req.user.id, fixture, ["OBSERVER"]);
+  if (!isObserver && !(await aclService.hasPermission(req.user, "fixtures.manage"))) {
+    throw createError(403, "Only observers allocated to this match can rate its officials");
+  }
+
+  const schema = z.object({
+    refereeId: z.coerce.number().int().positive("Referee ID is required"),
+    score: z.coerce
+      .number({ invalid_type_error: "Score must be a number" })
+      .int("Score must be a whole number")
+      .min(MIN_RATING, `Score must be between ${MIN_RATING} and ${MAX_RATING}`)
+      .max(MAX_RATING, `Score must be between ${MIN_RATING} and ${MAX_RATING}`),
+    remarks: z.string().trim().max(2000, "Remarks must be at most 2000 characters").optional(),
+  });
+  const data = await schema.parseAsync(req.body);
+
+  const referee = await prisma.referee.findUnique({
+    where: { id: data.refereeId },
+    select: { id: true, userId: true },
+  });
+  if (!referee) throw createError(404, "Referee not found");
+  if (!(await holdsDutyFor(referee.userId, fixture, SCORING_DUTIES))) {
+    throw createError(400, "This referee did not officiate the match");
+  }
+
+  const key = { fixtureId: fixture.id, refereeId: referee.id, ratedById: req.user.id };
+  const existing = await prisma.refereeRating.findUnique({
+    where: { fixtureId_refereeId_ratedById: key },
+    select: { id: true },
+  });
+
+  const rating = existing
+    ? await prisma.refereeRating.update({
+      where: { id: existing.id },
+      data: { score: data.score, remarks: data.remarks || null },
+      include: ratingInclude,
+    })
+    : await prisma.refereeRating.create({
+      data: { ...key, score: data.score, remarks: data.remarks || null },
+      include: ratingInclude,
+    });
+
+  res.status(existing ? 200 : 201).json(rating);
+});
+
+// Match ratings of a referee and the score they roll up into; "me" is the
+// signed-in referee
+const getRefereeRatings = asyncHandler(async (req, res) => {
+  const where = req.params.id === "me"
+    ? { userId: req.user.id }
+    : { id: parseInt(req.params.id) };
+  if (!where.userId && !where.id) throw createError(400, "Invalid referee ID");
+
+  const referee = await prisma.referee.findUnique({
+    where,
+    select: { id: true, userId: true, firstName: true, lastName: true },
+  });
+  if (!referee) throw createError(404, "Referee not found");
+  if (referee.userId !== req.user.id && !(await aclService.hasPermission(req.user, "referees.read"))) {
+    throw createError(403, "You can only view your own ratings");
+  }
+
+  const ratings = await prisma.refereeRating.findMany({
+    where: { refereeId: referee.id },
+    include: {
+      ratedBy: { select: { id: true, name: true } },
+      fixture: {
+        select: {
+          id: true,
+          matchNumber: true,
+          scheduledAt: true,
+          competition: { select: { id: true, competitionName: true } },
+          homeClub: { select: { id: true, clubName: true } },
+          awayClub: { select: { id: true, clubName: true } },
+        },
+      },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  res.json({ referee, ...(await getRefereeScore(referee.id)), ratings });
+});
+
+module.exports = {
+  getFixtureRatings,
+  rateReferee,
+  getRefereeRatings,
+};
@@ -0,0 +1,325 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const { getClubId } = require("../middleware/clubContext");
+const {
+  REGISTRATION_STATUSES,
+  ACTIVE_REGISTRATION_STATUSES,
+  STATUS_LABELS,
+  transitionRegistrations,
+  assertEntriesOpen,
+  getEntryWindow,
+  activeExceptionWhere,
+} = require("../services/registrationService");
+const { lifecycleSelect, assertActionAllowed } = require("../services/competitionLifecycleService");
+const { assertChestNumberFree } = require("../services/chestNumberService");
+
+const userSelect = { select: { id: true, name: true } };
+
+const registrationInclude = {
+  player: { select: { id: true, uniqueIdNumber: true, firstName: true, lastName: true } },
+  club: { select: { id: true, clubName: true } },
+  group: { select: { id: true, groupName: true } },
+};
+
+const commentText = z.string().trim().max(2000, "Comment must be at most 2000 characters");
+
+const loadCompetition = async (req) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: {
+      id: true,
+      competitionName: true,
+      chestNumberFrom: true,
+      chestNumberTo: true,
+      ...lifecycleSelect,
+      clubs: { select: { id: true } },
+    },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  return competition;
+};
+
+// Clubs only ever see their own registrations
+const loadRegistration = async (req, competition) => {
+  const registrationId = parseInt(req.params.registrationId);
+  if (!registrationId) throw createError(400, "Invalid registration ID");
+
+  const clubId = getClubId(req);
+  const registration = await prisma.competitionRegistration.findFirst({
+    where: { id: registrationId, competitionId: competition.id, ...(clubId ? { clubId } : {}) },
+    include: registrationInclude,
+  });
+  if (!registration) throw createError(404, "Registration not found");
+  return registration;
+};
+
+const getRegistrations = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.max(1, parseInt(req.query.limit) || 50);
+
+  const where = { competitionId: competition.id };
+  const clubId = getClubId(req);
+  if (clubId) {
+    where.clubId = clubId;
+  } else if (req.query.clubId) {
+    where.clubId = parseInt(req.query.clubId);
+    if (!where.clubId) throw createError(400, "Invalid club ID");
+  }
+  if (req.query.groupId) {
+    where.groupId = parseInt(req.query.groupId);
+    if (!where.groupId) throw createError(400, "Invalid group ID");
+  }
+  if (req.query.status) {
+    if (!REGISTRATION_STATUSES.includes(req.query.status)) throw createError(400, "Invalid registration status");
+    where.status = req.query.status;
+  }
+
+  const [registrations, totalRegistrations, byStatus] = await Promise.all([
+    prisma.competitionRegistration.findMany({
+      where,
+      include: registrationInclude,
+      orderBy: [{ club: { clubName: "asc" } }, { groupId: "asc" }, { player: { firstName: "asc" } }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.competitionRegistration.count({ where }),
+    prisma.competitionRegistration.groupBy({
+      by: ["status"],
+      where: { ...where, status: undefined },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const entryWindow = clubId ? await getEntryWindow(competition, clubId) : null;
+
+  res.json({
+    registrations,
+    page,
+    totalPages: Math.ceil(totalRegistrations / limit),
+    totalRegistrations,
+    statusCounts: Object.fromEntries(byStatus.map((s) => [s.status, s._count._all])),
+    entryWindow,
+  });
+});
+
+const getRegistrationHistory = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const registration = await loadRegistration(req, competition);
+
+  const history = await prisma.registrationStatusChange.findMany({
+    where: { registrationId: registration.id },
+    include: { changedBy: userSelect },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+
+  res.json({ registration, history });
+});
+
+// Reviewers may make any allowed move; clubs may only withdraw their own
+// players, and only while entries are open or under a late-entry exception
+const changeRegistrationStatus = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const registration = await loadRegistration(req, competition);
+
+  // Players are only replaced through a replacement request
+  const statuses = REGISTRATION_STATUSES.filter((s) => s !== "replaced");
+  const schema = z.object({
+    status: z.enum(statuses, {
+      errorMap: () => ({ message: `Status must be one of ${statuses.join(", ")}` }),
+    }),
+    comment: commentText.optional(),
+  });
+  const data = await schema.parseAsync(req.body);
+
+  let lateEntryException = null;
+  if (!(await aclService.hasPermission(req.user, "registrations.review"))) {
+    if (data.status !== "withdrawn") {
+      throw createError(403, "Clubs can only withdraw their registrations");
+    }
+    lateEntryException = await assertEntriesOpen(competition, registration.clubId);
+  } else {
+    assertActionAllowed(competition, "reviewSquad");
+  }
+
+  await prisma.$transaction((tx) =>
+    transitionRegistrations(tx, [registration], data.status, {
+      changedById: req.user.id,
+      comment: data.comment,
+      lateEntryExceptionId: lateEntryException?.id,
+    })
+  );
+
+  res.json({
+    message: `${registration.player.firstName} ${registration.player.lastName} is now ${STATUS_LABELS[data.status]}`,
+    registration: await prisma.competitionRegistration.findUnique({
+      where: { id: registration.id },
+      include: registrationInclude,
+    }),
+  });
+});
+
+// Clubs renumber their own players until entries close; the number must be
+// in the competition's range and free in the squad
+const updateChestNumber = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const registration = await loadRegistration(req, competition);
+  const { chestNumber } = await z.object({
+    chestNumber: z.coerce
+      .number({ invalid_type_error: "Chest number must be a number" })
+      .int("Chest number must be a whole number"),
+  }).parseAsync(req.body);
+
+  assertActionAllowed(competition, "changeChestNumbers");
+  if (!ACTIVE_REGISTRATION_STATUSES.includes(registration.status) || !registration.groupId) {
+    throw createError(400, "Only players in the squad have a chest number");
+  }
+  await assertChestNumberFree(competition, registration, chestNumber);
+
+  const updated = await prisma.competitionRegistration.update({
+    where: { id: registration.id },
+    data: { chestNumber },
+    include: registrationInclude,
+  });
+
+  res.json({
+    message: `${registration.player.firstName} ${registration.player.lastName} now has chest number ${chestNumber}`,
+    registration: updated,
+  });
+});
+
+// Review a club's squad in one go. Without registrationIds every registration
+// of the squad still awaiting a decision is reviewed.
+const reviewSquad = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+
+  const schema = z.object({
+    clubId: z.coerce.number().int().positive(),
+    groupId: z.coerce.number().int().positive().optional(),
+    status: z.enum(["under_review", "approved", "rejected"], {
+      errorMap: () => ({ message: "Status must be one of under_review, approved, rejected" }),
+    }),
+    registrationIds: z.array(z.coerce.number().int().positive()).min(1).optional(),
+    comment: commentText.optional(),
+  });
+  const data = await schema.parseAsync(req.body);
+  assertActionAllowed(competition, "reviewSquad");
+
+  if (!competition.clubs.some((c) => c.id === data.clubId)) {
+    throw createError(400, "The club is not part of this competition");
+  }
+
+  const registrations = await prisma.competitionRegistration.findMany({
+    where: {
+      competitionId: competition.id,
+      clubId: data.clubId,
+      ...(data.groupId ? { groupId: data.groupId } : {}),
+      ...(data.registrationIds
+        ? { id: { in: data.registrationIds } }
+        : { status: { in: ["submitted", "under_review"] } }),
+    },
+    select: { id: true, status: true },
+  });
+  if (data.registrationIds && registrations.length !== data.registrationIds.length) {
+    throw createError(400, "Some registrations are not part of this squad");
+  }
+  if (registrations.length === 0) {
+    throw createError(400, "No registrations of this squad are awaiting review");
+  }
+
+  const count = await prisma.$transaction((tx) =>
+    transitionRegistrations(tx, registrations, data.status, {
+      changedById: req.user.id,
+      comment: data.comment,
+    })
+  );
+
+  res.json({
+    message: `${count} registration(s) marked ${STATUS_LABELS[data.status]}`,
+    count,
+  });
+});
+
+const getLateEntryExceptions = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const clubId = getClubId(req);
+
+  const exceptions = await prisma.lateEntryException.findMany({
+    where: { competitionId: competition.id, ...(clubId ? { clubId } : {}) },
+    include: { club: { select: { id: true, clubName: true } }, grantedBy: userSelect },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const now = new Date();
+  res.json({
+    exceptions: exceptions.map((e) => ({ ...e, active: !e.revokedAt && e.expiresAt >= now })),
+  });
+});
+
+// Let a club change its squad after the last entry date, until expiresAt
+const grantLateEntryException = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+
+  const schema = z.object({
+    clubId: z.coerce.number().int().positive(),
+    expiresAt: z.coerce.date({ invalid_type_error: "Invalid expiry date" }),
+    reason: z.string().trim().min(1, "Reason is required").max(2000),
+  });
+  const data = await schema.parseAsync(req.body);
+  assertActionAllowed(competition, "changeSquad");
+
+  if (!competition.clubs.some((c) => c.id === data.clubId)) {
+    throw createError(400, "The club is not part of this competition");
+  }
+  if (data.expiresAt <= new Date()) {
+    throw createError(400, "Expiry must be in the future");
+  }
+
+  const exception = await prisma.lateEntryException.create({
+    data: {
+      competitionId: competition.id,
+      clubId: data.clubId,
+      expiresAt: data.expiresAt,
+      reason: data.reason,
+      grantedById: req.user.id,
+    },
+    include: { club: { select: { id: true, clubName: true } }, grantedBy: userSelect },
+  });
+
+  res.status(201).json(exception);
+});
+
+const revokeLateEntryException = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const exceptionId = parseInt(req.params.exceptionId);
+  if (!exceptionId) throw createError(400, "Invalid exception ID");
+
+  const exception = await prisma.lateEntryException.findFirst({
+    where: { id: exceptionId, competitionId: competition.id, ...activeExceptionWhere() },
+  });
+  if (!exception) throw createError(404, "No active late-entry exception with this ID");
+
+  await prisma.lateEntryException.update({
+    where: { id: exception.id },
+    data: { revokedAt: new Date() },
+  });
+
+  res.json({ message: "Late-entry exception revoked" });
+});
+
+module.exports = {
+  getRegistrations,
+  getRegistrationHistory,
+  changeRegistrationStatus,
+  updateChestNumber,
+  reviewSquad,
+  getLateEntryExceptions,
+  grantLateEntryException,
+  revokeLateEntryException,
+};
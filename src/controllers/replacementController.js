@@ -0,0 +1,208 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const { getClubId } = require("../middleware/clubContext");
+const { ACTIVE_REGISTRATION_STATUSES } = require("../services/registrationService");
+const { lifecycleSelect, assertActionAllowed } = require("../services/competitionLifecycleService");
+const {
+  REPLACEMENT_STATUSES,
+  countReplacements,
+  assertReplacementLeft,
+  checkIncomingPlayer,
+  approveReplacement,
+} = require("../services/replacementService");
+
+const userSelect = { select: { id: true, name: true } };
+const playerSelect = { select: { id: true, uniqueIdNumber: true, firstName: true, lastName: true } };
+
+const requestInclude = {
+  club: { select: { id: true, clubName: true } },
+  outgoingRegistration: {
+    include: { player: playerSelect, group: { select: { id: true, groupName: true } } },
+  },
+  incomingPlayer: playerSelect,
+  incomingRegistration: { select: { id: true, status: true } },
+  requestedBy: userSelect,
+  reviewedBy: userSelect,
+};
+
+const commentText = z.string().trim().max(2000, "Comment must be at most 2000 characters");
+
+const loadCompetition = async (req) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true, competitionName: true, maxReplacements: true, ...lifecycleSelect },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  return competition;
+};
+
+// Clubs only ever see their own requests
+const loadRequest = async (req, competition) => {
+  const requestId = parseInt(req.params.requestId);
+  if (!requestId) throw createError(400, "Invalid replacement request ID");
+
+  const clubId = getClubId(req);
+  const request = await prisma.replacementRequest.findFirst({
+    where: { id: requestId, competitionId: competition.id, ...(clubId ? { clubId } : {}) },
+    include: requestInclude,
+  });
+  if (!request) throw createError(404, "Replacement request not found");
+  return request;
+};
+
+const assertPending = (request) => {
+  if (request.status !== "PENDING") {
+    throw createError(400, `This replacement request is already ${request.status.toLowerCase()}`);
+  }
+};
+
+const getReplacements = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+
+  const where = { competitionId: competition.id };
+  const clubId = getClubId(req);
+  if (clubId) {
+    where.clubId = clubId;
+  } else if (req.query.clubId) {
+    where.clubId = parseInt(req.query.clubId);
+    if (!where.clubId) throw createError(400, "Invalid club ID");
+  }
+  if (req.query.status) {
+    if (!REPLACEMENT_STATUSES.includes(req.query.status)) throw createError(400, "Invalid replacement status");
+    where.status = req.query.status;
+  }
+
+  const requests = await prisma.replacementRequest.findMany({
+    where,
+    include: requestInclude,
+    orderBy: { createdAt: "desc" },
+  });
+
+  res.json({
+    requests,
+    maxReplacements: competition.maxReplacements,
+    used: clubId ? await countReplacements(competition.id, clubId) : null,
+  });
+});
+
+// A club asks to swap one of its registered players for another, e.g. after
+// an injury. The incoming player must meet the group's rules already now.
+const requestReplacement = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const clubId = getClubId(req);
+  if (!clubId) throw createError(403, "Only clubs can request replacements");
+
+  const schema = z.object({
+    registrationId: z.coerce.number().int().positive(),
+    incomingPlayerId: z.coerce.number().int().positive(),
+    reason: z.string().trim().min(1, "Reason is required").max(2000),
+  });
+  const data = await schema.parseAsync(req.body);
+
+  assertActionAllowed(competition, "replacePlayer");
+
+  const outgoing = await prisma.competitionRegistration.findFirst({
+    where: { id: data.registrationId, competitionId: competition.id, clubId },
+  });
+  if (!outgoing) throw createError(404, "Registration not found");
+  if (!ACTIVE_REGISTRATION_STATUSES.includes(outgoing.status) || !outgoing.groupId) {
+    throw createError(400, "Only players still in the squad can be replaced");
+  }
+
+  const pending = await prisma.replacementRequest.findFirst({
+    where: { outgoingRegistrationId: outgoing.id, status: "PENDING" },
+    select: { id: true },
+  });
+  if (pending) throw createError(400, "A replacement for this player is already awaiting approval");
+
+  await assertReplacementLeft(competition, clubId, { includePending: true });
+  const { player } = await checkIncomingPlayer(outgoing, data.incomingPlayerId);
+
+  const request = await prisma.replacementRequest.create({
+    data: {
+      competitionId: competition.id,
+      clubId,
+      outgoingRegistrationId: outgoing.id,
+      incomingPlayerId: player.id,
+      reason: data.reason,
+      requestedById: req.user.id,
+    },
+    include: requestInclude,
+  });
+
+  res.status(201).json(request);
+});
+
+const approveReplacementRequest = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const request = await loadRequest(req, competition);
+  const { comment } = await z.object({ comment: commentText.optional() }).parseAsync(req.body);
+
+  assertPending(request);
+  assertActionAllowed(competition, "replacePlayer");
+
+  await prisma.$transaction(async (tx) => {
+    await assertReplacementLeft(competition, request.clubId, {}, tx);
+    await approveReplacement(tx, request, {
+      reviewedById: req.user.id,
+      comment,
+      registeredBy: req.user.email,
+    });
+  });
+
+  res.json({
+    message: `${request.incomingPlayer.firstName} ${request.incomingPlayer.lastName} replaces ${request.outgoingRegistration.player.firstName} ${request.outgoingRegistration.player.lastName}`,
+    request: await prisma.replacementRequest.findUnique({ where: { id: request.id }, include: requestInclude }),
+  });
+});
+
+const rejectReplacementRequest = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const request = await loadRequest(req, competition);
+  const { comment } = await z.object({ comment: commentText.optional() }).parseAsync(req.body);
+
+  assertPending(request);
+
+  const updated = await prisma.replacementRequest.update({
+    where: { id: request.id },
+    data: {
+      status: "REJECTED",
+      reviewedById: req.user.id,
+      reviewedAt: new Date(),
+      reviewComment: comment || null,
+    },
+    include: requestInclude,
+  });
+
+  res.json({ message: "Replacement request rejected", request: updated });
+});
+
+// Clubs may take back a request nobody has decided on yet
+const cancelReplacementRequest = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const request = await loadRequest(req, competition);
+  if (!getClubId(req)) throw createError(403, "Only the requesting club can cancel a replacement request");
+
+  assertPending(request);
+
+  const updated = await prisma.replacementRequest.update({
+    where: { id: request.id },
+    data: { status: "CANCELLED" },
+    include: requestInclude,
+  });
+
+  res.json({ message: "Replacement request cancelled", request: updated });
+});
+
+module.exports = {
+  getReplacements,
+  requestReplacement,
+  approveReplacementRequest,
+  rejectReplacementRequest,
+  cancelReplacementRequest,
+};
@@ -0,0 +1,421 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const domainEventEmitter = require("../utils/domainEventEmitter");
+const aclService = require("../services/aclService");
+const { canOfficiateFixture } = require("../services/officialService");
+const { lifecycleSelect, assertActionAllowed } = require("../services/competitionLifecycleService");
+const {
+  EVENT_TYPES,
+  HALVES,
+  resolveEventPoints,
+  replayEvents,
+  advanceWinner,
+} = require("../services/matchScoringService");
+const {
+  MAX_SUBSTITUTIONS_PER_HALF,
+  TOSS_CHOICES,
+  onCourtPlayers,
+  loadLineups,
+  formatLineups,
+} = require("../services/lineupService");
+
+const MAX_SEQUENCE_ATTEMPTS = 3;
+
+const loadFixture = async (req) => {
+  const competitionId = parseInt(req.params.id);
+  const fixtureId = parseInt(req.params.fixtureId);
+  if (!competitionId || !fixtureId) throw createError(400, "Invalid competition ID or fixture ID");
+
+  const fixture = await prisma.fixture.findFirst({
+    where: { id: fixtureId, competitionId },
+    include: {
+      competition: { select: { id: true, competitionName: true, ...lifecycleSelect } },
+      competitionGroup: { select: { id: true, groupId: true } },
+      homeClub: { select: { id: true, clubName: true } },
+      awayClub: { select: { id: true, clubName: true } },
+      tossWinnerClub: { select: { id: true, clubName: true } },
+    },
+  });
+  if (!fixture) throw createError(404, "Fixture not found");
+  return fixture;
+};
+
+// Only referees, umpires and scorers allocated to the match's day and court may
+// score it, unless the user manages fixtures, and only while the competition is
+// in progress
+const assertCanScore = async (req, fixture) => {
+  assertActionAllowed(fixture.competition, "score");
+  if (await canOfficiateFixture(req.user.id, fixture)) return;
+  if (await aclService.hasPermission(req.user, "fixtures.manage")) return;
+  throw createError(403, "Only officials allocated to this match can score it");
+};
+
+const assertLive = (fixture) => {
+  if (fixture.status !== "LIVE") {
+    throw createError(400, "Scoring is only possible while the match is live");
+  }
+};
+
+const loadEvents = (fixtureId, client = prisma) =>
+  client.matchEvent.findMany({
+    where: { fixtureId },
+    orderBy: { sequence: "asc" },
+    include: {
+      player: { select: { id: true, firstName: true, lastName: true, uniqueIdNumber: true } },
+      opponentPlayer: { select: { id: true, firstName: true, lastName: true, uniqueIdNumber: true } },
+    },
+  });
+
+const formatScore = (fixture, events) => {
+  const score = replayEvents(fixture, events);
+  return {
+    fixture: {
+      id: fixture.id,
+      competitionId: fixture.competitionId,
+      matchNumber: fixture.matchNumber,
+      roundLabel: fixture.roundLabel,
+      status: fixture.status,
+      startedAt: fixture.startedAt,
+      completedAt: fixture.completedAt,
+      homeClub: fixture.homeClub,
+      awayClub: fixture.awayClub,
+      winnerClubId: fixture.winnerClubId,
+    },
+    score: {
+      home: score.home,
+      away: score.away,
+      halves: score.halves,
+    },
+    players: score.players,
+    events: events.map((e) => ({
+      id: e.id,
+      sequence: e.sequence,
+      half: e.half,
+      type: e.type,
+      clubId: e.clubId,
+      points: e.points,
+      player: e.player || null,
+      opponentPlayer: e.opponentPlayer || null,
+      undone: e.undone,
+      undoneAt: e.undoneAt,
+      createdAt: e.createdAt,
+    })),
+  };
+};
+
+// Keep the running score on the fixture so fixture lists show live scores
+const syncFixtureScore = async (tx, fixture) => {
+  const events = await tx.matchEvent.findMany({ where: { fixtureId: fixture.id } });
+  const score = replayEvents(fixture, events);
+  await tx.fixture.update({
+    where: { id: fixture.id },
+    data: { homeScore: score.home.total, awayScore: score.away.total },
+  });
+};
+
+// Current score, rebuilt from the event log
+const getScore = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  const events = await loadEvents(fixture.id);
+  res.json(formatScore(fixture, events));
+});
+
+// Record who won the toss and whether they took the court or the first raid;
+// it can be corrected until the match starts
+const recordToss = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  await assertCanScore(req, fixture);
+
+  const data = await z.object({
+    winnerClubId: z.coerce.number().int().positive("Toss winner is required"),
+    choice: z.enum(TOSS_CHOICES, {
+      errorMap: () => ({ message: `Choice must be one of ${TOSS_CHOICES.join(", ")}` }),
+    }),
+  }).parseAsync(req.body);
+
+  if (fixture.status !== "SCHEDULED") {
+    throw createError(400, "The toss can only be recorded before the match starts");
+  }
+  if (!fixture.homeClubId || !fixture.awayClubId) {
+    throw createError(400, "Both clubs must be known before the toss");
+  }
+  if (![fixture.homeClubId, fixture.awayClubId].includes(data.winnerClubId)) {
+    throw createError(400, "The toss winner must be one of the two clubs in this match");
+  }
+
+  const updated = await prisma.fixture.update({
+    where: { id: fixture.id },
+    data: { tossWinnerClubId: data.winnerClubId, tossChoice: data.choice, tossRecordedAt: new Date() },
+    include: { tossWinnerClub: { select: { id: true, clubName: true } } },
+  });
+
+  res.json(formatLineups({ ...fixture, ...updated }, await loadLineups(fixture.id)));
+});
+
+const startMatch = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  await assertCanScore(req, fixture);
+
+  if (fixture.status !== "SCHEDULED") {
+    throw createError(400, `A ${fixture.status.toLowerCase()} match cannot be started`);
+  }
+  if (!fixture.homeClubId || !fixture.awayClubId) {
+    throw createError(400, "Both clubs must be known before the match can start");
+  }
+  const lineups = await prisma.fixtureLineup.findMany({
+    where: { fixtureId: fixture.id },
+    select: { clubId: true },
+  });
+  const missing = [fixture.homeClub, fixture.awayClub].filter((club) => !lineups.some((l) => l.clubId === club.id));
+  if (missing.length > 0) {
+    throw createError(400, `Waiting for the lineup of ${missing.map((club) => club.clubName).join(" and ")}`);
+  }
+  if (!fixture.tossWinnerClubId) {
+    throw createError(400, "Record the toss before starting the match");
+  }
+
+  const updated = await prisma.fixture.update({
+    where: { id: fixture.id },
+    data: { status: "LIVE", startedAt: new Date(), homeScore: 0, awayScore: 0 },
+  });
+
+  res.json({ message: "Match started", ...formatScore({ ...fixture, ...updated }, []) });
+});
+
+const recordEvent = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  await assertCanScore(req, fixture);
+  assertLive(fixture);
+
+  const optionalId = z.preprocess(
+    (val) => (val === "" || val === null || val === undefined ? undefined : Number(val)),
+    z.number().int().positive().optional()
+  );
+
+  const schema = z.object({
+    type: z.enum(Object.keys(EVENT_TYPES), {
+      errorMap: () => ({ message: `Type must be one of ${Object.keys(EVENT_TYPES).join(", ")}` }),
+    }),
+    half: z.coerce.number().int().refine((h) => HALVES.includes(h), "Half must be 1 or 2"),
+    clubId: z.coerce.number().int().positive("Club is required"),
+    points: z.coerce.number().int().optional(),
+    playerId: optionalId,
+    opponentPlayerId: optionalId,
+  });
+
+  const data = await schema.parseAsync(req.body);
+  const points = resolveEventPoints(data.type, data.points);
+
+  if (![fixture.homeClubId, fixture.awayClubId].includes(data.clubId)) {
+    throw createError(400, "Points can only be awarded to one of the two clubs in this match");
+  }
+  const opponentClubId = data.clubId === fixture.homeClubId ? fixture.awayClubId : fixture.homeClubId;
+
+  // Credited / opposing players must be on court for their club
+  const checks = [
+    [data.playerId, data.clubId, "Player"],
+    [data.opponentPlayerId, opponentClubId, "Opponent player"],
+  ].filter(([playerId]) => playerId);
+  if (checks.length > 0) {
+    const { lineups, substitutions } = await loadLineups(fixture.id);
+    const onCourt = onCourtPlayers(lineups, substitutions);
+    for (const [playerId, clubId, label] of checks) {
+      if (!onCourt.get(clubId)?.has(playerId)) {
+        throw createError(400, `${label} ${playerId} is not on court for this club`);
+      }
+    }
+  }
+
+  // Two scorers saving at once can both read the same last sequence; the
+  // unique (fixtureId, sequence) key rejects the second, which tries again
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await prisma.$transaction(async (tx) => {
+        const last = await tx.matchEvent.aggregate({
+          where: { fixtureId: fixture.id },
+          _max: { sequence: true },
+        });
+        await tx.matchEvent.create({
+          data: {
+            fixtureId: fixture.id,
+            sequence: (last._max.sequence || 0) + 1,
+            half: data.half,
+            type: data.type,
+            clubId: data.clubId,
+            playerId: data.playerId ?? null,
+            opponentPlayerId: data.opponentPlayerId ?? null,
+            points,
+            recordedById: req.user.id,
+          },
+        });
+        await syncFixtureScore(tx, fixture);
+      });
+      break;
+    } catch (err) {
+      if (err.code !== "P2002") throw err;
+      if (attempt >= MAX_SEQUENCE_ATTEMPTS) {
+        throw createError(409, "Another event was being recorded at the same time; please try again");
+      }
+    }
+  }
+
+  const events = await loadEvents(fixture.id);
+  res.status(201).json(formatScore(fixture, events));
+});
+
+// Undo the most recent event that has not already been undone
+const undoLastEvent = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  await assertCanScore(req, fixture);
+  assertLive(fixture);
+
+  const last = await prisma.matchEvent.findFirst({
+    where: { fixtureId: fixture.id, undone: false },
+    orderBy: { sequence: "desc" },
+  });
+  if (!last) throw createError(400, "There is no event to undo");
+
+  await prisma.$transaction(async (tx) => {
+    await tx.matchEvent.update({
+      where: { id: last.id },
+      data: { undone: true, undoneAt: new Date() },
+    });
+    await syncFixtureScore(tx, fixture);
+  });
+
+  const events = await loadEvents(fixture.id);
+  res.json({ message: `Undid event #${last.sequence}`, ...formatScore(fixture, events) });
+});
+
+// A substitute comes on for a player on court. Players who went off may come
+// back on later; each club has a limited number of substitutions per half.
+const recordSubstitution = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  await assertCanScore(req, fixture);
+  assertLive(fixture);
+
+  const data = await z.object({
+    clubId: z.coerce.number().int().positive("Club is required"),
+    half: z.coerce.number().int().refine((h) => HALVES.includes(h), "Half must be 1 or 2"),
+    playerInId: z.coerce.number().int().positive("Player coming on is required"),
+    playerOutId: z.coerce.number().int().positive("Player going off is required"),
+  }).parseAsync(req.body);
+
+  if (![fixture.homeClubId, fixture.awayClubId].includes(data.clubId)) {
+    throw createError(400, "The club is not playing in this match");
+  }
+
+  const loaded = await loadLineups(fixture.id);
+  const lineup = loaded.lineups.find((l) => l.clubId === data.clubId);
+  if (!lineup) throw createError(400, "The club has no lineup for this match");
+  const onCourt = onCourtPlayers(loaded.lineups, loaded.substitutions).get(data.clubId);
+
+  if (!onCourt.has(data.playerOutId)) {
+    throw createError(400, `Player ${data.playerOutId} is not on court`);
+  }
+  if (!lineup.players.some((p) => p.playerId === data.playerInId)) {
+    throw createError(400, `Player ${data.playerInId} is not named in the club's lineup`);
+  }
+  if (onCourt.has(data.playerInId)) {
+    throw createError(400, `Player ${data.playerInId} is already on court`);
+  }
+  const made = loaded.substitutions.filter((s) => !s.undone && s.clubId === data.clubId && s.half === data.half).length;
+  if (made >= MAX_SUBSTITUTIONS_PER_HALF) {
+    throw createError(400, `A club can make at most ${MAX_SUBSTITUTIONS_PER_HALF} substitutions per half`);
+  }
+
+  await prisma.matchSubstitution.create({
+    data: {
+      fixtureId: fixture.id,
+      clubId: data.clubId,
+      half: data.half,
+      playerInId: data.playerInId,
+      playerOutId: data.playerOutId,
+      recordedById: req.user.id,
+    },
+  });
+
+  res.status(201).json(formatLineups(fixture, await loadLineups(fixture.id)));
+});
+
+// Undo the most recent substitution that has not already been undone
+const undoLastSubstitution = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  await assertCanScore(req, fixture);
+  assertLive(fixture);
+
+  const last = await prisma.matchSubstitution.findFirst({
+    where: { fixtureId: fixture.id, undone: false },
+    orderBy: { id: "desc" },
+  });
+  if (!last) throw createError(400, "There is no substitution to undo");
+
+  await prisma.matchSubstitution.update({
+    where: { id: last.id },
+    data: { undone: true, undoneAt: new Date() },
+  });
+
+  res.json({ message: "Undid the last substitution", ...formatLineups(fixture, await loadLineups(fixture.id)) });
+});
+
+const completeMatch = asyncHandler(async (req, res) => {
+  const fixture = await loadFixture(req);
+  await assertCanScore(req, fixture);
+  assertLive(fixture);
+
+  const schema = z.object({
+    // Needed when a knockout match is level at full time (decided by tie-break raids)
+    winnerClubId: z.coerce.number().int().positive().optional(),
+  });
+  const data = await schema.parseAsync(req.body || {});
+
+  const events = await loadEvents(fixture.id);
+  const score = replayEvents(fixture, events);
+
+  let winnerClubId = null;
+  if (score.home.total > score.away.total) winnerClubId = fixture.homeClubId;
+  else if (score.away.total > score.home.total) winnerClubId = fixture.awayClubId;
+  else if (fixture.stage === "KNOCKOUT") {
+    if (!data.winnerClubId || ![fixture.homeClubId, fixture.awayClubId].includes(data.winnerClubId)) {
+      throw createError(400, "Knockout match is tied. Provide winnerClubId decided by the tie-break");
+    }
+    winnerClubId = data.winnerClubId;
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const row = await tx.fixture.update({
+      where: { id: fixture.id },
+      data: {
+        status: "COMPLETED",
+        completedAt: new Date(),
+        homeScore: score.home.total,
+        awayScore: score.away.total,
+        winnerClubId,
+      },
+    });
+    await advanceWinner(tx, fixture.id, winnerClubId);
+    return row;
+  });
+
+  domainEventEmitter.emitDomainEvent("fixture.completed", {
+    fixtureId: fixture.id,
+    competitionId: fixture.competitionId,
+    competitionGroupId: fixture.competitionGroupId,
+    winnerClubId,
+  });
+
+  res.json({ message: "Match completed", ...formatScore({ ...fixture, ...updated }, events) });
+});
+
+module.exports = {
+  getScore,
+  recordToss,
+  startMatch,
+  recordEvent,
+  undoLastEvent,
+  recordSubstitution,
+  undoLastSubstitution,
+  completeMatch,
+};
@@ -0,0 +1,159 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const { getClubId } = require("../middleware/clubContext");
+const { lifecycleSelect, assertActionAllowed } = require("../services/competitionLifecycleService");
+const {
+  TEAM_OFFICIAL_ROLES,
+  ROLE_LABELS,
+  staffSelect,
+  staffName,
+  assertCanServe,
+  listTeamOfficials,
+} = require("../services/teamOfficialService");
+
+const officialInclude = {
+  staff: { select: staffSelect },
+  club: { select: { id: true, clubName: true } },
+  group: { select: { id: true, groupName: true } },
+};
+
+const roleSchema = z.enum(TEAM_OFFICIAL_ROLES, {
+  errorMap: () => ({ message: `Role must be one of ${TEAM_OFFICIAL_ROLES.join(", ")}` }),
+});
+
+const loadCompetition = async (req) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true, competitionName: true, ...lifecycleSelect, clubs: { select: { id: true } } },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  return competition;
+};
+
+// Clubs only ever see their own officials
+const loadOfficial = async (req, competition) => {
+  const officialId = parseInt(req.params.teamOfficialId);
+  if (!officialId) throw createError(400, "Invalid team official ID");
+
+  const clubId = getClubId(req);
+  const official = await prisma.teamOfficial.findFirst({
+    where: { id: officialId, competitionId: competition.id, ...(clubId ? { clubId } : {}) },
+    include: officialInclude,
+  });
+  if (!official) throw createError(404, "Team official not found");
+  return official;
+};
+
+const loadCompetitionGroup = async (competition, groupId) => {
+  const competitionGroup = await prisma.competitionGroup.findFirst({
+    where: { competitionId: competition.id, groupId },
+    select: { id: true, requireAadhaarVerified: true },
+  });
+  if (!competitionGroup) throw createError(400, "This group is not part of the competition");
+  return competitionGroup;
+};
+
+const getTeamOfficials = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+
+  let clubId = getClubId(req);
+  if (!clubId && req.query.clubId) {
+    clubId = parseInt(req.query.clubId);
+    if (!clubId) throw createError(400, "Invalid club ID");
+  }
+  let groupId = null;
+  if (req.query.groupId) {
+    groupId = parseInt(req.query.groupId);
+    if (!groupId) throw createError(400, "Invalid group ID");
+  }
+
+  const officials = await listTeamOfficials(competition.id, { clubId, groupId });
+  res.json({ officials });
+});
+
+// Name someone from the club's staff register as a coach, manager or physio
+// of the club's squad in a group
+const addTeamOfficial = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const data = await z.object({
+    clubId: z.coerce.number().int().positive().optional(),
+    groupId: z.coerce.number({ invalid_type_error: "Group is required" }).int().positive(),
+    staffId: z.coerce.number({ invalid_type_error: "Staff member is required" }).int().positive(),
+    role: roleSchema,
+  }).parseAsync(req.body);
+
+  const clubId = getClubId(req) || data.clubId;
+  if (!clubId) throw createError(400, "Club is required");
+  if (!competition.clubs.some((c) => c.id === clubId)) {
+    throw createError(400, "The club has not joined this competition");
+  }
+  assertActionAllowed(competition, "changeTeamOfficials");
+
+  const competitionGroup = await loadCompetitionGroup(competition, data.groupId);
+  const staff = await prisma.clubStaff.findFirst({ where: { id: data.staffId, clubId } });
+  if (!staff) throw createError(404, "Staff member not found");
+  assertCanServe(staff, data.role, competition, competitionGroup);
+
+  const existing = await prisma.teamOfficial.findFirst({
+    where: { competitionId: competition.id, groupId: data.groupId, staffId: staff.id },
+    select: { role: true },
+  });
+  if (existing) {
+    throw createError(400, `${staffName(staff)} is already the squad's ${ROLE_LABELS[existing.role].toLowerCase()}`);
+  }
+
+  const official = await prisma.teamOfficial.create({
+    data: {
+      competitionId: competition.id,
+      clubId,
+      groupId: data.groupId,
+      staffId: staff.id,
+      role: data.role,
+    },
+    include: officialInclude,
+  });
+
+  res.status(201).json(official);
+});
+
+const updateTeamOfficial = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const official = await loadOfficial(req, competition);
+  const { role } = await z.object({ role: roleSchema }).parseAsync(req.body);
+
+  assertActionAllowed(competition, "changeTeamOfficials");
+  const competitionGroup = await loadCompetitionGroup(competition, official.groupId);
+  const staff = await prisma.clubStaff.findUnique({ where: { id: official.staffId } });
+  assertCanServe(staff, role, competition, competitionGroup);
+
+  const updated = await prisma.teamOfficial.update({
+    where: { id: official.id },
+    data: { role },
+    include: officialInclude,
+  });
+
+  res.json(updated);
+});
+
+const removeTeamOfficial = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const official = await loadOfficial(req, competition);
+  assertActionAllowed(competition, "changeTeamOfficials");
+
+  await prisma.teamOfficial.delete({ where: { id: official.id } });
+  res.json({
+    message: `${staffName(official.staff)} is no longer the squad's ${ROLE_LABELS[official.role].toLowerCase()}`,
+  });
+});
+
+module.exports = {
+  getTeamOfficials,
+  addTeamOfficial,
+  updateTeamOfficial,
+  removeTeamOfficial,
+};
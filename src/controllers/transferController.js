@@ -0,0 +1,306 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const { getClubId } = require("../middleware/clubContext");
+const {
+  TRANSFER_STATUSES,
+  OPEN_TRANSFER_STATUSES,
+  COOLING_OFF_DAYS,
+  getTransferWindowState,
+  assertTransferWindowOpen,
+  applyTransfer,
+} = require("../services/transferService");
+
+const clubSelect = { select: { id: true, clubName: true } };
+const userSelect = { select: { id: true, name: true, email: true } };
+
+const transferInclude = {
+  player: {
+    select: { id: true, uniqueIdNumber: true, firstName: true, lastName: true, clubId: true },
+  },
+  fromClub: clubSelect,
+  toClub: clubSelect,
+  requestedBy: userSelect,
+  nocBy: userSelect,
+  decidedBy: userSelect,
+};
+
+const optionalRemarks = z
+  .string()
+  .trim()
+  .max(2000, "Remarks must be at most 2000 characters")
+  .optional()
+  .transform((v) => v || null);
+
+// Transfers are visible to admins and to the two clubs involved
+const loadTransfer = async (req) => {
+  const transferId = parseInt(req.params.transferId);
+  if (!transferId) throw createError(400, "Invalid transfer ID");
+
+  const transfer = await prisma.playerTransfer.findUnique({
+    where: { id: transferId },
+    include: transferInclude,
+  });
+  if (!transfer) throw createError(404, "Transfer not found");
+
+  const clubId = getClubId(req);
+  if (clubId && transfer.fromClubId !== clubId && transfer.toClubId !== clubId) {
+    throw createError(404, "Transfer not found");
+  }
+  return transfer;
+};
+
+const assertStatus = (transfer, status, action) => {
+  if (transfer.status !== status) {
+    throw createError(400, `A transfer that is ${transfer.status.toLowerCase().replace(/_/g, " ")} cannot be ${action}`);
+  }
+};
+
+const getTransfers = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.max(1, parseInt(req.query.limit) || 10);
+  const where = {};
+
+  const clubId = getClubId(req);
+  if (clubId) {
+    // incoming = requested by the club, outgoing = players leaving the club
+    if (req.query.direction === "incoming") where.toClubId = clubId;
+    else if (req.query.direction === "outgoing") where.fromClubId = clubId;
+    else where.OR = [{ fromClubId: clubId }, { toClubId: clubId }];
+  }
+
+  if (req.query.status) {
+    const status = String(req.query.status).toUpperCase();
+    if (!TRANSFER_STATUSES.includes(status)) throw createError(400, "Invalid transfer status");
+    where.status = status;
+  }
+
+  if (req.query.playerId) {
+    const playerId = parseInt(req.query.playerId);
+    if (!playerId) throw createError(400, "Invalid player ID");
+    where.playerId = playerId;
+  }
+
+  const [transfers, totalTransfers] = await Promise.all([
+    prisma.playerTransfer.findMany({
+      where,
+      include: transferInclude,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.playerTransfer.count({ where }),
+  ]);
+
+  res.json({
+    transfers,
+    page,
+    totalPages: Math.ceil(totalTransfers / limit),
+    totalTransfers,
+  });
+});
+
+const getTransfer = asyncHandler(async (req, res) => {
+  res.json(await loadTransfer(req));
+});
+
+// A club asks for a player; admins may request on behalf of a club
+const requestTransfer = asyncHandler(async (req, res) => {
+  const schema = z
+    .object({
+      playerId: z.coerce.number().int().positive().optional(),
+      uniqueIdNumber: z.string().trim().min(1).optional(),
+      toClubId: z.coerce.number().int().positive().optional(),
+      reason: optionalRemarks,
+    })
+    .refine((d) => d.playerId || d.uniqueIdNumber, {
+      message: "Player ID or unique ID number is required",
+      path: ["playerId"],
+    });
+  const data = await schema.parseAsync(req.body);
+
+  const toClubId = getClubId(req) || data.toClubId;
+  if (!toClubId) throw createError(400, "Club to transfer to is required");
+
+  const toClub = await prisma.club.findUnique({ where: { id: toClubId }, select: { id: true } });
+  if (!toClub) throw createError(404, "Club not found");
+
+  const player = await prisma.player.findFirst({
+    where: data.playerId ? { id: data.playerId } : { uniqueIdNumber: data.uniqueIdNumber },
+    select: { id: true, clubId: true },
+  });
+  if (!player) throw createError(404, "Player not found");
+  if (player.clubId === toClubId) throw createError(400, "Player already belongs to this club");
+
+  const pending = await prisma.playerTransfer.findFirst({
+    where: { playerId: player.id, status: { in: OPEN_TRANSFER_STATUSES } },
+    select: { id: true },
+  });
+  if (pending) throw createError(400, "This player already has a transfer in progress");
+
+  await assertTransferWindowOpen();
+
+  const transfer = await prisma.playerTransfer.create({
+    data: {
+      playerId: player.id,
+      fromClubId: player.clubId,
+      toClubId,
+      // Players without a club need no release from anyone
+      status: player.clubId ? "PENDING_NOC" : "PENDING_APPROVAL",
+      reason: data.reason,
+      requestedById: req.user.id,
+    },
+    include: transferInclude,
+  });
+
+  res.status(201).json(transfer);
+});
+
+// The releasing club grants or refuses its no-objection certificate
+const respondNoc = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req);
+  assertStatus(transfer, "PENDING_NOC", "answered");
+
+  // Admins may answer for a club that does not respond
+  const clubId = getClubId(req);
+  const canAnswer = clubId
+    ? clubId === transfer.fromClubId
+    : await aclService.hasPermission(req.user, "transfers.approve");
+  if (!canAnswer) {
+    throw createError(403, "Only the releasing club can answer this request");
+  }
+
+  const schema = z.object({
+    granted: z.boolean({ required_error: "granted is required" }),
+    remarks: optionalRemarks,
+  });
+  const data = await schema.parseAsync(req.body);
+
+  const updated = await prisma.playerTransfer.update({
+    where: { id: transfer.id },
+    data: {
+      status: data.granted ? "PENDING_APPROVAL" : "NOC_REFUSED",
+      nocById: req.user.id,
+      nocAt: new Date(),
+      nocRemarks: data.remarks,
+    },
+    include: transferInclude,
+  });
+
+  res.json(updated);
+});
+
+// Final approval; an approved transfer moves the player straight away
+const decideTransfer = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req);
+  assertStatus(transfer, "PENDING_APPROVAL", "decided");
+
+  const schema = z.object({
+    approved: z.boolean({ required_error: "approved is required" }),
+    remarks: optionalRemarks,
+  });
+  const data = await schema.parseAsync(req.body);
+
+  if (data.approved) {
+    await assertTransferWindowOpen();
+    if (transfer.player.clubId !== transfer.fromClubId) {
+      throw createError(409, "The player has changed club since this transfer was requested");
+    }
+  }
+
+  const decidedAt = new Date();
+  const updated = await prisma.$transaction(async (tx) => {
+    const row = await tx.playerTransfer.update({
+      where: { id: transfer.id },
+      data: {
+        status: data.approved ? "APPROVED" : "REJECTED",
+        decidedById: req.user.id,
+        decidedAt,
+        decisionRemarks: data.remarks,
+      },
+      include: transferInclude,
+    });
+    if (data.approved) {
+      await applyTransfer(tx, transfer, decidedAt);
+    }
+    return row;
+  });
+
+  res.json(updated);
+});
+
+// The requesting club (or an admin) withdraws a pending request
+const cancelTransfer = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req);
+  if (!OPEN_TRANSFER_STATUSES.includes(transfer.status)) {
+    throw createError(400, "Only pending transfers can be cancelled");
+  }
+
+  const clubId = getClubId(req);
+  if (clubId && clubId !== transfer.toClubId) {
+    throw createError(403, "Only the requesting club can cancel this transfer");
+  }
+
+  const updated = await prisma.playerTransfer.update({
+    where: { id: transfer.id },
+    data: { status: "CANCELLED", decidedById: req.user.id, decidedAt: new Date() },
+    include: transferInclude,
+  });
+
+  res.json(updated);
+});
+
+// Transfer windows, plus whether one is open right now
+const getTransferWindows = asyncHandler(async (req, res) => {
+  const [windows, state] = await Promise.all([
+    prisma.transferWindow.findMany({ orderBy: { startDate: "desc" } }),
+    getTransferWindowState(),
+  ]);
+
+  res.json({
+    windows,
+    transfersOpen: !state.configured || Boolean(state.open),
+    currentWindow: state.open,
+    nextWindow: state.next,
+    coolingOffDays: COOLING_OFF_DAYS,
+  });
+});
+
+const createTransferWindow = asyncHandler(async (req, res) => {
+  const schema = z
+    .object({
+      name: z.string().trim().min(1, "Name is required"),
+      startDate: z.coerce.date({ invalid_type_error: "Invalid start date" }),
+      endDate: z.coerce.date({ invalid_type_error: "Invalid end date" }),
+    })
+    .refine((d) => d.endDate >= d.startDate, {
+      message: "End date must be on or after the start date",
+      path: ["endDate"],
+    });
+  const data = await schema.parseAsync(req.body);
+
+  const window = await prisma.transferWindow.create({ data });
+  res.status(201).json(window);
+});
+
+const deleteTransferWindow = asyncHandler(async (req, res) => {
+  const windowId = parseInt(req.params.windowId);
+  if (!windowId) throw createError(400, "Invalid transfer window ID");
+
+  await prisma.transferWindow.delete({ where: { id: windowId } });
+  res.json({ message: "Transfer window deleted" });
+});
+
+module.exports = {
+  getTransfers,
+  getTransfer,
+  requestTransfer,
+  respondNoc,
+  decideTransfer,
+  cancelTransfer,
+  getTransferWindows,
+  createTransferWindow,
+  deleteTransferWindow,
+};
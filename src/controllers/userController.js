@@ -5,6 +5,7 @@ const prisma = require("../config/db");
 const validateRequest = require("../utils/validateRequest");
 const roles = require("../config/roles");
 const aclService = require("../services/aclService");
+const sessionService = require("../services/sessionService");
 const { z } = require("zod");
 
 const getUsers = async (req, res, next) => {
@@ -300,7 +301,18 @@ const updateUser = async (req, res, next) => {
 
 const deleteUser = async (req, res, next) => {
   try {
-    await prisma.user.delete({ where: { id: parseInt(req.params.id) } });
+    const userId = parseInt(req.params.id);
+    const refereeProfile = await prisma.referee.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+    if (refereeProfile) {
+      return res.status(400).json({
+        errors: { message: "Referees cannot be deleted; deactivate the user instead" },
+      });
+    }
+
+    await prisma.user.delete({ where: { id: userId } });
     res.json({ message: "User deleted" });
   } catch (error) {
     if (error.code === "P2025") {
@@ -328,6 +340,10 @@ const setActiveStatus = async (req, res, next) => {
       where: { id: parseInt(req.params.id) },
       data: { active: req.body.active },
     });
+    // A deactivated user is signed out everywhere straight away
+    if (!updatedUser.active) {
+      await sessionService.revokeUserSessions(updatedUser.id, "USER_DEACTIVATED");
+    }
     res.json(updatedUser);
   } catch (error) {
     next(error);
@@ -346,9 +362,18 @@ const changePassword = async (req, res, next) => {
   // Validate the request body using Zod
   const validationErrors = await validateRequest(schema, req.body, res);
   try {
+    const userId = parseInt(req.params.id);
+
+    // Changing someone else's password needs users.update. Legacy club
+    // tokens carry a club ID, which is never the user being changed.
+    const isSelf = !req.auth?.isClub && req.user.id === userId;
+    if (!isSelf && !(await aclService.hasPermission(req.user, "users.update"))) {
+      return next(createError(403, "You can only change your own password"));
+    }
+
     const hashedPassword = await bcrypt.hash(req.body.password, 10);
     const updatedUser = await prisma.user.update({
-      where: { id: parseInt(req.params.id) },
+      where: { id: userId },
       data: { password: hashedPassword },
     });
     res.json(updatedUser);
@@ -0,0 +1,308 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const createError = require("http-errors");
+const PDFDocument = require("pdfkit");
+const asyncHandler = require("../middleware/asyncHandler");
+const aclService = require("../services/aclService");
+const officialService = require("../services/officialService");
+const weighInService = require("../services/weighInService");
+const { ACTIVE_REGISTRATION_STATUSES, STATUS_LABELS } = require("../services/registrationService");
+const { lifecycleSelect, assertActionAllowed } = require("../services/competitionLifecycleService");
+const { getClubId } = require("../middleware/clubContext");
+
+const loadCompetition = async (req) => {
+  const competitionId = parseInt(req.params.id);
+  if (!competitionId) throw createError(400, "Invalid competition ID");
+
+  const competition = await prisma.competition.findUnique({
+    where: { id: competitionId },
+    select: {
+      id: true,
+      competitionName: true,
+      ...lifecycleSelect,
+      clubs: { select: { id: true } },
+      groups: { include: { group: true } },
+    },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  return competition;
+};
+
+// Admins, and officials holding any duty at the competition
+const assertCanWeigh = async (user, competitionId) => {
+  if (await aclService.hasPermission(user, "competitions.update")) return;
+  if (!(await officialService.isCompetitionOfficial(user.id, competitionId))) {
+    throw createError(403, "Only officials of this competition can record weigh-ins");
+  }
+};
+
+// Clubs see their own players only; officials those of their competitions
+const resolveClubScope = async (req, competition, requestedClubId) => {
+  const userClubId = getClubId(req);
+  if (userClubId) {
+    if (requestedClubId && requestedClubId !== userClubId) {
+      throw createError(403, "You can only view your own club's weigh-ins");
+    }
+    return userClubId;
+  }
+  if (!(await aclService.hasPermission(req.user, "competitions.all"))) {
+    await assertCanWeigh(req.user, competition.id);
+  }
+  return requestedClubId || null;
+};
+
+/**
+ * Registrations of a competition with their weight limit and latest weigh-in.
+ * @param {object} competition - from loadCompetition
+ * @param {{clubId?: number|null, groupId?: number|null}} filters
+ * @returns {Promise<object[]>}
+ */
+const getWeighInSheet = async (competition, { clubId, groupId }) => {
+  const registrations = await prisma.competitionRegistration.findMany({
+    where: {
+      competitionId: competition.id,
+      ...(clubId ? { clubId } : {}),
+      ...(groupId ? { groupId } : {}),
+    },
+    include: {
+      player: { select: { id: true, firstName: true, lastName: true, uniqueIdNumber: true } },
+      club: { select: { id: true, clubName: true } },
+      group: { select: { id: true, groupName: true } },
+      weighIns: {
+        orderBy: [{ weighedAt: "desc" }, { id: "desc" }],
+        take: 1,
+        include: { recordedBy: { select: { id: true, name: true } } },
+      },
+      _count: { select: { weighIns: true } },
+    },
+    orderBy: [{ club: { clubName: "asc" } }, { groupId: "asc" }, { player: { firstName: "asc" } }],
+  });
+
+  const limits = new Map(competition.groups.map((cg) => [cg.groupId, cg.maxWeightKg]));
+  return registrations.map((reg) => ({
+    registrationId: reg.id,
+    status: reg.status,
+    chestNumber: reg.chestNumber,
+    weighInStatus: reg.weighInStatus,
+    player: reg.player,
+    club: reg.club,
+    group: reg.group,
+    limitKg: limits.get(reg.groupId) ?? null,
+    latest: reg.weighIns[0] || null,
+    attempts: reg._count.weighIns,
+  }));
+};
+
+const sheetFilterSchema = z.object({
+  clubId: z.coerce.number().int().positive().optional(),
+  groupId: z.coerce.number().int().positive().optional(),
+  status: z.enum([...weighInService.WEIGH_IN_STATUSES, "PENDING"]).optional(),
+});
+
+const getWeighIns = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const filters = await sheetFilterSchema.parseAsync(req.query);
+  const clubId = await resolveClubScope(req, competition, filters.clubId);
+
+  let weighIns = await getWeighInSheet(competition, { clubId, groupId: filters.groupId });
+  if (filters.status) {
+    weighIns = weighIns.filter((w) => (w.weighInStatus || "PENDING") === filters.status);
+  }
+
+  res.json({
+    weighIns,
+    summary: {
+      total: weighIns.length,
+      passed: weighIns.filter((w) => w.weighInStatus === "PASSED").length,
+      overweight: weighIns.filter((w) => w.weighInStatus === "OVERWEIGHT").length,
+      pending: weighIns.filter((w) => !w.weighInStatus).length,
+    },
+  });
+});
+
+// An official weighs a registered player. Players over the group's limit are
+// flagged, or withdrawn when the group is set to WITHDRAW.
+const recordWeighIn = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  await assertCanWeigh(req.user, competition.id);
+  assertActionAllowed(competition, "weighIn");
+
+  const schema = z.object({
+    registrationId: z.coerce.number().int().positive(),
+    weightKg: z.coerce
+      .number({ invalid_type_error: "Weight must be a number" })
+      .positive("Weight must be positive")
+      .max(250, "Weight looks wrong"),
+    remarks: z.string().max(1000).optional(),
+  });
+  const data = await schema.parseAsync(req.body);
+
+  const registration = await prisma.competitionRegistration.findFirst({
+    where: { id: data.registrationId, competitionId: competition.id },
+    include: { player: { select: { id: true, firstName: true, lastName: true } } },
+  });
+  if (!registration) throw createError(404, "Registration not found in this competition");
+  if (!ACTIVE_REGISTRATION_STATUSES.includes(registration.status)) {
+    throw createError(400, `This registration is ${STATUS_LABELS[registration.status] || registration.status} and cannot be weighed`);
+  }
+
+  const competitionGroup = competition.groups.find((cg) => cg.groupId === registration.groupId) || null;
+  const result = await prisma.$transaction((tx) =>
+    weighInService.recordWeighIn(tx, {
+      registration,
+      competitionGroup,
+      weightKg: data.weightKg,
+      remarks: data.remarks,
+      recordedById: req.user.id,
+    })
+  );
+
+  const name = `${registration.player.firstName} ${registration.player.lastName}`;
+  let message = `${name} weighed in at ${data.weightKg} kg`;
+  if (result.withdrawn) message = `${name} is over the weight limit and has been withdrawn`;
+  else if (result.weighInStatus === "OVERWEIGHT") message = `${name} is over the weight limit`;
+
+  res.status(201).json({ message, ...result });
+});
+
+// Weigh-in sheet of a club, with blank columns for players not weighed yet
+const generateWeighInSheetPDF = asyncHandler(async (req, res) => {
+  const competition = await loadCompetition(req);
+  const clubId = parseInt(req.params.clubId);
+  if (!clubId) throw createError(400, "Invalid club ID");
+  await resolveClubScope(req, competition, clubId);
+
+  const club = await prisma.club.findUnique({ where: { id: clubId }, select: { clubName: true } });
+  if (!club) throw createError(404, "Club not found");
+
+  const groupId = req.query.groupId ? parseInt(req.query.groupId) : null;
+  const rows = await getWeighInSheet(competition, { clubId, groupId });
+
+  const doc = new PDFDocument({
+    margin: 40,
+    size: 'A4',
+    info: {
+      Title: `${competition.competitionName} - ${club.clubName} Weigh-in Sheet`,
+      Author: 'TDKA Competition Management System',
+      Subject: 'Weigh-in Sheet',
+    },
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${competition.competitionName}_${club.clubName}_WeighIn.pdf"`);
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+
+  doc.pipe(res);
+
+  const primaryColor = '#2563eb';
+  const secondaryColor = '#64748b';
+  const lightGray = '#f1f5f9';
+  const darkGray = '#334155';
+
+  // Header
+  doc.rect(40, 40, doc.page.width - 80, 80).fill(primaryColor);
+  doc.fontSize(22).font('Helvetica-Bold').fillColor('white')
+    .text('WEIGH-IN SHEET', 60, 70, { align: 'center' });
+  doc.y = 140;
+  doc.fillColor('black');
+
+  const leftCol = 60;
+  const lineHeight = 18;
+  const infoRow = (label, value) => {
+    const rowY = doc.y;
+    doc.fontSize(11).font('Helvetica-Bold').text(label, leftCol, rowY);
+    doc.font('Helvetica').text(value, leftCol + 130, rowY);
+    doc.y = rowY + lineHeight;
+  };
+  infoRow('Competition Name:', competition.competitionName);
+  infoRow('Competition Period:', `${officialService.competitionDay(competition.fromDate)} to ${officialService.competitionDay(competition.toDate)}`);
+  infoRow('Club:', club.clubName);
+  doc.y += 15;
+
+  const headers = [
+    { text: '#', x: 50, width: 25 },
+    { text: 'Player', x: 75, width: 140, align: 'left' },
+    { text: 'Chest No', x: 215, width: 50 },
+    { text: 'Limit (kg)', x: 265, width: 60 },
+    { text: 'Weight (kg)', x: 325, width: 65 },
+    { text: 'Result', x: 390, width: 75 },
+    { text: 'Signature', x: 465, width: 85 },
+  ];
+  const headerHeight = 26;
+  const rowHeight = 24;
+
+  const drawHeader = (y) => {
+    doc.rect(50, y, 500, headerHeight).fill(primaryColor);
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('white');
+    headers.forEach((h) => doc.text(h.text, h.x, y + 9, { width: h.width, align: h.align || 'center' }));
+    doc.fillColor('black');
+    return y + headerHeight;
+  };
+
+  if (rows.length === 0) {
+    doc.rect(60, doc.y, doc.page.width - 120, 50).stroke('#e2e8f0');
+    doc.fontSize(12).font('Helvetica').fillColor(secondaryColor)
+      .text('No players are registered for this club yet.', 0, doc.y + 18, { align: 'center' });
+    doc.fillColor('black');
+  } else {
+    const groups = [...new Map(rows.map((r) => [r.group?.id ?? null, r.group])).values()];
+    groups.forEach((group) => {
+      const groupRows = rows.filter((r) => (r.group?.id ?? null) === (group?.id ?? null));
+      if (doc.y > 680) doc.addPage();
+
+      doc.rect(40, doc.y, doc.page.width - 80, 25).fill(lightGray);
+      doc.fontSize(14).font('Helvetica-Bold').fillColor(darkGray)
+        .text(` ${(group?.groupName || 'No group').toUpperCase()}`, 50, doc.y + 7);
+      doc.y += 32;
+
+      const tableStartY = doc.y;
+      let currentY = drawHeader(tableStartY);
+      groupRows.forEach((row, index) => {
+        if (currentY > 740) {
+          doc.addPage();
+          currentY = drawHeader(50);
+        }
+        if (index % 2 === 0) {
+          doc.rect(50, currentY, 500, rowHeight).fill('#f8fafc');
+        }
+        doc.fontSize(9).font('Helvetica').fillColor('black');
+        let result = '';
+        if (!ACTIVE_REGISTRATION_STATUSES.includes(row.status)) result = STATUS_LABELS[row.status] || row.status;
+        else if (row.weighInStatus === 'OVERWEIGHT') result = 'Overweight';
+        else if (row.weighInStatus === 'PASSED') result = 'Passed';
+        const values = [
+          index + 1,
+          `${row.player.firstName} ${row.player.lastName}`,
+          row.chestNumber || '',
+          row.limitKg !== null ? Number(row.limitKg).toFixed(2) : '-',
+          row.latest ? Number(row.latest.weightKg).toFixed(2) : '',
+          result,
+          '',
+        ];
+        headers.forEach((h, i) => {
+          doc.text(String(values[i] ?? ''), h.x, currentY + 8, { width: h.width, align: h.align || 'center' });
+        });
+        currentY += rowHeight;
+      });
+      doc.rect(50, tableStartY, 500, currentY - tableStartY).stroke('#e2e8f0');
+      doc.y = currentY + 20;
+    });
+  }
+
+  // Footer
+  const footerY = doc.page.height - 60;
+  doc.rect(40, footerY, doc.page.width - 80, 40).fill('#f8fafc').stroke('#e2e8f0');
+  doc.fontSize(8).font('Helvetica').fillColor(secondaryColor);
+  doc.text('Weight shown is the latest weigh-in. Official in charge: ______________________', 50, footerY + 8);
+  doc.text(`Generated on: ${new Date().toLocaleString('en-US', { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`, 50, footerY + 20);
+
+  doc.end();
+});
+
+module.exports = {
+  getWeighIns,
+  recordWeighIn,
+  generateWeighInSheetPDF,
+};
@@ -0,0 +1,90 @@
+const prisma = require("../config/db");
+const config = require("../config/config");
+const emailService = require("../services/emailService");
+
+let isRunning = false;
+let timer = null;
+
+// How long before a referee certification expires the referee is reminded
+// (set CERTIFICATION_REMINDER_DAYS in .env)
+const REMINDER_DAYS = parseInt(process.env.CERTIFICATION_REMINDER_DAYS) || 30;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+
+async function sendCertificationReminders() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    if (!prisma?.refereeCertification) return;
+
+    const today = new Date(new Date().toISOString().split("T")[0]);
+    const horizon = new Date(today.getTime() + REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+    const due = await prisma.refereeCertification.findMany({
+      where: {
+        validUntil: { gte: today, lte: horizon },
+        reminderSentAt: null,
+        referee: { user: { active: true } },
+      },
+      include: {
+        referee: { select: { emailId: true, user: { select: { name: true, email: true } } } },
+      },
+    });
+
+    let sent = 0;
+    for (const certification of due) {
+      const { user, emailId } = certification.referee;
+      try {
+        await emailService.sendEmail(
+          emailId || user.email,
+          "Referee certification due for renewal",
+          "certificationRenewal",
+          {
+            name: user.name,
+            level: certification.level,
+            examBody: certification.examBody,
+            certificateNumber: certification.certificateNumber,
+            validUntil: formatDate(certification.validUntil),
+            appName: config.appName,
+          }
+        );
+        await prisma.refereeCertification.update({
+          where: { id: certification.id },
+          data: { reminderSentAt: new Date() },
+        });
+        sent++;
+      } catch (err) {
+        // Left unmarked so the next run tries again
+        console.error(`[CertificationReminder] Could not remind about certification ${certification.id}`, err);
+      }
+    }
+
+    if (sent) {
+      console.log(`[CertificationReminder] Sent ${sent} renewal reminders`);
+    }
+  } catch (err) {
+    console.error("[CertificationReminder] Job failed", err);
+  } finally {
+    isRunning = false;
+  }
+}
+
+function startCertificationReminderJob(intervalMs = 86_400_000) {
+  sendCertificationReminders().catch(() => {});
+  timer = setInterval(() => sendCertificationReminders().catch(() => {}), intervalMs);
+  console.log(`[CertificationReminder] Scheduled every ${Math.round(intervalMs / 1000)}s`);
+  return timer;
+}
+
+function stopCertificationReminderJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  startCertificationReminderJob,
+  stopCertificationReminderJob,
+  sendCertificationReminders,
+};
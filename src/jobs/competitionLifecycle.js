@@ -0,0 +1,43 @@
+const prisma = require("../config/db");
+const { syncStatuses } = require("../services/competitionLifecycleService");
+
+let isRunning = false;
+let timer = null;
+
+// Endpoints work out a competition's status from its dates on every request;
+// this keeps the stored status in line so list filters find it
+async function syncCompetitionStatuses() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    if (!prisma?.competition) return;
+
+    const count = await syncStatuses();
+    if (count) {
+      console.log(`[CompetitionLifecycle] Moved ${count} competitions to their next status`);
+    }
+  } catch (err) {
+    console.error("[CompetitionLifecycle] Job failed", err);
+  } finally {
+    isRunning = false;
+  }
+}
+
+function startCompetitionLifecycleJob(intervalMs = 3_600_000) {
+  syncCompetitionStatuses().catch(() => {});
+  timer = setInterval(() => syncCompetitionStatuses().catch(() => {}), intervalMs);
+  console.log(`[CompetitionLifecycle] Scheduled every ${Math.round(intervalMs / 1000)}s`);
+  return timer;
+}
+
+function stopCompetitionLifecycleJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  startCompetitionLifecycleJob,
+  stopCompetitionLifecycleJob,
+  syncCompetitionStatuses,
+};
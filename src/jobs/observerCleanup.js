@@ -1,4 +1,6 @@
 const prisma = require('../config/db');
+const { revokeUserSessions } = require('../services/sessionService');
+const { REPORT_FILING_DAYS } = require('../services/observerReportService');
 
 let isRunning = false;
 let timer = null;
@@ -45,53 +47,47 @@ async function cleanupExpiredObservers() {
   const startedAt = new Date();
 
   try {
-    // Fetch competitions that currently have an observer assigned
-    const competitions = await prisma.competition.findMany({
-      where: { NOT: { observerId: null } },
-      select: { id: true, competitionName: true, toDate: true, observerId: true },
+    // Duties held by observer accounts, with their competition's end date
+    const duties = await prisma.competitionOfficial.findMany({
+      where: { user: { role: 'observer' } },
+      select: { id: true, userId: true, competition: { select: { id: true, toDate: true } } },
     });
 
     const now = new Date();
-    // Separate expired competitions
-    const expired = competitions.filter((c) => {
-      const eod = parseToDateEndOfDay(c.toDate);
+    // Separate duties at competitions that have ended and whose reports are closed
+    const expired = duties.filter((d) => {
+      const eod = parseToDateEndOfDay(d.competition.toDate);
+      if (eod) eod.setDate(eod.getDate() + REPORT_FILING_DAYS);
       return eod && now > eod;
     });
 
     if (expired.length === 0) return;
 
-    // Group expired competitions by observerId
+    // Group expired duties by observer
     const groups = new Map();
-    for (const c of expired) {
-      if (!groups.has(c.observerId)) groups.set(c.observerId, []);
-      groups.get(c.observerId).push(c);
+    for (const d of expired) {
+      if (!groups.has(d.userId)) groups.set(d.userId, []);
+      groups.get(d.userId).push(d);
     }
 
-    for (const [observerId, comps] of groups.entries()) {
+    for (const [observerId, expiredDuties] of groups.entries()) {
       try {
-        // Ensure we don't delete non-observer roles
-        const user = await prisma.user.findUnique({
-          where: { id: observerId },
-          select: { id: true, role: true },
-        });
-
-        // If user disappeared already, just skip
-        if (!user) continue;
+        const totalDuties = duties.filter((d) => d.userId === observerId).length;
+        const competitionIds = [...new Set(expiredDuties.map((d) => d.competition.id))];
 
-        const totalRefCount = await prisma.competition.count({ where: { observerId } });
-        const expiredIds = comps.map((c) => c.id);
+        // Only the ended duties go; the account stays so the reports, ratings and
+        // match records it made keep their author
+        await prisma.competitionOfficial.deleteMany({
+          where: { id: { in: expiredDuties.map((d) => d.id) } },
+        });
 
-        if (expiredIds.length >= totalRefCount && user.role === 'observer') {
-          // All references are expired -> delete the observer user; FK will SetNull
-          await prisma.user.delete({ where: { id: observerId } });
-          console.log(`[ObserverCleanup] Deleted observer ${observerId}; competitions affected: ${expiredIds.join(', ')}`);
+        if (expiredDuties.length >= totalDuties) {
+          // No duty left -> deactivate the observer; an admin reactivates them for a new duty
+          await prisma.user.update({ where: { id: observerId }, data: { active: false } });
+          await revokeUserSessions(observerId, 'USER_DEACTIVATED');
+          console.log(`[ObserverCleanup] Deactivated observer ${observerId}; competitions ended: ${competitionIds.join(', ')}`);
         } else {
-          // Some references still active or user is not observer -> detach from expired ones only
-          await prisma.competition.updateMany({
-            where: { id: { in: expiredIds }, observerId },
-            data: { observerId: null },
-          });
-          console.log(`[ObserverCleanup] Detached observer ${observerId} from competitions: ${expiredIds.join(', ')}`);
+          console.log(`[ObserverCleanup] Detached observer ${observerId} from competitions: ${competitionIds.join(', ')}`);
         }
       } catch (e) {
         console.error(`[ObserverCleanup] Error processing observer ${observerId}`, e);
@@ -1,4 +1,5 @@
 const prisma = require('../config/db');
+const { revokeUserSessions } = require('../services/sessionService');
 
 let isRunning = false;
 let timer = null;
@@ -45,53 +46,46 @@ async function cleanupExpiredReferees() {
   const startedAt = new Date();
 
   try {
-    // Fetch competitions that currently have a referee assigned
-    const competitions = await prisma.competition.findMany({
-      where: { NOT: { refereeId: null } },
-      select: { id: true, competitionName: true, toDate: true, refereeId: true },
+    // Duties held by referee accounts, with their competition's end date
+    const duties = await prisma.competitionOfficial.findMany({
+      where: { user: { role: 'referee' } },
+      select: { id: true, userId: true, competition: { select: { id: true, toDate: true } } },
     });
 
     const now = new Date();
-    // Separate expired competitions
-    const expired = competitions.filter((c) => {
-      const eod = parseToDateEndOfDay(c.toDate);
+    // Separate duties at competitions that have ended
+    const expired = duties.filter((d) => {
+      const eod = parseToDateEndOfDay(d.competition.toDate);
       return eod && now > eod;
     });
 
     if (expired.length === 0) return;
 
-    // Group expired competitions by refereeId
+    // Group expired duties by referee
     const groups = new Map();
-    for (const c of expired) {
-      if (!groups.has(c.refereeId)) groups.set(c.refereeId, []);
-      groups.get(c.refereeId).push(c);
+    for (const d of expired) {
+      if (!groups.has(d.userId)) groups.set(d.userId, []);
+      groups.get(d.userId).push(d);
     }
 
-    for (const [refereeId, comps] of groups.entries()) {
+    for (const [refereeId, expiredDuties] of groups.entries()) {
       try {
-        // Ensure we don't delete non-referee roles
-        const user = await prisma.user.findUnique({
-          where: { id: refereeId },
-          select: { id: true, role: true },
-        });
-
-        // If user disappeared already, just skip
-        if (!user) continue;
+        const totalDuties = duties.filter((d) => d.userId === refereeId).length;
+        const competitionIds = [...new Set(expiredDuties.map((d) => d.competition.id))];
 
-        const totalRefCount = await prisma.competition.count({ where: { refereeId } });
-        const expiredIds = comps.map((c) => c.id);
+        // Only the ended duties go; the account stays so the reports, ratings and
+        // match records it made keep their author
+        await prisma.competitionOfficial.deleteMany({
+          where: { id: { in: expiredDuties.map((d) => d.id) } },
+        });
 
-        if (expiredIds.length >= totalRefCount && user.role === 'referee') {
-          // All references are expired -> delete the referee user; FK will SetNull
-          await prisma.user.delete({ where: { id: refereeId } });
-          console.log(`[RefereeCleanup] Deleted referee ${refereeId}; competitions affected: ${expiredIds.join(', ')}`);
+        if (expiredDuties.length >= totalDuties) {
+          // No duty left -> deactivate the referee; an admin reactivates them for a new duty
+          await prisma.user.update({ where: { id: refereeId }, data: { active: false } });
+          await revokeUserSessions(refereeId, 'USER_DEACTIVATED');
+          console.log(`[RefereeCleanup] Deactivated referee ${refereeId}; competitions ended: ${competitionIds.join(', ')}`);
         } else {
-          // Some references still active or user is not referee -> detach from expired ones only
-          await prisma.competition.updateMany({
-            where: { id: { in: expiredIds }, refereeId },
-            data: { refereeId: null },
-          });
-          console.log(`[RefereeCleanup] Detached referee ${refereeId} from competitions: ${expiredIds.join(', ')}`);
+          console.log(`[RefereeCleanup] Detached referee ${refereeId} from competitions: ${competitionIds.join(', ')}`);
         }
       } catch (e) {
         console.error(`[RefereeCleanup] Error processing referee ${refereeId}`, e);
@@ -0,0 +1,43 @@
+const prisma = require("../config/db");
+const { expireSanctions } = require("../services/disciplinaryService");
+
+let isRunning = false;
+let timer = null;
+
+// Suspensions stop blocking players on their end date either way; this keeps
+// their status in line so lists and reports show them as expired
+async function expireEndedSanctions() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    if (!prisma?.playerSanction) return;
+
+    const count = await expireSanctions();
+    if (count) {
+      console.log(`[SanctionExpiry] Marked ${count} suspensions as expired`);
+    }
+  } catch (err) {
+    console.error("[SanctionExpiry] Job failed", err);
+  } finally {
+    isRunning = false;
+  }
+}
+
+function startSanctionExpiryJob(intervalMs = 86_400_000) {
+  expireEndedSanctions().catch(() => {});
+  timer = setInterval(() => expireEndedSanctions().catch(() => {}), intervalMs);
+  console.log(`[SanctionExpiry] Scheduled every ${Math.round(intervalMs / 1000)}s`);
+  return timer;
+}
+
+function stopSanctionExpiryJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  startSanctionExpiryJob,
+  stopSanctionExpiryJob,
+  expireEndedSanctions,
+};
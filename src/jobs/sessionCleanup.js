@@ -0,0 +1,50 @@
+const prisma = require("../config/db");
+
+let isRunning = false;
+let timer = null;
+
+// Revoked/expired sessions are kept this long so they still show up in audits
+const RETENTION_DAYS = 30;
+
+async function cleanupEndedSessions() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    if (!prisma?.session) return;
+
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const result = await prisma.session.deleteMany({
+      where: {
+        OR: [{ expiresAt: { lt: cutoff } }, { revokedAt: { lt: cutoff } }],
+      },
+    });
+
+    if (result?.count) {
+      console.log(`[SessionCleanup] Deleted ${result.count} sessions ended more than ${RETENTION_DAYS} days ago`);
+    }
+  } catch (err) {
+    console.error("[SessionCleanup] Job failed", err);
+  } finally {
+    isRunning = false;
+  }
+}
+
+function startSessionCleanupJob(intervalMs = 86_400_000) {
+  cleanupEndedSessions().catch(() => {});
+  timer = setInterval(() => cleanupEndedSessions().catch(() => {}), intervalMs);
+  console.log(`[SessionCleanup] Scheduled every ${Math.round(intervalMs / 1000)}s`);
+  return timer;
+}
+
+function stopSessionCleanupJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  startSessionCleanupJob,
+  stopSessionCleanupJob,
+  cleanupEndedSessions,
+};
@@ -1,4 +1,49 @@
+const { Prisma } = require("@prisma/client");
+const { z } = require("zod");
+
+/**
+ * Wrap async route handlers and turn the errors they throw into the
+ * `{ errors: ... }` JSON shape the frontend expects:
+ * - Zod validation errors become 400 with per-field messages
+ * - http-errors (400, 403, 404, 409, ...) keep their status
+ * - Prisma validation / unique constraint errors become 400
+ * Anything else is forwarded to the Express error middleware.
+ */
 const asyncHandler = (fn) => (req, res, next) =>
-  Promise.resolve(fn(req, res, next)).catch(next);
+  Promise.resolve(fn(req, res, next)).catch((err) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+    if (err instanceof z.ZodError) {
+      const errors = {};
+      err.errors.forEach((e) => {
+        errors[e.path[0] ?? "message"] = { type: "validation", message: e.message };
+      });
+      return res.status(400).json({ errors });
+    }
+    if (err.status && err.expose) {
+      return res
+        .status(err.status)
+        .json({ errors: err.errors || { message: err.message } });
+    }
+    if (err.name === "PrismaClientValidationError") {
+      return res.status(400).json({ errors: { message: err.message } });
+    }
+    if (err instanceof Prisma.PrismaClientKnownRequestError) {
+      if (err.code === "P2002" && err.meta?.target) {
+        const field = Array.isArray(err.meta.target)
+          ? err.meta.target[0]
+          : err.meta.target;
+        const message = `A record with that ${field} already exists.`;
+        return res
+          .status(400)
+          .json({ errors: { [field]: { type: "unique", message } } });
+      }
+      if (err.code === "P2025") {
+        return res.status(404).json({ errors: { message: "Record not found" } });
+      }
+    }
+    return next(err);
+  });
 
 module.exports = asyncHandler;
@@ -3,6 +3,10 @@ const createError = require("http-errors");
 const { secret } = require("../config/jwt");
 const prisma = require("../config/db");
 const { checkMembershipExpiry } = require("../services/membershipService");
+const { findActiveSession } = require("../services/sessionService");
+const { officiatedCompetitionsWhere, competitionDay } = require("../services/officialService");
+const { reportsCloseAt } = require("../services/observerReportService");
+const clubContext = require("./clubContext");
 
 module.exports = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
@@ -13,6 +17,8 @@ module.exports = async (req, res, next) => {
     const decoded = jwt.verify(token, secret);
     let user = null;
 
+    // Legacy direct club tokens (issued before club logins were merged into
+    // clubadmin accounts) stay valid until they expire
     if (decoded?.isClub) {
       const club = await prisma.club.findUnique({
         where: { id: decoded.userId },
@@ -38,6 +44,18 @@ module.exports = async (req, res, next) => {
       if (!user) {
         return next(createError(401, "Unauthorized"));
       }
+      if (!user.active) {
+        return next(createError(401, "Account is inactive"));
+      }
+    }
+
+    // Tokens issued with a session stop working as soon as the session is
+    // revoked (logout, revoked device, deactivated user)
+    if (decoded?.sid) {
+      const session = await findActiveSession(decoded.sid);
+      if (!session || session.userId !== user.id) {
+        return next(createError(401, "Session has ended, please log in again"));
+      }
     }
 
     if (typeof user.role === "string" && user.role.toLowerCase() === "clubadmin" && !user.clubId) {
@@ -77,10 +95,11 @@ module.exports = async (req, res, next) => {
       }
     }
 
-    // Enforce observer access window based on assigned competition dates (any active allows access)
+    // Enforce observer access window based on assigned competition dates (any active allows access).
+    // It stays open after the last day for as long as reports can still be filed.
     if (typeof user.role === 'string' && user.role.toLowerCase() === 'observer') {
       const competitions = await prisma.competition.findMany({
-        where: { observerId: user.id },
+        where: officiatedCompetitionsWhere(user.id),
         select: { id: true, fromDate: true, toDate: true },
       });
 
@@ -92,10 +111,9 @@ module.exports = async (req, res, next) => {
       const ranges = competitions
         .map((c) => {
           const start = new Date(c.fromDate);
-          const end = new Date(c.toDate);
+          const end = reportsCloseAt(c);
           if (isNaN(start.getTime()) || isNaN(end.getTime())) return null;
           start.setHours(0, 0, 0, 0);
-          end.setHours(23, 59, 59, 999);
           return { start, end, c };
         })
         .filter(Boolean);
@@ -110,7 +128,7 @@ module.exports = async (req, res, next) => {
           .filter(({ start }) => start > now)
           .sort((a, b) => a.start.getTime() - b.start.getTime());
         if (upcoming.length > 0) {
-          return next(createError(403, `Observer access not yet active. Starts on ${upcoming[0].c.fromDate}`));
+          return next(createError(403, `Observer access not yet active. Starts on ${competitionDay(upcoming[0].c.fromDate)}`));
         }
         return next(createError(403, 'Observer access period has expired'));
       }
@@ -119,7 +137,7 @@ module.exports = async (req, res, next) => {
     // Enforce referee access window based on assigned competition dates (any active allows access)
     if (typeof user.role === 'string' && user.role.toLowerCase() === 'referee') {
       const competitions = await prisma.competition.findMany({
-        where: { refereeId: user.id },
+        where: officiatedCompetitionsWhere(user.id),
         select: { id: true, fromDate: true, toDate: true },
       });
 
@@ -149,14 +167,16 @@ module.exports = async (req, res, next) => {
           .filter(({ start }) => start > now)
           .sort((a, b) => a.start.getTime() - b.start.getTime());
         if (upcoming.length > 0) {
-          return next(createError(403, `Referee access not yet active. Starts on ${upcoming[0].c.fromDate}`));
+          return next(createError(403, `Referee access not yet active. Starts on ${competitionDay(upcoming[0].c.fromDate)}`));
         }
         return next(createError(403, 'Referee access period has expired'));
       }
     }
 
     req.user = user;
-    next();
+    req.auth = decoded;
+    // Resolve the club the user acts for (req.club)
+    return clubContext(req, res, next);
   } catch (error) {
     return next(createError(401, "Unauthorized"));
   }
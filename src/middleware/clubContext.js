@@ -0,0 +1,58 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const roles = require("../config/roles");
+
+// Roles that act on behalf of a single club. "CLUB" is the legacy direct club login.
+const CLUB_PRINCIPAL_ROLES = [roles.CLUBADMIN, "club"];
+
+const isClubPrincipal = (user) => CLUB_PRINCIPAL_ROLES.includes(String(user?.role || "").toLowerCase());
+
+/**
+ * Expose the club the authenticated user acts for as `req.club`
+ * (`{ id, clubName, email }`), or `null` for users without a club scope.
+ * Runs right after `auth`, which leaves the verified token claims on
+ * `req.auth`. Tokens carry the club scope they were issued for; if the user
+ * has since been moved to another club the token is rejected.
+ */
+const clubContext = async (req, res, next) => {
+  req.club = null;
+
+  if (!req.user || !isClubPrincipal(req.user)) {
+    return next();
+  }
+
+  const clubId = req.user.clubId;
+  if (!clubId) {
+    return next(createError(403, "Club admin is not linked to any club"));
+  }
+
+  const tokenClubId = req.auth?.clubId;
+  if (tokenClubId !== undefined && tokenClubId !== null && tokenClubId !== clubId) {
+    return next(createError(401, "Club access has changed, please log in again"));
+  }
+
+  try {
+    const club = await prisma.club.findUnique({
+      where: { id: clubId },
+      select: { id: true, clubName: true, email: true },
+    });
+    if (!club) {
+      return next(createError(403, "Club not found"));
+    }
+    req.club = club;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Club id the request is scoped to, or null for admins and other roles.
+ * @param {object} req
+ * @returns {number|null}
+ */
+const getClubId = (req) => req.club?.id ?? null;
+
+module.exports = clubContext;
+module.exports.getClubId = getClubId;
+module.exports.isClubPrincipal = isClubPrincipal;
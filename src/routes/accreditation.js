@@ -0,0 +1,35 @@
+const express = require("express");
+const accreditationController = require("../controllers/accreditationController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Accreditation
+ *   description: Competition badges and gate checks
+ */
+
+/**
+ * @swagger
+ * /accreditation/verify/{token}:
+ *   get:
+ *     summary: Check a scanned accreditation badge
+ *     description: >
+ *       Public, so gate staff need no account; the signed token on the badge is
+ *       the credential. A badge is valid while its holder is still registered
+ *       (or still an official) and the competition is running.
+ *     tags: [Accreditation]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Whether the badge is valid, why not, and who holds it
+ */
+router.get("/verify/:token", accreditationController.verifyAccreditation);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 
 const router = express.Router();
 const authController = require("../controllers/authController");
+const auth = require("../middleware/auth");
 
 /**
  * @swagger
@@ -71,7 +72,13 @@ router.post("/register", authController.register);
  *               properties:
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token for POST /auth/refresh
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
  *                 user:
  *                   type: object
  *                   properties:
@@ -153,18 +160,70 @@ router.post("/forgot-password", authController.forgotPassword);
  */
 router.post("/reset-password/:token", authController.resetPassword);
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Get a new access token using a refresh token
+ *     description: The refresh token is rotated; the one sent stops working. Reusing an old refresh token ends the session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post("/refresh", authController.refresh);
+
 /**
  * @swagger
  * /auth/logout:
  *   post:
  *     summary: Logout a user
+ *     description: Revokes the session of the refresh token in the body, or of the bearer access token (even if expired).
  *     tags: [Auth]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logged out successfully
  */
-router.post("/logout", (req, res) => {
-  res.json({ message: "Logged out" });
-});
+router.post("/logout", authController.logout);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the devices the current user is signed in on
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with IP address, user agent and whether it is the current one
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/sessions", auth, authController.getSessions);
+
+// Sign out one of the current user's devices
+router.delete("/sessions/:sessionId", auth, authController.revokeSession);
 
 module.exports = router;
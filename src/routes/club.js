@@ -1,7 +1,9 @@
 const express = require("express");
 const clubController = require("../controllers/clubController");
 const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
 const createUploadMiddleware = require("../middleware/uploadMiddleware");
+const clubStaffRoutes = require("./clubStaff");
 
 const router = express.Router();
 
@@ -39,7 +41,7 @@ const clubExcelUpload = createUploadMiddleware(
  *       200:
  *         description: List of all regions with taluka info
  */
-router.get("/regions", auth, clubController.getPlaces);
+router.get("/regions", auth, acl("places.read"), clubController.getPlaces);
 
 /**
  * @swagger
@@ -65,7 +67,7 @@ router.get("/regions", auth, clubController.getPlaces);
  *       200:
  *         description: Import result summary
  */
-router.post("/import", auth, ...clubExcelUpload, clubController.importClubs);
+router.post("/import", auth, acl("clubs.write"), ...clubExcelUpload, clubController.importClubs);
 
 /**
  * @swagger
@@ -79,9 +81,9 @@ router.post("/import", auth, ...clubExcelUpload, clubController.importClubs);
  *       200:
  *         description: Excel file with headers Club Name, Email, Region
  */
-router.get("/import/template", auth, clubController.downloadClubImportTemplate);
+router.get("/import/template", auth, acl("clubs.write"), clubController.downloadClubImportTemplate);
 
-router.get("/export", auth, clubController.exportClubs);
+router.get("/export", auth, acl("clubs.read"), clubController.exportClubs);
 
 /**
  * @swagger
@@ -95,7 +97,7 @@ router.get("/export", auth, clubController.exportClubs);
  *       200:
  *         description: List of all clubs
  */
-router.get("/", auth, clubController.getClubs);
+router.get("/", auth, acl("clubs.read"), clubController.getClubs);
 
 /**
  * @swagger
@@ -118,7 +120,10 @@ router.get("/", auth, clubController.getClubs);
  *       404:
  *         description: Club not found
  */
-router.get("/:id(\\d+)", auth, clubController.getClub);
+router.get("/:id(\\d+)", auth, acl("clubs.read"), clubController.getClub);
+
+// Staff register: coaches, managers and physios named as team officials
+router.use("/:id(\\d+)/staff", clubStaffRoutes);
 
 /**
  * @swagger
@@ -138,7 +143,7 @@ router.get("/:id(\\d+)", auth, clubController.getClub);
  *       201:
  *         description: Club created
  */
-router.post("/", auth, clubController.createClub);
+router.post("/", auth, acl("clubs.write"), clubController.createClub);
 
 /**
  * @swagger
@@ -167,7 +172,7 @@ router.post("/", auth, clubController.createClub);
  *       404:
  *         description: Club not found
  */
-router.put("/:id(\\d+)", auth, clubController.updateClub);
+router.put("/:id(\\d+)", auth, acl("clubs.update"), clubController.updateClub);
 
 /**
  * @swagger
@@ -190,6 +195,6 @@ router.put("/:id(\\d+)", auth, clubController.updateClub);
  *       404:
  *         description: Club not found
  */
-router.delete("/:id(\\d+)", auth, clubController.deleteClub);
+router.delete("/:id(\\d+)", auth, acl("clubs.delete"), clubController.deleteClub);
 
 module.exports = router;
@@ -0,0 +1,227 @@
+const express = require("express");
+const clubStaffController = require("../controllers/clubStaffController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const createUploadMiddleware = require("../middleware/uploadMiddleware");
+
+// Mounted under /clubs/:id/staff
+const router = express.Router({ mergeParams: true });
+
+const staffUpload = createUploadMiddleware("club-staff", [
+  {
+    name: "profileImage",
+    allowedTypes: ["image/jpeg", "image/jpg", "image/png"],
+    maxSize: 2 * 1024 * 1024,
+  },
+  {
+    name: "aadharImage",
+    allowedTypes: ["image/jpeg", "image/jpg", "image/png"],
+    maxSize: 2 * 1024 * 1024,
+  },
+  {
+    name: "licenceFile",
+    allowedTypes: ["image/jpeg", "image/jpg", "image/png", "application/pdf"],
+    maxSize: 5 * 1024 * 1024,
+  },
+]);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClubStaffInput:
+ *       type: object
+ *       properties:
+ *         firstName:
+ *           type: string
+ *         lastName:
+ *           type: string
+ *         mobile:
+ *           type: string
+ *           description: 10 digits
+ *         email:
+ *           type: string
+ *         aadharNumber:
+ *           type: string
+ *           description: 12 digits; changing it clears the verification
+ *         licenceNumber:
+ *           type: string
+ *           description: Coaching licence; coaches need one valid until the end of the competition
+ *         licenceLevel:
+ *           type: string
+ *         licenceValidUntil:
+ *           type: string
+ *           format: date
+ *         active:
+ *           type: boolean
+ *         profileImage:
+ *           type: string
+ *           format: binary
+ *         aadharImage:
+ *           type: string
+ *           format: binary
+ *         licenceFile:
+ *           type: string
+ *           format: binary
+ */
+
+/**
+ * @swagger
+ * /clubs/{id}/staff:
+ *   get:
+ *     summary: The club's register of coaches, managers and physios
+ *     tags: [Clubs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staff with the number of competitions each has served in
+ *   post:
+ *     summary: Add a staff member to the register
+ *     tags: [Clubs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/ClubStaffInput'
+ *     responses:
+ *       201:
+ *         description: Staff member created
+ */
+router.get("/", auth, acl("clubstaff.read"), clubStaffController.getStaff);
+router.post("/", auth, acl("clubstaff.write"), ...staffUpload, clubStaffController.createStaff);
+
+/**
+ * @swagger
+ * /clubs/{id}/staff/{staffId}:
+ *   get:
+ *     summary: A staff member with the competitions they have served in
+ *     tags: [Clubs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Staff member
+ *   put:
+ *     summary: Update a staff member
+ *     tags: [Clubs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/ClubStaffInput'
+ *     responses:
+ *       200:
+ *         description: Staff member updated
+ *   delete:
+ *     summary: Delete a staff member who has never served in a competition
+ *     tags: [Clubs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Staff member deleted
+ *       400:
+ *         description: Has served in competitions
+ */
+router.get("/:staffId(\\d+)", auth, acl("clubstaff.read"), clubStaffController.getStaffMember);
+router.put("/:staffId(\\d+)", auth, acl("clubstaff.write"), ...staffUpload, clubStaffController.updateStaff);
+router.delete("/:staffId(\\d+)", auth, acl("clubstaff.write"), clubStaffController.deleteStaff);
+
+/**
+ * @swagger
+ * /clubs/{id}/staff/{staffId}/aadhaar-verification:
+ *   put:
+ *     summary: Mark a staff member's Aadhaar as verified or not
+ *     tags: [Clubs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [aadharVerified]
+ *             properties:
+ *               aadharVerified:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Staff member
+ *       400:
+ *         description: No Aadhaar number or card on record
+ */
+router.put("/:staffId(\\d+)/aadhaar-verification", auth, acl("clubstaff.verify"), clubStaffController.verifyStaffAadhaar);
+
+module.exports = router;
@@ -1,6 +1,18 @@
 const express = require("express");
 const competitionController = require("../controllers/competitionController");
 const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const fixtureRoutes = require("./fixture");
+const feeRoutes = require("./fee");
+const officialRoutes = require("./official");
+const weighInRoutes = require("./weighIn");
+const registrationRoutes = require("./registration");
+const lateEntryRoutes = require("./lateEntry");
+const replacementRoutes = require("./replacement");
+const observerReportRoutes = require("./observerReport");
+const teamOfficialRoutes = require("./teamOfficial");
+const weighInController = require("../controllers/weighInController");
+const accreditationController = require("../controllers/accreditationController");
 
 const router = express.Router();
 
@@ -46,6 +58,12 @@ const router = express.Router();
  *           type: string
  *           enum: [asc, desc]
  *         description: Sort order
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, OPEN, ENTRIES_CLOSED, IN_PROGRESS, COMPLETED, ARCHIVED]
+ *         description: Only competitions in this lifecycle status
  *     responses:
  *       200:
  *         description: List of all competitions
@@ -65,24 +83,86 @@ const router = express.Router();
  *                 totalCompetitions:
  *                   type: integer
  */
-router.get("/", auth, competitionController.getCompetitions);
+router.get("/", auth, acl("competitions.read"), competitionController.getCompetitions);
+
+// Fixtures (draw generation and scheduling)
+router.use("/:id/fixtures", fixtureRoutes);
+
+// Entry fees
+router.use("/:id/fees", feeRoutes);
+
+// Officials (referees, umpires, scorers, ...) and their duties
+router.use("/:id/officials", officialRoutes);
+
+// Competition-day weigh-ins
+router.use("/:id/weigh-ins", weighInRoutes);
+
+// Registration review, late-entry exceptions and player replacements
+router.use("/:id/registrations", registrationRoutes);
+router.use("/:id/late-entries", lateEntryRoutes);
+router.use("/:id/replacements", replacementRoutes);
+
+// Observers' day and match reports
+router.use("/:id/observer-reports", observerReportRoutes);
+
+// Coaches, managers and physios of each club's squads, from the clubs' staff registers
+router.use("/:id/team-officials", teamOfficialRoutes);
 
 // PDF generation routes - order matters: more specific first
-router.get("/:id/clubs/pdf", auth, competitionController.generateCompetitionClubsPDF);
+router.get("/:id/clubs/pdf", auth, acl("competitions.read"), competitionController.generateCompetitionClubsPDF);
+// Points table of a group
+router.get("/:id/groups/:groupId/standings", auth, acl("competitions.read"), competitionController.getGroupStandings);
+router.get("/:id/groups/:groupId/standings/pdf", auth, acl("competitions.read"), competitionController.generateStandingsPDF);
 // Club-specific PDF for a single club in a competition
-router.get("/:id/clubs/:clubId/pdf", auth, competitionController.generateClubCompetitionPDF);
+router.get("/:id/clubs/:clubId/pdf", auth, acl("competitions.read"), competitionController.generateClubCompetitionPDF);
+// Weigh-in sheet of a club (optionally ?groupId=)
+router.get("/:id/clubs/:clubId/weigh-ins/pdf", auth, acl("competitions.read"), weighInController.generateWeighInSheetPDF);
 
-// Get players for a specific club in a competition
-router.get("/:id/clubs/:clubId/players", auth, competitionController.getClubPlayersInCompetition);
+/**
+ * @swagger
+ * /competitions/{id}/accreditation/pdf:
+ *   get:
+ *     summary: Print accreditation badges with signed QR codes
+ *     description: Club admins get their own club's players and team officials; admins may print any club, or everyone including officials.
+ *     tags: [Accreditation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: clubId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: kinds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated PLAYER, COACH, MANAGER, PHYSIO, OFFICIAL (default all)
+ *     responses:
+ *       200:
+ *         description: PDF with six badges per A4 page
+ */
+router.get("/:id/accreditation/pdf", auth, acl("competitions.read"), accreditationController.generateBadgesPDF);
 
-// Set captain for a registration
-router.put("/:id/clubs/:clubId/players/:registrationId/captain", auth, competitionController.setCaptain);
+// Get players for a specific club in a competition
+router.get("/:id/clubs/:clubId/players", auth, acl("competitions.read"), competitionController.getClubPlayersInCompetition);
 
-// Get club info (manager and coach names) for a competition
-router.get("/:id/clubs/:clubId/info", auth, competitionController.getCompetitionClubInfo);
+// Set captain or vice-captain of the club's squad in the registration's group
+router.put("/:id/clubs/:clubId/players/:registrationId/captain", auth, acl("competitions.enter"), competitionController.setCaptain);
+router.put("/:id/clubs/:clubId/players/:registrationId/vice-captain", auth, acl("competitions.enter"), competitionController.setViceCaptain);
 
-// Update club info (manager and coach names) for a competition
-router.put("/:id/clubs/:clubId/info", auth, competitionController.updateCompetitionClubInfo);
+// Get club info (manager and coach names) for a competition; they are set through /team-officials
+router.get("/:id/clubs/:clubId/info", auth, acl("competitions.read"), competitionController.getCompetitionClubInfo);
+// Setting them here is gone (410); kept so old clients get a pointer to /team-officials
+router.put("/:id/clubs/:clubId/info", auth, acl("competitions.enter"), competitionController.updateCompetitionClubInfo);
 
 /**
  * @swagger
@@ -109,7 +189,7 @@ router.put("/:id/clubs/:clubId/info", auth, competitionController.updateCompetit
  *       404:
  *         description: Competition not found
  */
-router.get("/:id", auth, competitionController.getCompetition);
+router.get("/:id", auth, acl("competitions.read"), competitionController.getCompetition);
 
 const createUploadMiddleware = require("../middleware/uploadMiddleware");
 
@@ -173,7 +253,7 @@ const uploadMiddleware = createUploadMiddleware("competitions", [
  *       400:
  *         description: Validation error
  */
-router.post("/", auth, ...uploadMiddleware, competitionController.createCompetition);
+router.post("/", auth, acl("competitions.write"), ...uploadMiddleware, competitionController.createCompetition);
 
 /**
  * @swagger
@@ -224,7 +304,7 @@ router.post("/", auth, ...uploadMiddleware, competitionController.createCompetit
  *       400:
  *         description: Validation error
  */
-router.put("/:id", auth, ...uploadMiddleware, competitionController.updateCompetition);
+router.put("/:id", auth, acl("competitions.update"), ...uploadMiddleware, competitionController.updateCompetition);
 
 /**
  * @swagger
@@ -255,30 +335,125 @@ router.put("/:id", auth, ...uploadMiddleware, competitionController.updateCompet
  *       404:
  *         description: Competition not found
  */
-router.delete("/:id", auth, competitionController.deleteCompetition);
+router.delete("/:id", auth, acl("competitions.delete"), competitionController.deleteCompetition);
+
+/**
+ * @swagger
+ * /competitions/{id}/status:
+ *   post:
+ *     summary: Change a competition's lifecycle status by hand
+ *     description: >
+ *       Competitions move from OPEN through ENTRIES_CLOSED and IN_PROGRESS to COMPLETED
+ *       by their dates. Setting any other status than the dates call for overrides them
+ *       until auto is sent. DRAFT and ARCHIVED are only ever set by hand.
+ *     tags: [Competitions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Competition ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [DRAFT, OPEN, ENTRIES_CLOSED, IN_PROGRESS, COMPLETED, ARCHIVED]
+ *               auto:
+ *                 type: boolean
+ *                 description: Let the dates drive the status again
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Competition not found
+ */
+router.post("/:id/status", auth, acl("competitions.update"), competitionController.updateCompetitionStatus);
 
 // Club-specific competition routes
-router.get("/available", auth, competitionController.getAvailableCompetitions);
-router.post("/:id/join", auth, competitionController.joinCompetition);
-router.delete("/:id/leave", auth, competitionController.leaveCompetition);
-router.get("/:id/eligible-players", auth, competitionController.getEligiblePlayers);
-router.post("/:id/add-players", auth, competitionController.addPlayersToCompetition);
-router.get("/:id/registered-players", auth, competitionController.getRegisteredPlayers);
-router.get("/:id/players/:playerId/merit-certificate", auth, competitionController.generateMeritCertificatePDF);
-router.delete("/:id/players/:playerId", auth, competitionController.removePlayerFromCompetition);
+router.get("/available", auth, acl("competitions.read"), competitionController.getAvailableCompetitions);
+router.post("/:id/join", auth, acl("competitions.enter"), competitionController.joinCompetition);
+router.delete("/:id/leave", auth, acl("competitions.enter"), competitionController.leaveCompetition);
+router.get("/:id/eligible-players", auth, acl("competitions.enter"), competitionController.getEligiblePlayers);
+router.post("/:id/add-players", auth, acl("competitions.enter"), competitionController.addPlayersToCompetition);
+
+/**
+ * @swagger
+ * /competitions/{id}/eligibility-check:
+ *   post:
+ *     summary: Check players against the eligibility rules of the competition's groups
+ *     description: Returns pass/fail with a reason for every rule (age, gender, weight, aadhaar, suspension, representation, membership) per group, plus squad rules when a group is given.
+ *     tags: [Competitions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [playerIds]
+ *             properties:
+ *               playerIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               groupId:
+ *                 type: integer
+ *                 description: Check one group only; all groups when omitted
+ *               clubId:
+ *                 type: integer
+ *                 description: Admins only; club users always check their own club
+ *               weights:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     playerId:
+ *                       type: integer
+ *                     weightKg:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Per-player, per-group rule results
+ *       400:
+ *         description: Validation error, or players unknown or of another club
+ *       404:
+ *         description: Competition not found
+ */
+router.post("/:id/eligibility-check", auth, acl("competitions.enter"), competitionController.checkPlayerEligibility);
+router.get("/:id/registered-players", auth, acl("competitions.read"), competitionController.getRegisteredPlayers);
+router.get("/:id/players/:playerId/merit-certificate", auth, acl("competitions.read"), competitionController.generateMeritCertificatePDF);
+router.delete("/:id/players/:playerId", auth, acl("competitions.enter"), competitionController.removePlayerFromCompetition);
 
+// Single observer/referee endpoints: wrappers over /:id/officials kept for older clients
 // Assign an observer to a competition (one per competition)
-router.post("/:id/observer", auth, competitionController.setObserverForCompetition);
+router.post("/:id/observer", auth, acl("competitions.officials"), competitionController.setObserverForCompetition);
 // Get current observer
-router.get("/:id/observer", auth, competitionController.getObserverForCompetition);
+router.get("/:id/observer", auth, acl("competitions.officials"), competitionController.getObserverForCompetition);
 // Update observer
-router.put("/:id/observer", auth, competitionController.updateObserverForCompetition);
+router.put("/:id/observer", auth, acl("competitions.officials"), competitionController.updateObserverForCompetition);
 
 // Assign a referee to a competition (one per competition)
-router.post("/:id/referee", auth, competitionController.setRefereeForCompetition);
+router.post("/:id/referee", auth, acl("competitions.officials"), competitionController.setRefereeForCompetition);
 // Get current referee
-router.get("/:id/referee", auth, competitionController.getRefereeForCompetition);
+router.get("/:id/referee", auth, acl("competitions.officials"), competitionController.getRefereeForCompetition);
 // Update referee
-router.put("/:id/referee", auth, competitionController.updateRefereeForCompetition);
+router.put("/:id/referee", auth, acl("competitions.officials"), competitionController.updateRefereeForCompetition);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,156 @@
+const express = require("express");
+const disciplinaryController = require("../controllers/disciplinaryController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Disciplinary
+ *   description: Disciplinary cases against players, sanctions and appeals
+ */
+
+/**
+ * @swagger
+ * /disciplinary-cases:
+ *   get:
+ *     summary: List disciplinary cases (clubs see their own players', officials those they reported)
+ *     tags: [Disciplinary]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, DECIDED, DISMISSED]
+ *       - in: query
+ *         name: appealStatus
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ALLOWED, DISMISSED]
+ *       - in: query
+ *         name: playerId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: competitionId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated cases with their sanctions, newest first
+ *   post:
+ *     summary: Report an incident
+ *     tags: [Disciplinary]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [playerId, incident]
+ *             properties:
+ *               playerId:
+ *                 type: integer
+ *               competitionId:
+ *                 type: integer
+ *               fixtureId:
+ *                 type: integer
+ *               incidentDate:
+ *                 type: string
+ *                 format: date
+ *               incident:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Case opened
+ */
+router.get("/", auth, acl("disciplinary.read"), disciplinaryController.getCases);
+router.post("/", auth, acl("disciplinary.report"), disciplinaryController.reportIncident);
+
+router.get("/:caseId(\\d+)", auth, acl("disciplinary.read"), disciplinaryController.getCase);
+router.put("/:caseId(\\d+)", auth, acl("disciplinary.manage"), disciplinaryController.updateCase);
+
+/**
+ * @swagger
+ * /disciplinary-cases/{caseId}/decision:
+ *   post:
+ *     summary: Record the hearing outcome and impose sanctions
+ *     tags: [Disciplinary]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: caseId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [outcome, hearingOutcome]
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [SANCTIONED, DISMISSED]
+ *               hearingDate:
+ *                 type: string
+ *                 format: date-time
+ *               hearingOutcome:
+ *                 type: string
+ *               sanctions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [type]
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [MATCH_BAN, SUSPENSION, FINE]
+ *                     matches:
+ *                       type: integer
+ *                       description: MATCH_BAN only
+ *                     competitionId:
+ *                       type: integer
+ *                       description: MATCH_BAN only; limits the ban to this competition
+ *                     startsOn:
+ *                       type: string
+ *                       format: date
+ *                     endsOn:
+ *                       type: string
+ *                       format: date
+ *                       description: SUSPENSION only; open-ended when omitted
+ *                     fineAmount:
+ *                       type: number
+ *                       description: FINE only
+ *                     remarks:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Case DECIDED or DISMISSED
+ */
+router.post("/:caseId(\\d+)/decision", auth, acl("disciplinary.manage"), disciplinaryController.decideCase);
+
+// Appeals: clubs lodge them, admins decide; an allowed appeal lifts the sanctions
+router.post("/:caseId(\\d+)/appeal", auth, acl("disciplinary.appeal"), disciplinaryController.lodgeAppeal);
+router.post("/:caseId(\\d+)/appeal/decision", auth, acl("disciplinary.manage"), disciplinaryController.decideAppeal);
+
+router.post("/sanctions/:sanctionId(\\d+)/fine-paid", auth, acl("disciplinary.manage"), disciplinaryController.markFinePaid);
+
+module.exports = router;
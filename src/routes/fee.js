@@ -0,0 +1,78 @@
+const express = require("express");
+const feeController = require("../controllers/feeController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+// Mounted under /competitions/:id/fees
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Fees
+ *   description: Competition entry fees
+ */
+
+/**
+ * @swagger
+ * /competitions/{id}/fees:
+ *   get:
+ *     summary: List entry fees of a competition
+ *     description: For club users the response also holds the club's outstanding dues for the competition.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Fees and, for clubs, the outstanding amount
+ */
+router.get("/", auth, acl("competitions.read"), feeController.getFees);
+
+/**
+ * @swagger
+ * /competitions/{id}/fees:
+ *   post:
+ *     summary: Add an entry fee
+ *     description: PER_CLUB fees are charged once per club (per group entered when groupId is set), PER_PLAYER fees for every registered player. Clubs are invoiced when they join and when they add players.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [feeType, amount]
+ *             properties:
+ *               feeType:
+ *                 type: string
+ *                 enum: [PER_CLUB, PER_PLAYER]
+ *               groupId:
+ *                 type: integer
+ *                 nullable: true
+ *               amount:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Fee created
+ */
+router.post("/", auth, acl("fees.manage"), feeController.createFee);
+router.put("/:feeId(\\d+)", auth, acl("fees.manage"), feeController.updateFee);
+router.delete("/:feeId(\\d+)", auth, acl("fees.manage"), feeController.deleteFee);
+
+module.exports = router;
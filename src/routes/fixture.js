@@ -0,0 +1,427 @@
+const express = require("express");
+const fixtureController = require("../controllers/fixtureController");
+const scoringController = require("../controllers/scoringController");
+const lineupController = require("../controllers/lineupController");
+const refereeRatingController = require("../controllers/refereeRatingController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+// Mounted under /competitions/:id/fixtures
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Fixtures
+ *   description: Competition fixture generation and scheduling
+ */
+
+/**
+ * @swagger
+ * /competitions/{id}/fixtures:
+ *   get:
+ *     summary: List fixtures of a competition
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: clubId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [SCHEDULED, LIVE, COMPLETED, CANCELLED]
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Fixtures ordered by scheduled time and court
+ */
+router.get("/", auth, acl("fixtures.read"), fixtureController.getFixtures);
+
+/**
+ * @swagger
+ * /competitions/{id}/fixtures/generate:
+ *   post:
+ *     summary: Generate and schedule the draw for a competition group
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [groupId, format]
+ *             properties:
+ *               groupId:
+ *                 type: integer
+ *               format:
+ *                 type: string
+ *                 enum: [KNOCKOUT, LEAGUE, POOL_KNOCKOUT]
+ *               clubIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Clubs in seed order. Defaults to clubs with players registered in the group
+ *               shuffle:
+ *                 type: boolean
+ *                 description: Randomise the draw when clubIds is not given (default true)
+ *               poolCount:
+ *                 type: integer
+ *               qualifiersPerPool:
+ *                 type: integer
+ *               courts:
+ *                 type: integer
+ *               dayStart:
+ *                 type: string
+ *                 example: "09:00"
+ *               dayEnd:
+ *                 type: string
+ *                 example: "18:00"
+ *               matchDurationMinutes:
+ *                 type: integer
+ *               breakMinutes:
+ *                 type: integer
+ *               replace:
+ *                 type: boolean
+ *                 description: Replace an existing draw that has not started yet
+ *     responses:
+ *       201:
+ *         description: Fixtures generated
+ *       400:
+ *         description: Invalid input or not enough time slots
+ *       403:
+ *         description: Admin only
+ */
+router.post("/generate", auth, acl("fixtures.manage"), fixtureController.generateFixtures);
+
+// Remove the draw of a group (?groupId=), only before any match has started
+router.delete("/", auth, acl("fixtures.manage"), fixtureController.deleteFixtures);
+
+router.get("/:fixtureId", auth, acl("fixtures.read"), fixtureController.getFixture);
+
+/**
+ * @swagger
+ * /competitions/{id}/fixtures/{fixtureId}:
+ *   patch:
+ *     summary: Reschedule a fixture or fill in its clubs
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: fixtureId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *               court:
+ *                 type: integer
+ *               durationMinutes:
+ *                 type: integer
+ *               homeClubId:
+ *                 type: integer
+ *                 nullable: true
+ *               awayClubId:
+ *                 type: integer
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 enum: [SCHEDULED, CANCELLED]
+ *     responses:
+ *       200:
+ *         description: Fixture updated
+ *       409:
+ *         description: The new time or court clashes with another fixture
+ */
+router.patch("/:fixtureId", auth, acl("fixtures.manage"), fixtureController.updateFixture);
+
+/**
+ * @swagger
+ * /competitions/{id}/fixtures/{fixtureId}/lineups:
+ *   get:
+ *     summary: Lineups, toss and substitutions of a fixture, with the players on court
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: fixtureId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Toss, lineups and substitutions
+ *   put:
+ *     summary: Submit a club's playing seven and substitutes for a match
+ *     description: Players must be in the club's squad for the group, not suspended and, in groups with a weight limit, weighed in within it. Submitting again before the match starts replaces the lineup.
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: fixtureId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [playing]
+ *             properties:
+ *               clubId:
+ *                 type: integer
+ *                 description: Admins only; club admins submit their own club's lineup
+ *               playing:
+ *                 type: array
+ *                 description: Exactly 7 player IDs
+ *                 items:
+ *                   type: integer
+ *               substitutes:
+ *                 type: array
+ *                 description: Up to 5 player IDs
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Lineup saved
+ *       400:
+ *         description: Players not eligible, or the match has started
+ */
+router.get("/:fixtureId/lineups", auth, acl("fixtures.read"), lineupController.getLineups);
+router.put("/:fixtureId/lineups", auth, acl("fixtures.lineup"), lineupController.submitLineup);
+
+// Live scoring (assigned referee or admin)
+router.get("/:fixtureId/score", auth, acl("fixtures.read"), scoringController.getScore);
+
+/**
+ * @swagger
+ * /competitions/{id}/fixtures/{fixtureId}/toss:
+ *   post:
+ *     summary: Record the toss of a match before it starts
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: fixtureId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [winnerClubId, choice]
+ *             properties:
+ *               winnerClubId:
+ *                 type: integer
+ *               choice:
+ *                 type: string
+ *                 enum: [COURT, RAID]
+ *                 description: The toss winner's pick of court side or the first raid
+ *     responses:
+ *       200:
+ *         description: Toss recorded, returns the lineups
+ */
+router.post("/:fixtureId/toss", auth, acl("fixtures.score"), scoringController.recordToss);
+
+/**
+ * @swagger
+ * /competitions/{id}/fixtures/{fixtureId}/start:
+ *   post:
+ *     summary: Start a match once both lineups and the toss are in
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: fixtureId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Match started
+ *       400:
+ *         description: A lineup or the toss is missing
+ */
+router.post("/:fixtureId/start", auth, acl("fixtures.score"), scoringController.startMatch);
+
+/**
+ * @swagger
+ * /competitions/{id}/fixtures/{fixtureId}/events:
+ *   post:
+ *     summary: Record a scoring event for a live match
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, half, clubId]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [RAID_POINT, BONUS_POINT, TACKLE_POINT, SUPER_TACKLE, ALL_OUT, TECHNICAL_POINT, EMPTY_RAID]
+ *               half:
+ *                 type: integer
+ *                 enum: [1, 2]
+ *               clubId:
+ *                 type: integer
+ *                 description: Club the points are awarded to
+ *               points:
+ *                 type: integer
+ *                 description: Only for raid (1-7) and technical (1-3) points
+ *               playerId:
+ *                 type: integer
+ *                 description: Must be on court for clubId
+ *               opponentPlayerId:
+ *                 type: integer
+ *                 description: Must be on court for the other club
+ *     responses:
+ *       201:
+ *         description: Event recorded, returns the replayed score
+ *       403:
+ *         description: Not the referee assigned to this competition
+ */
+router.post("/:fixtureId/events", auth, acl("fixtures.score"), scoringController.recordEvent);
+router.post("/:fixtureId/events/undo", auth, acl("fixtures.score"), scoringController.undoLastEvent);
+
+/**
+ * @swagger
+ * /competitions/{id}/fixtures/{fixtureId}/substitutions:
+ *   post:
+ *     summary: Bring a player from the lineup on for a player on court
+ *     description: Each club can make at most 5 substitutions per half.
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: fixtureId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [clubId, half, playerInId, playerOutId]
+ *             properties:
+ *               clubId:
+ *                 type: integer
+ *               half:
+ *                 type: integer
+ *                 enum: [1, 2]
+ *               playerInId:
+ *                 type: integer
+ *               playerOutId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Substitution recorded, returns the lineups
+ *       400:
+ *         description: Player not on court or not in the lineup, or the half's limit is reached
+ * /competitions/{id}/fixtures/{fixtureId}/substitutions/undo:
+ *   post:
+ *     summary: Undo the last substitution of a live match
+ *     tags: [Fixtures]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: fixtureId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Substitution undone
+ */
+router.post("/:fixtureId/substitutions", auth, acl("fixtures.score"), scoringController.recordSubstitution);
+router.post("/:fixtureId/substitutions/undo", auth, acl("fixtures.score"), scoringController.undoLastSubstitution);
+router.post("/:fixtureId/complete", auth, acl("fixtures.score"), scoringController.completeMatch);
+
+// Observers rate the referees, umpires and scorers of a match
+router.get("/:fixtureId/ratings", auth, acl("referees.rate"), refereeRatingController.getFixtureRatings);
+router.post("/:fixtureId/ratings", auth, acl("referees.rate"), refereeRatingController.rateReferee);
+
+module.exports = router;
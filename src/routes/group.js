@@ -1,6 +1,7 @@
 const express = require("express");
 const groupController = require("../controllers/groupController");
 const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
 
 const router = express.Router();
 
@@ -65,7 +66,7 @@ const router = express.Router();
  *                 totalGroups:
  *                   type: integer
  */
-router.get("/", auth, groupController.getGroups);
+router.get("/", auth, acl("groups.read"), groupController.getGroups);
 
 /**
  * @swagger
@@ -92,7 +93,7 @@ router.get("/", auth, groupController.getGroups);
  *       404:
  *         description: Group not found
  */
-router.get("/:id", auth, groupController.getGroup);
+router.get("/:id", auth, acl("groups.read"), groupController.getGroup);
 
 /**
  * @swagger
@@ -136,7 +137,7 @@ router.get("/:id", auth, groupController.getGroup);
  *       400:
  *         description: Validation error
  */
-router.post("/", auth, groupController.createGroup);
+router.post("/", auth, acl("groups.write"), groupController.createGroup);
 
 /**
  * @swagger
@@ -182,7 +183,7 @@ router.post("/", auth, groupController.createGroup);
  *       400:
  *         description: Validation error
  */
-router.put("/:id", auth, groupController.updateGroup);
+router.put("/:id", auth, acl("groups.update"), groupController.updateGroup);
 
 /**
  * @swagger
@@ -213,6 +214,6 @@ router.put("/:id", auth, groupController.updateGroup);
  *       404:
  *         description: Group not found
  */
-router.delete("/:id", auth, groupController.deleteGroup);
+router.delete("/:id", auth, acl("groups.delete"), groupController.deleteGroup);
 
 module.exports = router;
\ No newline at end of file
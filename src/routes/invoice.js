@@ -0,0 +1,154 @@
+const express = require("express");
+const invoiceController = require("../controllers/invoiceController");
+const paymentController = require("../controllers/paymentController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invoices
+ *   description: Competition entry fee invoices
+ */
+
+/**
+ * @swagger
+ * /invoices:
+ *   get:
+ *     summary: List invoices (clubs see their own)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: competitionId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: clubId
+ *         description: Admins only
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [UNPAID, PARTIALLY_PAID, PAID, CANCELLED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated invoices with their outstanding balance, newest first
+ */
+router.get("/", auth, acl("invoices.read"), invoiceController.getInvoices);
+
+/**
+ * @swagger
+ * /invoices/generate:
+ *   post:
+ *     summary: Invoice clubs for fees not invoiced yet
+ *     description: Use after adding or raising fees of a competition that clubs have already joined. Earlier invoices are left unchanged.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [competitionId]
+ *             properties:
+ *               competitionId:
+ *                 type: integer
+ *               clubId:
+ *                 type: integer
+ *                 description: Only this club; all participating clubs when omitted
+ *     responses:
+ *       201:
+ *         description: Invoices issued
+ */
+router.post("/generate", auth, acl("invoices.manage"), invoiceController.generateInvoices);
+
+router.get("/:invoiceId(\\d+)", auth, acl("invoices.read"), invoiceController.getInvoice);
+router.get("/:invoiceId(\\d+)/pdf", auth, acl("invoices.read"), invoiceController.generateInvoicePDF);
+router.post("/:invoiceId(\\d+)/cancel", auth, acl("invoices.manage"), invoiceController.cancelInvoice);
+
+/**
+ * @swagger
+ * /invoices/{invoiceId}/payments:
+ *   post:
+ *     summary: Record a cash, UPI or bank transfer payment
+ *     description: Payments recorded by clubs stay PENDING until an admin reconciles them; payments recorded by admins are confirmed straight away.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, method]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [CASH, UPI, BANK_TRANSFER]
+ *               reference:
+ *                 type: string
+ *                 description: UPI reference or bank UTR; required unless CASH
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Invoice paid or cancelled, or amount above the balance due
+ */
+router.post("/:invoiceId(\\d+)/payments", auth, acl("payments.record"), paymentController.recordPayment);
+
+/**
+ * @swagger
+ * /invoices/{invoiceId}/checkout:
+ *   post:
+ *     summary: Start an online payment of the balance due
+ *     description: Creates an order with the gateway selected by PAYMENT_PROVIDER. The payment is confirmed by the gateway callback. While a checkout for the amount due is pending, it is returned again instead of a new one.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The checkout already pending for this invoice
+ *       201:
+ *         description: Payment ID, amount and the provider's checkout data
+ *       400:
+ *         description: Online payments disabled, or invoice paid or cancelled
+ */
+router.post("/:invoiceId(\\d+)/checkout", auth, acl("payments.record"), paymentController.createCheckout);
+
+module.exports = router;
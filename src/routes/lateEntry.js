@@ -0,0 +1,60 @@
+const express = require("express");
+const registrationController = require("../controllers/registrationController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+// Mounted under /competitions/:id/late-entries
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /competitions/{id}/late-entries:
+ *   get:
+ *     summary: Late-entry exceptions of a competition (club admins see their own)
+ *     tags: [Registrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Exceptions, newest first, with whether each is still in force
+ *   post:
+ *     summary: Let a club change its squad after the last entry date
+ *     tags: [Registrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [clubId, expiresAt, reason]
+ *             properties:
+ *               clubId:
+ *                 type: integer
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Exception granted
+ */
+router.get("/", auth, acl("competitions.enter"), registrationController.getLateEntryExceptions);
+router.post("/", auth, acl("registrations.review"), registrationController.grantLateEntryException);
+router.delete("/:exceptionId(\\d+)", auth, acl("registrations.review"), registrationController.revokeLateEntryException);
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const express = require("express");
+const observerReportController = require("../controllers/observerReportController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const createUploadMiddleware = require("../middleware/uploadMiddleware");
+
+// Mounted under /competitions/:id/observer-reports
+const router = express.Router({ mergeParams: true });
+
+const photoUpload = createUploadMiddleware("observer-reports", [
+  {
+    name: "photos",
+    allowedTypes: ["image/jpeg", "image/jpg", "image/png"],
+    maxSize: 5 * 1024 * 1024,
+  },
+]);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Observer Reports
+ *   description: Observers' reports on competition days and matches
+ */
+
+/**
+ * @swagger
+ * /competitions/{id}/observer-reports:
+ *   get:
+ *     summary: Observer reports of a competition (observers see their own)
+ *     tags: [Observer Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: observerId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fixtureId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [DAY, FIXTURE]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, SUBMITTED]
+ *     responses:
+ *       200:
+ *         description: Reports by date, with their photo count
+ *   post:
+ *     summary: Start a report on a match (fixtureId) or a competition day (reportDate)
+ *     description: Only observers holding a duty that covers the match or day can file it. Sections can be filled in now or later.
+ *     tags: [Observer Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ObserverReportSections'
+ *     responses:
+ *       201:
+ *         description: Draft report created
+ *       400:
+ *         description: Already reported, date outside the competition or competition not running
+ *       403:
+ *         description: Not an observer of this match or day
+ */
+router.get("/", auth, acl("observerreports.read"), observerReportController.getReports);
+router.post("/", auth, acl("observerreports.file"), observerReportController.createReport);
+
+/**
+ * @swagger
+ * /competitions/{id}/observer-reports/pdf:
+ *   get:
+ *     summary: Compiled PDF of the competition's reports
+ *     description: Takes the list filters; only submitted reports unless status=DRAFT.
+ *     tags: [Observer Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get("/pdf", auth, acl("observerreports.manage"), observerReportController.generateReportsPDF);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ObserverReportSections:
+ *       type: object
+ *       properties:
+ *         fixtureId:
+ *           type: integer
+ *           description: Only when creating a match report
+ *         reportDate:
+ *           type: string
+ *           format: date
+ *           description: Only when creating a day report
+ *         venueRating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         venueNotes:
+ *           type: string
+ *         officiatingRating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         officiatingNotes:
+ *           type: string
+ *         conductRating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         conductNotes:
+ *           type: string
+ *         incidents:
+ *           type: string
+ *         remarks:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /competitions/{id}/observer-reports/{reportId}:
+ *   get:
+ *     summary: A report with its photos
+ *     tags: [Observer Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report
+ *   put:
+ *     summary: Update the sections of a draft report
+ *     tags: [Observer Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ObserverReportSections'
+ *     responses:
+ *       200:
+ *         description: Report updated
+ *       400:
+ *         description: Report already submitted
+ *   delete:
+ *     summary: Delete a draft report
+ *     tags: [Observer Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report deleted
+ */
+router.get("/:reportId(\\d+)", auth, acl("observerreports.read"), observerReportController.getReport);
+router.put("/:reportId(\\d+)", auth, acl("observerreports.file"), observerReportController.updateReport);
+router.delete("/:reportId(\\d+)", auth, acl("observerreports.file"), observerReportController.deleteReport);
+
+/**
+ * @swagger
+ * /competitions/{id}/observer-reports/{reportId}/photos:
+ *   post:
+ *     summary: Attach photos to a draft report
+ *     tags: [Observer Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [photos]
+ *             properties:
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: JPEG or PNG, up to 5 MB each and 10 per report
+ *               caption:
+ *                 type: string
+ *                 description: Caption for the photos uploaded together
+ *     responses:
+ *       201:
+ *         description: Report with its photos
+ */
+router.post("/:reportId(\\d+)/photos", auth, acl("observerreports.file"), ...photoUpload, observerReportController.addReportPhotos);
+router.delete("/:reportId(\\d+)/photos/:photoId(\\d+)", auth, acl("observerreports.file"), observerReportController.deleteReportPhoto);
+
+/**
+ * @swagger
+ * /competitions/{id}/observer-reports/{reportId}/submit:
+ *   post:
+ *     summary: Submit a report; it is locked afterwards
+ *     description: Every section must be rated.
+ *     tags: [Observer Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report submitted
+ * /competitions/{id}/observer-reports/{reportId}/reopen:
+ *   post:
+ *     summary: Send a submitted report back to its observer
+ *     tags: [Observer Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report is a draft again
+ */
+router.post("/:reportId(\\d+)/submit", auth, acl("observerreports.file"), observerReportController.submitReport);
+router.post("/:reportId(\\d+)/reopen", auth, acl("observerreports.manage"), observerReportController.reopenReport);
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require("express");
+const officialController = require("../controllers/officialController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+// Mounted under /competitions/:id/officials
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Officials
+ *   description: Referees, umpires, scorers, technical delegates, jury of appeal and observers of a competition
+ */
+
+/**
+ * @swagger
+ * /competitions/{id}/officials:
+ *   get:
+ *     summary: List the officials of a competition
+ *     tags: [Officials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: duty
+ *         schema:
+ *           type: string
+ *           enum: [REFEREE, UMPIRE, SCORER, TECHNICAL_DELEGATE, JURY_OF_APPEAL, OBSERVER]
+ *       - in: query
+ *         name: date
+ *         description: Only officials working that day (including those assigned for every day)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Duty assignments with the official's user account
+ */
+router.get("/", auth, acl("competitions.read"), officialController.getOfficials);
+
+/**
+ * @swagger
+ * /competitions/{id}/officials:
+ *   post:
+ *     summary: Give an official a duty at the competition
+ *     description: Referees, umpires and scorers must be referee accounts with a referee profile. Leave matchDate and court empty for a duty covering every day and court.
+ *     tags: [Officials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId, duty]
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               duty:
+ *                 type: string
+ *                 enum: [REFEREE, UMPIRE, SCORER, TECHNICAL_DELEGATE, JURY_OF_APPEAL, OBSERVER]
+ *               panel:
+ *                 type: string
+ *                 example: Panel A
+ *               matchDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               court:
+ *                 type: integer
+ *                 nullable: true
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Duty assigned
+ *       400:
+ *         description: User cannot hold the duty, date outside the competition or duplicate assignment
+ */
+router.post("/", auth, acl("competitions.officials"), officialController.addOfficial);
+
+/**
+ * @swagger
+ * /competitions/{id}/officials/conflicts:
+ *   get:
+ *     summary: Report problems with the competition's officials
+ *     description: DOUBLE_BOOKED (duty at another competition the same day), OWN_CLUB (covers a match of their own club) and UNAVAILABLE (outside declared availability).
+ *     tags: [Officials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of conflicts
+ */
+router.get("/conflicts", auth, acl("competitions.officials"), officialController.getConflicts);
+
+/**
+ * @swagger
+ * /competitions/{id}/officials/auto-assign:
+ *   post:
+ *     summary: Propose officials for every match day and court
+ *     description: Uses scheduled fixtures. Picks available referees who are free elsewhere and not from a club playing on that court that day, least loaded first. Nothing is saved unless apply is true.
+ *     tags: [Officials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               duty:
+ *                 type: string
+ *                 enum: [REFEREE, UMPIRE, SCORER]
+ *                 default: REFEREE
+ *               officialsPerCourt:
+ *                 type: integer
+ *                 default: 1
+ *               apply:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Proposed assignments and slots that could not be filled
+ *       201:
+ *         description: Proposed assignments created
+ */
+router.post("/auto-assign", auth, acl("competitions.officials"), officialController.autoAssign);
+router.put("/:officialId(\\d+)", auth, acl("competitions.officials"), officialController.updateOfficial);
+router.delete("/:officialId(\\d+)", auth, acl("competitions.officials"), officialController.removeOfficial);
+
+module.exports = router;
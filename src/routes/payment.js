@@ -0,0 +1,87 @@
+const express = require("express");
+const paymentController = require("../controllers/paymentController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Payments against invoices and their reconciliation
+ */
+
+/**
+ * @swagger
+ * /payments:
+ *   get:
+ *     summary: List payments (clubs see their own)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, CONFIRMED, REJECTED]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [CASH, UPI, BANK_TRANSFER, GATEWAY]
+ *       - in: query
+ *         name: invoiceId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated payments, newest first
+ */
+router.get("/", auth, acl("invoices.read"), paymentController.getPayments);
+
+/**
+ * @swagger
+ * /payments/{paymentId}/reconcile:
+ *   post:
+ *     summary: Confirm or reject a pending payment
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [confirmed]
+ *             properties:
+ *               confirmed:
+ *                 type: boolean
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment CONFIRMED or REJECTED and the invoice status updated
+ */
+router.post("/:paymentId(\\d+)/reconcile", auth, acl("payments.reconcile"), paymentController.reconcilePayment);
+
+// Gateway callback; public, verified by the provider's signature
+router.post("/callback/:provider", paymentController.paymentCallback);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require("express");
+const permissionController = require("../controllers/permissionController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Permissions
+ *   description: Role permission matrix
+ */
+
+/**
+ * @swagger
+ * /permissions:
+ *   get:
+ *     summary: Get the role/permission matrix
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All roles and, per permission, the roles granted it
+ *       403:
+ *         description: Forbidden
+ */
+router.get("/", auth, acl("permissions.read"), permissionController.getPermissions);
+
+/**
+ * @swagger
+ * /permissions/roles/{role}:
+ *   put:
+ *     summary: Replace the permissions granted to a role
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["competitions.read", "players.read"]
+ *     responses:
+ *       200:
+ *         description: Updated matrix
+ *       400:
+ *         description: Invalid role or unknown permission
+ */
+router.put("/roles/:role", auth, acl("permissions.write"), permissionController.updateRolePermissions);
+
+// Add permissions defined in code that are missing from the database
+router.post("/sync", auth, acl("permissions.write"), permissionController.syncPermissions);
+
+module.exports = router;
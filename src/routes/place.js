@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const placeController = require("../controllers/placeController");
 const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
 
 /**
  * @swagger
@@ -106,7 +107,7 @@ const auth = require("../middleware/auth");
  *       401:
  *         description: Unauthorized
  */
-router.get("/", auth, placeController.getPlaces);
+router.get("/", auth, acl("places.read"), placeController.getPlaces);
 
 /**
  * @swagger
@@ -137,7 +138,7 @@ router.get("/", auth, placeController.getPlaces);
  *       401:
  *         description: Unauthorized
  */
-router.get("/regions", auth, placeController.getRegions);
+router.get("/regions", auth, acl("regions.read"), placeController.getRegions);
 
 /**
  * @swagger
@@ -166,7 +167,7 @@ router.get("/regions", auth, placeController.getRegions);
  *       404:
  *         description: Place not found
  */
-router.get("/:id", auth, placeController.getPlaceById);
+router.get("/:id", auth, acl("places.read"), placeController.getPlaceById);
 
 /**
  * @swagger
@@ -216,7 +217,7 @@ router.get("/:id", auth, placeController.getPlaceById);
  *       401:
  *         description: Unauthorized
  */
-router.post("/", auth, placeController.createPlace);
+router.post("/", auth, acl("places.write"), placeController.createPlace);
 
 /**
  * @swagger
@@ -270,7 +271,7 @@ router.post("/", auth, placeController.createPlace);
  *       404:
  *         description: Place not found
  */
-router.put("/:id", auth, placeController.updatePlace);
+router.put("/:id", auth, acl("places.write"), placeController.updatePlace);
 
 /**
  * @swagger
@@ -295,6 +296,6 @@ router.put("/:id", auth, placeController.updatePlace);
  *       404:
  *         description: Place not found
  */
-router.delete("/:id", auth, placeController.deletePlace);
+router.delete("/:id", auth, acl("places.write"), placeController.deletePlace);
 
 module.exports = router;
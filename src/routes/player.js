@@ -38,6 +38,33 @@ const aadharVerifyUpload = createUploadMiddleware(
   ]
 );
 
+// Excel sheet for bulk player import
+const playerImportUpload = createUploadMiddleware(
+  "players",
+  [
+    {
+      name: "file",
+      allowedTypes: [
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        "application/vnd.ms-excel",
+      ],
+      maxSize: 5 * 1024 * 1024, // 5MB
+    },
+  ]
+);
+
+// ZIP of profile photos named after Aadhaar number or unique ID
+const playerPhotosUpload = createUploadMiddleware(
+  "players",
+  [
+    {
+      name: "file",
+      allowedTypes: ["application/zip", "application/x-zip-compressed", "application/x-zip"],
+      maxSize: 100 * 1024 * 1024, // 100MB
+    },
+  ]
+);
+
 /**
  * @swagger
  * tags:
@@ -94,7 +121,7 @@ const aadharVerifyUpload = createUploadMiddleware(
  *           description: Whether the Aadhar is verified
  *         isSuspended:
  *           type: boolean
- *           description: Whether the player is suspended
+ *           description: Whether a disciplinary sanction is in force against the player
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -187,7 +214,7 @@ const aadharVerifyUpload = createUploadMiddleware(
  *       403:
  *         description: Forbidden
  */
-router.get("/", auth, playerController.getPlayers);
+router.get("/", auth, acl("players.read"), playerController.getPlayers);
 
 /**
  * @swagger
@@ -220,17 +247,103 @@ router.get("/", auth, playerController.getPlayers);
  */
 // Aadhaar verification routes (Smart OCR)
 // Without playerId – client uploads Aadhaar image and number; useful before creating player
-router.post("/verify-aadhar", auth, ...aadharVerifyUpload, playerController.verifyAadharOCR);
+router.post("/verify-aadhar", auth, acl("players.write"), ...aadharVerifyUpload, playerController.verifyAadharOCR);
 // With playerId – server can use stored image; optional file upload to re-verify
-router.post("/:id(\\d+)/verify-aadhar", auth, ...aadharVerifyUpload, playerController.verifyAadharOCR);
+router.post("/:id(\\d+)/verify-aadhar", auth, acl("players.write"), ...aadharVerifyUpload, playerController.verifyAadharOCR);
 
-router.get("/export", auth, playerController.exportPlayers);
+/**
+ * @swagger
+ * /players/import:
+ *   post:
+ *     summary: Import players from Excel
+ *     description: >
+ *       Validates every row (required fields, date of birth, 10-digit mobile, 12-digit and
+ *       unique Aadhaar, group names and age limits). With dryRun=true only the report is
+ *       returned. Otherwise all rows are created in one transaction, or none if any row has errors.
+ *     tags: [Players]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *             required:
+ *               - file
+ *     responses:
+ *       200:
+ *         description: Dry-run report with per-row errors
+ *       201:
+ *         description: Players created
+ *       400:
+ *         description: Invalid file or some rows have errors (report included, nothing created)
+ */
+router.post("/import", auth, acl("players.write"), ...playerImportUpload, playerController.importPlayers);
 
-router.get("/export/pdf", auth, playerController.exportPlayersPDF);
+/**
+ * @swagger
+ * /players/import/template:
+ *   get:
+ *     summary: Download the Excel template for player import
+ *     tags: [Players]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Excel file with the import columns and a sheet listing group names
+ */
+router.get("/import/template", auth, acl("players.write"), playerController.downloadPlayerImportTemplate);
 
-router.get("/:id(\\d+)/icard/pdf", auth, playerController.generatePlayerICardPDF);
+/**
+ * @swagger
+ * /players/import/photos:
+ *   post:
+ *     summary: Upload profile photos in a ZIP
+ *     description: Each JPEG/PNG is matched to a player by file name, either the Aadhaar number or the unique ID number (e.g. 123412341234.jpg).
+ *     tags: [Players]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *             required:
+ *               - file
+ *     responses:
+ *       200:
+ *         description: Matched and unmatched files
+ */
+router.post("/import/photos", auth, acl("players.write"), ...playerPhotosUpload, playerController.importPlayerPhotos);
+
+router.get("/export", auth, acl("players.read"), playerController.exportPlayers);
+
+router.get("/export/pdf", auth, acl("players.read"), playerController.exportPlayersPDF);
 
-router.get("/:id(\\d+)", auth, playerController.getPlayerById);
+router.get("/:id(\\d+)/icard/pdf", auth, acl("players.read"), playerController.generatePlayerICardPDF);
+
+router.get("/:id(\\d+)", auth, acl("players.read"), playerController.getPlayerById);
+
+// Match statistics by season and competition
+router.get("/:id(\\d+)/stats", auth, acl("players.read"), playerController.getPlayerStats);
+
+// Club history (PlayerClubHistory) and transfers
+router.get("/:id(\\d+)/history", auth, acl("players.read"), playerController.getPlayerHistory);
 
 /**
  * @swagger
@@ -292,7 +405,7 @@ router.get("/:id(\\d+)", auth, playerController.getPlayerById);
  *       403:
  *         description: Forbidden
  */
-router.post("/", auth, ...playerImageUpload, playerController.createPlayer);
+router.post("/", auth, acl("players.write"), ...playerImageUpload, playerController.createPlayer);
 
 /**
  * @swagger
@@ -358,13 +471,14 @@ router.post("/", auth, ...playerImageUpload, playerController.createPlayer);
  *       404:
  *         description: Player not found
  */
-router.put("/:id(\\d+)", auth, ...playerImageUpload, playerController.updatePlayer);
+router.put("/:id(\\d+)", auth, acl("players.write"), ...playerImageUpload, playerController.updatePlayer);
 
 /**
  * @swagger
  * /players/{id}/suspension:
  *   patch:
- *     summary: Toggle player suspension status
+ *     summary: Suspend a player or lift their suspensions
+ *     description: Suspending opens a decided disciplinary case with an open-ended suspension. Use /disciplinary-cases for match bans, fixed periods and fines.
  *     tags: [Players]
  *     security:
  *       - bearerAuth: []
@@ -385,6 +499,9 @@ router.put("/:id(\\d+)", auth, ...playerImageUpload, playerController.updatePlay
  *               isSuspended:
  *                 type: boolean
  *                 description: New suspension status
+ *               reason:
+ *                 type: string
+ *                 description: Recorded as the incident when suspending
  *             required:
  *               - isSuspended
  *     responses:
@@ -403,7 +520,7 @@ router.put("/:id(\\d+)", auth, ...playerImageUpload, playerController.updatePlay
  *       404:
  *         description: Player not found
  */
-router.patch("/:id(\\d+)/suspension", auth, playerController.toggleSuspension);
+router.patch("/:id(\\d+)/suspension", auth, acl("players.write"), playerController.toggleSuspension);
 
 /**
  * @swagger
@@ -448,13 +565,13 @@ router.patch("/:id(\\d+)/suspension", auth, playerController.toggleSuspension);
  *       404:
  *         description: Player not found
  */
-router.patch("/:id(\\d+)/aadhar-verification", auth, playerController.toggleAadharVerification);
+router.patch("/:id(\\d+)/aadhar-verification", auth, acl("players.write"), playerController.toggleAadharVerification);
 
 // Club-related routes
-router.get("/:playerId(\\d+)/club", auth, playerController.getPlayerClub);
-router.get("/club/:clubId(\\d+)", auth, playerController.getClubPlayers);
-router.post("/transfer", auth, playerController.transferPlayer);
-router.delete("/:playerId(\\d+)/club", auth, playerController.removePlayerFromClub);
-router.get("/stats/clubs", auth, playerController.getClubStats);
+router.get("/:playerId(\\d+)/club", auth, acl("players.read"), playerController.getPlayerClub);
+router.get("/club/:clubId(\\d+)", auth, acl("players.read"), playerController.getClubPlayers);
+router.post("/transfer", auth, acl("players.assign"), playerController.transferPlayer);
+router.delete("/:playerId(\\d+)/club", auth, acl("players.assign"), playerController.removePlayerFromClub);
+router.get("/stats/clubs", auth, acl("clubs.stats"), playerController.getClubStats);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const refereeController = require("../controllers/refereeController");
+const refereeAvailabilityController = require("../controllers/refereeAvailabilityController");
+const refereeCertificationController = require("../controllers/refereeCertificationController");
+const refereeRatingController = require("../controllers/refereeRatingController");
 const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
 
 const createUploadMiddleware = require("../middleware/uploadMiddleware");
 
@@ -21,23 +25,35 @@ const refereeUpload = createUploadMiddleware(
   ]
 );
 
-const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return res.status(403).json({
-      errors: { message: "Access denied" },
-    });
-  }
-  next();
-};
-
-router.get("/", auth, requireAdmin, refereeController.getReferees);
-router.get("/:id", auth, requireAdmin, refereeController.getRefereeById);
-router.post("/", auth, requireAdmin, ...refereeUpload, refereeController.createReferee);
-router.put("/:id", auth, requireAdmin, ...refereeUpload, refereeController.updateReferee);
-router.delete("/:id", auth, requireAdmin, refereeController.deleteReferee);
+const certificationUpload = createUploadMiddleware("referees", [
+  {
+    name: "certificateFile",
+    allowedTypes: ["image/jpeg", "image/jpg", "image/png", "application/pdf"],
+    maxSize: 5 * 1024 * 1024,
+  },
+]);
+
+router.get("/", auth, acl("referees.read"), refereeController.getReferees);
+// Availability date ranges; referees manage their own via /referees/me/availability
+router.get("/:id(\\d+|me)/availability", auth, acl("referees.availability"), refereeAvailabilityController.getAvailability);
+router.post("/:id(\\d+|me)/availability", auth, acl("referees.availability"), refereeAvailabilityController.addAvailability);
+router.delete("/:id(\\d+|me)/availability/:availabilityId(\\d+)", auth, acl("referees.availability"), refereeAvailabilityController.deleteAvailability);
+
+// Certification history; referees can view their own via /referees/me/certifications
+router.get("/:id(\\d+|me)/certifications", auth, acl("referees.history"), refereeCertificationController.getCertifications);
+router.post("/:id(\\d+)/certifications", auth, acl("referees.write"), ...certificationUpload, refereeCertificationController.addCertification);
+router.put("/:id(\\d+)/certifications/:certificationId(\\d+)", auth, acl("referees.write"), ...certificationUpload, refereeCertificationController.updateCertification);
+router.delete("/:id(\\d+)/certifications/:certificationId(\\d+)", auth, acl("referees.write"), refereeCertificationController.deleteCertification);
+// Observers' match ratings and the referee score
+router.get("/:id(\\d+|me)/ratings", auth, acl("referees.history"), refereeRatingController.getRefereeRatings);
+
+router.get("/:id", auth, acl("referees.read"), refereeController.getRefereeById);
+router.post("/", auth, acl("referees.write"), ...refereeUpload, refereeController.createReferee);
+router.put("/:id", auth, acl("referees.write"), ...refereeUpload, refereeController.updateReferee);
+router.delete("/:id", auth, acl("referees.write"), refereeController.deleteReferee);
 
 // Aadhaar verification routes
-router.post("/verify-aadhar", auth, requireAdmin, ...refereeUpload, refereeController.verifyAadharOCR);
-router.post("/:id/verify-aadhar", auth, requireAdmin, ...refereeUpload, refereeController.verifyAadharOCR);
+router.post("/verify-aadhar", auth, acl("referees.write"), ...refereeUpload, refereeController.verifyAadharOCR);
+router.post("/:id/verify-aadhar", auth, acl("referees.write"), ...refereeUpload, refereeController.verifyAadharOCR);
 
 module.exports = router;
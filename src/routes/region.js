@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const regionController = require("../controllers/regionController");
 const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
 
 /**
  * @swagger
@@ -103,7 +104,7 @@ const auth = require("../middleware/auth");
  *       401:
  *         description: Unauthorized
  */
-router.get("/", auth, regionController.getRegions);
+router.get("/", auth, acl("regions.read"), regionController.getRegions);
 
 /**
  * @swagger
@@ -132,7 +133,7 @@ router.get("/", auth, regionController.getRegions);
  *       404:
  *         description: Region not found
  */
-router.get("/:id", auth, regionController.getRegionById);
+router.get("/:id", auth, acl("regions.read"), regionController.getRegionById);
 
 /**
  * @swagger
@@ -178,7 +179,7 @@ router.get("/:id", auth, regionController.getRegionById);
  *       401:
  *         description: Unauthorized
  */
-router.post("/", auth, regionController.createRegion);
+router.post("/", auth, acl("regions.write"), regionController.createRegion);
 
 /**
  * @swagger
@@ -229,7 +230,7 @@ router.post("/", auth, regionController.createRegion);
  *       404:
  *         description: Region not found
  */
-router.put("/:id", auth, regionController.updateRegion);
+router.put("/:id", auth, acl("regions.write"), regionController.updateRegion);
 
 /**
  * @swagger
@@ -254,6 +255,6 @@ router.put("/:id", auth, regionController.updateRegion);
  *       404:
  *         description: Region not found
  */
-router.delete("/:id", auth, regionController.deleteRegion);
+router.delete("/:id", auth, acl("regions.write"), regionController.deleteRegion);
 
 module.exports = router;
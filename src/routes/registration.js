@@ -0,0 +1,180 @@
+const express = require("express");
+const registrationController = require("../controllers/registrationController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+// Mounted under /competitions/:id/registrations
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Registrations
+ *   description: Squad registrations, their review and late-entry exceptions
+ */
+
+/**
+ * @swagger
+ * /competitions/{id}/registrations:
+ *   get:
+ *     summary: List registrations with their status (club admins see their own club)
+ *     tags: [Registrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: clubId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [submitted, under_review, approved, rejected, withdrawn]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated registrations, counts per status and, for clubs, whether entries are open
+ */
+router.get("/", auth, acl("competitions.read"), registrationController.getRegistrations);
+
+/**
+ * @swagger
+ * /competitions/{id}/registrations/review:
+ *   post:
+ *     summary: Review a club's squad in bulk
+ *     description: Without registrationIds, every registration of the squad that is submitted or under review is moved. Submitted registrations pass through under_review.
+ *     tags: [Registrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [clubId, status]
+ *             properties:
+ *               clubId:
+ *                 type: integer
+ *               groupId:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [under_review, approved, rejected]
+ *               registrationIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Number of registrations moved
+ */
+router.post("/review", auth, acl("registrations.review"), registrationController.reviewSquad);
+
+router.get("/:registrationId(\\d+)/history", auth, acl("competitions.read"), registrationController.getRegistrationHistory);
+
+/**
+ * @swagger
+ * /competitions/{id}/registrations/{registrationId}/status:
+ *   post:
+ *     summary: Move one registration to another status
+ *     description: "Allowed moves: submitted -> under_review -> approved/rejected, and any of them -> withdrawn. Club admins can only withdraw, and not after the last entry date without a late-entry exception."
+ *     tags: [Registrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [under_review, approved, rejected, withdrawn]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Registration moved
+ *       400:
+ *         description: Move not allowed from the current status, or entries are closed
+ */
+router.post("/:registrationId(\\d+)/status", auth, acl("competitions.enter"), registrationController.changeRegistrationStatus);
+
+/**
+ * @swagger
+ * /competitions/{id}/registrations/{registrationId}/chest-number:
+ *   put:
+ *     summary: Change a player's chest number
+ *     description: Numbers are assigned automatically on entry and can be changed until entries close. The number must be within the competition's range and free in the club's squad for the group.
+ *     tags: [Registrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [chestNumber]
+ *             properties:
+ *               chestNumber:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Chest number changed
+ *       400:
+ *         description: Out of range, taken, or entries are closed
+ */
+router.put("/:registrationId(\\d+)/chest-number", auth, acl("competitions.enter"), registrationController.updateChestNumber);
+
+module.exports = router;
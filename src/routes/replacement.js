@@ -0,0 +1,106 @@
+const express = require("express");
+const replacementController = require("../controllers/replacementController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+// Mounted under /competitions/:id/replacements
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /competitions/{id}/replacements:
+ *   get:
+ *     summary: Player replacement requests of a competition (club admins see their own)
+ *     tags: [Registrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: clubId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED, CANCELLED]
+ *     responses:
+ *       200:
+ *         description: Requests, newest first, with the competition's replacement cap
+ *   post:
+ *     summary: Ask to replace a registered player once entries have closed
+ *     description: The incoming player is checked against the group's eligibility rules and U18 limit.
+ *     tags: [Registrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [registrationId, incomingPlayerId, reason]
+ *             properties:
+ *               registrationId:
+ *                 type: integer
+ *                 description: Registration of the player leaving the squad
+ *               incomingPlayerId:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Request created and awaiting approval
+ *       400:
+ *         description: Not eligible, cap reached or entries still open
+ */
+router.get("/", auth, acl("competitions.enter"), replacementController.getReplacements);
+router.post("/", auth, acl("competitions.enter"), replacementController.requestReplacement);
+
+/**
+ * @swagger
+ * /competitions/{id}/replacements/{requestId}/approve:
+ *   post:
+ *     summary: Approve a replacement; eligibility is checked again
+ *     tags: [Registrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Outgoing player replaced, incoming player registered
+ */
+router.post("/:requestId(\\d+)/approve", auth, acl("registrations.review"), replacementController.approveReplacementRequest);
+router.post("/:requestId(\\d+)/reject", auth, acl("registrations.review"), replacementController.rejectReplacementRequest);
+router.post("/:requestId(\\d+)/cancel", auth, acl("competitions.enter"), replacementController.cancelReplacementRequest);
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require("express");
+const teamOfficialController = require("../controllers/teamOfficialController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+// Mounted under /competitions/:id/team-officials
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /competitions/{id}/team-officials:
+ *   get:
+ *     summary: Coaches, managers and physios of the squads (club admins see their own)
+ *     tags: [Competitions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: clubId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Team officials by club, group and role
+ *   post:
+ *     summary: Name a member of the club's staff register as a squad's team official
+ *     description: Coaches need a licence valid until the end of the competition; groups that require Aadhaar-verified players require it of their officials too.
+ *     tags: [Competitions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [groupId, staffId, role]
+ *             properties:
+ *               clubId:
+ *                 type: integer
+ *                 description: Admins only; club admins name their own club's staff
+ *               groupId:
+ *                 type: integer
+ *               staffId:
+ *                 type: integer
+ *               role:
+ *                 type: string
+ *                 enum: [COACH, MANAGER, PHYSIO]
+ *     responses:
+ *       201:
+ *         description: Team official added
+ *       400:
+ *         description: Not eligible, already named, or the competition is not taking changes
+ */
+router.get("/", auth, acl("competitions.read"), teamOfficialController.getTeamOfficials);
+router.post("/", auth, acl("competitions.enter"), teamOfficialController.addTeamOfficial);
+
+/**
+ * @swagger
+ * /competitions/{id}/team-officials/{teamOfficialId}:
+ *   put:
+ *     summary: Change a team official's role
+ *     tags: [Competitions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: teamOfficialId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [COACH, MANAGER, PHYSIO]
+ *     responses:
+ *       200:
+ *         description: Team official updated
+ *   delete:
+ *     summary: Remove a team official from the squad
+ *     tags: [Competitions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: teamOfficialId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Team official removed
+ */
+router.put("/:teamOfficialId(\\d+)", auth, acl("competitions.enter"), teamOfficialController.updateTeamOfficial);
+router.delete("/:teamOfficialId(\\d+)", auth, acl("competitions.enter"), teamOfficialController.removeTeamOfficial);
+
+module.exports = router;
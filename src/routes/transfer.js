@@ -0,0 +1,208 @@
+const express = require("express");
+const transferController = require("../controllers/transferController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Transfers
+ *   description: Player transfers between clubs and transfer windows
+ */
+
+/**
+ * @swagger
+ * /transfers:
+ *   get:
+ *     summary: List transfers (clubs see the ones they are involved in)
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING_NOC, PENDING_APPROVAL, APPROVED, NOC_REFUSED, REJECTED, CANCELLED]
+ *       - in: query
+ *         name: direction
+ *         description: For clubs only
+ *         schema:
+ *           type: string
+ *           enum: [incoming, outgoing]
+ *       - in: query
+ *         name: playerId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated transfers, newest first
+ */
+router.get("/", auth, acl("transfers.read"), transferController.getTransfers);
+
+/**
+ * @swagger
+ * /transfers:
+ *   post:
+ *     summary: Request a player for the club
+ *     description: Starts at PENDING_NOC, or PENDING_APPROVAL when the player has no club. Only allowed while a transfer window is open (if windows are configured).
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               playerId:
+ *                 type: integer
+ *               uniqueIdNumber:
+ *                 type: string
+ *                 description: Alternative to playerId
+ *               toClubId:
+ *                 type: integer
+ *                 description: Admins only; clubs always request for themselves
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Transfer requested
+ *       400:
+ *         description: Window closed, player already in the club or a transfer is already in progress
+ *       404:
+ *         description: Player or club not found
+ */
+router.post("/", auth, acl("transfers.request"), transferController.requestTransfer);
+
+/**
+ * @swagger
+ * /transfers/windows:
+ *   get:
+ *     summary: List transfer windows and whether transfers are open now
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Windows, current/next window and the cooling-off period in days
+ */
+router.get("/windows", auth, acl("transfers.read"), transferController.getTransferWindows);
+
+/**
+ * @swagger
+ * /transfers/windows:
+ *   post:
+ *     summary: Add a transfer window
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, startDate, endDate]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Transfer window created
+ */
+router.post("/windows", auth, acl("transfers.windows"), transferController.createTransferWindow);
+router.delete("/windows/:windowId(\\d+)", auth, acl("transfers.windows"), transferController.deleteTransferWindow);
+
+router.get("/:transferId(\\d+)", auth, acl("transfers.read"), transferController.getTransfer);
+
+/**
+ * @swagger
+ * /transfers/{transferId}/noc:
+ *   post:
+ *     summary: Grant or refuse the releasing club's no-objection certificate
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [granted]
+ *             properties:
+ *               granted:
+ *                 type: boolean
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer moved to PENDING_APPROVAL or NOC_REFUSED
+ *       403:
+ *         description: Not the releasing club
+ */
+router.post("/:transferId(\\d+)/noc", auth, acl("transfers.noc"), transferController.respondNoc);
+
+/**
+ * @swagger
+ * /transfers/{transferId}/decision:
+ *   post:
+ *     summary: Approve or reject a transfer
+ *     description: Approving moves the player to the requesting club and records it in the player's club history.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [approved]
+ *             properties:
+ *               approved:
+ *                 type: boolean
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer APPROVED or REJECTED
+ *       409:
+ *         description: The player changed club since the request
+ */
+router.post("/:transferId(\\d+)/decision", auth, acl("transfers.approve"), transferController.decideTransfer);
+
+// Withdraw a pending request
+router.post("/:transferId(\\d+)/cancel", auth, acl("transfers.request"), transferController.cancelTransfer);
+
+module.exports = router;
@@ -110,7 +110,7 @@ const acl = require("../middleware/acl");
  *       403:
  *         description: Forbidden
  */
-router.get("/", auth, userController.getUsers);
+router.get("/", auth, acl("users.read"), userController.getUsers);
 
 /**
  * @swagger
@@ -145,7 +145,7 @@ router.get("/", auth, userController.getUsers);
  *       403:
  *         description: Forbidden
  */
-router.post("/", auth, userController.createUser);
+router.post("/", auth, acl("users.write"), userController.createUser);
 
 /**
  * @swagger
@@ -172,7 +172,7 @@ router.post("/", auth, userController.createUser);
  *       404:
  *         description: User not found
  */
-router.get("/:id", auth, userController.getUserById);
+router.get("/:id", auth, acl("users.read"), userController.getUserById);
 
 /**
  * @swagger
@@ -216,7 +216,7 @@ router.get("/:id", auth, userController.getUserById);
  *       404:
  *         description: User not found
  */
-router.put("/:id", auth, userController.updateUser);
+router.put("/:id", auth, acl("users.update"), userController.updateUser);
 
 /**
  * @swagger
@@ -236,6 +236,8 @@ router.put("/:id", auth, userController.updateUser);
  *     responses:
  *       200:
  *         description: User deleted
+ *       400:
+ *         description: User has a referee profile and can only be deactivated
  *       401:
  *         description: Unauthorized
  *       403:
@@ -243,7 +245,7 @@ router.put("/:id", auth, userController.updateUser);
  *       404:
  *         description: User not found
  */
-router.delete("/:id", auth, userController.deleteUser);
+router.delete("/:id", auth, acl("users.delete"), userController.deleteUser);
 
 /**
  * @swagger
@@ -281,7 +283,7 @@ router.delete("/:id", auth, userController.deleteUser);
  *       404:
  *         description: User not found
  */
-router.patch("/:id/status", auth, userController.setActiveStatus);
+router.patch("/:id/status", auth, acl("users.update"), userController.setActiveStatus);
 
 /**
  * @swagger
@@ -321,6 +323,6 @@ router.patch("/:id/status", auth, userController.setActiveStatus);
  *       404:
  *         description: User not found
  */
-router.patch("/:id/password", auth, userController.changePassword);
+router.patch("/:id/password", auth, acl("users.password"), userController.changePassword);
 
 module.exports = router;
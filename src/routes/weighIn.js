@@ -0,0 +1,82 @@
+const express = require("express");
+const weighInController = require("../controllers/weighInController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+// Mounted under /competitions/:id/weigh-ins
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Weigh-ins
+ *   description: Competition-day weigh-ins against each group's weight limit
+ */
+
+/**
+ * @swagger
+ * /competitions/{id}/weigh-ins:
+ *   get:
+ *     summary: Registered players with their weight limit and latest weigh-in
+ *     description: Club admins only see their own club.
+ *     tags: [Weigh-ins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: clubId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PASSED, OVERWEIGHT, PENDING]
+ *     responses:
+ *       200:
+ *         description: Weigh-in sheet rows and a summary
+ *   post:
+ *     summary: Record a player's weight
+ *     description: Players over the group's limit are flagged OVERWEIGHT, or withdrawn when the group's overweightAction is WITHDRAW. A player may be weighed again; the latest weigh-in counts.
+ *     tags: [Weigh-ins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [registrationId, weightKg]
+ *             properties:
+ *               registrationId:
+ *                 type: integer
+ *               weightKg:
+ *                 type: number
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Weigh-in recorded
+ *       403:
+ *         description: Not an official of this competition
+ */
+router.get("/", auth, acl("competitions.read"), weighInController.getWeighIns);
+router.post("/", auth, acl("competitions.weighin"), weighInController.recordWeighIn);
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const jwt = require("jsonwebtoken");
+const prisma = require("../config/db");
+const jwtConfig = require("../config/jwt");
+const { toDay } = require("./officialService");
+const { ACTIVE_REGISTRATION_STATUSES, STATUS_LABELS } = require("./registrationService");
+const { lifecycleSelect, isActionAllowed, resolveStatus, STATUS_LABELS: COMPETITION_STATUS_LABELS } = require("./competitionLifecycleService");
+const { TEAM_OFFICIAL_ROLES, ROLE_LABELS, staffSelect, staffName, listTeamOfficials } = require("./teamOfficialService");
+
+// Team official badges take the official's role as their kind
+const BADGE_KINDS = ["PLAYER", ...TEAM_OFFICIAL_ROLES, "OFFICIAL"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Kept apart from the login secret so a badge can never pass as an access token
+const secret = () => process.env.ACCREDITATION_SECRET || `${jwtConfig.secret}:accreditation`;
+
+const playerSelect = {
+  id: true,
+  uniqueIdNumber: true,
+  firstName: true,
+  middleName: true,
+  lastName: true,
+  profileImage: true,
+};
+
+const fullName = (p) => [p.firstName, p.middleName, p.lastName].filter(Boolean).join(" ");
+
+const dutyLabel = (duty) => duty.replace(/_/g, " ");
+
+/**
+ * Sign what a badge's QR code carries. It expires the day after the
+ * competition ends.
+ * @param {{id: number, toDate: Date}} competition
+ * @param {object} claims - kind plus the ids verifyBadge needs to find the holder
+ * @returns {string}
+ */
+const signBadgeToken = (competition, claims) => {
+  const exp = Math.floor((new Date(toDay(competition.toDate)).getTime() + 2 * DAY_MS) / 1000);
+  return jwt.sign({ typ: "badge", cid: competition.id, ...claims, exp }, secret());
+};
+
+/**
+ * Badges of a competition: the team officials and players of every squad,
+ * and (when not limited to one club) officials.
+ * @param {{id: number, toDate: Date}} competition
+ * @param {{clubId?: number|null, groupId?: number|null, kinds?: string[]}} [filters]
+ * @param {object} [client]
+ * @returns {Promise<object[]>} badges ordered by club, group and kind, each with its token
+ */
+const listBadges = async (competition, { clubId = null, groupId = null, kinds = BADGE_KINDS } = {}, client = prisma) => {
+  const badges = [];
+
+  // Each squad's team officials come before its players
+  const squads = new Map();
+  const squadBadges = (club, group) => {
+    const key = `${club.id}:${group?.id ?? ""}`;
+    if (!squads.has(key)) squads.set(key, { club, group, staff: [], players: [] });
+    return squads.get(key);
+  };
+
+  if (kinds.some((k) => TEAM_OFFICIAL_ROLES.includes(k))) {
+    const officials = await listTeamOfficials(competition.id, { clubId, groupId }, client);
+    officials
+      .filter((o) => kinds.includes(o.role))
+      .forEach((o) => {
+        squadBadges(o.club, o.group).staff.push({
+          kind: o.role,
+          role: ROLE_LABELS[o.role].toUpperCase(),
+          name: staffName(o.staff),
+          club: o.club,
+          group: o.group,
+          photo: o.staff.profileImage,
+          token: signBadgeToken(competition, { kind: o.role, toid: o.id }),
+        });
+      });
+  }
+
+  if (kinds.includes("PLAYER")) {
+    const registrations = await client.competitionRegistration.findMany({
+      where: {
+        competitionId: competition.id,
+        status: { in: ACTIVE_REGISTRATION_STATUSES },
+        ...(clubId ? { clubId } : {}),
+        ...(groupId ? { groupId } : {}),
+      },
+      include: {
+        player: { select: playerSelect },
+        club: { select: { id: true, clubName: true } },
+        group: { select: { id: true, groupName: true } },
+      },
+      orderBy: [{ club: { clubName: "asc" } }, { groupId: "asc" }, { player: { firstName: "asc" } }],
+    });
+
+    registrations.forEach((reg) => {
+      squadBadges(reg.club, reg.group).players.push({
+        kind: "PLAYER",
+        role: "PLAYER",
+        name: fullName(reg.player),
+        club: reg.club,
+        group: reg.group,
+        chestNumber: reg.chestNumber,
+        photo: reg.player.profileImage,
+        uniqueIdNumber: reg.player.uniqueIdNumber,
+        token: signBadgeToken(competition, { kind: "PLAYER", rid: reg.id }),
+      });
+    });
+  }
+
+  [...squads.values()]
+    .sort((a, b) => a.club.clubName.localeCompare(b.club.clubName) || (a.group?.id ?? 0) - (b.group?.id ?? 0))
+    .forEach((squad) => badges.push(...squad.staff, ...squad.players));
+
+  if (!clubId && kinds.includes("OFFICIAL")) {
+    const duties = await client.competitionOfficial.findMany({
+      where: { competitionId: competition.id, user: { active: true } },
+      include: { user: { select: { id: true, name: true } } },
+      orderBy: [{ user: { name: "asc" } }, { duty: "asc" }],
+    });
+    const byUser = new Map();
+    duties.forEach((d) => {
+      if (!byUser.has(d.userId)) byUser.set(d.userId, { user: d.user, duties: new Set() });
+      byUser.get(d.userId).duties.add(d.duty);
+    });
+    byUser.forEach(({ user, duties: userDuties }) => {
+      badges.push({
+        kind: "OFFICIAL",
+        role: [...userDuties].map(dutyLabel).join(" / "),
+        name: user.name,
+        club: null,
+        group: null,
+        token: signBadgeToken(competition, { kind: "OFFICIAL", uid: user.id }),
+      });
+    });
+  }
+
+  return badges;
+};
+
+const invalid = (reason, extra = {}) => ({ valid: false, reason, ...extra });
+
+/**
+ * Check a scanned badge: the signature and expiry, then that the holder is
+ * still part of the competition (registration active, still one of the
+ * squad's team officials, still holding a duty) and that the competition is
+ * running.
+ * @param {string} token
+ * @param {object} [client]
+ * @returns {Promise<{valid: boolean, reason: string|null, competition?: object, holder?: object}>}
+ */
+const verifyBadge = async (token, client = prisma) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, secret());
+  } catch (err) {
+    return invalid(err.name === "TokenExpiredError" ? "This badge has expired" : "This badge is not genuine");
+  }
+  if (claims.typ !== "badge" || !BADGE_KINDS.includes(claims.kind)) {
+    return invalid("This badge is not genuine");
+  }
+
+  const competition = await client.competition.findUnique({
+    where: { id: claims.cid },
+    select: { id: true, competitionName: true, ...lifecycleSelect },
+  });
+  if (!competition) return invalid("The competition on this badge no longer exists");
+
+  const status = resolveStatus(competition);
+  const competitionInfo = {
+    id: competition.id,
+    competitionName: competition.competitionName,
+    fromDate: competition.fromDate,
+    toDate: competition.toDate,
+    status,
+  };
+  const running = isActionAllowed(competition, "accredit");
+  const result = (holder, reason = null) => {
+    const why = reason || (running ? null : `The competition is ${COMPETITION_STATUS_LABELS[status]}`);
+    return { valid: !why, reason: why, competition: competitionInfo, holder };
+  };
+
+  if (claims.kind === "PLAYER") {
+    const reg = await client.competitionRegistration.findFirst({
+      where: { id: claims.rid, competitionId: competition.id },
+      include: {
+        player: { select: playerSelect },
+        club: { select: { id: true, clubName: true } },
+        group: { select: { id: true, groupName: true } },
+      },
+    });
+    if (!reg) return invalid("The registration on this badge no longer exists", { competition: competitionInfo });
+    const holder = {
+      kind: "PLAYER",
+      name: fullName(reg.player),
+      uniqueIdNumber: reg.player.uniqueIdNumber,
+      chestNumber: reg.chestNumber,
+      photo: reg.player.profileImage,
+      club: reg.club,
+      group: reg.group,
+      registrationStatus: reg.status,
+    };
+    return ACTIVE_REGISTRATION_STATUSES.includes(reg.status)
+      ? result(holder)
+      : result(holder, `Registration is ${STATUS_LABELS[reg.status] || reg.status}`);
+  }
+
+  if (claims.kind === "OFFICIAL") {
+    const user = await client.user.findUnique({
+      where: { id: claims.uid },
+      select: { id: true, name: true, active: true, competitionDuties: { where: { competitionId: competition.id }, select: { duty: true } } },
+    });
+    if (!user) return invalid("The official on this badge no longer exists", { competition: competitionInfo });
+    const duties = [...new Set(user.competitionDuties.map((d) => d.duty))];
+    const holder = { kind: "OFFICIAL", name: user.name, duties };
+    if (!user.active) return result(holder, "The official's account is inactive");
+    return duties.length > 0 ? result(holder) : result(holder, "No longer an official of this competition");
+  }
+
+  // Badges printed before team officials only carry the coach's or manager's name
+  if (!claims.toid) return invalid("This badge is out of date; print a new one", { competition: competitionInfo });
+
+  const official = await client.teamOfficial.findFirst({
+    where: { id: claims.toid, competitionId: competition.id },
+    include: {
+      staff: { select: staffSelect },
+      club: { select: { id: true, clubName: true } },
+      group: { select: { id: true, groupName: true } },
+    },
+  });
+  if (!official) return invalid("No longer one of the squad's team officials", { competition: competitionInfo });
+  const holder = {
+    kind: official.role,
+    name: staffName(official.staff),
+    photo: official.staff.profileImage,
+    aadharVerified: official.staff.aadharVerified,
+    club: official.club,
+    group: official.group,
+  };
+  if (official.role !== claims.kind) {
+    return result(holder, `Now the squad's ${ROLE_LABELS[official.role].toLowerCase()}; print a new badge`);
+  }
+  return official.staff.active ? result(holder) : result(holder, "No longer on the club's staff");
+};
+
+module.exports = {
+  BADGE_KINDS,
+  signBadgeToken,
+  listBadges,
+  verifyBadge,
+};
@@ -1,13 +1,103 @@
-const permissions = require('../config/permissions');
+const prisma = require('../config/db');
+const defaultPermissions = require('../config/permissions');
+const roles = require('../config/roles');
+
+// Grants are read on nearly every request, so keep them in memory for a while
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null; // { loadedAt, grants: Map<role, Set<permission>> }
+
+/**
+ * Role used for permission lookups. Club logins (role "CLUB") act as the
+ * club's admin.
+ * @param {string} role
+ * @returns {string}
+ */
+const normalizeRole = (role) => {
+  const value = String(role || '').trim().toLowerCase();
+  return value === 'club' ? roles.CLUBADMIN : value;
+};
+
+const grantsFromDefaults = () => {
+  const grants = new Map();
+  Object.entries(defaultPermissions).forEach(([permission, granted]) => {
+    granted.forEach((role) => {
+      if (!grants.has(role)) grants.set(role, new Set());
+      grants.get(role).add(permission);
+    });
+  });
+  return grants;
+};
+
+const loadGrants = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.grants;
+  }
+
+  const rows = await prisma.rolePermission.findMany({
+    select: { role: true, permission: { select: { key: true } } },
+  });
+
+  let grants;
+  if (rows.length === 0) {
+    // Table not seeded yet: fall back to the defaults in code
+    grants = grantsFromDefaults();
+  } else {
+    grants = new Map();
+    rows.forEach(({ role, permission }) => {
+      if (!grants.has(role)) grants.set(role, new Set());
+      grants.get(role).add(permission.key);
+    });
+  }
+
+  cache = { loadedAt: Date.now(), grants };
+  return grants;
+};
 
 const aclService = {
-  hasPermission: (user, permission) => {
+  normalizeRole,
+
+  hasPermission: async (user, permission) => {
     if (!user || !user.role) {
       return false;
     }
 
-    const userRole = user.role;
-    return permissions[permission]?.includes(userRole) || false;
+    const grants = await loadGrants();
+    return grants.get(normalizeRole(user.role))?.has(permission) || false;
+  },
+
+  /**
+   * Drop cached grants so the next check reads the database again.
+   */
+  clearCache: () => {
+    cache = null;
+  },
+
+  /**
+   * Create permissions defined in code that are not in the database yet,
+   * together with their default grants. Existing permissions are left alone
+   * so grants edited by an admin are never overwritten.
+   * @param {object} [client] - Prisma client (the seed script passes its own)
+   * @returns {Promise<number>} Number of permissions created
+   */
+  syncDefaultPermissions: async (client = prisma) => {
+    const existing = await client.permission.findMany({ select: { key: true } });
+    const known = new Set(existing.map((p) => p.key));
+
+    let created = 0;
+    for (const [key, granted] of Object.entries(defaultPermissions)) {
+      if (known.has(key)) continue;
+      await client.permission.create({
+        data: {
+          key,
+          roles: { create: granted.map((role) => ({ role })) },
+        },
+      });
+      created++;
+    }
+
+    if (created > 0) cache = null;
+    return created;
   },
 };
 
@@ -0,0 +1,207 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+
+const FEE_TYPES = ["PER_CLUB", "PER_PLAYER"];
+const INVOICE_STATUSES = ["UNPAID", "PARTIALLY_PAID", "PAID", "CANCELLED"];
+const PAYMENT_METHODS = ["CASH", "UPI", "BANK_TRANSFER", "GATEWAY"];
+const PAYMENT_STATUSES = ["PENDING", "CONFIRMED", "REJECTED"];
+
+// Amounts are Decimal(10,2) in the database; arithmetic is done in paise so
+// that sums stay exact.
+const toPaise = (value) => Math.round(Number(value || 0) * 100);
+const fromPaise = (paise) => (paise / 100).toFixed(2);
+
+/**
+ * Outstanding balance of an invoice in rupees.
+ * @param {{status: string, totalAmount: any, paidAmount: any}} invoice
+ * @returns {number}
+ */
+const invoiceBalance = (invoice) => {
+  if (invoice.status === "CANCELLED") return 0;
+  return Math.max(0, toPaise(invoice.totalAmount) - toPaise(invoice.paidAmount)) / 100;
+};
+
+/**
+ * Next free invoice number for this year, e.g. INV/2025/00042.
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<string>}
+ */
+const generateInvoiceNumber = async (client = prisma) => {
+  const prefix = `INV/${new Date().getFullYear()}/`;
+  const last = await client.invoice.findFirst({
+    where: { invoiceNumber: { startsWith: prefix } },
+    orderBy: { invoiceNumber: "desc" },
+    select: { invoiceNumber: true },
+  });
+  const lastSeq = last?.invoiceNumber?.slice(prefix.length);
+  const nextSeq = (parseInt(lastSeq || "0", 10) + 1).toString().padStart(5, "0");
+  return `${prefix}${nextSeq}`;
+};
+
+const describeFee = (fee) => {
+  const scope = fee.group ? ` - ${fee.group.groupName}` : "";
+  const unit = fee.feeType === "PER_PLAYER" ? "per player" : "per club";
+  return `${fee.description || "Entry fee"}${scope} (${unit})`;
+};
+
+/**
+ * How many units of each fee the club owes right now. PER_CLUB fees count
+ * once for the competition (or once per group the club has players in when
+ * the fee is for a group); PER_PLAYER fees count every registration.
+ * @param {object} client
+ * @param {number} competitionId
+ * @param {number} clubId
+ * @returns {Promise<Array<{fee: object, quantity: number}>>}
+ */
+const getChargeableQuantities = async (client, competitionId, clubId) => {
+  const [fees, registrations] = await Promise.all([
+    client.competitionFee.findMany({
+      where: { competitionId },
+      include: { group: { select: { id: true, groupName: true } } },
+      orderBy: { id: "asc" },
+    }),
+    client.competitionRegistration.groupBy({
+      by: ["groupId"],
+      where: { competitionId, clubId },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const playersByGroup = new Map(registrations.map((r) => [r.groupId, r._count._all]));
+  const totalPlayers = registrations.reduce((sum, r) => sum + r._count._all, 0);
+
+  return fees.map((fee) => {
+    let quantity;
+    if (fee.feeType === "PER_PLAYER") {
+      quantity = fee.groupId ? playersByGroup.get(fee.groupId) || 0 : totalPlayers;
+    } else {
+      quantity = fee.groupId ? (playersByGroup.get(fee.groupId) ? 1 : 0) : 1;
+    }
+    return { fee, quantity };
+  });
+};
+
+/**
+ * Issue an invoice for whatever the club owes but has not been invoiced yet
+ * (earlier invoices are never changed). Players removed after invoicing are
+ * not credited back.
+ * @param {number} competitionId
+ * @param {number} clubId
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<object|null>} The new invoice, or null when nothing is due
+ */
+const syncInvoice = async (competitionId, clubId, client = prisma) => {
+  const charges = await getChargeableQuantities(client, competitionId, clubId);
+  if (charges.length === 0) return null;
+
+  const invoiced = await client.invoiceLine.groupBy({
+    by: ["feeId"],
+    where: {
+      feeId: { in: charges.map((c) => c.fee.id) },
+      invoice: { competitionId, clubId, status: { not: "CANCELLED" } },
+    },
+    _sum: { quantity: true },
+  });
+  const invoicedByFee = new Map(invoiced.map((i) => [i.feeId, i._sum.quantity || 0]));
+
+  const lines = charges
+    .map(({ fee, quantity }) => ({ fee, quantity: quantity - (invoicedByFee.get(fee.id) || 0) }))
+    .filter(({ fee, quantity }) => quantity > 0 && toPaise(fee.amount) > 0)
+    .map(({ fee, quantity }) => ({
+      feeId: fee.id,
+      description: describeFee(fee),
+      quantity,
+      unitAmount: fromPaise(toPaise(fee.amount)),
+      amount: fromPaise(toPaise(fee.amount) * quantity),
+    }));
+  if (lines.length === 0) return null;
+
+  const total = lines.reduce((sum, line) => sum + toPaise(line.amount), 0);
+  return client.invoice.create({
+    data: {
+      invoiceNumber: await generateInvoiceNumber(client),
+      competitionId,
+      clubId,
+      totalAmount: fromPaise(total),
+      lines: { create: lines },
+    },
+    include: { lines: true },
+  });
+};
+
+/**
+ * Recompute paidAmount and status of an invoice from its confirmed payments.
+ * @param {number} invoiceId
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<object>} The updated invoice
+ */
+const recalcInvoice = async (invoiceId, client = prisma) => {
+  const invoice = await client.invoice.findUnique({ where: { id: invoiceId } });
+  if (!invoice) throw createError(404, "Invoice not found");
+
+  const confirmed = await client.payment.aggregate({
+    where: { invoiceId, status: "CONFIRMED" },
+    _sum: { amount: true },
+  });
+  const paid = toPaise(confirmed._sum.amount);
+  const total = toPaise(invoice.totalAmount);
+
+  let status = invoice.status;
+  if (status !== "CANCELLED") {
+    if (paid >= total) status = "PAID";
+    else if (paid > 0) status = "PARTIALLY_PAID";
+    else status = "UNPAID";
+  }
+
+  return client.invoice.update({
+    where: { id: invoiceId },
+    data: { paidAmount: fromPaise(paid), status },
+  });
+};
+
+/**
+ * Total the club still owes for a competition, in rupees.
+ * @param {number} competitionId
+ * @param {number} clubId
+ * @param {object} [client]
+ * @returns {Promise<number>}
+ */
+const getOutstanding = async (competitionId, clubId, client = prisma) => {
+  const invoices = await client.invoice.findMany({
+    where: { competitionId, clubId, status: { in: ["UNPAID", "PARTIALLY_PAID"] } },
+    select: { status: true, totalAmount: true, paidAmount: true },
+  });
+  return invoices.reduce((sum, invoice) => sum + toPaise(invoiceBalance(invoice)), 0) / 100;
+};
+
+/**
+ * Throw 400 while the club has unpaid dues for the competition.
+ * @param {number} competitionId
+ * @param {number} clubId
+ * @param {object} [client]
+ */
+const assertDuesSettled = async (competitionId, clubId, client = prisma) => {
+  const outstanding = await getOutstanding(competitionId, clubId, client);
+  if (outstanding > 0) {
+    throw createError(
+      400,
+      `Your club has unpaid dues of Rs. ${outstanding.toFixed(2)} for this competition. Players can be added once they are settled`
+    );
+  }
+};
+
+module.exports = {
+  FEE_TYPES,
+  INVOICE_STATUSES,
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  toPaise,
+  fromPaise,
+  invoiceBalance,
+  generateInvoiceNumber,
+  getChargeableQuantities,
+  syncInvoice,
+  recalcInvoice,
+  getOutstanding,
+  assertDuesSettled,
+};
@@ -0,0 +1,64 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+
+const rangeSelect = { id: true, chestNumberFrom: true, chestNumberTo: true };
+
+/**
+ * Chest numbers held in a club's squad for a group. Only registrations in
+ * the squad hold one; leaving it releases the number.
+ * @param {{competitionId: number, clubId: number, groupId: number}} squad
+ * @param {object} [client]
+ * @returns {Promise<Map<number, number>>} chest number -> registration id
+ */
+const takenChestNumbers = async ({ competitionId, clubId, groupId }, client = prisma) => {
+  const rows = await client.competitionRegistration.findMany({
+    where: { competitionId, clubId, groupId, chestNumber: { not: null } },
+    select: { id: true, chestNumber: true },
+  });
+  return new Map(rows.map((r) => [r.chestNumber, r.id]));
+};
+
+/**
+ * Lowest free chest numbers in the competition's range for a club's squad.
+ * @param {{competitionId: number, clubId: number, groupId: number}} squad
+ * @param {number} count
+ * @param {object} [client]
+ * @returns {Promise<number[]>}
+ */
+const nextChestNumbers = async (squad, count, client = prisma) => {
+  const competition = await client.competition.findUnique({ where: { id: squad.competitionId }, select: rangeSelect });
+  const taken = await takenChestNumbers(squad, client);
+
+  const free = [];
+  for (let n = competition.chestNumberFrom; n <= competition.chestNumberTo && free.length < count; n++) {
+    if (!taken.has(n)) free.push(n);
+  }
+  if (free.length < count) {
+    throw createError(400, `Only ${free.length} chest number(s) between ${competition.chestNumberFrom} and ${competition.chestNumberTo} are left for this squad`);
+  }
+  return free;
+};
+
+/**
+ * Throw unless a registration can take a chest number: within the
+ * competition's range and not held by another player of the squad.
+ * @param {{chestNumberFrom: number, chestNumberTo: number}} competition
+ * @param {{id: number, competitionId: number, clubId: number, groupId: number}} registration
+ * @param {number} chestNumber
+ * @param {object} [client]
+ */
+const assertChestNumberFree = async (competition, registration, chestNumber, client = prisma) => {
+  if (chestNumber < competition.chestNumberFrom || chestNumber > competition.chestNumberTo) {
+    throw createError(400, `Chest numbers run from ${competition.chestNumberFrom} to ${competition.chestNumberTo} in this competition`);
+  }
+  const holder = (await takenChestNumbers(registration, client)).get(chestNumber);
+  if (holder && holder !== registration.id) {
+    throw createError(400, `Chest number ${chestNumber} is already taken in this squad`);
+  }
+};
+
+module.exports = {
+  takenChestNumbers,
+  nextChestNumbers,
+  assertChestNumberFree,
+};
@@ -0,0 +1,84 @@
+const prisma = require("../config/db");
+const roles = require("../config/roles");
+
+const userSelect = {
+  id: true,
+  name: true,
+  email: true,
+  password: true,
+  role: true,
+  active: true,
+  lastLogin: true,
+  clubId: true,
+};
+
+/**
+ * Find the clubadmin account of a club: the one linked to the club first,
+ * falling back to an unlinked clubadmin with the club's email.
+ * @param {{id: number, email?: string}} club
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<object|null>}
+ */
+const findClubAdminUser = async (club, client = prisma) => {
+  const linked = await client.user.findFirst({
+    where: { clubId: club.id, role: roles.CLUBADMIN },
+    select: userSelect,
+    orderBy: { id: "asc" },
+  });
+  if (linked) return linked;
+  if (!club.email) return null;
+
+  return client.user.findFirst({
+    where: { email: club.email, role: roles.CLUBADMIN, clubId: null },
+    select: userSelect,
+  });
+};
+
+/**
+ * Make sure a club has a clubadmin account, creating one from the login
+ * stored on the club (email and password hash) when it has none.
+ * @param {{id: number, clubName: string, email: string, password: string}} club
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<{user: object|null, created: boolean, conflict: boolean}>}
+ *   `conflict` is set when the club's email already belongs to a different account.
+ */
+const ensureClubAdminUser = async (club, client = prisma) => {
+  const existing = await findClubAdminUser(club, client);
+  if (existing) {
+    if (existing.clubId !== club.id) {
+      const linked = await client.user.update({
+        where: { id: existing.id },
+        data: { clubId: club.id },
+        select: userSelect,
+      });
+      return { user: linked, created: false, conflict: false };
+    }
+    return { user: existing, created: false, conflict: false };
+  }
+
+  const emailOwner = await client.user.findUnique({
+    where: { email: club.email },
+    select: { id: true },
+  });
+  if (emailOwner) {
+    return { user: null, created: false, conflict: true };
+  }
+
+  const user = await client.user.create({
+    data: {
+      name: club.clubName,
+      email: club.email,
+      password: club.password,
+      role: roles.CLUBADMIN,
+      active: true,
+      clubId: club.id,
+    },
+    select: userSelect,
+  });
+  return { user, created: true, conflict: false };
+};
+
+module.exports = {
+  findClubAdminUser,
+  ensureClubAdminUser,
+};
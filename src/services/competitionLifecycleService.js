@@ -0,0 +1,191 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const { toDay } = require("./officialService");
+
+const COMPETITION_STATUSES = ["DRAFT", "OPEN", "ENTRIES_CLOSED", "IN_PROGRESS", "COMPLETED", "ARCHIVED"];
+
+const STATUS_LABELS = {
+  DRAFT: "a draft",
+  OPEN: "open for entries",
+  ENTRIES_CLOSED: "closed for entries",
+  IN_PROGRESS: "in progress",
+  COMPLETED: "completed",
+  ARCHIVED: "archived",
+};
+
+// Statuses only an admin moves a competition into or out of; dates never do
+const MANUAL_STATUSES = ["DRAFT", "ARCHIVED"];
+
+// What may be done in each status
+const ACTIONS = {
+  update: ["DRAFT", "OPEN", "ENTRIES_CLOSED", "IN_PROGRESS"],
+  updateGroups: ["DRAFT", "OPEN", "ENTRIES_CLOSED"],
+  delete: ["DRAFT", "OPEN", "ENTRIES_CLOSED"],
+  join: ["OPEN"],
+  leave: ["OPEN"],
+  // Squad changes by clubs; ENTRIES_CLOSED and IN_PROGRESS need a late-entry exception
+  changeSquad: ["OPEN", "ENTRIES_CLOSED", "IN_PROGRESS"],
+  reviewSquad: ["OPEN", "ENTRIES_CLOSED", "IN_PROGRESS"],
+  // Before entries close clubs change their squads directly
+  replacePlayer: ["ENTRIES_CLOSED", "IN_PROGRESS"],
+  // Chest numbers are fixed once entries close; late entries are numbered automatically
+  changeChestNumbers: ["DRAFT", "OPEN"],
+  // Coaches, managers and physios can change while the squad plays, e.g. after an injury
+  changeTeamOfficials: ["OPEN", "ENTRIES_CLOSED", "IN_PROGRESS"],
+  // Printing badges, and badges passing the gate
+  accredit: ["OPEN", "ENTRIES_CLOSED", "IN_PROGRESS"],
+  generateFixtures: ["ENTRIES_CLOSED", "IN_PROGRESS"],
+  weighIn: ["ENTRIES_CLOSED", "IN_PROGRESS"],
+  // Clubs name their match lineups once the draw is out
+  submitLineup: ["ENTRIES_CLOSED", "IN_PROGRESS"],
+  score: ["IN_PROGRESS"],
+  // Observers file reports during the competition and finish them afterwards
+  fileReport: ["IN_PROGRESS", "COMPLETED"],
+};
+
+// Completes "The competition cannot ..."
+const ACTION_LABELS = {
+  update: "be edited",
+  updateGroups: "have its groups changed",
+  delete: "be deleted",
+  join: "be joined",
+  leave: "be left",
+  changeSquad: "take squad changes",
+  reviewSquad: "have squads reviewed",
+  replacePlayer: "take player replacements",
+  changeChestNumbers: "have chest numbers changed",
+  changeTeamOfficials: "have team officials changed",
+  accredit: "have badges issued",
+  generateFixtures: "have fixtures drawn or scheduled",
+  weighIn: "have weigh-ins recorded",
+  submitLineup: "take match lineups",
+  score: "have matches scored",
+  fileReport: "take observer reports",
+};
+
+// Fields resolveStatus needs; add them to any competition select
+const lifecycleSelect = {
+  status: true,
+  statusOverride: true,
+  lastEntryDate: true,
+  fromDate: true,
+  toDate: true,
+};
+
+/**
+ * Status the competition's dates call for: open until the last entry date
+ * (inclusive), closed until the first day, in progress until the last day,
+ * completed after it.
+ * @param {{lastEntryDate: Date, fromDate: Date, toDate: Date}} competition
+ * @param {Date} [at]
+ * @returns {string}
+ */
+const dateDrivenStatus = (competition, at = new Date()) => {
+  const day = toDay(at);
+  if (day <= toDay(competition.lastEntryDate)) return "OPEN";
+  if (day < toDay(competition.fromDate)) return "ENTRIES_CLOSED";
+  if (day <= toDay(competition.toDate)) return "IN_PROGRESS";
+  return "COMPLETED";
+};
+
+/**
+ * Current status of a competition. Drafts and archived competitions keep
+ * their status, as does one whose status an admin has overridden; the rest
+ * follow their dates.
+ * @param {{status: string, statusOverride: boolean, lastEntryDate: Date, fromDate: Date, toDate: Date}} competition
+ * @param {Date} [at]
+ * @returns {string}
+ */
+const resolveStatus = (competition, at = new Date()) => {
+  if (competition.statusOverride || MANUAL_STATUSES.includes(competition.status)) {
+    return competition.status;
+  }
+  return dateDrivenStatus(competition, at);
+};
+
+/**
+ * Whether an action is allowed in the competition's current status.
+ * @param {object} competition - with the lifecycleSelect fields
+ * @param {string} action - key of ACTIONS
+ * @returns {boolean}
+ */
+const isActionAllowed = (competition, action) => ACTIONS[action].includes(resolveStatus(competition));
+
+/**
+ * Throw unless an action is allowed in the competition's current status.
+ * @param {object} competition - with the lifecycleSelect fields
+ * @param {string} action - key of ACTIONS
+ */
+const assertActionAllowed = (competition, action) => {
+  const status = resolveStatus(competition);
+  if (!ACTIONS[action].includes(status)) {
+    throw createError(400, `The competition cannot ${ACTION_LABELS[action]} while it is ${STATUS_LABELS[status]}`);
+  }
+};
+
+/**
+ * Load a competition's lifecycle fields and check an action against them.
+ * @param {number} competitionId
+ * @param {string} action - key of ACTIONS
+ * @param {object} [client]
+ * @returns {Promise<object>} the competition's lifecycle fields
+ */
+const assertCompetitionAction = async (competitionId, action, client = prisma) => {
+  const competition = await client.competition.findUnique({
+    where: { id: competitionId },
+    select: { id: true, ...lifecycleSelect },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+  assertActionAllowed(competition, action);
+  return competition;
+};
+
+/**
+ * Stored status and override flag for a status an admin picks. Picking the
+ * status the dates call for (or DRAFT/ARCHIVED) lets the dates drive it again;
+ * anything else is an override that holds until changed.
+ * @param {object} competition - with the lifecycleSelect fields
+ * @param {string} status
+ * @returns {{status: string, statusOverride: boolean}}
+ */
+const manualStatusData = (competition, status) => {
+  if (MANUAL_STATUSES.includes(status)) return { status, statusOverride: false };
+  return { status, statusOverride: status !== dateDrivenStatus(competition) };
+};
+
+/**
+ * Bring the stored status of date-driven competitions up to date.
+ * @param {Date} [at]
+ * @param {object} [client]
+ * @returns {Promise<number>} number of competitions whose status changed
+ */
+const syncStatuses = async (at = new Date(), client = prisma) => {
+  const competitions = await client.competition.findMany({
+    where: { statusOverride: false, status: { notIn: MANUAL_STATUSES } },
+    select: { id: true, ...lifecycleSelect },
+  });
+
+  let changed = 0;
+  for (const competition of competitions) {
+    const status = dateDrivenStatus(competition, at);
+    if (status !== competition.status) {
+      await client.competition.update({ where: { id: competition.id }, data: { status } });
+      changed++;
+    }
+  }
+  return changed;
+};
+
+module.exports = {
+  COMPETITION_STATUSES,
+  STATUS_LABELS,
+  ACTIONS,
+  lifecycleSelect,
+  dateDrivenStatus,
+  resolveStatus,
+  isActionAllowed,
+  assertActionAllowed,
+  assertCompetitionAction,
+  manualStatusData,
+  syncStatuses,
+};
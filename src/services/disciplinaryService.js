@@ -0,0 +1,218 @@
+const prisma = require("../config/db");
+const domainEventEmitter = require("../utils/domainEventEmitter");
+const { ACTIVE_REGISTRATION_STATUSES } = require("./registrationService");
+
+const CASE_STATUSES = ["OPEN", "DECIDED", "DISMISSED"];
+const APPEAL_STATUSES = ["PENDING", "ALLOWED", "DISMISSED"];
+const SANCTION_TYPES = ["MATCH_BAN", "SUSPENSION", "FINE"];
+const SANCTION_STATUSES = ["ACTIVE", "SERVED", "EXPIRED", "REVOKED"];
+
+const toDay = (date) => new Date(date).toISOString().split("T")[0];
+
+/**
+ * Prisma `where` for sanctions in force on a day.
+ * @param {Date} [at]
+ * @returns {object}
+ */
+const activeSanctionWhere = (at = new Date()) => {
+  const day = new Date(toDay(at));
+  return {
+    status: "ACTIVE",
+    startsOn: { lte: day },
+    OR: [{ endsOn: null }, { endsOn: { gte: day } }],
+  };
+};
+
+/**
+ * Prisma `where` for players who are (or are not) currently under a sanction.
+ * Replaces the old `isSuspended` filter.
+ * @param {boolean} suspended
+ * @returns {object}
+ */
+const suspendedPlayerWhere = (suspended) => (
+  suspended
+    ? { sanctions: { some: activeSanctionWhere() } }
+    : { sanctions: { none: activeSanctionWhere() } }
+);
+
+/**
+ * Human readable description of a sanction, naming the case it comes from.
+ * @param {object} sanction - with `_count.servedMatches` for match bans
+ * @returns {string}
+ */
+const describeSanction = (sanction) => {
+  const source = `case #${sanction.caseId}`;
+  switch (sanction.type) {
+    case "MATCH_BAN": {
+      const served = sanction._count?.servedMatches ?? 0;
+      const scope = sanction.competition ? ` in ${sanction.competition.competitionName}` : "";
+      return `${sanction.matches}-match ban${scope} (${served} served), ${source}`;
+    }
+    case "SUSPENSION":
+      return sanction.endsOn
+        ? `Suspended until ${toDay(sanction.endsOn)}, ${source}`
+        : `Suspended until further notice, ${source}`;
+    case "FINE":
+      return `Unpaid fine of Rs. ${Number(sanction.fineAmount || 0).toFixed(2)}, ${source}`;
+    default:
+      return `Sanctioned, ${source}`;
+  }
+};
+
+const sanctionInclude = {
+  competition: { select: { id: true, competitionName: true } },
+  _count: { select: { servedMatches: true } },
+};
+
+/**
+ * Sanctions keeping each player out, as descriptions. Match bans limited to
+ * another competition do not count when a competition is given.
+ * @param {number[]} playerIds
+ * @param {{competitionId?: number, at?: Date}} [options]
+ * @param {object} [client]
+ * @returns {Promise<Map<number, string[]>>}
+ */
+const getSanctionBlocks = async (playerIds, options = {}, client = prisma) => {
+  const blocks = new Map();
+  if (!playerIds.length) return blocks;
+
+  const where = { playerId: { in: playerIds }, ...activeSanctionWhere(options.at) };
+  if (options.competitionId) {
+    where.AND = [{ OR: [{ competitionId: null }, { competitionId: options.competitionId }] }];
+  }
+
+  const sanctions = await client.playerSanction.findMany({
+    where,
+    include: sanctionInclude,
+    orderBy: { startsOn: "asc" },
+  });
+  sanctions.forEach((s) => {
+    if (!blocks.has(s.playerId)) blocks.set(s.playerId, []);
+    blocks.get(s.playerId).push(describeSanction(s));
+  });
+  return blocks;
+};
+
+/**
+ * Sanctions of a player currently in force, with descriptions.
+ * @param {number} playerId
+ * @param {object} [client]
+ * @returns {Promise<object[]>}
+ */
+const getActiveSanctions = async (playerId, client = prisma) => {
+  const sanctions = await client.playerSanction.findMany({
+    where: { playerId, ...activeSanctionWhere() },
+    include: sanctionInclude,
+    orderBy: { startsOn: "asc" },
+  });
+  return sanctions.map((s) => ({ ...s, description: describeSanction(s) }));
+};
+
+/**
+ * Count a completed fixture towards the match bans of players of both clubs.
+ * A match counts when the ban had started by the match day, the player has an
+ * active registration for one of the two clubs in the fixture's competition
+ * group and the ban is not limited to another competition. Bans that reach
+ * their number of matches are served.
+ * @param {number} fixtureId
+ * @param {object} [client]
+ * @returns {Promise<number>} number of sanctions the fixture counted for
+ */
+const recordServedMatches = async (fixtureId, client = prisma) => {
+  const fixture = await client.fixture.findUnique({
+    where: { id: fixtureId },
+    select: {
+      id: true,
+      competitionId: true,
+      status: true,
+      homeClubId: true,
+      awayClubId: true,
+      completedAt: true,
+      competitionGroup: { select: { groupId: true } },
+    },
+  });
+  if (!fixture || fixture.status !== "COMPLETED") return 0;
+
+  const clubIds = [fixture.homeClubId, fixture.awayClubId].filter(Boolean);
+  if (clubIds.length === 0) return 0;
+
+  const sanctions = await client.playerSanction.findMany({
+    where: {
+      type: "MATCH_BAN",
+      status: "ACTIVE",
+      startsOn: { lte: new Date(toDay(fixture.completedAt || new Date())) },
+      OR: [{ competitionId: null }, { competitionId: fixture.competitionId }],
+      player: {
+        competitionRegistrations: {
+          some: {
+            competitionId: fixture.competitionId,
+            groupId: fixture.competitionGroup.groupId,
+            clubId: { in: clubIds },
+            status: { in: ACTIVE_REGISTRATION_STATUSES },
+          },
+        },
+      },
+    },
+    select: { id: true, matches: true },
+  });
+  if (sanctions.length === 0) return 0;
+
+  await client.sanctionServedMatch.createMany({
+    data: sanctions.map((s) => ({ sanctionId: s.id, fixtureId: fixture.id })),
+    skipDuplicates: true,
+  });
+
+  const counts = await client.sanctionServedMatch.groupBy({
+    by: ["sanctionId"],
+    where: { sanctionId: { in: sanctions.map((s) => s.id) } },
+    _count: { _all: true },
+  });
+  const servedIds = sanctions
+    .filter((s) => (counts.find((c) => c.sanctionId === s.id)?._count._all || 0) >= s.matches)
+    .map((s) => s.id);
+  if (servedIds.length > 0) {
+    await client.playerSanction.updateMany({
+      where: { id: { in: servedIds }, status: "ACTIVE" },
+      data: { status: "SERVED", endedAt: new Date() },
+    });
+  }
+  return sanctions.length;
+};
+
+/**
+ * Mark suspensions whose end date has passed as expired.
+ * @param {Date} [at]
+ * @param {object} [client]
+ * @returns {Promise<number>}
+ */
+const expireSanctions = async (at = new Date(), client = prisma) => {
+  const result = await client.playerSanction.updateMany({
+    where: { status: "ACTIVE", endsOn: { lt: new Date(toDay(at)) } },
+    data: { status: "EXPIRED", endedAt: new Date() },
+  });
+  return result.count;
+};
+
+// Count every completed match towards the match bans it serves
+const registerDisciplinaryListeners = () => {
+  domainEventEmitter.on("fixture.completed", ({ fixtureId }) => {
+    recordServedMatches(fixtureId).catch((err) => {
+      console.error(`Failed to record served match bans for fixture ${fixtureId}:`, err);
+    });
+  });
+};
+
+module.exports = {
+  CASE_STATUSES,
+  APPEAL_STATUSES,
+  SANCTION_TYPES,
+  SANCTION_STATUSES,
+  activeSanctionWhere,
+  suspendedPlayerWhere,
+  describeSanction,
+  getSanctionBlocks,
+  getActiveSanctions,
+  recordServedMatches,
+  expireSanctions,
+  registerDisciplinaryListeners,
+};
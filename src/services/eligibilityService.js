@@ -0,0 +1,324 @@
+const prisma = require("../config/db");
+const { getRepresentationBlocks } = require("./transferService");
+const { getSanctionBlocks } = require("./disciplinaryService");
+const { getLatestWeights } = require("./weighInService");
+const { ACTIVE_REGISTRATION_STATUSES } = require("./registrationService");
+
+const AGE_TYPES = ["UNDER", "ABOVE", "BETWEEN"];
+const RULES = ["age", "gender", "weight", "aadhaar", "suspension", "representation", "membership"];
+const UNDER18_AGE = 18;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => new Date(date).toISOString().split("T")[0];
+
+/**
+ * Parse common date formats safely (YYYY-MM-DD, DD/MM/YYYY, or Date).
+ * @param {string|Date|null} value
+ * @returns {Date|null}
+ */
+const parseEligibilityDate = (value) => {
+  if (!value) return null;
+  try {
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    if (typeof value === "string") {
+      const s = value.trim();
+      // ISO-like
+      if (/^\d{4}-\d{2}-\d{2}/.test(s)) {
+        const d = new Date(s);
+        return isNaN(d) ? null : d;
+      }
+      // DD/MM/YYYY
+      if (/^\d{2}\/\d{2}\/\d{4}$/.test(s)) {
+        const [dd, mm, yyyy] = s.split("/").map((x) => parseInt(x, 10));
+        const d = new Date(yyyy, mm - 1, dd);
+        return isNaN(d) ? null : d;
+      }
+      // Fallback parse
+      const d = new Date(s);
+      return isNaN(d) ? null : d;
+    }
+  } catch (_) {
+    return null;
+  }
+  return null;
+};
+
+/**
+ * Age in completed years on a reference date (defaults to today).
+ * @param {Date|string} dob
+ * @param {Date} [refDate]
+ * @returns {number|null}
+ */
+const calculateAgeOn = (dob, refDate = new Date()) => {
+  if (!dob) return null;
+  const birth = dob instanceof Date ? dob : new Date(dob);
+  if (isNaN(birth)) return null;
+  const ref = refDate instanceof Date ? refDate : new Date(refDate);
+  if (isNaN(ref)) return null;
+  let age = ref.getFullYear() - birth.getFullYear();
+  const m = ref.getMonth() - birth.getMonth();
+  if (m < 0 || (m === 0 && ref.getDate() < birth.getDate())) age--;
+  return age;
+};
+
+/**
+ * "Under X" label from an eligibility date (DOB cutoff).
+ * @param {string|Date} eligibilityDate
+ * @param {Date} [asOf]
+ * @returns {string|null}
+ */
+const computeUnderAgeLabel = (eligibilityDate, asOf = new Date()) => {
+  const age = calculateAgeOn(parseEligibilityDate(eligibilityDate), asOf);
+  if (!Number.isFinite(age) || age < 0) return null;
+  return `Under ${age}`;
+};
+
+const normalizeGender = (gender) => (gender || "").toLowerCase().trim();
+
+const pass = (rule, reason) => ({ rule, passed: true, reason });
+const fail = (rule, reason) => ({ rule, passed: false, reason });
+
+/**
+ * Age band of a competition group. The dates are cut-offs on the date of
+ * birth: UNDER means born on or after `ageEligibilityDate`, ABOVE on or
+ * before it, BETWEEN on or after it and on or before `ageEligibilityToDate`.
+ * @param {object} compGroup - CompetitionGroup with its group
+ * @returns {{ageType: string, bornFrom: Date|null, bornTo: Date|null}}
+ */
+const getAgeBand = (compGroup) => {
+  const ageType = compGroup.ageType || compGroup.group?.ageType || "UNDER";
+  const cutoff = parseEligibilityDate(compGroup.ageEligibilityDate);
+  if (ageType === "ABOVE") return { ageType, bornFrom: null, bornTo: cutoff };
+  if (ageType === "BETWEEN") {
+    return { ageType, bornFrom: cutoff, bornTo: parseEligibilityDate(compGroup.ageEligibilityToDate) };
+  }
+  return { ageType, bornFrom: cutoff, bornTo: null };
+};
+
+const checkAge = (player, compGroup) => {
+  const { bornFrom, bornTo } = getAgeBand(compGroup);
+  if (!bornFrom && !bornTo) return pass("age", "No age limit");
+
+  const dob = player.dateOfBirth ? new Date(player.dateOfBirth) : null;
+  if (!dob || isNaN(dob)) return fail("age", "Date of birth is missing");
+
+  if (bornFrom && dob < bornFrom) {
+    return fail("age", `Too old - must be born on or after ${toDay(bornFrom)}`);
+  }
+  if (bornTo && dob > bornTo) {
+    return fail("age", `Too young - must be born on or before ${toDay(bornTo)}`);
+  }
+  return pass("age", `Born ${toDay(dob)}`);
+};
+
+// Players have no gender of their own; it comes from the groups they belong to
+const checkGender = (player, compGroup) => {
+  const required = normalizeGender(compGroup.group?.gender);
+  if (!required) return pass("gender", "Open to all");
+  const matches = (player.groups || []).some((g) => normalizeGender(g.gender) === required);
+  return matches
+    ? pass("gender", `Plays in a ${required} group`)
+    : fail("gender", `Gender does not match group '${compGroup.group?.groupName || "Unknown"}' (requires ${required})`);
+};
+
+// Before the weigh-in there is nothing to compare, so an unknown weight passes
+const checkWeight = (compGroup, weight) => {
+  if (compGroup.maxWeightKg === null || compGroup.maxWeightKg === undefined) {
+    return pass("weight", "No weight limit");
+  }
+  const limit = Number(compGroup.maxWeightKg);
+  if (weight === null || weight === undefined) {
+    return pass("weight", `Not weighed yet (limit ${limit} kg)`);
+  }
+  return Number(weight) <= limit
+    ? pass("weight", `${Number(weight)} kg, limit ${limit} kg`)
+    : fail("weight", `Weighs ${Number(weight)} kg, over the ${limit} kg limit`);
+};
+
+const checkAadhaar = (player, compGroup) => {
+  if (!compGroup.requireAadhaarVerified) return pass("aadhaar", "Not required");
+  return player.aadharVerified
+    ? pass("aadhaar", "Aadhaar verified")
+    : fail("aadhaar", "Aadhaar is not verified");
+};
+
+const checkMembership = (player, compGroup, clubId, memberSince, at) => {
+  if (player.clubId !== clubId) return fail("membership", "Does not play for this club");
+  const minDays = compGroup.minClubMembershipDays;
+  if (!minDays) return pass("membership", "No minimum membership");
+
+  const since = memberSince || player.createdAt;
+  const eligibleFrom = new Date(new Date(since).getTime() + minDays * DAY_MS);
+  return eligibleFrom <= at
+    ? pass("membership", `With the club since ${toDay(since)}`)
+    : fail("membership", `With the club since ${toDay(since)}; needs ${minDays} days, eligible from ${toDay(eligibleFrom)}`);
+};
+
+/**
+ * Evaluate every rule of a competition group for one player.
+ * @param {object} player - with dateOfBirth, clubId, aadharVerified, createdAt and groups (gender)
+ * @param {object} compGroup - CompetitionGroup with its group
+ * @param {object} context - from loadEligibilityContext
+ * @returns {{eligible: boolean, rules: {rule: string, passed: boolean, reason: string}[]}}
+ */
+const evaluatePlayer = (player, compGroup, context) => {
+  const sanctions = context.sanctionBlocks.get(player.id);
+  const representation = context.representationBlocks.get(player.id);
+
+  const rules = [
+    checkAge(player, compGroup),
+    checkGender(player, compGroup),
+    checkWeight(compGroup, context.weights.get(player.id)),
+    checkAadhaar(player, compGroup),
+    sanctions ? fail("suspension", sanctions.join("; ")) : pass("suspension", "No sanctions in force"),
+    representation ? fail("representation", representation) : pass("representation", "Free to represent the club"),
+    checkMembership(player, compGroup, context.clubId, context.memberSince.get(player.id), context.at),
+  ];
+  return { eligible: rules.every((r) => r.passed), rules };
+};
+
+/**
+ * Failed rule reasons, for single-line error messages.
+ * @param {{rules: object[]}} result
+ * @returns {string}
+ */
+const describeFailures = (result) => result.rules.filter((r) => !r.passed).map((r) => r.reason).join("; ");
+
+/**
+ * Everything the rules need beyond the player row, loaded once for a batch.
+ * Weights come from the competition's weigh-ins; `weights` overrides them.
+ * @param {number[]} playerIds
+ * @param {{clubId: number, competitionId: number, weights?: Map<number, number>, at?: Date}} options
+ * @param {object} [client]
+ * @returns {Promise<object>}
+ */
+const loadEligibilityContext = async (playerIds, options, client = prisma) => {
+  const { clubId, competitionId } = options;
+  const [representationBlocks, sanctionBlocks, weights, history] = await Promise.all([
+    getRepresentationBlocks(playerIds, clubId, competitionId, client),
+    getSanctionBlocks(playerIds, { competitionId }, client),
+    getLatestWeights(competitionId, playerIds, client),
+    client.playerClubHistory.findMany({
+      where: { playerId: { in: playerIds }, clubId, toDate: null },
+      select: { playerId: true, fromDate: true },
+    }),
+  ]);
+
+  (options.weights || new Map()).forEach((kg, playerId) => weights.set(playerId, kg));
+
+  return {
+    clubId,
+    at: options.at || new Date(),
+    weights,
+    representationBlocks,
+    sanctionBlocks,
+    memberSince: new Map(history.map((h) => [h.playerId, h.fromDate])),
+  };
+};
+
+const playerSelect = {
+  id: true,
+  uniqueIdNumber: true,
+  firstName: true,
+  lastName: true,
+  dateOfBirth: true,
+  position: true,
+  clubId: true,
+  aadharVerified: true,
+  createdAt: true,
+  groups: { select: { id: true, groupName: true, gender: true } },
+};
+
+/**
+ * Check players against the rules of one competition group, or of every
+ * group when no group is given (a player is then eligible for the groups
+ * whose rules all pass).
+ * @param {{competitionId: number, clubId: number, playerIds: number[], groupId?: number, weights?: Map<number, number>}} params
+ * @param {object} [client]
+ * @returns {Promise<{players: object[], groups: object[]}>} players with per-group rule results
+ */
+const checkEligibility = async (params, client = prisma) => {
+  const { competitionId, clubId, playerIds } = params;
+  const compGroups = await client.competitionGroup.findMany({
+    where: { competitionId, ...(params.groupId ? { groupId: params.groupId } : {}) },
+    include: { group: true },
+  });
+
+  const players = await client.player.findMany({
+    where: { id: { in: playerIds } },
+    select: playerSelect,
+    orderBy: [{ firstName: "asc" }, { lastName: "asc" }],
+  });
+  const context = await loadEligibilityContext(
+    players.map((p) => p.id),
+    { clubId, competitionId, weights: params.weights },
+    client
+  );
+
+  return {
+    groups: compGroups,
+    players: players.map((player) => {
+      const groups = compGroups.map((cg) => ({
+        groupId: cg.groupId,
+        groupName: cg.group.groupName,
+        ...evaluatePlayer(player, cg, context),
+      }));
+      return { player, eligible: groups.some((g) => g.eligible), groups };
+    }),
+  };
+};
+
+/**
+ * Squad rule: how many players aged 18 or below a club may have in a group.
+ * Counts the club's active registrations in the group plus the incoming players,
+ * leaving out players about to leave the squad (a replaced player).
+ * @param {object} compGroup - CompetitionGroup
+ * @param {number} clubId
+ * @param {{id: number, dateOfBirth: Date}[]} incoming
+ * @param {object} [client]
+ * @param {number[]} [leavingPlayerIds]
+ * @returns {Promise<{rule: string, passed: boolean, reason: string}>}
+ */
+const checkUnder18Limit = async (compGroup, clubId, incoming, client = prisma, leavingPlayerIds = []) => {
+  const limit = compGroup.maxUnder18Players;
+  if (limit === null || limit === undefined) return pass("under18Limit", "No limit on players aged 18 or below");
+
+  const isUnder18 = (dob) => {
+    const age = calculateAgeOn(dob);
+    return age !== null && age <= UNDER18_AGE;
+  };
+  const existing = await client.competitionRegistration.findMany({
+    where: {
+      competitionId: compGroup.competitionId,
+      groupId: compGroup.groupId,
+      clubId,
+      playerId: { notIn: [...incoming.map((p) => p.id), ...leavingPlayerIds] },
+      status: { in: ACTIVE_REGISTRATION_STATUSES },
+    },
+    select: { player: { select: { dateOfBirth: true } } },
+  });
+  const existingCount = existing.filter((r) => isUnder18(r.player.dateOfBirth)).length;
+  const incomingCount = incoming.filter((p) => isUnder18(p.dateOfBirth)).length;
+
+  if (existingCount + incomingCount <= limit) {
+    return pass("under18Limit", `${existingCount + incomingCount} of ${limit} U18 (age 18 or below) places used`);
+  }
+  const remaining = Math.max(0, limit - existingCount);
+  return fail("under18Limit", remaining === 0
+    ? `Maximum ${limit} U18 (age 18 or below) players already registered for this group`
+    : `You can register only ${remaining} more U18 (age 18 or below) player(s) for this group (max ${limit})`);
+};
+
+module.exports = {
+  AGE_TYPES,
+  RULES,
+  parseEligibilityDate,
+  calculateAgeOn,
+  computeUnderAgeLabel,
+  getAgeBand,
+  evaluatePlayer,
+  describeFailures,
+  loadEligibilityContext,
+  checkEligibility,
+  checkUnder18Limit,
+};
@@ -0,0 +1,367 @@
+const createError = require("http-errors");
+
+const FIXTURE_FORMATS = ["KNOCKOUT", "LEAGUE", "POOL_KNOCKOUT"];
+const FIXTURE_STATUSES = ["SCHEDULED", "LIVE", "COMPLETED", "CANCELLED"];
+
+/**
+ * Parse competition date strings (YYYY-MM-DD, DD/MM/YYYY) or Date values.
+ * @param {string|Date} value
+ * @returns {Date|null} Date at local midnight or null when unparseable
+ */
+const parseCompetitionDate = (value) => {
+  if (!value) return null;
+  let d = null;
+  if (value instanceof Date) {
+    d = new Date(value);
+  } else {
+    const s = String(value).trim();
+    const dmy = s.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    if (dmy) {
+      d = new Date(parseInt(dmy[3]), parseInt(dmy[2]) - 1, parseInt(dmy[1]));
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+      const [yyyy, mm, dd] = s.split("-").map((x) => parseInt(x));
+      d = new Date(yyyy, mm - 1, dd);
+    } else {
+      d = new Date(s);
+    }
+  }
+  if (isNaN(d.getTime())) return null;
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Parse a "HH:mm" time of day into minutes after midnight.
+ * @param {string} value
+ * @returns {number|null}
+ */
+const parseTimeOfDay = (value) => {
+  const m = String(value || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const hh = parseInt(m[1]);
+  const mm = parseInt(m[2]);
+  if (hh > 23 || mm > 59) return null;
+  return hh * 60 + mm;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+const poolLabel = (index) => String.fromCharCode(65 + index);
+
+/**
+ * Round-robin pairings using the circle method.
+ * @param {Array<number>} clubIds
+ * @returns {Array<Array<[number, number]>>} Rounds of [home, away] pairs (byes omitted)
+ */
+const generateRoundRobin = (clubIds) => {
+  const teams = [...clubIds];
+  if (teams.length % 2 === 1) teams.push(null);
+  const n = teams.length;
+  const rounds = [];
+
+  for (let r = 0; r < n - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < n / 2; i++) {
+      const a = teams[i];
+      const b = teams[n - 1 - i];
+      if (a === null || b === null) continue;
+      // Alternate home side so clubs don't always start on the same court end
+      pairs.push(r % 2 === 0 ? [a, b] : [b, a]);
+    }
+    rounds.push(pairs);
+    // Keep the first team fixed, rotate the rest clockwise
+    teams.splice(1, 0, teams.pop());
+  }
+
+  return rounds;
+};
+
+/**
+ * Standard bracket seed order for a bracket of `size` slots (1 v size, 2 v size-1, ...),
+ * arranged so the top two seeds can only meet in the final.
+ * @param {number} size - Power of two
+ * @returns {Array<number>} 1-based seed numbers in bracket order
+ */
+const bracketSeedOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap((s) => [s, next - s]);
+  }
+  return order;
+};
+
+const knockoutRoundLabel = (slotsInRound) => {
+  if (slotsInRound === 2) return "Final";
+  if (slotsInRound === 4) return "Semi Final";
+  if (slotsInRound === 8) return "Quarter Final";
+  return `Round of ${slotsInRound}`;
+};
+
+/**
+ * Build knockout fixtures from seeded entrants. An entrant is either
+ * `{ clubId }` or `{ label }` (a placeholder such as "Pool A #1").
+ * Byes are handed to the top seeds; fixtures in later rounds reference the
+ * fixtures whose winners fill them via `homeSource` / `awaySource` keys.
+ * @param {Array<{clubId?: number, label?: string}>} entrants - In seed order
+ * @returns {Array<object>} Fixture drafts with a local `key`
+ */
+const generateKnockout = (entrants) => {
+  if (entrants.length < 2) return [];
+
+  let size = 1;
+  while (size < entrants.length) size *= 2;
+
+  let slots = bracketSeedOrder(size).map((seed) => entrants[seed - 1] || null);
+  const drafts = [];
+  let round = 1;
+
+  while (slots.length > 1) {
+    const next = [];
+    for (let i = 0; i < slots.length; i += 2) {
+      const home = slots[i];
+      const away = slots[i + 1];
+      if (!home || !away) {
+        // Bye: the present side walks through to the next round
+        next.push(home || away);
+        continue;
+      }
+      const key = `KO-${round}-${i / 2 + 1}`;
+      drafts.push({
+        key,
+        stage: "KNOCKOUT",
+        pool: null,
+        round,
+        roundLabel: knockoutRoundLabel(slots.length),
+        homeClubId: home.clubId || null,
+        awayClubId: away.clubId || null,
+        homeSource: home.fixtureKey || null,
+        awaySource: away.fixtureKey || null,
+        homeSourceLabel: home.label || null,
+        awaySourceLabel: away.label || null,
+      });
+      next.push({ fixtureKey: key });
+    }
+    slots = next;
+    round++;
+  }
+
+  return drafts;
+};
+
+/**
+ * Build league (round-robin) fixture drafts.
+ * @param {Array<number>} clubIds
+ * @param {string|null} pool - Pool label when used as the pool stage
+ * @returns {Array<object>}
+ */
+const generateLeague = (clubIds, pool = null) => generateRoundRobin(clubIds).flatMap((pairs, idx) =>
+  pairs.map(([home, away], pairIdx) => ({
+    key: `${pool ? `P${pool}` : "L"}-${idx + 1}-${pairIdx + 1}`,
+    stage: pool ? "POOL" : "LEAGUE",
+    pool,
+    round: idx + 1,
+    roundLabel: pool ? `Pool ${pool} - Round ${idx + 1}` : `Round ${idx + 1}`,
+    homeClubId: home,
+    awayClubId: away,
+    homeSource: null,
+    awaySource: null,
+    homeSourceLabel: null,
+    awaySourceLabel: null,
+  }))
+);
+
+/**
+ * Split clubs into pools (snake order so seeds are spread evenly), play a
+ * round robin in each pool and seed the top finishers into a knockout.
+ * @param {Array<number>} clubIds - In seed order
+ * @param {number} poolCount
+ * @param {number} qualifiersPerPool
+ * @returns {Array<object>}
+ */
+const generatePoolKnockout = (clubIds, poolCount, qualifiersPerPool) => {
+  const pools = Array.from({ length: poolCount }, () => []);
+  clubIds.forEach((clubId, idx) => {
+    const lap = Math.floor(idx / poolCount);
+    const pos = idx % poolCount;
+    pools[lap % 2 === 0 ? pos : poolCount - 1 - pos].push(clubId);
+  });
+
+  if (pools.some((p) => p.length < 2)) {
+    throw createError(400, "Each pool needs at least 2 clubs");
+  }
+  if (pools.some((p) => p.length < qualifiersPerPool)) {
+    throw createError(400, "Qualifiers per pool cannot exceed the number of clubs in a pool");
+  }
+
+  const poolDrafts = pools.flatMap((members, idx) => generateLeague(members, poolLabel(idx)));
+
+  // Seed all pool winners first, then runners-up, ... so that with the
+  // standard bracket order a pool winner never opens against its own pool.
+  const entrants = [];
+  for (let place = 1; place <= qualifiersPerPool; place++) {
+    pools.forEach((_, idx) => entrants.push({ label: `Pool ${poolLabel(idx)} #${place}` }));
+  }
+
+  const knockoutDrafts = generateKnockout(entrants).map((d) => ({ ...d, afterPoolStage: true }));
+  return [...poolDrafts, ...knockoutDrafts];
+};
+
+/**
+ * Build fixture drafts for the requested format.
+ * @param {string} format - KNOCKOUT | LEAGUE | POOL_KNOCKOUT
+ * @param {Array<number>} clubIds - Participating clubs in seed order
+ * @param {{poolCount?: number, qualifiersPerPool?: number}} options
+ * @returns {Array<object>}
+ */
+const buildDraw = (format, clubIds, options = {}) => {
+  if (clubIds.length < 2) {
+    throw createError(400, "At least 2 clubs are required to generate fixtures");
+  }
+  if (format === "LEAGUE") return generateLeague(clubIds);
+  if (format === "KNOCKOUT") return generateKnockout(clubIds.map((clubId) => ({ clubId })));
+  if (format === "POOL_KNOCKOUT") {
+    const poolCount = options.poolCount || 2;
+    const qualifiersPerPool = options.qualifiersPerPool || 2;
+    if (poolCount < 2) throw createError(400, "Pool format needs at least 2 pools");
+    return generatePoolKnockout(clubIds, poolCount, qualifiersPerPool);
+  }
+  throw createError(400, `Unsupported fixture format: ${format}`);
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * Assign courts and start times to fixture drafts, in draft order.
+ *
+ * Slots are laid out each day between `dayStart` and `dayEnd`, one match per
+ * court per slot. A fixture is placed in the earliest slot where its court is
+ * free, neither club is already playing at an overlapping time, and every
+ * fixture it depends on (knockout sources, or the whole pool stage) has finished.
+ *
+ * @param {Array<object>} drafts - Output of buildDraw
+ * @param {object} options
+ * @param {Date} options.fromDate - First competition day
+ * @param {Date} options.toDate - Last competition day
+ * @param {number} options.dayStartMinutes - Minutes after midnight
+ * @param {number} options.dayEndMinutes - Minutes after midnight
+ * @param {number} options.durationMinutes - Match length
+ * @param {number} options.gapMinutes - Turnaround between slots
+ * @param {number} options.courts - Courts available
+ * @param {Array<{clubIds: Array<number>, court: number|null, start: Date, end: Date}>} [options.busy]
+ *   Already scheduled matches (e.g. other groups in the same competition)
+ * @returns {Array<object>} Drafts with `court` and `scheduledAt` set
+ */
+const assignSlots = (drafts, options) => {
+  const {
+    fromDate,
+    toDate,
+    dayStartMinutes,
+    dayEndMinutes,
+    durationMinutes,
+    gapMinutes,
+    courts,
+    busy = [],
+  } = options;
+
+  const slotStarts = [];
+  for (let day = new Date(fromDate); day <= toDate; day.setDate(day.getDate() + 1)) {
+    for (let m = dayStartMinutes; m + durationMinutes <= dayEndMinutes; m += durationMinutes + gapMinutes) {
+      slotStarts.push(addMinutes(new Date(day), m));
+    }
+  }
+
+  if (slotStarts.length === 0) {
+    throw createError(400, "No time slots available within the competition dates and daily hours");
+  }
+
+  const booked = busy.map((b) => ({ ...b }));
+  const endByKey = new Map();
+  let poolStageEnd = null;
+
+  const scheduled = drafts.map((draft) => {
+    const notBeforeCandidates = [draft.homeSource, draft.awaySource]
+      .filter(Boolean)
+      .map((key) => endByKey.get(key))
+      .filter(Boolean);
+    if (draft.afterPoolStage && poolStageEnd) notBeforeCandidates.push(poolStageEnd);
+    const notBefore = notBeforeCandidates.length
+      ? new Date(Math.max(...notBeforeCandidates.map((d) => d.getTime())) + gapMinutes * 60 * 1000)
+      : null;
+
+    const clubIds = [draft.homeClubId, draft.awayClubId].filter(Boolean);
+
+    for (const start of slotStarts) {
+      if (notBefore && start < notBefore) continue;
+      const end = addMinutes(start, durationMinutes);
+
+      const clubClash = booked.some(
+        (b) => overlaps(start, end, b.start, b.end) && b.clubIds.some((id) => clubIds.includes(id))
+      );
+      if (clubClash) continue;
+
+      for (let court = 1; court <= courts; court++) {
+        const courtTaken = booked.some((b) => b.court === court && overlaps(start, end, b.start, b.end));
+        if (courtTaken) continue;
+
+        booked.push({ clubIds, court, start, end });
+        endByKey.set(draft.key, end);
+        if (draft.stage === "POOL") {
+          poolStageEnd = !poolStageEnd || end > poolStageEnd ? end : poolStageEnd;
+        }
+        return { ...draft, court, scheduledAt: start };
+      }
+    }
+
+    throw createError(
+      400,
+      `Not enough time slots to schedule all ${drafts.length} fixtures. Add courts, extend daily hours or widen the dates.`
+    );
+  });
+
+  return scheduled;
+};
+
+/**
+ * Find fixtures that clash with a proposed start/court for a fixture.
+ * @param {object} fixture - Fixture being moved (needs id, homeClubId, awayClubId, durationMinutes)
+ * @param {Date} start
+ * @param {number|null} court
+ * @param {Array<object>} others - Other fixtures of the competition
+ * @returns {{clubClashes: Array<object>, courtClashes: Array<object>}}
+ */
+const findScheduleConflicts = (fixture, start, court, others) => {
+  const end = addMinutes(start, fixture.durationMinutes);
+  const clubIds = [fixture.homeClubId, fixture.awayClubId].filter(Boolean);
+  const clubClashes = [];
+  const courtClashes = [];
+
+  for (const other of others) {
+    if (other.id === fixture.id || !other.scheduledAt || other.status === "CANCELLED") continue;
+    const otherStart = new Date(other.scheduledAt);
+    const otherEnd = addMinutes(otherStart, other.durationMinutes);
+    if (!overlaps(start, end, otherStart, otherEnd)) continue;
+
+    if ([other.homeClubId, other.awayClubId].some((id) => id && clubIds.includes(id))) {
+      clubClashes.push(other);
+    }
+    if (court && other.court === court) {
+      courtClashes.push(other);
+    }
+  }
+
+  return { clubClashes, courtClashes };
+};
+
+module.exports = {
+  FIXTURE_FORMATS,
+  FIXTURE_STATUSES,
+  parseCompetitionDate,
+  parseTimeOfDay,
+  addMinutes,
+  generateRoundRobin,
+  generateKnockout,
+  buildDraw,
+  assignSlots,
+  findScheduleConflicts,
+};
@@ -0,0 +1,203 @@
+const prisma = require("../config/db");
+const { ACTIVE_REGISTRATION_STATUSES } = require("./registrationService");
+const { getSanctionBlocks } = require("./disciplinaryService");
+
+const PLAYING_SEVEN = 7;
+const MAX_SUBSTITUTES = 5;
+const MAX_SUBSTITUTIONS_PER_HALF = 5;
+// What the toss winner takes: the choice of court side, or the first raid
+const TOSS_CHOICES = ["COURT", "RAID"];
+
+const lineupPlayerSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  uniqueIdNumber: true,
+};
+
+/**
+ * Check that players may be named in a club's lineup for a fixture: each needs
+ * an active registration in the fixture's competition group for the club, no
+ * sanction in force on the match day, and, in groups with a weight limit, a
+ * passed weigh-in.
+ * @param {{competitionId: number, scheduledAt: Date|null, competitionGroup: {groupId: number, maxWeightKg: any}}} fixture
+ * @param {number} clubId
+ * @param {number[]} playerIds
+ * @param {object} [client]
+ * @returns {Promise<{registrations: Map<number, object>, problems: Array<{playerId: number, reasons: string[]}>}>}
+ */
+const checkLineupPlayers = async (fixture, clubId, playerIds, client = prisma) => {
+  const rows = await client.competitionRegistration.findMany({
+    where: {
+      competitionId: fixture.competitionId,
+      groupId: fixture.competitionGroup.groupId,
+      clubId,
+      playerId: { in: playerIds },
+      status: { in: ACTIVE_REGISTRATION_STATUSES },
+    },
+    select: { id: true, playerId: true, chestNumber: true, weighInStatus: true },
+  });
+  const registrations = new Map(rows.map((r) => [r.playerId, r]));
+
+  const blocks = await getSanctionBlocks(
+    playerIds,
+    { competitionId: fixture.competitionId, at: fixture.scheduledAt || new Date() },
+    client
+  );
+  const weightLimited = fixture.competitionGroup.maxWeightKg !== null && fixture.competitionGroup.maxWeightKg !== undefined;
+
+  const problems = [];
+  playerIds.forEach((playerId) => {
+    const reasons = [];
+    const registration = registrations.get(playerId);
+    if (!registration) {
+      reasons.push("Not in the club's squad for this group");
+    } else if (weightLimited && registration.weighInStatus !== "PASSED") {
+      reasons.push(
+        registration.weighInStatus === "OVERWEIGHT" ? "Over the group's weight limit" : "Has not been weighed in"
+      );
+    }
+    reasons.push(...(blocks.get(playerId) || []));
+    if (reasons.length) problems.push({ playerId, reasons });
+  });
+
+  return { registrations, problems };
+};
+
+/**
+ * Players of each club on court, from the starters of the lineups and the
+ * substitutions that are not undone, in the order they were made.
+ * @param {Array<{clubId: number, players: Array<{playerId: number, starting: boolean}>}>} lineups
+ * @param {Array<{clubId: number, playerInId: number, playerOutId: number, undone: boolean, id: number}>} substitutions
+ * @returns {Map<number, Set<number>>} clubId -> playerIds
+ */
+const onCourtPlayers = (lineups, substitutions) => {
+  const onCourt = new Map();
+  lineups.forEach((lineup) => {
+    onCourt.set(lineup.clubId, new Set(lineup.players.filter((p) => p.starting).map((p) => p.playerId)));
+  });
+
+  [...substitutions]
+    .filter((s) => !s.undone)
+    .sort((a, b) => a.id - b.id)
+    .forEach((s) => {
+      const players = onCourt.get(s.clubId);
+      if (!players) return;
+      players.delete(s.playerOutId);
+      players.add(s.playerInId);
+    });
+
+  return onCourt;
+};
+
+/**
+ * Club that raids first: the toss winner if they chose the raid, otherwise
+ * the other club.
+ * @param {{homeClubId: number|null, awayClubId: number|null, tossWinnerClubId: number|null, tossChoice: string|null}} fixture
+ * @returns {number|null}
+ */
+const firstRaidingClubId = (fixture) => {
+  if (!fixture.tossWinnerClubId) return null;
+  if (fixture.tossChoice === "RAID") return fixture.tossWinnerClubId;
+  return fixture.tossWinnerClubId === fixture.homeClubId ? fixture.awayClubId : fixture.homeClubId;
+};
+
+/**
+ * Lineups of a fixture with their players, and its substitutions.
+ * @param {number} fixtureId
+ * @param {object} [client]
+ * @returns {Promise<{lineups: object[], substitutions: object[]}>}
+ */
+const loadLineups = async (fixtureId, client = prisma) => {
+  const [lineups, substitutions] = await Promise.all([
+    client.fixtureLineup.findMany({
+      where: { fixtureId },
+      include: {
+        club: { select: { id: true, clubName: true } },
+        submittedBy: { select: { id: true, name: true } },
+        players: {
+          include: {
+            player: { select: lineupPlayerSelect },
+            registration: { select: { id: true, chestNumber: true, captain: true, viceCaptain: true } },
+          },
+          orderBy: [{ starting: "desc" }, { id: "asc" }],
+        },
+      },
+    }),
+    client.matchSubstitution.findMany({
+      where: { fixtureId },
+      include: {
+        playerIn: { select: lineupPlayerSelect },
+        playerOut: { select: lineupPlayerSelect },
+      },
+      orderBy: { id: "asc" },
+    }),
+  ]);
+  return { lineups, substitutions };
+};
+
+/**
+ * Response body for the lineups of a fixture: the toss, each lineup with the
+ * players on court marked, and the substitutions.
+ * @param {object} fixture - Fixture with homeClub, awayClub and tossWinnerClub
+ * @param {{lineups: object[], substitutions: object[]}} loaded - From loadLineups
+ * @returns {object}
+ */
+const formatLineups = (fixture, { lineups, substitutions }) => {
+  const onCourt = onCourtPlayers(lineups, substitutions);
+  return {
+    fixture: {
+      id: fixture.id,
+      matchNumber: fixture.matchNumber,
+      status: fixture.status,
+      scheduledAt: fixture.scheduledAt,
+      homeClub: fixture.homeClub,
+      awayClub: fixture.awayClub,
+    },
+    toss: fixture.tossWinnerClubId
+      ? {
+          winnerClub: fixture.tossWinnerClub,
+          choice: fixture.tossChoice,
+          firstRaidingClubId: firstRaidingClubId(fixture),
+          recordedAt: fixture.tossRecordedAt,
+        }
+      : null,
+    lineups: lineups.map((lineup) => ({
+      id: lineup.id,
+      club: lineup.club,
+      submittedBy: lineup.submittedBy,
+      submittedAt: lineup.submittedAt,
+      players: lineup.players.map((p) => ({
+        player: p.player,
+        registrationId: p.registrationId,
+        chestNumber: p.registration.chestNumber,
+        captain: p.registration.captain,
+        viceCaptain: p.registration.viceCaptain,
+        starting: p.starting,
+        onCourt: onCourt.get(lineup.clubId)?.has(p.playerId) || false,
+      })),
+    })),
+    substitutions: substitutions.map((s) => ({
+      id: s.id,
+      clubId: s.clubId,
+      half: s.half,
+      playerIn: s.playerIn,
+      playerOut: s.playerOut,
+      undone: s.undone,
+      undoneAt: s.undoneAt,
+      createdAt: s.createdAt,
+    })),
+  };
+};
+
+module.exports = {
+  PLAYING_SEVEN,
+  MAX_SUBSTITUTES,
+  MAX_SUBSTITUTIONS_PER_HALF,
+  TOSS_CHOICES,
+  checkLineupPlayers,
+  onCourtPlayers,
+  firstRaidingClubId,
+  loadLineups,
+  formatLineups,
+};
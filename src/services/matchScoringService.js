@@ -0,0 +1,146 @@
+const createError = require("http-errors");
+
+/**
+ * Kabaddi scoring events and the points they are worth.
+ * `minPoints` / `maxPoints` bound what a referee may enter; the rest are fixed.
+ */
+const EVENT_TYPES = {
+  RAID_POINT: { label: "Raid point", defaultPoints: 1, minPoints: 1, maxPoints: 7, credit: "raid" },
+  BONUS_POINT: { label: "Bonus point", defaultPoints: 1, minPoints: 1, maxPoints: 1, credit: "bonus" },
+  TACKLE_POINT: { label: "Tackle point", defaultPoints: 1, minPoints: 1, maxPoints: 1, credit: "tackle" },
+  SUPER_TACKLE: { label: "Super tackle", defaultPoints: 2, minPoints: 2, maxPoints: 2, credit: "tackle" },
+  ALL_OUT: { label: "All out", defaultPoints: 2, minPoints: 2, maxPoints: 2, credit: "allOut" },
+  TECHNICAL_POINT: { label: "Technical point", defaultPoints: 1, minPoints: 1, maxPoints: 3, credit: "technical" },
+  // Raid that scored nothing (recorded against the raiding club for raid statistics)
+  EMPTY_RAID: { label: "Empty raid", defaultPoints: 0, minPoints: 0, maxPoints: 0, credit: null },
+};
+
+const HALVES = [1, 2];
+
+/**
+ * Work out the points for an event, falling back to the type's default.
+ * @param {string} type
+ * @param {number|undefined} points
+ * @returns {number}
+ */
+const resolveEventPoints = (type, points) => {
+  const def = EVENT_TYPES[type];
+  if (!def) throw createError(400, `Unknown event type '${type}'`);
+  const value = points === undefined || points === null ? def.defaultPoints : points;
+  if (value < def.minPoints || value > def.maxPoints) {
+    throw createError(
+      400,
+      def.minPoints === def.maxPoints
+        ? `${def.label} is always worth ${def.minPoints} point(s)`
+        : `${def.label} must be between ${def.minPoints} and ${def.maxPoints} points`
+    );
+  }
+  return value;
+};
+
+const emptySide = () => ({
+  total: 0,
+  raid: 0,
+  bonus: 0,
+  tackle: 0,
+  allOut: 0,
+  technical: 0,
+  superTackles: 0,
+  allOuts: 0,
+});
+
+/**
+ * Rebuild the score of a fixture by replaying its events in sequence order.
+ * Undone events are skipped.
+ * @param {{homeClubId: number|null, awayClubId: number|null}} fixture
+ * @param {Array<object>} events - MatchEvent rows
+ * @returns {{home: object, away: object, halves: object, players: Array<object>, lastSequence: number}}
+ */
+const replayEvents = (fixture, events) => {
+  const home = emptySide();
+  const away = emptySide();
+  const halves = {};
+  HALVES.forEach((h) => {
+    halves[h] = { home: 0, away: 0 };
+  });
+  const players = new Map();
+  let lastSequence = 0;
+
+  [...events]
+    .sort((a, b) => a.sequence - b.sequence)
+    .forEach((event) => {
+      lastSequence = Math.max(lastSequence, event.sequence);
+      if (event.undone) return;
+
+      const def = EVENT_TYPES[event.type];
+      if (!def) return;
+
+      let sideKey = null;
+      if (event.clubId === fixture.homeClubId) sideKey = "home";
+      else if (event.clubId === fixture.awayClubId) sideKey = "away";
+      if (!sideKey) return;
+
+      const side = sideKey === "home" ? home : away;
+      side.total += event.points;
+      if (def.credit) side[def.credit] += event.points;
+      if (event.type === "SUPER_TACKLE") side.superTackles += 1;
+      if (event.type === "ALL_OUT") side.allOuts += 1;
+
+      if (!halves[event.half]) halves[event.half] = { home: 0, away: 0 };
+      halves[event.half][sideKey] += event.points;
+
+      if (event.playerId) {
+        const entry = players.get(event.playerId) || {
+          playerId: event.playerId,
+          clubId: event.clubId,
+          raidPoints: 0,
+          bonusPoints: 0,
+          tacklePoints: 0,
+        };
+        if (def.credit === "raid") entry.raidPoints += event.points;
+        if (def.credit === "bonus") entry.bonusPoints += event.points;
+        if (def.credit === "tackle") entry.tacklePoints += event.points;
+        players.set(event.playerId, entry);
+      }
+    });
+
+  return {
+    home,
+    away,
+    halves,
+    players: [...players.values()].map((p) => ({
+      ...p,
+      totalPoints: p.raidPoints + p.bonusPoints + p.tacklePoints,
+    })),
+    lastSequence,
+  };
+};
+
+/**
+ * Put the winner of a completed fixture into the knockout fixtures it feeds.
+ * Only fixtures that have not started yet are touched.
+ * @param {object} tx - Prisma transaction client
+ * @param {number} fixtureId
+ * @param {number|null} winnerClubId
+ * @returns {Promise<number>} Number of fixtures updated
+ */
+const advanceWinner = async (tx, fixtureId, winnerClubId) => {
+  if (!winnerClubId) return 0;
+  const home = await tx.fixture.updateMany({
+    where: { homeSourceFixtureId: fixtureId, status: "SCHEDULED" },
+    data: { homeClubId: winnerClubId },
+  });
+  const away = await tx.fixture.updateMany({
+    where: { awaySourceFixtureId: fixtureId, status: "SCHEDULED" },
+    data: { awayClubId: winnerClubId },
+  });
+  return home.count + away.count;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  HALVES,
+  resolveEventPoints,
+  replayEvents,
+  advanceWinner,
+};
@@ -0,0 +1,136 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const { toDay, dutyDays, dutyCoversFixture } = require("./officialService");
+
+const REPORT_STATUSES = ["DRAFT", "SUBMITTED"];
+
+const MIN_SECTION_RATING = 1;
+const MAX_SECTION_RATING = 5;
+
+// Photos attached to one report
+const MAX_PHOTOS = 10;
+
+// Days after the last competition day during which observers may still file
+// reports (set OBSERVER_REPORT_DAYS in .env)
+const REPORT_FILING_DAYS = (() => {
+  const n = parseInt(process.env.OBSERVER_REPORT_DAYS, 10);
+  return Number.isFinite(n) && n >= 0 ? n : 7;
+})();
+
+// Rated sections of a report, in the order they are printed (short labels
+// head the summary table). Incidents and remarks are free text and may be
+// left empty.
+const REPORT_SECTIONS = [
+  { key: "venue", label: "Venue conditions", short: "Venue", rating: "venueRating", notes: "venueNotes" },
+  { key: "officiating", label: "Officiating quality", short: "Officials", rating: "officiatingRating", notes: "officiatingNotes" },
+  { key: "conduct", label: "Team conduct", short: "Conduct", rating: "conductRating", notes: "conductNotes" },
+];
+
+/**
+ * Check that the user observes at the competition on the report's day, or is
+ * allocated to the fixture it is about.
+ * @param {number} userId
+ * @param {{id: number, fromDate: Date, toDate: Date}} competition
+ * @param {{reportDate: string, fixture?: {scheduledAt: Date|null, court: number|null}|null}} target
+ * @param {object} [client]
+ */
+const assertObserves = async (userId, competition, { reportDate, fixture = null }, client = prisma) => {
+  const duties = await client.competitionOfficial.findMany({
+    where: { userId, competitionId: competition.id, duty: "OBSERVER" },
+    select: { matchDate: true, court: true },
+  });
+  if (duties.length === 0) {
+    throw createError(403, "Only observers of this competition can file reports");
+  }
+
+  if (fixture) {
+    if (!duties.some((d) => dutyCoversFixture(d, fixture))) {
+      throw createError(403, "You are not allocated to observe this match");
+    }
+  } else if (!duties.some((d) => dutyDays(d, competition).includes(reportDate))) {
+    throw createError(403, `You are not observing this competition on ${reportDate}`);
+  }
+};
+
+/**
+ * Day a report covers: the fixture's day, or the day given for a day report.
+ * It must fall within the competition and cannot be in the future.
+ * @param {{fromDate: Date, toDate: Date}} competition
+ * @param {{reportDate?: Date|null, fixture?: {scheduledAt: Date|null}|null}} target
+ * @returns {string} YYYY-MM-DD
+ */
+const resolveReportDay = (competition, { reportDate = null, fixture = null }) => {
+  let day;
+  if (fixture) {
+    if (!fixture.scheduledAt) throw createError(400, "This match has not been scheduled yet");
+    day = toDay(fixture.scheduledAt);
+  } else {
+    if (!reportDate) throw createError(400, "Report date is required for a day report");
+    day = toDay(reportDate);
+  }
+
+  if (day < toDay(competition.fromDate) || day > toDay(competition.toDate)) {
+    throw createError(400, "The report date must fall within the competition");
+  }
+  if (day > toDay(new Date())) {
+    throw createError(400, "Reports cannot be filed for a day that has not come yet");
+  }
+  return day;
+};
+
+/**
+ * Moment reports for a competition close: the end of its last day plus the
+ * filing period. Observers keep their access and duties until then.
+ * @param {{toDate: Date}} competition
+ * @returns {Date}
+ */
+const reportsCloseAt = (competition) => {
+  const end = new Date(competition.toDate);
+  end.setHours(23, 59, 59, 999);
+  end.setDate(end.getDate() + REPORT_FILING_DAYS);
+  return end;
+};
+
+/**
+ * Throw once the filing period of the competition is over.
+ * @param {{toDate: Date}} competition
+ */
+const assertFilingOpen = (competition) => {
+  const closesAt = reportsCloseAt(competition);
+  if (new Date() > closesAt) {
+    throw createError(400, `Reports for this competition closed on ${toDay(closesAt)}`);
+  }
+};
+
+/**
+ * Throw unless the report can still be edited.
+ * @param {{status: string}} report
+ */
+const assertDraft = (report) => {
+  if (report.status !== "DRAFT") {
+    throw createError(400, "This report has been submitted and is locked");
+  }
+};
+
+/**
+ * Sections of a report that have not been rated yet.
+ * @param {object} report
+ * @returns {string[]} section labels
+ */
+const missingSections = (report) =>
+  REPORT_SECTIONS.filter((s) => report[s.rating] === null || report[s.rating] === undefined).map((s) => s.label);
+
+module.exports = {
+  REPORT_STATUSES,
+  MIN_SECTION_RATING,
+  MAX_SECTION_RATING,
+  MAX_PHOTOS,
+  REPORT_FILING_DAYS,
+  REPORT_SECTIONS,
+  assertObserves,
+  resolveReportDay,
+  reportsCloseAt,
+  assertFilingOpen,
+  assertDraft,
+  missingSections,
+};
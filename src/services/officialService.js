@@ -0,0 +1,169 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+
+const OFFICIAL_DUTIES = [
+  "REFEREE",
+  "UMPIRE",
+  "SCORER",
+  "TECHNICAL_DELEGATE",
+  "JURY_OF_APPEAL",
+  "OBSERVER",
+];
+
+// Duties whose officials record match scores; they need a referee account
+// with a referee profile
+const SCORING_DUTIES = ["REFEREE", "UMPIRE", "SCORER"];
+
+// Accounts that may hold the other duties
+const OFFICIAL_ROLES = ["referee", "observer", "admin"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar day of a date as YYYY-MM-DD.
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const toDay = (date) => new Date(date).toISOString().split("T")[0];
+
+/**
+ * Day of a competition date, which is stored as YYYY-MM-DD or DD/MM/YYYY.
+ * @param {string|Date|null} value
+ * @returns {string|null}
+ */
+const competitionDay = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : toDay(value);
+  const s = String(value || "").trim();
+  const dmy = s.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (dmy) return `${dmy[3]}-${dmy[2]}-${dmy[1]}`;
+  const d = new Date(s);
+  return s && !Number.isNaN(d.getTime()) ? toDay(d) : null;
+};
+
+/**
+ * Every day from `from` to `to` inclusive, as YYYY-MM-DD.
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]}
+ */
+const daysBetween = (from, to) => {
+  const days = [];
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) {
+    days.push(toDay(new Date(t)));
+  }
+  return days;
+};
+
+/**
+ * Days a duty covers: its match day, or every day of the competition.
+ * @param {{matchDate: Date|null}} duty
+ * @param {{fromDate: any, toDate: any}} competition
+ * @returns {string[]}
+ */
+const dutyDays = (duty, competition) => {
+  if (duty.matchDate) return [toDay(duty.matchDate)];
+  const from = competitionDay(competition.fromDate);
+  const to = competitionDay(competition.toDate);
+  return from && to ? daysBetween(from, to) : [];
+};
+
+/**
+ * Whether a duty covers a fixture's day and court.
+ * @param {{matchDate: Date|null, court: number|null}} duty
+ * @param {{scheduledAt: Date|null, court: number|null}} fixture
+ * @returns {boolean}
+ */
+const dutyCoversFixture = (duty, fixture) => {
+  if (duty.matchDate && (!fixture.scheduledAt || toDay(duty.matchDate) !== toDay(fixture.scheduledAt))) return false;
+  if (duty.court !== null && duty.court !== undefined && duty.court !== fixture.court) return false;
+  return true;
+};
+
+/**
+ * Prisma `where` for competitions the user holds any duty at.
+ * @param {number} userId
+ * @param {string[]} [duties]
+ * @returns {object}
+ */
+const officiatedCompetitionsWhere = (userId, duties) => ({
+  officials: {
+    some: duties ? { userId, duty: { in: duties } } : { userId },
+  },
+});
+
+/**
+ * Whether the user holds any duty at the competition.
+ * @param {number} userId
+ * @param {number} competitionId
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<boolean>}
+ */
+const isCompetitionOfficial = async (userId, competitionId, client = prisma) => {
+  const count = await client.competitionOfficial.count({ where: { userId, competitionId } });
+  return count > 0;
+};
+
+/**
+ * Whether the user may score the fixture: a scoring duty at its competition
+ * that covers the fixture's day and court, and the match does not involve the
+ * referee's own club.
+ * @param {number} userId
+ * @param {{competitionId: number, scheduledAt: Date|null, court: number|null, homeClubId: number|null, awayClubId: number|null}} fixture
+ * @param {object} [client]
+ * @returns {Promise<boolean>}
+ */
+const canOfficiateFixture = async (userId, fixture, client = prisma) => {
+  const [duties, profile] = await Promise.all([
+    client.competitionOfficial.findMany({
+      where: { userId, competitionId: fixture.competitionId, duty: { in: SCORING_DUTIES } },
+      select: { matchDate: true, court: true },
+    }),
+    client.referee.findUnique({ where: { userId }, select: { homeClubId: true } }),
+  ]);
+  const homeClubId = profile?.homeClubId;
+  if (homeClubId && (fixture.homeClubId === homeClubId || fixture.awayClubId === homeClubId)) {
+    return false;
+  }
+  return duties.some((d) => dutyCoversFixture(d, fixture));
+};
+
+/**
+ * Load the user to be given a duty and throw unless they may hold it.
+ * @param {number} userId
+ * @param {string} duty
+ * @param {object} [client]
+ * @returns {Promise<{id: number, name: string, email: string, role: string}>}
+ */
+const assertCanHoldDuty = async (userId, duty, client = prisma) => {
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: { id: true, name: true, email: true, role: true, active: true },
+  });
+  if (!user) throw createError(404, "User not found");
+  if (!user.active) throw createError(400, "Selected user is not active");
+
+  const role = String(user.role || "").toLowerCase();
+  if (SCORING_DUTIES.includes(duty)) {
+    if (role !== "referee") throw createError(400, "Selected user is not a referee");
+    const profile = await client.referee.findUnique({ where: { userId }, select: { id: true } });
+    if (!profile) throw createError(400, "Selected referee does not have a referee profile");
+  } else if (!OFFICIAL_ROLES.includes(role)) {
+    throw createError(400, "Selected user cannot be assigned as an official");
+  }
+
+  return { id: user.id, name: user.name, email: user.email, role: user.role };
+};
+
+module.exports = {
+  OFFICIAL_DUTIES,
+  SCORING_DUTIES,
+  toDay,
+  competitionDay,
+  daysBetween,
+  dutyDays,
+  dutyCoversFixture,
+  officiatedCompetitionsWhere,
+  isCompetitionOfficial,
+  canOfficiateFixture,
+  assertCanHoldDuty,
+};
@@ -0,0 +1,66 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+const { v4: uuidv4 } = require("uuid");
+
+// Stand-in gateway for development and tests. Orders are "paid" by posting a
+// callback signed with FAKE_PAYMENT_SECRET (see sign()). Anyone holding the
+// secret can confirm a payment, so it is never used in production and there
+// is no default secret.
+const secret = () => {
+  if (process.env.NODE_ENV === "production") {
+    throw createError(503, "The fake payment provider cannot be used in production");
+  }
+  if (!process.env.FAKE_PAYMENT_SECRET) {
+    throw createError(503, "FAKE_PAYMENT_SECRET is not set");
+  }
+  return process.env.FAKE_PAYMENT_SECRET;
+};
+
+/**
+ * Signature the fake gateway puts on its callbacks.
+ * @param {{orderId: string, paymentId: string, status: string, amount: string|number}} payload
+ * @returns {string}
+ */
+const sign = ({ orderId, paymentId, status, amount }) =>
+  crypto
+    .createHmac("sha256", secret())
+    .update(`${orderId}|${paymentId}|${status}|${Number(amount).toFixed(2)}`)
+    .digest("hex");
+
+const createOrder = async ({ invoice, amount }) => {
+  secret();
+  const orderId = `fake_order_${uuidv4()}`;
+  return {
+    orderId,
+    // What the frontend needs to start the checkout
+    checkout: { provider: "fake", orderId, amount, invoiceNumber: invoice.invoiceNumber },
+  };
+};
+
+const verifyCallback = async (req) => {
+  secret();
+  const { orderId, paymentId, status, amount, signature } = req.body || {};
+  if (!orderId || !paymentId || !status || amount === undefined || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign({ orderId, paymentId, status, amount }));
+  const given = Buffer.from(String(signature));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  return {
+    orderId,
+    paymentId,
+    amount: Number(amount),
+    success: status === "SUCCESS",
+  };
+};
+
+module.exports = {
+  name: "fake",
+  createOrder,
+  verifyCallback,
+  sign,
+};
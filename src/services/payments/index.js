@@ -0,0 +1,43 @@
+const createError = require("http-errors");
+const fakeProvider = require("./fakeProvider");
+
+/**
+ * Payment gateway providers. A provider is an object with:
+ * - `name`
+ * - `createOrder({ invoice, amount })` -> `{ orderId, checkout }`, where
+ *   `checkout` is handed to the frontend to start the payment
+ * - `verifyCallback(req)` -> `{ orderId, paymentId, amount, success }` for an
+ *   authentic callback, or null when the callback cannot be trusted
+ * Real gateways are added with registerProvider(); PAYMENT_PROVIDER selects
+ * the one used for new checkouts.
+ */
+const providers = new Map([[fakeProvider.name, fakeProvider]]);
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * @param {string} name
+ * @returns {object}
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) throw createError(404, `Unknown payment provider '${name}'`);
+  return provider;
+};
+
+/**
+ * Provider configured for online payments, or null when they are disabled.
+ * @returns {object|null}
+ */
+const getActiveProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  return name ? getProvider(name) : null;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getActiveProvider,
+};
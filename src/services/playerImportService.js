@@ -0,0 +1,374 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const JSZip = require("jszip");
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const { generateUniquePlayerIdNumber, getGroupAgeError } = require("./playerService");
+const { recordClubChange } = require("./transferService");
+
+// Columns of the import sheet, in template order
+const IMPORT_COLUMNS = [
+  { header: "First Name", key: "firstName", required: true, width: 18 },
+  { header: "Middle Name", key: "middleName", width: 18 },
+  { header: "Last Name", key: "lastName", required: true, width: 18 },
+  { header: "Mother Name", key: "motherName", width: 18 },
+  { header: "Date of Birth", key: "dateOfBirth", required: true, width: 16, note: "DD/MM/YYYY" },
+  { header: "Position", key: "position", width: 16 },
+  { header: "Address", key: "address", required: true, width: 36 },
+  { header: "Mobile", key: "mobile", required: true, width: 14, note: "10 digits" },
+  { header: "Aadhaar Number", key: "aadharNumber", required: true, width: 18, note: "12 digits" },
+  { header: "Groups", key: "groups", width: 28, note: "Group names, comma separated" },
+  { header: "Club", key: "club", width: 28, note: "Admins only: club name or unique number" },
+];
+
+// Spellings accepted for headers besides the template's own
+const HEADER_ALIASES = {
+  "aadhar number": "aadharNumber",
+  aadhar: "aadharNumber",
+  aadhaar: "aadharNumber",
+  dob: "dateOfBirth",
+  group: "groups",
+};
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_PHOTO_SIZE = 2 * 1024 * 1024; // same limit as a single profile image upload
+const PHOTO_EXTENSIONS = [".jpg", ".jpeg", ".png"];
+
+// Normalize an ExcelJS cell value (rich text, hyperlinks, formulas) to a string
+const readCellStr = (value) => {
+  if (value == null) return "";
+  const t = typeof value;
+  if (t === "string" || t === "number" || t === "boolean") return String(value).trim();
+  if (value instanceof Date) return value.toISOString();
+  if (t === "object") {
+    if (typeof value.text === "string") return value.text.trim();
+    if (Array.isArray(value.richText)) return value.richText.map((r) => r?.text ?? "").join("").trim();
+    if (value.result != null) return String(value.result).trim();
+  }
+  return String(value).trim();
+};
+
+const utcDate = (y, m, d) => {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date;
+};
+
+/**
+ * Date of birth from a cell: a real Excel date, an Excel serial number,
+ * DD/MM/YYYY (or DD-MM-YYYY, DD.MM.YYYY) or YYYY-MM-DD.
+ * @param {*} value - raw ExcelJS cell value
+ * @returns {Date|null}
+ */
+const parseDateOfBirth = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? null
+      : utcDate(value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate());
+  }
+  if (typeof value === "number") {
+    // Excel serial day (1900 date system)
+    const date = new Date(Math.round((value - 25569) * 86400000));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const s = readCellStr(value);
+  let m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m) return utcDate(Number(m[3]), Number(m[2]), Number(m[1]));
+  m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(T.*)?$/);
+  if (m) return utcDate(Number(m[1]), Number(m[2]), Number(m[3]));
+  return null;
+};
+
+const mapHeaders = (worksheet) => {
+  const columns = {};
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const text = readCellStr(cell.value).toLowerCase().replace(/\*/g, "").trim();
+    const column = IMPORT_COLUMNS.find((c) => c.header.toLowerCase() === text);
+    const key = column?.key || HEADER_ALIASES[text];
+    if (key && !columns[key]) columns[key] = colNumber;
+  });
+  return columns;
+};
+
+/**
+ * Check every row of an import sheet without writing anything.
+ * @param {object} worksheet - ExcelJS worksheet laid out like the template
+ * @param {{clubId: number|null, isAdmin: boolean}} scope - club the players join;
+ *   admins may instead name a club per row
+ * @returns {Promise<{headerErrors: string[], rows: object[]}>}
+ *   rows: `{ row, data, errors }`, `data` ready for prisma.player.create when `errors` is empty
+ */
+const validatePlayerSheet = async (worksheet, { clubId, isAdmin }) => {
+  const columns = mapHeaders(worksheet);
+  const missing = IMPORT_COLUMNS.filter((c) => c.required && !columns[c.key]).map((c) => c.header);
+  if (missing.length) {
+    return { headerErrors: [`Missing headers: ${missing.join(", ")}`], rows: [] };
+  }
+
+  const rawRows = [];
+  for (let rowNumber = 2; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    const raw = {};
+    for (const [key, col] of Object.entries(columns)) {
+      raw[key] = row.getCell(col).value;
+    }
+    if (Object.values(raw).every((v) => readCellStr(v) === "")) continue;
+    rawRows.push({ row: rowNumber, raw });
+  }
+  if (rawRows.length > MAX_IMPORT_ROWS) {
+    return { headerErrors: [`A file can contain at most ${MAX_IMPORT_ROWS} players`], rows: [] };
+  }
+
+  const aadharNumbers = rawRows
+    .map(({ raw }) => readCellStr(raw.aadharNumber).replace(/\s/g, ""))
+    .filter(Boolean);
+
+  const [groups, clubs, existingAadhar] = await Promise.all([
+    prisma.group.findMany({ select: { id: true, groupName: true, age: true, ageType: true } }),
+    isAdmin ? prisma.club.findMany({ select: { id: true, clubName: true, uniqueNumber: true } }) : [],
+    prisma.player.findMany({
+      where: { aadharNumber: { in: aadharNumbers } },
+      select: { aadharNumber: true, uniqueIdNumber: true },
+    }),
+  ]);
+
+  const groupsByName = new Map();
+  for (const g of groups) {
+    const key = String(g.groupName).trim().toLowerCase();
+    groupsByName.set(key, [...(groupsByName.get(key) || []), g]);
+  }
+  const clubLookup = new Map();
+  for (const c of clubs) {
+    clubLookup.set(String(c.clubName).trim().toLowerCase(), c);
+    clubLookup.set(String(c.uniqueNumber).trim().toLowerCase(), c);
+  }
+  const registeredAadhar = new Map(existingAadhar.map((p) => [p.aadharNumber, p.uniqueIdNumber]));
+  const seenAadhar = new Map();
+
+  const rows = rawRows.map(({ row, raw }) => {
+    const errors = [];
+    const text = (key) => readCellStr(raw[key]);
+
+    for (const column of IMPORT_COLUMNS) {
+      if (column.required && column.key !== "dateOfBirth" && !text(column.key)) {
+        errors.push(`${column.header} is required`);
+      }
+    }
+
+    const dateOfBirth = parseDateOfBirth(raw.dateOfBirth);
+    if (!text("dateOfBirth")) errors.push("Date of Birth is required");
+    else if (!dateOfBirth) errors.push(`Invalid Date of Birth: ${text("dateOfBirth")} (use DD/MM/YYYY)`);
+    else if (dateOfBirth > new Date() || dateOfBirth.getUTCFullYear() < 1900) {
+      errors.push(`Date of Birth is out of range: ${text("dateOfBirth")}`);
+    }
+
+    const mobile = text("mobile").replace(/\s/g, "");
+    if (mobile && !/^\d{10}$/.test(mobile)) errors.push("Mobile must be 10 digits");
+
+    const aadharNumber = text("aadharNumber").replace(/\s/g, "");
+    if (aadharNumber) {
+      if (!/^\d{12}$/.test(aadharNumber)) {
+        errors.push("Aadhaar Number must be 12 digits");
+      } else if (registeredAadhar.has(aadharNumber)) {
+        errors.push(`Aadhaar Number already registered to player ${registeredAadhar.get(aadharNumber)}`);
+      } else if (seenAadhar.has(aadharNumber)) {
+        errors.push(`Duplicate Aadhaar Number (same as row ${seenAadhar.get(aadharNumber)})`);
+      } else {
+        seenAadhar.set(aadharNumber, row);
+      }
+    }
+
+    const groupIds = [];
+    const groupNames = text("groups").split(",").map((g) => g.trim()).filter(Boolean);
+    for (const name of groupNames) {
+      const matches = groupsByName.get(name.toLowerCase()) || [];
+      if (matches.length === 0) {
+        errors.push(`Unknown group: ${name}`);
+      } else if (matches.length > 1) {
+        errors.push(`Group name matches several groups: ${name}`);
+      } else {
+        groupIds.push(matches[0].id);
+        const ageError = dateOfBirth ? getGroupAgeError(dateOfBirth, matches[0]) : null;
+        if (ageError) errors.push(ageError);
+      }
+    }
+
+    let rowClubId = clubId;
+    if (isAdmin && text("club")) {
+      const club = clubLookup.get(text("club").toLowerCase());
+      if (!club) errors.push(`Unknown club: ${text("club")}`);
+      rowClubId = club?.id ?? null;
+    }
+
+    return {
+      row,
+      name: [text("firstName"), text("lastName")].filter(Boolean).join(" "),
+      aadharNumber,
+      errors,
+      data: {
+        firstName: text("firstName"),
+        middleName: text("middleName") || null,
+        lastName: text("lastName"),
+        motherName: text("motherName") || null,
+        dateOfBirth,
+        position: text("position") || null,
+        address: text("address"),
+        mobile,
+        aadharNumber,
+        clubId: rowClubId || null,
+        groupIds: [...new Set(groupIds)],
+      },
+    };
+  });
+
+  return { headerErrors: [], rows };
+};
+
+/**
+ * Create the players of validated rows, all or nothing.
+ * @param {object[]} rows - rows from validatePlayerSheet, all without errors
+ * @returns {Promise<object[]>} `{ row, id, uniqueIdNumber }` per created player
+ */
+const commitPlayerRows = (rows) =>
+  prisma.$transaction(
+    async (tx) => {
+      const created = [];
+      for (const { row, data } of rows) {
+        const { groupIds, ...fields } = data;
+        const player = await tx.player.create({
+          data: {
+            ...fields,
+            uniqueIdNumber: await generateUniquePlayerIdNumber(tx),
+            groups: { connect: groupIds.map((id) => ({ id })) },
+          },
+          select: { id: true, uniqueIdNumber: true, clubId: true },
+        });
+        if (player.clubId) {
+          await recordClubChange(tx, { playerId: player.id, fromClubId: null, toClubId: player.clubId });
+        }
+        created.push({ row, id: player.id, uniqueIdNumber: player.uniqueIdNumber });
+      }
+      return created;
+    },
+    { timeout: 120000 }
+  );
+
+const isImage = (buffer) =>
+  (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) || // JPEG
+  (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47); // PNG
+
+/**
+ * Set profile photos from a ZIP file. Each image is matched to a player by its
+ * file name: the player's 12-digit Aadhaar number or unique ID number,
+ * e.g. 123412341234.jpg or PLAYER-20250131-0007.png.
+ * @param {string} zipPath
+ * @param {{clubId: number|null}} scope - club users can only update their own players
+ * @returns {Promise<{files: number, matched: object[], unmatched: object[]}>}
+ */
+const importPlayerPhotos = async (zipPath, { clubId }) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await fs.promises.readFile(zipPath));
+  } catch (_) {
+    throw createError(400, "The uploaded file is not a valid ZIP archive");
+  }
+
+  const entries = Object.values(zip.files).filter((entry) => {
+    if (entry.dir) return false;
+    const name = entry.name.replace(/\\/g, "/");
+    return !name.startsWith("__MACOSX/") && !path.basename(name).startsWith(".");
+  });
+
+  const unmatched = [];
+  const candidates = [];
+  for (const entry of entries) {
+    const fileName = path.basename(entry.name.replace(/\\/g, "/"));
+    const ext = path.extname(fileName).toLowerCase();
+    if (!PHOTO_EXTENSIONS.includes(ext)) {
+      unmatched.push({ file: entry.name, reason: "Not a JPEG or PNG image" });
+      continue;
+    }
+    // Known before extracting, so oversized entries are never inflated
+    const size = entry._data?.uncompressedSize;
+    if (size > MAX_PHOTO_SIZE) {
+      unmatched.push({ file: entry.name, reason: "Image is larger than 2MB" });
+      continue;
+    }
+    const key = path.basename(fileName, path.extname(fileName)).trim();
+    const aadharKey = key.replace(/\s/g, "");
+    candidates.push({
+      entry,
+      fileName,
+      aadharNumber: /^\d{12}$/.test(aadharKey) ? aadharKey : null,
+      uniqueIdNumber: key.toUpperCase(),
+    });
+  }
+
+  let players = [];
+  if (candidates.length) {
+    players = await prisma.player.findMany({
+      where: {
+        ...(clubId ? { clubId } : {}),
+        OR: [
+          { aadharNumber: { in: candidates.map((c) => c.aadharNumber).filter(Boolean) } },
+          { uniqueIdNumber: { in: candidates.map((c) => c.uniqueIdNumber) } },
+        ],
+      },
+      select: { id: true, uniqueIdNumber: true, aadharNumber: true },
+    });
+  }
+
+  const matched = [];
+  const updatedPlayerIds = new Set();
+  for (const candidate of candidates) {
+    const player = players.find(
+      (p) =>
+        (candidate.aadharNumber && p.aadharNumber === candidate.aadharNumber) ||
+        p.uniqueIdNumber.toUpperCase() === candidate.uniqueIdNumber
+    );
+    if (!player) {
+      unmatched.push({ file: candidate.entry.name, reason: "No player with this Aadhaar number or unique ID" });
+      continue;
+    }
+    if (updatedPlayerIds.has(player.id)) {
+      unmatched.push({ file: candidate.entry.name, reason: `Another photo in the ZIP already matched ${player.uniqueIdNumber}` });
+      continue;
+    }
+
+    const buffer = await candidate.entry.async("nodebuffer");
+    if (buffer.length > MAX_PHOTO_SIZE) {
+      unmatched.push({ file: candidate.entry.name, reason: "Image is larger than 2MB" });
+      continue;
+    }
+    if (!isImage(buffer)) {
+      unmatched.push({ file: candidate.entry.name, reason: "Not a JPEG or PNG image" });
+      continue;
+    }
+
+    // Same layout as single uploads: uploads/players/profileImage/<uuid>/<file>
+    const dir = path.join("uploads", "players", "profileImage", crypto.randomUUID());
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filePath = path.join(dir, candidate.fileName);
+    await fs.promises.writeFile(filePath, buffer);
+
+    await prisma.player.update({
+      where: { id: player.id },
+      data: { profileImage: filePath.replace(/\\/g, "/") },
+    });
+    updatedPlayerIds.add(player.id);
+    matched.push({ file: candidate.entry.name, playerId: player.id, uniqueIdNumber: player.uniqueIdNumber });
+  }
+
+  return { files: entries.length, matched, unmatched };
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseDateOfBirth,
+  validatePlayerSheet,
+  commitPlayerRows,
+  importPlayerPhotos,
+};
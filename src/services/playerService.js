@@ -0,0 +1,67 @@
+const prisma = require("../config/db");
+
+/**
+ * Next free player number for today, e.g. PLAYER-20250131-0007.
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<string>}
+ */
+const generateUniquePlayerIdNumber = async (client = prisma) => {
+  const now = new Date();
+  const yyyy = String(now.getFullYear());
+  const mm = String(now.getMonth() + 1).padStart(2, "0");
+  const dd = String(now.getDate()).padStart(2, "0");
+  const prefix = `PLAYER-${yyyy}${mm}${dd}-`;
+
+  const last = await client.player.findFirst({
+    where: { uniqueIdNumber: { startsWith: prefix } },
+    orderBy: { uniqueIdNumber: "desc" },
+    select: { uniqueIdNumber: true },
+  });
+
+  const lastSeq = last?.uniqueIdNumber?.slice(prefix.length);
+  const nextSeq = (parseInt(lastSeq || "0", 10) + 1).toString().padStart(4, "0");
+  return `${prefix}${nextSeq}`;
+};
+
+/**
+ * Age in completed years on a given day.
+ * @param {Date} dateOfBirth
+ * @param {Date} [on]
+ * @returns {number}
+ */
+const ageOn = (dateOfBirth, on = new Date()) => {
+  let age = on.getFullYear() - dateOfBirth.getFullYear();
+  const m = on.getMonth() - dateOfBirth.getMonth();
+  if (m < 0 || (m === 0 && on.getDate() < dateOfBirth.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+/**
+ * Why a player of this age may not join a group, or null when allowed.
+ * "UNDER 18" means younger than 18, "ABOVE 30" means older than 30.
+ * @param {Date} dateOfBirth
+ * @param {{groupName: string, age?: string, ageType?: string|null}} group
+ * @returns {string|null}
+ */
+const getGroupAgeError = (dateOfBirth, group) => {
+  if (!group.ageType || !group.age) return null;
+  const limit = parseInt(group.age, 10);
+  if (Number.isNaN(limit)) return null;
+
+  const age = ageOn(dateOfBirth);
+  if (group.ageType === "UNDER" && age >= limit) {
+    return `Player age (${age}) is not under ${limit} for group '${group.groupName}'`;
+  }
+  if (group.ageType === "ABOVE" && age <= limit) {
+    return `Player age (${age}) is not above ${limit} for group '${group.groupName}'`;
+  }
+  return null;
+};
+
+module.exports = {
+  generateUniquePlayerIdNumber,
+  ageOn,
+  getGroupAgeError,
+};
@@ -0,0 +1,166 @@
+const prisma = require("../config/db");
+const { parseCompetitionDate } = require("./fixtureService");
+
+const RAID_SCORING_TYPES = ["RAID_POINT", "BONUS_POINT"];
+const TACKLE_TYPES = ["TACKLE_POINT", "SUPER_TACKLE"];
+
+const emptyStats = () => ({
+  matchesPlayed: 0,
+  raidsAttempted: 0,
+  raidsSuccessful: 0,
+  raidsEmpty: 0,
+  timesTackled: 0,
+  raidPoints: 0,
+  bonusPoints: 0,
+  tacklePoints: 0,
+  superTackles: 0,
+  totalPoints: 0,
+});
+
+const addStats = (target, source) => {
+  Object.keys(target).forEach((key) => {
+    target[key] += source[key] || 0;
+  });
+  return target;
+};
+
+const withRates = (stats) => ({
+  ...stats,
+  raidSuccessRate: stats.raidsAttempted
+    ? Math.round((stats.raidsSuccessful / stats.raidsAttempted) * 1000) / 10
+    : 0,
+});
+
+/**
+ * Tally one player's numbers from the event log of a single fixture.
+ * Consecutive raid / bonus points by the same raider belong to one raid, and a
+ * tackle on the raider right after them ends that same raid.
+ * @param {number} playerId
+ * @param {Array<object>} events - Events of one fixture, undone events excluded
+ * @returns {object|null} Stats, or null when the player took no part
+ */
+const tallyFixture = (playerId, events) => {
+  const stats = emptyStats();
+  let involved = false;
+  let prev = null;
+
+  [...events]
+    .sort((a, b) => a.sequence - b.sequence)
+    .forEach((event) => {
+      const continuesRaid = prev
+        && RAID_SCORING_TYPES.includes(prev.type)
+        && prev.playerId === playerId;
+
+      if (event.playerId === playerId) {
+        involved = true;
+        if (RAID_SCORING_TYPES.includes(event.type) && !continuesRaid) {
+          stats.raidsAttempted += 1;
+          stats.raidsSuccessful += 1;
+        }
+        if (event.type === "RAID_POINT") stats.raidPoints += event.points;
+        if (event.type === "BONUS_POINT") stats.bonusPoints += event.points;
+        if (event.type === "EMPTY_RAID") {
+          stats.raidsAttempted += 1;
+          stats.raidsEmpty += 1;
+        }
+        if (TACKLE_TYPES.includes(event.type)) stats.tacklePoints += event.points;
+        if (event.type === "SUPER_TACKLE") stats.superTackles += 1;
+      }
+
+      if (event.opponentPlayerId === playerId && TACKLE_TYPES.includes(event.type)) {
+        involved = true;
+        stats.timesTackled += 1;
+        if (!continuesRaid) stats.raidsAttempted += 1;
+      }
+
+      prev = event;
+    });
+
+  if (!involved) return null;
+  stats.matchesPlayed = 1;
+  stats.totalPoints = stats.raidPoints + stats.bonusPoints + stats.tacklePoints;
+  return stats;
+};
+
+/**
+ * Aggregate a player's stats from completed fixtures, per competition and
+ * season (the year the competition starts).
+ * @param {number} playerId
+ * @returns {Promise<{career: object, seasons: Array<object>}>}
+ */
+const getPlayerStats = async (playerId) => {
+  const fixtures = await prisma.fixture.findMany({
+    where: {
+      status: "COMPLETED",
+      events: {
+        some: {
+          undone: false,
+          OR: [{ playerId }, { opponentPlayerId: playerId }],
+        },
+      },
+    },
+    include: {
+      competition: { select: { id: true, competitionName: true, fromDate: true, toDate: true } },
+      competitionGroup: { select: { group: { select: { id: true, groupName: true } } } },
+      events: { where: { undone: false }, orderBy: { sequence: "asc" } },
+    },
+  });
+
+  const competitions = new Map();
+  fixtures.forEach((fixture) => {
+    const stats = tallyFixture(playerId, fixture.events);
+    if (!stats) return;
+
+    const { competition } = fixture;
+    if (!competitions.has(competition.id)) {
+      const start = parseCompetitionDate(competition.fromDate);
+      competitions.set(competition.id, {
+        competitionId: competition.id,
+        competitionName: competition.competitionName,
+        fromDate: competition.fromDate,
+        toDate: competition.toDate,
+        season: start ? start.getFullYear() : null,
+        groups: new Set(),
+        stats: emptyStats(),
+      });
+    }
+    const entry = competitions.get(competition.id);
+    if (fixture.competitionGroup?.group) entry.groups.add(fixture.competitionGroup.group.groupName);
+    addStats(entry.stats, stats);
+  });
+
+  const seasons = new Map();
+  const career = emptyStats();
+  [...competitions.values()].forEach((entry) => {
+    if (!seasons.has(entry.season)) {
+      seasons.set(entry.season, { season: entry.season, stats: emptyStats(), competitions: [] });
+    }
+    const season = seasons.get(entry.season);
+    addStats(season.stats, entry.stats);
+    addStats(career, entry.stats);
+    season.competitions.push({
+      competitionId: entry.competitionId,
+      competitionName: entry.competitionName,
+      fromDate: entry.fromDate,
+      toDate: entry.toDate,
+      groups: [...entry.groups],
+      ...withRates(entry.stats),
+    });
+  });
+
+  return {
+    career: withRates(career),
+    seasons: [...seasons.values()]
+      .sort((a, b) => (b.season ?? 0) - (a.season ?? 0))
+      .map((s) => ({
+        season: s.season,
+        ...withRates(s.stats),
+        competitions: s.competitions.sort((a, b) => a.fromDate - b.fromDate),
+      })),
+  };
+};
+
+module.exports = {
+  tallyFixture,
+  getPlayerStats,
+};
@@ -0,0 +1,296 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const {
+  SCORING_DUTIES,
+  toDay,
+  dutyDays,
+  dutyCoversFixture,
+} = require("./officialService");
+const { refereeGrade, meetsGrade } = require("./refereeGradeService");
+
+const competitionSelect = { id: true, competitionName: true, fromDate: true, toDate: true };
+
+/**
+ * Whether the declared availability covers a day. Referees who have not
+ * declared any availability are treated as unknown (null).
+ * @param {Array<{fromDate: Date, toDate: Date}>} ranges
+ * @param {string} day - YYYY-MM-DD
+ * @returns {boolean|null}
+ */
+const isAvailableOn = (ranges, day) => {
+  if (!ranges || ranges.length === 0) return null;
+  return ranges.some((r) => toDay(r.fromDate) <= day && day <= toDay(r.toDate));
+};
+
+const fixtureLabel = (fixture) =>
+  `Match #${fixture.matchNumber} ${fixture.homeClub?.clubName || "TBD"} vs ${fixture.awayClub?.clubName || "TBD"}`;
+
+/**
+ * Problems with the officials of a competition:
+ * - DOUBLE_BOOKED: the official has a duty at another competition on the same day
+ * - OWN_CLUB: a referee/umpire/scorer covers a match of their own club
+ * - UNAVAILABLE: a duty falls on a day the referee has not declared available
+ * - BELOW_GRADE: a referee/umpire/scorer lacks the competition's minimum grade
+ * @param {number} competitionId
+ * @param {{officialId?: number}} [options] - only report this assignment
+ * @param {object} [client]
+ * @returns {Promise<object[]>}
+ */
+const getOfficialConflicts = async (competitionId, options = {}, client = prisma) => {
+  const competition = await client.competition.findUnique({
+    where: { id: competitionId },
+    select: { ...competitionSelect, minRefereeGrade: true },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+
+  const officials = await client.competitionOfficial.findMany({
+    where: { competitionId, id: options.officialId },
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          refereeProfile: {
+            select: {
+              homeClubId: true,
+              homeClub: { select: { id: true, clubName: true } },
+              availability: { select: { fromDate: true, toDate: true } },
+              certifications: { select: { level: true, validFrom: true, validUntil: true } },
+            },
+          },
+        },
+      },
+    },
+  });
+  if (officials.length === 0) return [];
+
+  const [otherDuties, fixtures] = await Promise.all([
+    client.competitionOfficial.findMany({
+      where: {
+        userId: { in: [...new Set(officials.map((o) => o.userId))] },
+        competitionId: { not: competitionId },
+      },
+      include: { competition: { select: competitionSelect } },
+    }),
+    client.fixture.findMany({
+      where: { competitionId, status: { not: "CANCELLED" } },
+      select: {
+        id: true,
+        matchNumber: true,
+        court: true,
+        scheduledAt: true,
+        homeClubId: true,
+        awayClubId: true,
+        homeClub: { select: { clubName: true } },
+        awayClub: { select: { clubName: true } },
+      },
+    }),
+  ]);
+
+  const conflicts = [];
+  officials.forEach((official) => {
+    const base = { officialId: official.id, userId: official.userId, name: official.user.name, duty: official.duty };
+    const days = dutyDays(official, competition);
+
+    otherDuties
+      .filter((other) => other.userId === official.userId)
+      .forEach((other) => {
+        const otherDays = new Set(dutyDays(other, other.competition));
+        const overlap = days.filter((day) => otherDays.has(day));
+        if (overlap.length > 0) {
+          conflicts.push({
+            type: "DOUBLE_BOOKED",
+            ...base,
+            days: overlap,
+            otherCompetition: { id: other.competition.id, competitionName: other.competition.competitionName },
+            message: `${official.user.name} also has ${other.duty} duty at ${other.competition.competitionName} on ${overlap.join(", ")}`,
+          });
+        }
+      });
+
+    const profile = official.user.refereeProfile;
+    if (!profile) return;
+
+    if (profile.homeClubId && SCORING_DUTIES.includes(official.duty)) {
+      fixtures
+        .filter((f) => f.homeClubId === profile.homeClubId || f.awayClubId === profile.homeClubId)
+        .filter((f) => dutyCoversFixture(official, f))
+        .forEach((fixture) => {
+          conflicts.push({
+            type: "OWN_CLUB",
+            ...base,
+            fixtureId: fixture.id,
+            message: `${official.user.name} belongs to ${profile.homeClub.clubName}, which plays in ${fixtureLabel(fixture)}`,
+          });
+        });
+    }
+
+    const unavailable = days.filter((day) => isAvailableOn(profile.availability, day) === false);
+    if (unavailable.length > 0) {
+      conflicts.push({
+        type: "UNAVAILABLE",
+        ...base,
+        days: unavailable,
+        message: `${official.user.name} is not available on ${unavailable.join(", ")}`,
+      });
+    }
+
+    if (competition.minRefereeGrade && SCORING_DUTIES.includes(official.duty)) {
+      const belowGrade = days.filter(
+        (day) => !meetsGrade(refereeGrade(profile.certifications, new Date(day)), competition.minRefereeGrade)
+      );
+      if (belowGrade.length > 0) {
+        conflicts.push({
+          type: "BELOW_GRADE",
+          ...base,
+          days: belowGrade,
+          message: `${official.user.name} does not hold a valid ${competition.minRefereeGrade} grade certification on ${belowGrade.join(", ")}`,
+        });
+      }
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Propose officials for every match day and court of a competition. A slot
+ * (day + court of scheduled fixtures) gets `perCourt` officials of the duty,
+ * counting those already assigned. Candidates must be active referees who
+ * declared themselves available that day, hold the competition's minimum
+ * grade on that day, are free at other competitions, have no other slot that
+ * day and whose club does not play on that court that day. The least loaded candidate (here, then across all competitions) is
+ * picked first so duties are spread evenly.
+ * @param {number} competitionId
+ * @param {{duty?: string, perCourt?: number}} [options]
+ * @param {object} [client]
+ * @returns {Promise<{proposals: object[], unfilled: object[]}>}
+ */
+const proposeAssignments = async (competitionId, options = {}, client = prisma) => {
+  const duty = options.duty || "REFEREE";
+  const perCourt = options.perCourt || 1;
+
+  const competition = await client.competition.findUnique({
+    where: { id: competitionId },
+    select: { ...competitionSelect, minRefereeGrade: true },
+  });
+  if (!competition) throw createError(404, "Competition not found");
+
+  const fixtures = await client.fixture.findMany({
+    where: { competitionId, status: { not: "CANCELLED" }, scheduledAt: { not: null } },
+    select: { id: true, court: true, scheduledAt: true, homeClubId: true, awayClubId: true },
+    orderBy: [{ scheduledAt: "asc" }, { court: "asc" }],
+  });
+  if (fixtures.length === 0) {
+    throw createError(400, "Schedule the fixtures before assigning officials automatically");
+  }
+
+  // One slot per day and court; fixtures without a court share one slot per day
+  const slots = new Map();
+  fixtures.forEach((f) => {
+    const day = toDay(f.scheduledAt);
+    const key = `${day}|${f.court ?? ""}`;
+    if (!slots.has(key)) slots.set(key, { day, court: f.court ?? null, clubIds: new Set() });
+    const slot = slots.get(key);
+    if (f.homeClubId) slot.clubIds.add(f.homeClubId);
+    if (f.awayClubId) slot.clubIds.add(f.awayClubId);
+  });
+
+  const [referees, allDuties] = await Promise.all([
+    client.referee.findMany({
+      where: { user: { active: true, role: "referee" } },
+      select: {
+        id: true,
+        userId: true,
+        homeClubId: true,
+        user: { select: { name: true } },
+        availability: { select: { fromDate: true, toDate: true } },
+        certifications: { select: { level: true, validFrom: true, validUntil: true } },
+      },
+      orderBy: { id: "asc" },
+    }),
+    client.competitionOfficial.findMany({
+      select: {
+        userId: true,
+        competitionId: true,
+        duty: true,
+        matchDate: true,
+        court: true,
+        competition: { select: competitionSelect },
+      },
+    }),
+  ]);
+
+  // Days each official is busy, here and elsewhere, and how many duties they hold
+  const busyElsewhere = new Map();
+  const busyHere = new Map();
+  const loadHere = new Map();
+  const loadTotal = new Map();
+  const addTo = (map, userId, values) => {
+    if (!map.has(userId)) map.set(userId, new Set());
+    values.forEach((v) => map.get(userId).add(v));
+  };
+  const bump = (map, userId) => map.set(userId, (map.get(userId) || 0) + 1);
+
+  allDuties.forEach((d) => {
+    const days = dutyDays(d, d.competition);
+    bump(loadTotal, d.userId);
+    if (d.competitionId === competitionId) {
+      addTo(busyHere, d.userId, days);
+      bump(loadHere, d.userId);
+    } else {
+      addTo(busyElsewhere, d.userId, days);
+    }
+  });
+  const dutiesHere = allDuties.filter((d) => d.competitionId === competitionId && d.duty === duty);
+
+  const proposals = [];
+  const unfilled = [];
+  [...slots.values()].forEach((slot) => {
+    const covering = dutiesHere.filter((d) => dutyCoversFixture(d, { scheduledAt: new Date(slot.day), court: slot.court }));
+    let missing = perCourt - covering.length;
+
+    while (missing > 0) {
+      const candidates = referees.filter((r) =>
+        isAvailableOn(r.availability, slot.day) === true
+        && meetsGrade(refereeGrade(r.certifications, new Date(slot.day)), competition.minRefereeGrade)
+        && !busyElsewhere.get(r.userId)?.has(slot.day)
+        && !busyHere.get(r.userId)?.has(slot.day)
+        && !(r.homeClubId && slot.clubIds.has(r.homeClubId))
+      );
+      if (candidates.length === 0) break;
+
+      candidates.sort((a, b) =>
+        (loadHere.get(a.userId) || 0) - (loadHere.get(b.userId) || 0)
+        || (loadTotal.get(a.userId) || 0) - (loadTotal.get(b.userId) || 0)
+        || a.id - b.id
+      );
+      const pick = candidates[0];
+
+      proposals.push({
+        userId: pick.userId,
+        refereeId: pick.id,
+        name: pick.user.name,
+        duty,
+        matchDate: slot.day,
+        court: slot.court,
+      });
+      addTo(busyHere, pick.userId, [slot.day]);
+      bump(loadHere, pick.userId);
+      bump(loadTotal, pick.userId);
+      missing--;
+    }
+
+    if (missing > 0) {
+      unfilled.push({ matchDate: slot.day, court: slot.court, missing });
+    }
+  });
+
+  return { proposals, unfilled };
+};
+
+module.exports = {
+  isAvailableOn,
+  getOfficialConflicts,
+  proposeAssignments,
+};
@@ -0,0 +1,182 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const { toDay } = require("./officialService");
+
+// Certification levels, lowest first
+const CERTIFICATION_LEVELS = ["DISTRICT", "STATE", "NATIONAL", "INTERNATIONAL"];
+
+const MIN_RATING = 1;
+const MAX_RATING = 10;
+
+// The pass years the referee form still sends map onto certifications with
+// these exam bodies
+const LEGACY_PASS_YEARS = {
+  districtParishadPassYear: { level: "DISTRICT", examBody: "District Parishad" },
+  stateRefreeExamPassYear: { level: "STATE", examBody: "State Referee Exam" },
+  allIndiaRefreeExamPassYear: { level: "NATIONAL", examBody: "All India Referee Exam" },
+};
+
+const levelRank = (level) => CERTIFICATION_LEVELS.indexOf(level);
+
+/**
+ * Whether a certificate is valid on a day.
+ * @param {{validFrom: Date|null, validUntil: Date|null}} certification
+ * @param {Date} [at]
+ * @returns {boolean}
+ */
+const isCertificationValid = (certification, at = new Date()) => {
+  const day = toDay(at);
+  if (certification.validFrom && toDay(certification.validFrom) > day) return false;
+  if (certification.validUntil && toDay(certification.validUntil) < day) return false;
+  return true;
+};
+
+/**
+ * Highest level among the certificates valid on a day.
+ * @param {object[]} certifications
+ * @param {Date} [at]
+ * @returns {string|null}
+ */
+const refereeGrade = (certifications, at = new Date()) => {
+  let grade = null;
+  (certifications || []).forEach((c) => {
+    if (isCertificationValid(c, at) && levelRank(c.level) > levelRank(grade)) grade = c.level;
+  });
+  return grade;
+};
+
+/**
+ * Whether a grade is at least the minimum. No minimum lets everyone through.
+ * @param {string|null} grade
+ * @param {string|null} minGrade
+ * @returns {boolean}
+ */
+const meetsGrade = (grade, minGrade) => !minGrade || levelRank(grade) >= levelRank(minGrade);
+
+/**
+ * Prisma `where` for referees whose current grade is at least the minimum.
+ * @param {string} minGrade
+ * @param {Date} [at]
+ * @returns {object}
+ */
+const gradeAtLeastWhere = (minGrade, at = new Date()) => {
+  const day = new Date(toDay(at));
+  return {
+    certifications: {
+      some: {
+        level: { in: CERTIFICATION_LEVELS.slice(levelRank(minGrade)) },
+        OR: [{ validFrom: null }, { validFrom: { lte: day } }],
+        AND: [{ OR: [{ validUntil: null }, { validUntil: { gte: day } }] }],
+      },
+    },
+  };
+};
+
+/**
+ * The pass-year fields of the old referee form, read from the certifications.
+ * @param {object[]} certifications
+ * @returns {{districtParishadPassYear: number|null, stateRefreeExamPassYear: number|null, allIndiaRefreeExamPassYear: number|null}}
+ */
+const legacyPassYears = (certifications) => {
+  const years = {};
+  Object.entries(LEGACY_PASS_YEARS).forEach(([field, { level, examBody }]) => {
+    const matching = (certifications || []).filter((c) => c.level === level && c.examBody === examBody);
+    years[field] = matching.length ? Math.max(...matching.map((c) => c.passYear)) : null;
+  });
+  return years;
+};
+
+/**
+ * Record pass years sent with the old referee form as certifications.
+ * Fields left undefined are not touched.
+ * @param {number} refereeId
+ * @param {object} values - districtParishadPassYear etc.
+ * @param {object} [client]
+ * @returns {Promise<void>}
+ */
+const saveLegacyPassYears = async (refereeId, values, client = prisma) => {
+  for (const [field, { level, examBody }] of Object.entries(LEGACY_PASS_YEARS)) {
+    const passYear = values[field];
+    if (passYear === undefined || passYear === null) continue;
+
+    const existing = await client.refereeCertification.findFirst({
+      where: { refereeId, level, examBody },
+      orderBy: { passYear: "desc" },
+      select: { id: true },
+    });
+    if (existing) {
+      await client.refereeCertification.update({ where: { id: existing.id }, data: { passYear } });
+    } else {
+      await client.refereeCertification.create({ data: { refereeId, level, examBody, passYear } });
+    }
+  }
+};
+
+/**
+ * Current grade of the referee profile of a user.
+ * @param {number} userId
+ * @param {object} [client]
+ * @returns {Promise<string|null>}
+ */
+const getGradeOfUser = async (userId, client = prisma) => {
+  const certifications = await client.refereeCertification.findMany({
+    where: { referee: { userId } },
+    select: { level: true, validFrom: true, validUntil: true },
+  });
+  return refereeGrade(certifications);
+};
+
+/**
+ * Throw unless the user's current grade meets the competition's minimum.
+ * @param {number} userId
+ * @param {string|null} minGrade
+ * @param {object} [client]
+ * @returns {Promise<void>}
+ */
+const assertMeetsGrade = async (userId, minGrade, client = prisma) => {
+  if (!minGrade) return;
+  const grade = await getGradeOfUser(userId, client);
+  if (!meetsGrade(grade, minGrade)) {
+    throw createError(
+      400,
+      grade
+        ? `This competition needs ${minGrade} grade referees or above; the selected referee is ${grade}`
+        : `This competition needs ${minGrade} grade referees or above; the selected referee has no valid certification`
+    );
+  }
+};
+
+/**
+ * Referee score: the average of the observers' match ratings.
+ * @param {number} refereeId
+ * @param {object} [client]
+ * @returns {Promise<{score: number|null, ratingsCount: number}>}
+ */
+const getRefereeScore = async (refereeId, client = prisma) => {
+  const result = await client.refereeRating.aggregate({
+    where: { refereeId },
+    _avg: { score: true },
+    _count: { _all: true },
+  });
+  const avg = result._avg.score;
+  return {
+    score: avg === null || avg === undefined ? null : Math.round(avg * 100) / 100,
+    ratingsCount: result._count._all,
+  };
+};
+
+module.exports = {
+  CERTIFICATION_LEVELS,
+  MIN_RATING,
+  MAX_RATING,
+  LEGACY_PASS_YEARS,
+  isCertificationValid,
+  refereeGrade,
+  meetsGrade,
+  gradeAtLeastWhere,
+  legacyPassYears,
+  saveLegacyPassYears,
+  getGradeOfUser,
+  assertMeetsGrade,
+  getRefereeScore,
+};
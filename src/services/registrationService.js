@@ -0,0 +1,214 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const { competitionDay } = require("./officialService");
+const { ACTIONS, STATUS_LABELS: COMPETITION_STATUS_LABELS, resolveStatus } = require("./competitionLifecycleService");
+
+const REGISTRATION_STATUSES = ["submitted", "under_review", "approved", "rejected", "withdrawn", "replaced"];
+
+// Registrations that take a place in the club's squad
+const ACTIVE_REGISTRATION_STATUSES = ["submitted", "under_review", "approved"];
+
+// Allowed moves from each status. Withdrawn and replaced are final; only an
+// approved replacement request moves a registration to replaced.
+const TRANSITIONS = {
+  submitted: ["under_review", "withdrawn", "replaced"],
+  under_review: ["approved", "rejected", "withdrawn", "replaced"],
+  approved: ["withdrawn", "replaced"],
+  rejected: ["withdrawn"],
+  withdrawn: [],
+  replaced: [],
+};
+
+const STATUS_LABELS = {
+  submitted: "Submitted",
+  under_review: "Under review",
+  approved: "Approved",
+  rejected: "Rejected",
+  withdrawn: "Withdrawn",
+  replaced: "Replaced",
+};
+
+// Leaders of a club's squad in a group: one player each, never both at once
+const SQUAD_LEADER_ROLES = {
+  captain: "captain",
+  viceCaptain: "vice-captain",
+};
+
+/**
+ * Steps to get from one status to another. Approving or rejecting a
+ * submitted registration passes through under_review, so the history shows
+ * the review. Returns null when the move is not allowed.
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]|null}
+ */
+const transitionPath = (from, to) => {
+  const allowed = TRANSITIONS[from] || [];
+  if (allowed.includes(to)) return [to];
+  if (from === "submitted" && TRANSITIONS.under_review.includes(to)) return ["under_review", to];
+  return null;
+};
+
+/**
+ * Move registrations to a status, recording every step. All registrations
+ * must be able to make the move, otherwise nothing changes. Registrations
+ * leaving the squad release their chest number and captaincy.
+ * @param {object} client - Prisma client or transaction
+ * @param {{id: number, status: string}[]} registrations
+ * @param {string} toStatus
+ * @param {{changedById?: number|null, comment?: string|null, lateEntryExceptionId?: number|null}} [details]
+ * @returns {Promise<number>} number of registrations moved
+ */
+const transitionRegistrations = async (client, registrations, toStatus, details = {}) => {
+  const paths = registrations.map((reg) => {
+    const path = transitionPath(reg.status, toStatus);
+    if (!path) {
+      throw createError(400, `Cannot move registration #${reg.id} from ${STATUS_LABELS[reg.status] || reg.status} to ${STATUS_LABELS[toStatus] || toStatus}`);
+    }
+    return { reg, path };
+  });
+
+  const changes = [];
+  paths.forEach(({ reg, path }) => {
+    let from = reg.status;
+    path.forEach((to) => {
+      changes.push({
+        registrationId: reg.id,
+        fromStatus: from,
+        toStatus: to,
+        comment: details.comment || null,
+        changedById: details.changedById || null,
+        lateEntryExceptionId: details.lateEntryExceptionId || null,
+      });
+      from = to;
+    });
+  });
+  if (changes.length === 0) return 0;
+
+  await client.competitionRegistration.updateMany({
+    where: { id: { in: registrations.map((r) => r.id) } },
+    data: {
+      status: toStatus,
+      ...(ACTIVE_REGISTRATION_STATUSES.includes(toStatus)
+        ? {}
+        : { chestNumber: null, captain: false, viceCaptain: false }),
+    },
+  });
+  await client.registrationStatusChange.createMany({ data: changes });
+  return registrations.length;
+};
+
+/**
+ * Make a registration its squad's captain or vice-captain, taking the role
+ * from whoever held it in the club's squad for the group.
+ * @param {object} client - Prisma client or transaction
+ * @param {{id: number, competitionId: number, clubId: number, groupId: number|null, status: string}} registration
+ * @param {"captain"|"viceCaptain"} role
+ */
+const designateSquadLeader = async (client, registration, role) => {
+  if (!ACTIVE_REGISTRATION_STATUSES.includes(registration.status) || !registration.groupId) {
+    throw createError(400, `Only players in the squad can be ${SQUAD_LEADER_ROLES[role]}`);
+  }
+  const otherRole = role === "captain" ? "viceCaptain" : "captain";
+
+  await client.competitionRegistration.updateMany({
+    where: {
+      competitionId: registration.competitionId,
+      clubId: registration.clubId,
+      groupId: registration.groupId,
+      [role]: true,
+      id: { not: registration.id },
+    },
+    data: { [role]: false },
+  });
+  await client.competitionRegistration.update({
+    where: { id: registration.id },
+    data: { [role]: true, [otherRole]: false },
+  });
+};
+
+/**
+ * Record the first status of new registrations.
+ * @param {object} client
+ * @param {{id: number, status: string}[]} registrations
+ * @param {{changedById?: number|null, comment?: string|null, lateEntryExceptionId?: number|null}} [details]
+ */
+const recordSubmitted = async (client, registrations, details = {}) => {
+  if (registrations.length === 0) return;
+  await client.registrationStatusChange.createMany({
+    data: registrations.map((reg) => ({
+      registrationId: reg.id,
+      fromStatus: null,
+      toStatus: reg.status,
+      comment: details.comment || null,
+      changedById: details.changedById || null,
+      lateEntryExceptionId: details.lateEntryExceptionId || null,
+    })),
+  });
+};
+
+/**
+ * Prisma `where` for late-entry exceptions in force.
+ * @param {Date} [at]
+ * @returns {object}
+ */
+const activeExceptionWhere = (at = new Date()) => ({ revokedAt: null, expiresAt: { gte: at } });
+
+/**
+ * Whether a club may still change its squad: while the competition is open
+ * for entries, or after that with a late-entry exception in force until the
+ * competition is completed.
+ * @param {{id: number, status: string, statusOverride: boolean, lastEntryDate: Date, fromDate: Date, toDate: Date}} competition
+ * @param {number} clubId
+ * @param {object} [client]
+ * @returns {Promise<{open: boolean, status: string, lastEntryDay: string|null, exception: object|null}>}
+ */
+const getEntryWindow = async (competition, clubId, client = prisma) => {
+  const lastEntryDay = competitionDay(competition.lastEntryDate);
+  const status = resolveStatus(competition);
+  if (status === "OPEN") {
+    return { open: true, status, lastEntryDay, exception: null };
+  }
+  if (!ACTIONS.changeSquad.includes(status)) {
+    return { open: false, status, lastEntryDay, exception: null };
+  }
+  const exception = await client.lateEntryException.findFirst({
+    where: { competitionId: competition.id, clubId, ...activeExceptionWhere() },
+    orderBy: { expiresAt: "desc" },
+  });
+  return { open: !!exception, status, lastEntryDay, exception };
+};
+
+/**
+ * Throw unless the club may change its squad. Returns the late-entry
+ * exception being used, if any, so the change can be linked to it.
+ * @param {object} competition - with the lifecycle fields, see getEntryWindow
+ * @param {number} clubId
+ * @param {object} [client]
+ * @returns {Promise<object|null>}
+ */
+const assertEntriesOpen = async (competition, clubId, client = prisma) => {
+  const window = await getEntryWindow(competition, clubId, client);
+  if (!window.open) {
+    if (!ACTIONS.changeSquad.includes(window.status)) {
+      throw createError(400, `Squads cannot change while the competition is ${COMPETITION_STATUS_LABELS[window.status]}`);
+    }
+    throw createError(400, `Entries closed on ${window.lastEntryDay}. Ask the association for a late-entry exception to change your squad.`);
+  }
+  return window.exception;
+};
+
+module.exports = {
+  REGISTRATION_STATUSES,
+  ACTIVE_REGISTRATION_STATUSES,
+  TRANSITIONS,
+  STATUS_LABELS,
+  SQUAD_LEADER_ROLES,
+  transitionPath,
+  transitionRegistrations,
+  recordSubmitted,
+  designateSquadLeader,
+  activeExceptionWhere,
+  getEntryWindow,
+  assertEntriesOpen,
+};
@@ -0,0 +1,162 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const eligibilityService = require("./eligibilityService");
+const { nextChestNumbers } = require("./chestNumberService");
+const {
+  ACTIVE_REGISTRATION_STATUSES,
+  STATUS_LABELS,
+  transitionRegistrations,
+  recordSubmitted,
+} = require("./registrationService");
+
+const REPLACEMENT_STATUSES = ["PENDING", "APPROVED", "REJECTED", "CANCELLED"];
+
+const playerName = (player) => `${player.firstName} ${player.lastName}`;
+
+/**
+ * Replacements a club has used in a competition. Pending requests count too
+ * when asking for a new one, so a club cannot queue up more than its cap.
+ * @param {number} competitionId
+ * @param {number} clubId
+ * @param {{includePending?: boolean}} [options]
+ * @param {object} [client]
+ * @returns {Promise<number>}
+ */
+const countReplacements = (competitionId, clubId, { includePending = false } = {}, client = prisma) =>
+  client.replacementRequest.count({
+    where: {
+      competitionId,
+      clubId,
+      status: { in: includePending ? ["PENDING", "APPROVED"] : ["APPROVED"] },
+    },
+  });
+
+/**
+ * Throw unless the club has a replacement left.
+ * @param {{id: number, maxReplacements: number}} competition
+ * @param {number} clubId
+ * @param {{includePending?: boolean}} [options]
+ * @param {object} [client]
+ */
+const assertReplacementLeft = async (competition, clubId, options = {}, client = prisma) => {
+  const used = await countReplacements(competition.id, clubId, options, client);
+  if (used >= competition.maxReplacements) {
+    throw createError(400, `This club has used all ${competition.maxReplacements} replacement(s) allowed in this competition`);
+  }
+  return used;
+};
+
+/**
+ * Check that a player can take the outgoing player's place: a player of the
+ * same club, not already in the group, meeting every rule of the group and
+ * keeping the squad within its U18 limit.
+ * @param {{competitionId: number, clubId: number, groupId: number, playerId: number}} outgoing - registration
+ * @param {number} incomingPlayerId
+ * @param {object} [client]
+ * @returns {Promise<{player: object, rules: object[]}>}
+ */
+const checkIncomingPlayer = async (outgoing, incomingPlayerId, client = prisma) => {
+  if (incomingPlayerId === outgoing.playerId) {
+    throw createError(400, "A player cannot replace themselves");
+  }
+
+  const player = await client.player.findFirst({
+    where: { id: incomingPlayerId, clubId: outgoing.clubId },
+    select: { id: true, firstName: true, lastName: true, dateOfBirth: true },
+  });
+  if (!player) throw createError(400, "The incoming player is not valid or doesn't belong to your club");
+
+  const existing = await client.competitionRegistration.findFirst({
+    where: { competitionId: outgoing.competitionId, playerId: player.id, groupId: outgoing.groupId },
+    select: { status: true },
+  });
+  if (existing) {
+    throw createError(400, `${playerName(player)} already has a registration in this group (${STATUS_LABELS[existing.status] || existing.status})`);
+  }
+
+  const compGroup = await client.competitionGroup.findUnique({
+    where: { competitionId_groupId: { competitionId: outgoing.competitionId, groupId: outgoing.groupId } },
+    include: { group: true },
+  });
+  const { players } = await eligibilityService.checkEligibility({
+    competitionId: outgoing.competitionId,
+    clubId: outgoing.clubId,
+    playerIds: [player.id],
+    groupId: outgoing.groupId,
+  }, client);
+  const result = players[0].groups[0];
+  if (!result.eligible) {
+    throw createError(400, `${playerName(player)} is not eligible for group '${compGroup.group.groupName}': ${eligibilityService.describeFailures(result)}`);
+  }
+
+  const under18 = await eligibilityService.checkUnder18Limit(compGroup, outgoing.clubId, [player], client, [outgoing.playerId]);
+  if (!under18.passed) throw createError(400, under18.reason);
+
+  return { player, rules: [...result.rules, under18] };
+};
+
+/**
+ * Approve a replacement request: the outgoing registration becomes replaced
+ * and the incoming player is registered in the same group with the same
+ * status and chest number, so an approved squad stays approved. Eligibility
+ * is checked again, as it may have changed since the request was made.
+ * @param {object} client - Prisma transaction
+ * @param {object} request - ReplacementRequest with outgoingRegistration and incomingPlayer
+ * @param {{reviewedById: number, comment?: string|null, registeredBy: string}} details
+ * @returns {Promise<object>} the incoming registration
+ */
+const approveReplacement = async (client, request, { reviewedById, comment, registeredBy }) => {
+  const outgoing = request.outgoingRegistration;
+  if (!ACTIVE_REGISTRATION_STATUSES.includes(outgoing.status)) {
+    throw createError(400, `The outgoing registration is ${STATUS_LABELS[outgoing.status] || outgoing.status} and can no longer be replaced`);
+  }
+  await checkIncomingPlayer(outgoing, request.incomingPlayerId, client);
+
+  const incoming = await client.competitionRegistration.create({
+    data: {
+      competitionId: outgoing.competitionId,
+      playerId: request.incomingPlayerId,
+      clubId: outgoing.clubId,
+      groupId: outgoing.groupId,
+      registeredBy,
+      status: outgoing.status,
+    },
+  });
+
+  const note = `Replacement request #${request.id}`;
+  await recordSubmitted(client, [incoming], {
+    changedById: reviewedById,
+    comment: `${note}: replaces ${playerName(outgoing.player)}`,
+  });
+  await transitionRegistrations(client, [outgoing], "replaced", {
+    changedById: reviewedById,
+    comment: `${note}: replaced by ${playerName(request.incomingPlayer)}`,
+  });
+
+  // The incoming player takes over the chest number the outgoing one released
+  const [chestNumber] = outgoing.chestNumber
+    ? [outgoing.chestNumber]
+    : await nextChestNumbers(outgoing, 1, client);
+  await client.competitionRegistration.update({ where: { id: incoming.id }, data: { chestNumber } });
+
+  await client.replacementRequest.update({
+    where: { id: request.id },
+    data: {
+      status: "APPROVED",
+      incomingRegistrationId: incoming.id,
+      reviewedById,
+      reviewedAt: new Date(),
+      reviewComment: comment || null,
+    },
+  });
+
+  return { ...incoming, chestNumber };
+};
+
+module.exports = {
+  REPLACEMENT_STATUSES,
+  countReplacements,
+  assertReplacementLeft,
+  checkIncomingPlayer,
+  approveReplacement,
+};
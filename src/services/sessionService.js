@@ -0,0 +1,222 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const jwtConfig = require("../config/jwt");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(String(secret)).digest("hex");
+
+const generateSecret = () => crypto.randomBytes(48).toString("base64url");
+
+// Refresh tokens are "<sessionId>.<secret>"; only the hash of the secret is stored
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [rawId, secret] = String(refreshToken || "").split(".");
+  const sessionId = parseInt(rawId, 10);
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+};
+
+const hashesMatch = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const getRequestMeta = (req) => ({
+  ipAddress:
+    (req?.headers?.["x-forwarded-for"] && String(req.headers["x-forwarded-for"]).split(",")[0].trim()) ||
+    req?.ip ||
+    null,
+  userAgent: req?.headers?.["user-agent"] ? String(req.headers["user-agent"]).slice(0, 512) : null,
+});
+
+/**
+ * Sign a short-lived access token for a session.
+ * The token carries the club scope (checked by clubContext) and the session id (checked by auth).
+ * @param {{id: number, clubId?: number|null}} user
+ * @param {{id: number}} session
+ * @returns {string}
+ */
+const signAccessToken = (user, session) =>
+  jwt.sign({ userId: user.id, clubId: user.clubId ?? null, sid: session.id }, jwtConfig.secret, {
+    expiresIn: jwtConfig.expiresIn,
+  });
+
+/**
+ * Start a session for a user who just logged in.
+ * @param {{id: number, clubId?: number|null}} user
+ * @param {object} req - Express request (IP address and user agent are recorded)
+ * @returns {Promise<{token: string, refreshToken: string, refreshTokenExpiresAt: Date, session: object}>}
+ */
+const createSession = async (user, req) => {
+  const secret = generateSecret();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashSecret(secret),
+      ...getRequestMeta(req),
+      expiresAt: new Date(Date.now() + jwtConfig.refreshTokenTtlDays * DAY_MS),
+    },
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: formatRefreshToken(session.id, secret),
+    refreshTokenExpiresAt: session.expiresAt,
+    session,
+  };
+};
+
+/**
+ * Revoke one session. Already revoked sessions are left untouched.
+ * @param {number} sessionId
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} whether a live session was revoked
+ */
+const revokeSession = async (sessionId, reason = "LOGOUT") => {
+  const result = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count > 0;
+};
+
+/**
+ * Revoke every live session of a user, optionally keeping one (the caller's own).
+ * @param {number} userId
+ * @param {string} [reason]
+ * @param {number} [exceptSessionId]
+ * @returns {Promise<number>} number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const result = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason || "REVOKED" },
+  });
+  return result.count;
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout).
+ * @param {string} refreshToken
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} whether a live session was revoked
+ */
+const revokeByRefreshToken = async (refreshToken, reason = "LOGOUT") => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await prisma.session.updateMany({
+    where: { id: parsed.sessionId, refreshTokenHash: hashSecret(parsed.secret), revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count > 0;
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working. Presenting a refresh token that was
+ * already rotated means it leaked (or was replayed), so the session is revoked.
+ * @param {string} refreshToken
+ * @param {object} req
+ * @returns {Promise<{token: string, refreshToken: string, refreshTokenExpiresAt: Date, user: object}>}
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw createError(401, "Invalid refresh token");
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId },
+    include: {
+      user: { select: { id: true, name: true, email: true, role: true, active: true, clubId: true } },
+    },
+  });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw createError(401, "Session has ended, please log in again");
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (!hashesMatch(presentedHash, session.refreshTokenHash)) {
+    if (session.previousTokenHash && hashesMatch(presentedHash, session.previousTokenHash)) {
+      await revokeSession(session.id, "REFRESH_TOKEN_REUSE");
+      throw createError(401, "Session has ended, please log in again");
+    }
+    throw createError(401, "Invalid refresh token");
+  }
+
+  if (!session.user.active) {
+    await revokeSession(session.id, "USER_DEACTIVATED");
+    throw createError(401, "Account is inactive");
+  }
+
+  // Only the request holding the current token wins a concurrent rotation
+  const secret = generateSecret();
+  const rotated = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashSecret(secret),
+      previousTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      ...getRequestMeta(req),
+    },
+  });
+  if (rotated.count === 0) {
+    throw createError(401, "Session has ended, please log in again");
+  }
+
+  return {
+    token: signAccessToken(session.user, session),
+    refreshToken: formatRefreshToken(session.id, secret),
+    refreshTokenExpiresAt: session.expiresAt,
+    user: session.user,
+  };
+};
+
+/**
+ * Live (not revoked, not expired) session, or null.
+ * @param {number} sessionId
+ * @returns {Promise<object|null>}
+ */
+const findActiveSession = (sessionId) =>
+  prisma.session.findFirst({
+    where: { id: sessionId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, userId: true },
+  });
+
+/**
+ * Live sessions of a user, most recently used first.
+ * @param {number} userId
+ * @returns {Promise<object[]>}
+ */
+const listUserSessions = (userId) =>
+  prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      ipAddress: true,
+      userAgent: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: "desc" },
+  });
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeUserSessions,
+  findActiveSession,
+  listUserSessions,
+};
@@ -0,0 +1,210 @@
+const prisma = require("../config/db");
+const domainEventEmitter = require("../utils/domainEventEmitter");
+const { replayEvents } = require("./matchScoringService");
+
+// League points awarded per result
+const LEAGUE_POINTS = { win: 2, tie: 1, loss: 0 };
+
+// Only league and pool matches count towards the points table
+const TABLE_STAGES = ["LEAGUE", "POOL"];
+
+const emptyRow = (clubId, clubName, pool) => ({
+  clubId,
+  clubName,
+  pool,
+  played: 0,
+  won: 0,
+  lost: 0,
+  tied: 0,
+  pointsFor: 0,
+  pointsAgainst: 0,
+  scoreDifference: 0,
+  raidPoints: 0,
+  leaguePoints: 0,
+});
+
+const applyResult = (row, scored, conceded, raidPoints) => {
+  row.played += 1;
+  row.pointsFor += scored;
+  row.pointsAgainst += conceded;
+  row.scoreDifference = row.pointsFor - row.pointsAgainst;
+  row.raidPoints += raidPoints;
+  if (scored > conceded) {
+    row.won += 1;
+    row.leaguePoints += LEAGUE_POINTS.win;
+  } else if (scored < conceded) {
+    row.lost += 1;
+    row.leaguePoints += LEAGUE_POINTS.loss;
+  } else {
+    row.tied += 1;
+    row.leaguePoints += LEAGUE_POINTS.tie;
+  }
+};
+
+/**
+ * League points each club earned in matches played only among `clubIds`.
+ * @param {Array<number>} clubIds
+ * @param {Array<object>} results - Completed results
+ * @returns {Map<number, number>}
+ */
+const headToHeadPoints = (clubIds, results) => {
+  const points = new Map(clubIds.map((id) => [id, 0]));
+  results
+    .filter((r) => points.has(r.homeClubId) && points.has(r.awayClubId))
+    .forEach((r) => {
+      if (r.homeScore > r.awayScore) {
+        points.set(r.homeClubId, points.get(r.homeClubId) + LEAGUE_POINTS.win);
+      } else if (r.awayScore > r.homeScore) {
+        points.set(r.awayClubId, points.get(r.awayClubId) + LEAGUE_POINTS.win);
+      } else {
+        points.set(r.homeClubId, points.get(r.homeClubId) + LEAGUE_POINTS.tie);
+        points.set(r.awayClubId, points.get(r.awayClubId) + LEAGUE_POINTS.tie);
+      }
+    });
+  return points;
+};
+
+/**
+ * Order one table. Clubs level on league points are separated by
+ * head-to-head results among them, then score difference, then raid points.
+ * @param {Array<object>} rows
+ * @param {Array<object>} results
+ * @returns {Array<object>} Rows with `position` set
+ */
+const rankTable = (rows, results) => {
+  const byPoints = new Map();
+  rows.forEach((row) => {
+    if (!byPoints.has(row.leaguePoints)) byPoints.set(row.leaguePoints, []);
+    byPoints.get(row.leaguePoints).push(row);
+  });
+
+  const ordered = [...byPoints.keys()]
+    .sort((a, b) => b - a)
+    .flatMap((pts) => {
+      const level = byPoints.get(pts);
+      const h2h = headToHeadPoints(level.map((r) => r.clubId), results);
+      return level.sort(
+        (a, b) => h2h.get(b.clubId) - h2h.get(a.clubId)
+          || b.scoreDifference - a.scoreDifference
+          || b.raidPoints - a.raidPoints
+          || String(a.clubName).localeCompare(String(b.clubName))
+      );
+    });
+
+  return ordered.map((row, idx) => ({ ...row, position: idx + 1 }));
+};
+
+/**
+ * Build the points tables from league / pool fixtures.
+ * Every club drawn into a table is listed, results only count once completed.
+ * @param {Array<object>} fixtures - Fixtures with homeClub/awayClub and events
+ * @returns {Array<object>} Rows for every table, ordered by pool then position
+ */
+const computeStandings = (fixtures) => {
+  const tables = new Map();
+  const resultsByPool = new Map();
+
+  const rowFor = (pool, club) => {
+    if (!tables.has(pool)) tables.set(pool, new Map());
+    const table = tables.get(pool);
+    if (!table.has(club.id)) table.set(club.id, emptyRow(club.id, club.clubName, pool));
+    return table.get(club.id);
+  };
+
+  fixtures
+    .filter((f) => TABLE_STAGES.includes(f.stage) && f.status !== "CANCELLED")
+    .forEach((f) => {
+      const pool = f.pool || null;
+      const home = f.homeClub ? rowFor(pool, f.homeClub) : null;
+      const away = f.awayClub ? rowFor(pool, f.awayClub) : null;
+      if (f.status !== "COMPLETED" || !home || !away) return;
+
+      const homeScore = f.homeScore ?? 0;
+      const awayScore = f.awayScore ?? 0;
+      const replay = replayEvents(f, f.events || []);
+      applyResult(home, homeScore, awayScore, replay.home.raid + replay.home.bonus);
+      applyResult(away, awayScore, homeScore, replay.away.raid + replay.away.bonus);
+
+      if (!resultsByPool.has(pool)) resultsByPool.set(pool, []);
+      resultsByPool.get(pool).push({
+        homeClubId: f.homeClubId,
+        awayClubId: f.awayClubId,
+        homeScore,
+        awayScore,
+      });
+    });
+
+  return [...tables.keys()]
+    .sort((a, b) => String(a ?? "").localeCompare(String(b ?? "")))
+    .flatMap((pool) => rankTable([...tables.get(pool).values()], resultsByPool.get(pool) || []));
+};
+
+/**
+ * Recompute and store the cached standings of a competition group.
+ * @param {number} competitionGroupId
+ * @returns {Promise<Array<object>>} The computed rows
+ */
+const recomputeGroupStandings = async (competitionGroupId) => {
+  const fixtures = await prisma.fixture.findMany({
+    where: { competitionGroupId, stage: { in: TABLE_STAGES } },
+    include: {
+      homeClub: { select: { id: true, clubName: true } },
+      awayClub: { select: { id: true, clubName: true } },
+      events: { where: { undone: false } },
+    },
+  });
+
+  const rows = computeStandings(fixtures);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.groupStanding.deleteMany({ where: { competitionGroupId } });
+    if (rows.length > 0) {
+      await tx.groupStanding.createMany({
+        data: rows.map(({ clubName, ...row }) => ({ ...row, competitionGroupId })),
+      });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Cached standings of a competition group, computed on first access.
+ * @param {number} competitionGroupId
+ * @returns {Promise<Array<object>>}
+ */
+const getGroupStandings = async (competitionGroupId) => {
+  const cached = await prisma.groupStanding.findMany({
+    where: { competitionGroupId },
+    include: { club: { select: { id: true, clubName: true } } },
+    orderBy: [{ pool: "asc" }, { position: "asc" }],
+  });
+
+  if (cached.length > 0) {
+    return cached.map(({ club, id, competitionGroupId: _cg, ...row }) => ({
+      ...row,
+      clubName: club.clubName,
+    }));
+  }
+
+  return recomputeGroupStandings(competitionGroupId);
+};
+
+/**
+ * Keep the cached standings in step with recorded results.
+ */
+const registerStandingsListeners = () => {
+  domainEventEmitter.on("fixture.completed", ({ competitionGroupId }) => {
+    recomputeGroupStandings(competitionGroupId).catch((err) => {
+      console.error(`Failed to recompute standings for competition group ${competitionGroupId}:`, err);
+    });
+  });
+};
+
+module.exports = {
+  LEAGUE_POINTS,
+  computeStandings,
+  recomputeGroupStandings,
+  getGroupStandings,
+  registerStandingsListeners,
+};
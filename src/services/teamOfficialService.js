@@ -0,0 +1,98 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const { toDay } = require("./officialService");
+
+const TEAM_OFFICIAL_ROLES = ["COACH", "MANAGER", "PHYSIO"];
+
+const ROLE_LABELS = {
+  COACH: "Coach",
+  MANAGER: "Manager",
+  PHYSIO: "Physio",
+};
+
+// Staff details shown wherever a team official is listed
+const staffSelect = {
+  id: true,
+  clubId: true,
+  firstName: true,
+  lastName: true,
+  mobile: true,
+  email: true,
+  aadharVerified: true,
+  profileImage: true,
+  licenceNumber: true,
+  licenceLevel: true,
+  licenceValidUntil: true,
+  active: true,
+};
+
+const staffName = (staff) => [staff.firstName, staff.lastName].filter(Boolean).join(" ");
+
+/**
+ * Whether a staff member holds a coaching licence that is still valid on a day.
+ * @param {{licenceNumber: string|null, licenceValidUntil: Date|null}} staff
+ * @param {Date} [on]
+ * @returns {boolean}
+ */
+const hasValidLicence = (staff, on = new Date()) =>
+  !!staff.licenceNumber && (!staff.licenceValidUntil || toDay(staff.licenceValidUntil) >= toDay(on));
+
+/**
+ * Throw unless a staff member can serve a squad in the role: still on the
+ * club's staff, Aadhaar verified where the group requires it of its players,
+ * and, to coach, licensed until the competition's last day.
+ * @param {object} staff
+ * @param {string} role
+ * @param {{toDate: Date}} competition
+ * @param {{requireAadhaarVerified: boolean}} competitionGroup
+ */
+const assertCanServe = (staff, role, competition, competitionGroup) => {
+  const name = staffName(staff);
+  if (!staff.active) {
+    throw createError(400, `${name} is no longer on the club's staff`);
+  }
+  if (competitionGroup.requireAadhaarVerified && !staff.aadharVerified) {
+    throw createError(400, `${name}'s Aadhaar must be verified to serve in this group`);
+  }
+  if (role === "COACH" && !hasValidLicence(staff, competition.toDate)) {
+    throw createError(400, `${name} needs a coaching licence valid until the end of the competition to coach`);
+  }
+};
+
+/**
+ * Team officials of a competition, optionally for one club and/or group,
+ * ordered by club, group and role.
+ * @param {number} competitionId
+ * @param {{clubId?: number|null, groupId?: number|null}} [filters]
+ * @param {object} [client]
+ * @returns {Promise<object[]>} with staff, club and group
+ */
+const listTeamOfficials = async (competitionId, { clubId = null, groupId = null } = {}, client = prisma) => {
+  const officials = await client.teamOfficial.findMany({
+    where: {
+      competitionId,
+      ...(clubId ? { clubId } : {}),
+      ...(groupId ? { groupId } : {}),
+    },
+    include: {
+      staff: { select: staffSelect },
+      club: { select: { id: true, clubName: true } },
+      group: { select: { id: true, groupName: true } },
+    },
+    orderBy: [{ club: { clubName: "asc" } }, { groupId: "asc" }, { staff: { firstName: "asc" } }],
+  });
+  return officials.sort((a, b) =>
+    a.club.clubName.localeCompare(b.club.clubName)
+    || a.groupId - b.groupId
+    || TEAM_OFFICIAL_ROLES.indexOf(a.role) - TEAM_OFFICIAL_ROLES.indexOf(b.role));
+};
+
+module.exports = {
+  TEAM_OFFICIAL_ROLES,
+  ROLE_LABELS,
+  staffSelect,
+  staffName,
+  hasValidLicence,
+  assertCanServe,
+  listTeamOfficials,
+};
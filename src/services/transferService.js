@@ -0,0 +1,232 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+
+const TRANSFER_STATUSES = [
+  "PENDING_NOC",
+  "PENDING_APPROVAL",
+  "APPROVED",
+  "NOC_REFUSED",
+  "REJECTED",
+  "CANCELLED",
+];
+
+// Transfers still waiting on someone; a player can have only one at a time
+const OPEN_TRANSFER_STATUSES = ["PENDING_NOC", "PENDING_APPROVAL"];
+
+// Days after a transfer before the player may represent the new club
+const COOLING_OFF_DAYS = (() => {
+  const n = parseInt(process.env.TRANSFER_COOLING_OFF_DAYS, 10);
+  return Number.isFinite(n) && n >= 0 ? n : 30;
+})();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => new Date(date).toISOString().split("T")[0];
+
+/**
+ * Transfer window state at a given moment.
+ * @param {Date} [at]
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<{configured: boolean, open: object|null, next: object|null}>}
+ *   `configured` is false when no windows exist (transfers allowed all year).
+ */
+const getTransferWindowState = async (at = new Date(), client = prisma) => {
+  const configured = (await client.transferWindow.count()) > 0;
+  if (!configured) return { configured, open: null, next: null };
+
+  const [open, next] = await Promise.all([
+    client.transferWindow.findFirst({
+      where: { startDate: { lte: at }, endDate: { gte: at } },
+      orderBy: { endDate: "desc" },
+    }),
+    client.transferWindow.findFirst({
+      where: { startDate: { gt: at } },
+      orderBy: { startDate: "asc" },
+    }),
+  ]);
+  return { configured, open, next };
+};
+
+/**
+ * Throw 400 unless transfers are allowed right now.
+ * @param {Date} [at]
+ * @param {object} [client]
+ */
+const assertTransferWindowOpen = async (at = new Date(), client = prisma) => {
+  const { configured, open, next } = await getTransferWindowState(at, client);
+  if (!configured || open) return;
+  throw createError(
+    400,
+    next
+      ? `The transfer window is closed. The next window (${next.name}) opens on ${formatDate(next.startDate)}`
+      : "The transfer window is closed"
+  );
+};
+
+/**
+ * Record a change of club in the player's club history: the open entry is
+ * closed and, when the player joins a club, a new one is opened. Players who
+ * joined their club before history was kept get their entry backfilled.
+ * Does not update Player.clubId itself.
+ * @param {object} client - Prisma client or transaction
+ * @param {{playerId: number, fromClubId: number|null, toClubId: number|null, transferId?: number, at?: Date}} change
+ */
+const recordClubChange = async (client, { playerId, fromClubId, toClubId, transferId = null, at = new Date() }) => {
+  if ((fromClubId ?? null) === (toClubId ?? null)) return;
+
+  const closed = await client.playerClubHistory.updateMany({
+    where: { playerId, toDate: null },
+    data: { toDate: at },
+  });
+
+  if (closed.count === 0 && fromClubId) {
+    const player = await client.player.findUnique({
+      where: { id: playerId },
+      select: { createdAt: true },
+    });
+    await client.playerClubHistory.create({
+      data: { playerId, clubId: fromClubId, fromDate: player?.createdAt || at, toDate: at },
+    });
+  }
+
+  if (toClubId) {
+    await client.playerClubHistory.create({
+      data: { playerId, clubId: toClubId, fromDate: at, transferId },
+    });
+  }
+};
+
+/**
+ * Move the player of an approved transfer to the requesting club.
+ * @param {object} client - Prisma client or transaction
+ * @param {{id: number, playerId: number, fromClubId: number|null, toClubId: number}} transfer
+ * @param {Date} [at]
+ */
+const applyTransfer = async (client, transfer, at = new Date()) => {
+  await client.player.update({
+    where: { id: transfer.playerId },
+    data: { clubId: transfer.toClubId },
+  });
+  await recordClubChange(client, {
+    playerId: transfer.playerId,
+    fromClubId: transfer.fromClubId,
+    toClubId: transfer.toClubId,
+    transferId: transfer.id,
+    at,
+  });
+};
+
+/**
+ * Why players may not represent a club in a competition: they already played
+ * for another club in it, or they joined the club by transfer less than the
+ * cooling-off period ago.
+ * @param {number[]} playerIds
+ * @param {number} clubId
+ * @param {number} competitionId
+ * @param {object} [client]
+ * @returns {Promise<Map<number, string>>} playerId -> reason, only for blocked players
+ */
+const getRepresentationBlocks = async (playerIds, clubId, competitionId, client = prisma) => {
+  const blocks = new Map();
+  if (!playerIds.length) return blocks;
+
+  const otherClubRegistrations = await client.competitionRegistration.findMany({
+    where: { competitionId, playerId: { in: playerIds }, clubId: { not: clubId } },
+    select: { playerId: true, club: { select: { clubName: true } } },
+  });
+  for (const reg of otherClubRegistrations) {
+    blocks.set(reg.playerId, `Already represents ${reg.club.clubName} in this competition`);
+  }
+
+  if (COOLING_OFF_DAYS > 0) {
+    const now = new Date();
+    const recentTransfers = await client.playerClubHistory.findMany({
+      where: {
+        playerId: { in: playerIds },
+        clubId,
+        toDate: null,
+        transferId: { not: null },
+        fromDate: { gt: new Date(now.getTime() - COOLING_OFF_DAYS * DAY_MS) },
+      },
+      select: { playerId: true, fromDate: true },
+    });
+    for (const entry of recentTransfers) {
+      if (blocks.has(entry.playerId)) continue;
+      const eligibleFrom = new Date(entry.fromDate.getTime() + COOLING_OFF_DAYS * DAY_MS);
+      blocks.set(
+        entry.playerId,
+        `Transferred on ${formatDate(entry.fromDate)}; can represent the club from ${formatDate(eligibleFrom)}`
+      );
+    }
+  }
+
+  return blocks;
+};
+
+/**
+ * Club history and transfers of a player, most recent first.
+ * @param {number} playerId
+ * @returns {Promise<object|null>} null when the player does not exist
+ */
+const getPlayerHistory = async (playerId) => {
+  const player = await prisma.player.findUnique({
+    where: { id: playerId },
+    select: {
+      id: true,
+      uniqueIdNumber: true,
+      firstName: true,
+      lastName: true,
+      club: { select: { id: true, clubName: true } },
+    },
+  });
+  if (!player) return null;
+
+  const [history, transfers] = await Promise.all([
+    prisma.playerClubHistory.findMany({
+      where: { playerId },
+      include: { club: { select: { id: true, clubName: true } } },
+      orderBy: [{ fromDate: "desc" }, { id: "desc" }],
+    }),
+    prisma.playerTransfer.findMany({
+      where: { playerId },
+      include: {
+        fromClub: { select: { id: true, clubName: true } },
+        toClub: { select: { id: true, clubName: true } },
+      },
+      orderBy: { createdAt: "desc" },
+    }),
+  ]);
+
+  return {
+    player,
+    history: history.map((h) => ({
+      id: h.id,
+      club: h.club,
+      fromDate: h.fromDate,
+      toDate: h.toDate,
+      transferId: h.transferId,
+      current: h.toDate === null,
+    })),
+    transfers: transfers.map((t) => ({
+      id: t.id,
+      status: t.status,
+      fromClub: t.fromClub,
+      toClub: t.toClub,
+      createdAt: t.createdAt,
+      nocAt: t.nocAt,
+      decidedAt: t.decidedAt,
+    })),
+  };
+};
+
+module.exports = {
+  TRANSFER_STATUSES,
+  OPEN_TRANSFER_STATUSES,
+  COOLING_OFF_DAYS,
+  getTransferWindowState,
+  assertTransferWindowOpen,
+  recordClubChange,
+  applyTransfer,
+  getRepresentationBlocks,
+  getPlayerHistory,
+};
@@ -0,0 +1,75 @@
+const prisma = require("../config/db");
+const { transitionRegistrations } = require("./registrationService");
+
+const OVERWEIGHT_ACTIONS = ["FLAG", "WITHDRAW"];
+const WEIGH_IN_STATUSES = ["PASSED", "OVERWEIGHT"];
+
+/**
+ * Latest weigh-in weight of each player in a competition.
+ * @param {number} competitionId
+ * @param {number[]} playerIds
+ * @param {object} [client]
+ * @returns {Promise<Map<number, number>>} playerId -> kg, only for weighed players
+ */
+const getLatestWeights = async (competitionId, playerIds, client = prisma) => {
+  const weights = new Map();
+  if (!playerIds.length) return weights;
+
+  const weighIns = await client.weighIn.findMany({
+    where: { registration: { competitionId, playerId: { in: playerIds } } },
+    select: { weightKg: true, registration: { select: { playerId: true } } },
+    orderBy: [{ weighedAt: "desc" }, { id: "desc" }],
+  });
+  weighIns.forEach((w) => {
+    if (!weights.has(w.registration.playerId)) {
+      weights.set(w.registration.playerId, Number(w.weightKg));
+    }
+  });
+  return weights;
+};
+
+/**
+ * Record a weigh-in and apply the group's rule to players over its limit:
+ * FLAG marks the registration OVERWEIGHT, WITHDRAW also withdraws it.
+ * @param {object} client - Prisma client or transaction
+ * @param {{registration: {id: number, status: string}, competitionGroup: {maxWeightKg: any, overweightAction: string}|null,
+ *   weightKg: number, remarks?: string, recordedById: number}} params
+ * @returns {Promise<{weighIn: object, weighInStatus: string, withdrawn: boolean}>}
+ */
+const recordWeighIn = async (client, { registration, competitionGroup, weightKg, remarks, recordedById }) => {
+  const limit = competitionGroup?.maxWeightKg ?? null;
+  const overLimit = limit !== null && Number(weightKg) > Number(limit);
+
+  const weighIn = await client.weighIn.create({
+    data: {
+      registrationId: registration.id,
+      weightKg,
+      limitKg: limit,
+      overLimit,
+      remarks: remarks || null,
+      recordedById,
+    },
+  });
+
+  const weighInStatus = overLimit ? "OVERWEIGHT" : "PASSED";
+  const withdrawn = overLimit && competitionGroup.overweightAction === "WITHDRAW";
+  await client.competitionRegistration.update({
+    where: { id: registration.id },
+    data: { weighInStatus },
+  });
+  if (withdrawn) {
+    await transitionRegistrations(client, [registration], "withdrawn", {
+      changedById: recordedById,
+      comment: `Weighed ${Number(weightKg)} kg at the weigh-in, over the ${Number(limit)} kg limit`,
+    });
+  }
+
+  return { weighIn, weighInStatus, withdrawn };
+};
+
+module.exports = {
+  OVERWEIGHT_ACTIONS,
+  WEIGH_IN_STATUSES,
+  getLatestWeights,
+  recordWeighIn,
+};
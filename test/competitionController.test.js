@@ -0,0 +1,158 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+// Stand-in for the Prisma client; each test sets the queries it needs
+const db = {};
+const dbPath = path.resolve(__dirname, "../src/config/db.js");
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: db };
+
+const competitionController = require("../src/controllers/competitionController");
+
+// Run a handler and resolve with the status and body it answered with
+const call = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    handler({ params: {}, query: {}, body: {}, ...req }, res, reject);
+  });
+
+const admin = { id: 1, role: "admin" };
+const observer = { id: 2, role: "observer" };
+
+const draftCompetition = {
+  id: 5,
+  competitionName: "District Championship",
+  status: "DRAFT",
+  statusOverride: false,
+  lastEntryDate: null,
+  fromDate: new Date("2099-01-10"),
+  toDate: new Date("2099-01-12"),
+};
+
+beforeEach(() => {
+  Object.keys(db).forEach((key) => delete db[key]);
+  // No grants in the database: the defaults from config/permissions apply
+  db.rolePermission = { findMany: async () => [] };
+});
+
+test("getCompetition answers 404 for a draft competition to users who cannot manage it", async () => {
+  db.competition = { findUnique: async () => ({ ...draftCompetition, groups: [], clubs: [] }) };
+
+  const { status, body } = await call(competitionController.getCompetition, {
+    params: { id: "5" },
+    user: observer,
+  });
+
+  assert.equal(status, 404);
+  assert.deepEqual(body, { errors: { message: "Competition not found" } });
+});
+
+test("updateCompetitionStatus answers 400 with the field error for an unknown status", async () => {
+  const { status, body } = await call(competitionController.updateCompetitionStatus, {
+    params: { id: "5" },
+    body: { status: "FINISHED" },
+    user: admin,
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.errors.status.type, "validation");
+  assert.match(body.errors.status.message, /^Status must be one of/);
+});
+
+test("updateCompetitionStatus answers 404 for a missing competition", async () => {
+  db.competition = { findUnique: async () => null };
+
+  const { status, body } = await call(competitionController.updateCompetitionStatus, {
+    params: { id: "99" },
+    body: { status: "OPEN" },
+    user: admin,
+  });
+
+  assert.equal(status, 404);
+  assert.deepEqual(body, { errors: { message: "Competition not found" } });
+});
+
+test("checkPlayerEligibility answers 400 for players of another club", async () => {
+  const none = { findMany: async () => [] };
+  db.competition = { findUnique: async () => ({ ...draftCompetition, clubs: [{ id: 3 }], groups: [] }) };
+  db.competitionGroup = none;
+  db.competitionRegistration = none;
+  db.playerClubHistory = none;
+  db.playerSanction = none;
+  db.weighIn = none;
+  db.player = {
+    findMany: async () => [
+      { id: 10, clubId: 3, firstName: "Own", lastName: "Player", dateOfBirth: new Date("2008-05-01") },
+      { id: 11, clubId: 4, firstName: "Other", lastName: "Player", dateOfBirth: new Date("2008-05-01") },
+    ],
+  };
+
+  const { status, body } = await call(competitionController.checkPlayerEligibility, {
+    params: { id: "5" },
+    body: { playerIds: [10, 11] },
+    user: { id: 3, role: "CLUB" },
+    club: { id: 3 },
+  });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body, { errors: { message: "Players not found in the club: 11" } });
+});
+
+test("setCaptain answers 403 when a club names the captain of another club", async () => {
+  db.competitionRegistration = {
+    findFirst: async () => assert.fail("the registration must not be looked up"),
+  };
+
+  const { status, body } = await call(competitionController.setCaptain, {
+    params: { id: "5", clubId: "4", registrationId: "20" },
+    user: { id: 3, role: "CLUB" },
+    club: { id: 3 },
+  });
+
+  assert.equal(status, 403);
+  assert.deepEqual(body, {
+    errors: { message: "Access denied - you can only set the captain for your own club" },
+  });
+});
+
+test("setViceCaptain answers 404 for a registration outside the club's squad", async () => {
+  let where;
+  db.competitionRegistration = {
+    findFirst: async (args) => {
+      where = args.where;
+      return null;
+    },
+  };
+
+  const { status, body } = await call(competitionController.setViceCaptain, {
+    params: { id: "5", clubId: "3", registrationId: "20" },
+    user: { id: 3, role: "CLUB" },
+    club: { id: 3 },
+  });
+
+  assert.equal(status, 404);
+  assert.deepEqual(body, { errors: { message: "Registration not found" } });
+  assert.deepEqual(where, { id: 20, competitionId: 5, clubId: 3 });
+});
+
+test("updateCompetitionClubInfo answers 410 and points to the team officials", async () => {
+  const { status, body } = await call(competitionController.updateCompetitionClubInfo, {
+    params: { id: "5", clubId: "3" },
+    body: { managerName: "A Manager", coachName: "A Coach" },
+    user: { id: 3, role: "CLUB" },
+    club: { id: 3 },
+  });
+
+  assert.equal(status, 410);
+  assert.match(body.errors.message, /\/competitions\/\{id\}\/team-officials/);
+});